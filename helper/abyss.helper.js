@@ -1,5 +1,6 @@
 const axios = require('axios');
 const FormData = require('form-data');
+const { Transform } = require('stream');
 require('dotenv').config();
 const systemModel = require('../model/system.model');
 const { abyssApi, AbyssBaseURL, AbyssApiKey } = require('./api.helper');
@@ -102,15 +103,28 @@ function checkUploadQuota(accountInfo, fileSizeBytes) {
 /**
  * Upload video stream to Abyss/Hydrax (multipart/form-data).
  * Expects ABYSS_UPLOAD_URL in env (e.g. http://up.hydrax.net/YOUR_UPLOAD_KEY).
+ * Any readable works (fs or GridFS download stream); pass size so the request has a Content-Length.
  * Response: { status: true, slug } on success, { status: false, msg } on error.
  * @param {NodeJS.ReadableStream} stream
- * @param {{ filename: string, contentType: string, size: number }}
+ * @param {{ filename: string, contentType: string, size: number, signal?: AbortSignal, onProgress?: (bytesSent: number, size: number) => void }}
  * @returns {Promise<{ slug: string }>}
  */
-async function uploadVideoToAbyss(stream, { filename, contentType, size }) {
+async function uploadVideoToAbyss(stream, { filename, contentType, size, signal, onProgress }) {
   if (!ABYSS_UPLOAD_URL) {
     throw new Error('ABYSS_UPLOAD_URL is not set in .env. Set it to your Abyss/Hydrax upload URL (e.g. http://up.hydrax.net/YOUR_KEY).');
   }
+  if (typeof onProgress === 'function') {
+    let bytesSent = 0;
+    const counter = new Transform({
+      transform(chunk, enc, cb) {
+        bytesSent += chunk.length;
+        onProgress(bytesSent, size);
+        cb(null, chunk);
+      },
+    });
+    stream.on('error', (err) => counter.destroy(err));
+    stream = stream.pipe(counter);
+  }
   const form = new FormData();
   const fileOpts = {
     filename: filename || 'video.mp4',
@@ -125,6 +139,7 @@ async function uploadVideoToAbyss(stream, { filename, contentType, size }) {
     maxBodyLength: Infinity,
     maxContentLength: Infinity,
     validateStatus: () => true,
+    signal,
   });
   const body = response.data;
   if (body && body.status === true && body.slug) {
@@ -161,6 +176,28 @@ async function getSlugStatus(slug) {
   return 'uploaded_not_ready';
 }
 
+/**
+ * Fetch a file on Abyss (GET /v1/files/:id), or null when Abyss answers 404 (file gone).
+ * Other errors are thrown, so callers can tell "missing" from "could not check".
+ * @param {string} slug - Abyss file slug
+ * @returns {Promise<object|null>}
+ */
+async function getFileInfo(slug) {
+  const token = await getAbyssToken();
+  try {
+    const response = await axios.get(`${AbyssBaseURL}/v1/files/${encodeURIComponent(slug)}`, {
+      headers: {
+        Authorization: `Bearer ${token}`,
+        accept: 'application/json',
+      },
+    });
+    return response.data;
+  } catch (err) {
+    if (err.response?.status === 404) return null;
+    throw err;
+  }
+}
+
 /**
  * Delete a video from Abyss by slug.
  * @param {string} slug - Abyss file slug
@@ -276,6 +313,7 @@ module.exports = {
   checkUploadQuota,
   uploadVideoToAbyss,
   getSlugStatus,
+  getFileInfo,
   deleteAbyssVideoById,
   getResources,
   putResource,
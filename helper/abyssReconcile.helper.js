@@ -0,0 +1,334 @@
+/**
+ * Two-way reconciliation between Abyss files (GET /v1/resources) and UploadedVideo mappings.
+ *
+ * Report:
+ * - orphanFiles: files on Abyss with no UploadedVideo (with a filename parse as a hint)
+ * - danglingMappings: UploadedVideo docs whose slug is not listed on Abyss
+ * - duplicateMappings: several UploadedVideo docs for the same TMDB id (+ season/episode for TV)
+ *
+ * Fix job (one at a time, state kept in memory) handles only the safe cases:
+ * - deleteDangling: delete a dangling mapping after Abyss confirms the file is gone (404 on GET /v1/files/:id)
+ * - guessTmdbIds: map an orphan file when the best TMDB candidate for its filename is confident
+ *   (tmdbMatch.helper; TV files also need SxxEyy) and the title is not mapped yet
+ * Duplicates are only reported: picking the copy to keep needs an admin.
+ */
+const UploadedVideoModel = require('../model/uploadedVideo.model');
+const systemModel = require('../model/system.model');
+const { getResources, getFileInfo } = require('./abyss.helper');
+const { parseReleaseName } = require('./releaseName.helper');
+const { rankTmdbCandidates, isConfidentMatch } = require('./tmdbMatch.helper');
+const { fetchMovieDetails, fetchTvDetails } = require('./tmdb.helper');
+
+/** UploadedVideo docs hosted on Abyss (docs from before providers existed have no provider field). */
+const ABYSS_PROVIDER_FILTER = { $in: ['abyss', null] };
+
+/** @type {object | null} */
+let fixJob = null;
+
+function mappingSummary(doc) {
+  return {
+    _id: String(doc._id),
+    abyssSlug: doc.abyssSlug,
+    externalId: doc.externalId ?? null,
+    mediaType: doc.mediaType ?? 'movie',
+    title: doc.title ?? '',
+    seasonNumber: doc.seasonNumber ?? null,
+    episodeNumber: doc.episodeNumber ?? null,
+    slugStatus: doc.slugStatus,
+    createdAt: doc.createdAt ?? null,
+  };
+}
+
+async function loadAbyssItems() {
+  const resources = await getResources();
+  return resources.item || resources.items || [];
+}
+
+/**
+ * Compare Abyss files with the Abyss-hosted UploadedVideo docs.
+ * @returns {Promise<{ orphanFiles: object[], danglingMappings: object[], duplicateMappings: object[], totals: object }>}
+ */
+async function buildReconciliationReport() {
+  const [items, mappings] = await Promise.all([
+    loadAbyssItems(),
+    UploadedVideoModel.find({ provider: ABYSS_PROVIDER_FILTER }).lean(),
+  ]);
+
+  const itemIds = new Set(items.map((i) => String(i.id)));
+  const mappedSlugs = new Set(mappings.map((m) => m.abyssSlug));
+
+  const orphanFiles = items
+    .filter((i) => !mappedSlugs.has(String(i.id)))
+    .map((i) => ({
+      id: String(i.id),
+      name: i.name ?? null,
+      size: i.size ?? null,
+      status: i.status ?? null,
+      createdAt: i.createdAt ?? null,
+      parsed: parseReleaseName(i.name),
+    }));
+
+  const danglingMappings = mappings.filter((m) => !itemIds.has(m.abyssSlug)).map(mappingSummary);
+
+  const groups = new Map();
+  for (const m of mappings) {
+    if (m.externalId == null) continue;
+    const mediaType = m.mediaType ?? 'movie';
+    const key = mediaType === 'tv'
+      ? `tv:${m.externalId}:${m.seasonNumber ?? ''}:${m.episodeNumber ?? ''}`
+      : `movie:${m.externalId}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(m);
+  }
+  const duplicateMappings = [...groups.entries()]
+    .filter(([, docs]) => docs.length > 1)
+    .map(([key, docs]) => {
+      const first = docs[0];
+      return {
+        key,
+        mediaType: first.mediaType ?? 'movie',
+        externalId: first.externalId,
+        seasonNumber: first.seasonNumber ?? null,
+        episodeNumber: first.episodeNumber ?? null,
+        mappings: docs.map(mappingSummary),
+      };
+    });
+
+  return {
+    orphanFiles,
+    danglingMappings,
+    duplicateMappings,
+    totals: {
+      abyssFiles: items.length,
+      mappings: mappings.length,
+      orphanFiles: orphanFiles.length,
+      danglingMappings: danglingMappings.length,
+      duplicateMappings: duplicateMappings.length,
+    },
+  };
+}
+
+/**
+ * Map an Abyss file to a TMDB title (an accepted candidate from tmdbMatch.helper).
+ * Refuses when the slug is already mapped or the title (episode for TV) already has a mapping,
+ * since a second copy would only turn an orphan into a duplicate.
+ * @param {{ id: string, name?: string|null, size?: number|null, status?: string|null }} file - Abyss file
+ * @param {{ tmdbId: number, mediaType: 'movie'|'tv', title?: string, poster_path?: string|null, seasonNumber?: number|null, episodeNumber?: number|null }} candidate
+ * @param {{ dryRun?: boolean }} [options]
+ * @returns {Promise<{ created: boolean, reason?: string, mapping: object }>}
+ */
+async function createMappingForFile(file, candidate, { dryRun = false } = {}) {
+  const isTv = candidate.mediaType === 'tv';
+  const mapping = {
+    abyssSlug: file.id,
+    provider: 'abyss',
+    externalId: candidate.tmdbId,
+    mediaType: isTv ? 'tv' : 'movie',
+    title: candidate.title ?? '',
+    poster_path: candidate.poster_path ?? null,
+    filename: file.name ?? null,
+    size: file.size ?? null,
+    slugStatus: file.status === 'ready' ? 'ready' : 'uploaded_not_ready',
+    readyAt: file.status === 'ready' ? new Date() : null,
+  };
+  if (isTv) {
+    mapping.seasonNumber = candidate.seasonNumber ?? null;
+    mapping.episodeNumber = candidate.episodeNumber ?? null;
+  }
+  if (await UploadedVideoModel.exists({ abyssSlug: file.id })) {
+    return { created: false, reason: 'File is already mapped', mapping };
+  }
+  const existing = await UploadedVideoModel.exists({
+    externalId: mapping.externalId,
+    mediaType: mapping.mediaType,
+    ...(isTv && { seasonNumber: mapping.seasonNumber, episodeNumber: mapping.episodeNumber }),
+  });
+  if (existing) {
+    return { created: false, reason: 'TMDB title already mapped to another file', mapping };
+  }
+  if (!dryRun) {
+    // Upsert on the slug so a mapping created meanwhile (admin, staging run) is not duplicated.
+    await UploadedVideoModel.updateOne({ abyssSlug: file.id }, { $setOnInsert: mapping }, { upsert: true });
+  }
+  return { created: true, mapping };
+}
+
+/**
+ * Ranked TMDB candidates for a page of orphan Abyss files (one TMDB search per file).
+ * @param {{ skip?: number, limit?: number }} [options]
+ * @returns {Promise<{ items: Array<{ file: object, candidates: object[], confident: boolean }>, total: number }>}
+ */
+async function listMatchCandidates({ skip = 0, limit = 20 } = {}) {
+  const { orphanFiles } = await buildReconciliationReport();
+  const page = orphanFiles.slice(skip, skip + limit);
+  const items = [];
+  for (const file of page) {
+    try {
+      const candidates = await rankTmdbCandidates(file.parsed);
+      items.push({ file, candidates, confident: isConfidentMatch(candidates) });
+    } catch (err) {
+      items.push({ file, candidates: [], confident: false, error: err?.message || 'TMDB lookup failed' });
+    }
+  }
+  return { items, total: orphanFiles.length };
+}
+
+/**
+ * Create mappings for admin-accepted matches. Title and poster come from TMDB details, not from the client.
+ * @param {Array<{ abyssSlug: string, tmdbId: number, mediaType: 'movie'|'tv', seasonNumber?: number|null, episodeNumber?: number|null }>} matches
+ * @returns {Promise<Array<{ abyssSlug: string, status: 'created'|'skipped'|'error', reason?: string, mapping?: object }>>}
+ */
+async function acceptMatches(matches) {
+  const itemsById = new Map((await loadAbyssItems()).map((i) => [String(i.id), i]));
+  const results = [];
+  for (const m of matches) {
+    const abyssSlug = String(m.abyssSlug ?? '').trim();
+    try {
+      const item = itemsById.get(abyssSlug);
+      if (!item) {
+        results.push({ abyssSlug, status: 'skipped', reason: 'File not found on Abyss' });
+        continue;
+      }
+      const isTv = m.mediaType === 'tv';
+      const details = isTv ? await fetchTvDetails(m.tmdbId) : await fetchMovieDetails(m.tmdbId);
+      if (!details) {
+        results.push({ abyssSlug, status: 'skipped', reason: `TMDB ${isTv ? 'show' : 'movie'} ${m.tmdbId} not found` });
+        continue;
+      }
+      const file = { id: abyssSlug, name: item.name ?? null, size: item.size ?? null, status: item.status ?? null };
+      const candidate = {
+        tmdbId: details.id,
+        mediaType: isTv ? 'tv' : 'movie',
+        title: (isTv ? details.name : details.title) ?? '',
+        poster_path: details.poster_path ?? null,
+        seasonNumber: isTv ? m.seasonNumber : null,
+        episodeNumber: isTv ? m.episodeNumber : null,
+      };
+      const { created, reason, mapping } = await createMappingForFile(file, candidate);
+      results.push(created ? { abyssSlug, status: 'created', mapping } : { abyssSlug, status: 'skipped', reason });
+    } catch (err) {
+      results.push({ abyssSlug, status: 'error', reason: err?.message || 'Accept failed' });
+    }
+  }
+  const created = results.filter((r) => r.status === 'created').length;
+  if (created > 0) {
+    await systemModel
+      .appendLog('ABYSS_UPLOAD_LOG', [`Accepted ${created} TMDB match(es) for unmapped Abyss files`])
+      .catch(() => {});
+  }
+  return results;
+}
+
+async function fixDangling(report, job) {
+  for (const m of report.danglingMappings) {
+    try {
+      // Only the listing said it is gone; ask for the file itself before deleting the mapping.
+      const file = await getFileInfo(m.abyssSlug);
+      if (file) {
+        job.skipped.push({ kind: 'dangling', id: m._id, abyssSlug: m.abyssSlug, reason: 'File still exists on Abyss' });
+        continue;
+      }
+      if (!job.dryRun) await UploadedVideoModel.deleteOne({ _id: m._id });
+      job.fixed.push({ kind: 'dangling', action: 'deleted_mapping', id: m._id, abyssSlug: m.abyssSlug, title: m.title });
+    } catch (err) {
+      job.errors.push({ kind: 'dangling', id: m._id, abyssSlug: m.abyssSlug, message: err?.message || 'Check failed' });
+    }
+  }
+}
+
+async function fixOrphans(report, job) {
+  for (const file of report.orphanFiles) {
+    try {
+      const isTv = file.parsed.mediaType === 'tv';
+      if (isTv && file.parsed.episodeNumber == null) {
+        job.skipped.push({ kind: 'orphan', abyssSlug: file.id, name: file.name, reason: 'No episode number in the filename' });
+        continue;
+      }
+      const candidates = await rankTmdbCandidates(file.parsed);
+      if (!isConfidentMatch(candidates)) {
+        job.skipped.push({ kind: 'orphan', abyssSlug: file.id, name: file.name, reason: 'No confident TMDB match', candidates });
+        continue;
+      }
+      const [best] = candidates;
+      const { created, reason, mapping } = await createMappingForFile(file, best, { dryRun: job.dryRun });
+      if (!created) {
+        job.skipped.push({ kind: 'orphan', abyssSlug: file.id, name: file.name, externalId: best.tmdbId, reason });
+        continue;
+      }
+      job.fixed.push({
+        kind: 'orphan',
+        action: 'created_mapping',
+        abyssSlug: file.id,
+        name: file.name,
+        externalId: mapping.externalId,
+        mediaType: mapping.mediaType,
+        title: mapping.title,
+        seasonNumber: mapping.seasonNumber ?? null,
+        episodeNumber: mapping.episodeNumber ?? null,
+        confidence: best.confidence,
+      });
+    } catch (err) {
+      job.errors.push({ kind: 'orphan', abyssSlug: file.id, name: file.name, message: err?.message || 'TMDB lookup failed' });
+    }
+  }
+}
+
+async function runFixJob(job) {
+  try {
+    const report = await buildReconciliationReport();
+    job.totals = report.totals;
+    if (job.deleteDangling) await fixDangling(report, job);
+    if (job.guessTmdbIds) await fixOrphans(report, job);
+    job.status = 'finished';
+  } catch (err) {
+    job.status = 'error';
+    job.errorMessage = err?.message || 'Reconciliation failed';
+  } finally {
+    job.finishedAt = new Date().toISOString();
+    await systemModel
+      .appendLog('ABYSS_UPLOAD_LOG', [
+        `Abyss reconcile fix ${job.status}${job.dryRun ? ' (dry run)' : ''}: fixed ${job.fixed.length}, skipped ${job.skipped.length}, errors ${job.errors.length}${job.errorMessage ? `, ${job.errorMessage}` : ''}`,
+      ])
+      .catch(() => {});
+  }
+}
+
+/**
+ * Start the auto-fix job in the background.
+ * @param {{ deleteDangling?: boolean, guessTmdbIds?: boolean, dryRun?: boolean }} [options]
+ * @returns {{ started: boolean, job: object }} started false when a job is already running
+ */
+function startReconcileFixJob({ deleteDangling = true, guessTmdbIds = true, dryRun = false } = {}) {
+  if (fixJob?.status === 'running') return { started: false, job: fixJob };
+  const job = {
+    status: 'running',
+    deleteDangling,
+    guessTmdbIds,
+    dryRun,
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    errorMessage: null,
+    totals: null,
+    fixed: [],
+    skipped: [],
+    errors: [],
+  };
+  fixJob = job;
+  setImmediate(() => runFixJob(job));
+  return { started: true, job };
+}
+
+/** Current (or last) fix job, or null. */
+function getReconcileFixJob() {
+  return fixJob;
+}
+
+module.exports = {
+  ABYSS_PROVIDER_FILTER,
+  buildReconciliationReport,
+  createMappingForFile,
+  listMatchCandidates,
+  acceptMatches,
+  startReconcileFixJob,
+  getReconcileFixJob,
+};
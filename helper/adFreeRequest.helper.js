@@ -0,0 +1,154 @@
+/**
+ * Ad-free request board: weekly request quotas and upvotes on titles already in the download queue.
+ *
+ * Quotas count accepted requests (AdFreeRequest ledger) over a rolling 7-day window, per user or, for guests,
+ * per IP. Limits live in the system config (adFreeRequestQuota.user / .guest); admins are not limited.
+ * A vote raises the queued jobs' priority by VOTE_PRIORITY (see downloadPriority.helper); removing it lowers it again.
+ */
+const crypto = require('crypto');
+const AdFreeRequestModel = require('../model/adFreeRequest.model');
+const DownloadQueueModel = require('../model/downloadQueue.model');
+const DownloadSeriesQueueModel = require('../model/downloadSeriesQueue.model');
+const systemModel = require('../model/system.model');
+const { VOTE_PRIORITY, REORDERABLE_STATUSES } = require('./downloadPriority.helper');
+
+const REQUEST_QUOTA_WINDOW_MS = 7 * 24 * 60 * 60 * 1000;
+
+function hashIp(ip) {
+  return ip ? crypto.createHash('sha256').update(String(ip)).digest('hex') : null;
+}
+
+/** Ledger filter for a requester: the user, else the guest IP. */
+function requesterFilter({ userId, ip }) {
+  return userId ? { userId } : { userId: null, ipHash: hashIp(ip) };
+}
+
+/**
+ * Weekly request quota of a requester.
+ * @param {{ userId?: *, ip?: string, isAdmin?: boolean }} requester
+ * @returns {Promise<{ limit: number|null, used: number, remaining: number|null, resetsAt: Date|null }>}
+ *   limit/remaining are null when unlimited (admins)
+ */
+async function getRequestQuota({ userId = null, ip = null, isAdmin = false }) {
+  const since = new Date(Date.now() - REQUEST_QUOTA_WINDOW_MS);
+  const recent = await AdFreeRequestModel.find({ ...requesterFilter({ userId, ip }), createdAt: { $gte: since } })
+    .select('createdAt')
+    .sort({ createdAt: 1 })
+    .lean();
+  const used = recent.length;
+  const resetsAt = used ? new Date(new Date(recent[0].createdAt).getTime() + REQUEST_QUOTA_WINDOW_MS) : null;
+  if (isAdmin) return { limit: null, used, remaining: null, resetsAt };
+
+  // Not lean: schema defaults fill in configs saved before the quota existed
+  const sys = await systemModel.findOne({}).select('adFreeRequestQuota');
+  const limit = (userId ? sys?.adFreeRequestQuota?.user : sys?.adFreeRequestQuota?.guest) ?? 0;
+  return { limit, used, remaining: Math.max(0, limit - used), resetsAt };
+}
+
+/**
+ * Claim quota for a new request before anything is queued: the ledger entries (one per TV season) are inserted first,
+ * then counted. Entries inserted after ours (higher _id) do not count against us, so when concurrent requests race
+ * for the last slot the first one keeps it and the others roll their entries back. Admins are recorded but never refused.
+ * @param {{ userId?: *, ip?: string, isAdmin?: boolean, tmdbId?: number|null, mediaType?: string, seasonNumbers?: number[]|null }} request
+ * @returns {Promise<{ claim?: { ids: Array<*> }, quota?: object }>} claim when granted, else the quota that refused it
+ */
+async function claimRequest({ userId = null, ip = null, isAdmin = false, tmdbId = null, mediaType = 'movie', seasonNumbers = null }) {
+  const entry = { userId, ipHash: userId ? null : hashIp(ip), tmdbId, mediaType, queueId: null };
+  const entries = seasonNumbers?.length ? seasonNumbers.map((seasonNumber) => ({ ...entry, seasonNumber })) : [entry];
+  const inserted = await AdFreeRequestModel.insertMany(entries);
+  const claim = { ids: inserted.map((d) => d._id) };
+  if (isAdmin) return { claim };
+
+  const quota = await getRequestQuota({ userId, ip });
+  const lastId = claim.ids.reduce((max, id) => (String(id) > String(max) ? id : max));
+  const since = new Date(Date.now() - REQUEST_QUOTA_WINDOW_MS);
+  const usedUpToOurs = await AdFreeRequestModel.countDocuments({
+    ...requesterFilter({ userId, ip }),
+    createdAt: { $gte: since },
+    _id: { $lte: lastId },
+  });
+  if (usedUpToOurs > quota.limit) {
+    await releaseClaim(claim);
+    const used = quota.used - claim.ids.length;
+    return { quota: { ...quota, used, remaining: Math.max(0, quota.limit - used) } };
+  }
+  return { claim };
+}
+
+/** Link a granted claim to the queue doc it created. */
+async function confirmClaim(claim, queueId) {
+  await AdFreeRequestModel.updateMany({ _id: { $in: claim.ids } }, { $set: { queueId } });
+}
+
+/**
+ * Hand back a claim (or, with seasonNumbers, only those TV seasons) when the request did not queue anything for them.
+ * @param {{ ids: Array<*> }} claim
+ * @param {number[]} [seasonNumbers]
+ */
+async function releaseClaim(claim, seasonNumbers = null) {
+  await AdFreeRequestModel.deleteMany({
+    _id: { $in: claim.ids },
+    ...(seasonNumbers && { seasonNumber: { $in: seasonNumbers } }),
+  });
+}
+
+/**
+ * Whether votes on a queue item can still change anything: a movie not yet claimed by the downloader,
+ * or a TV parent with episodes still queued.
+ * @param {object} queueDoc - DownloadQueue (lean)
+ */
+async function isVotable(queueDoc) {
+  if (queueDoc.mediaType === 'tv') {
+    return !!(await DownloadSeriesQueueModel.exists({ parentId: queueDoc._id, status: { $in: REORDERABLE_STATUSES } }));
+  }
+  return REORDERABLE_STATUSES.includes(queueDoc.status);
+}
+
+/**
+ * Add (direction 1) or remove (direction -1) userId's vote on a queue item and move its priority accordingly.
+ * @param {object} queueDoc - DownloadQueue (lean)
+ * @param {*} userId
+ * @param {1|-1} direction
+ * @returns {Promise<{ changed?: boolean, votes?: number, code?: number, message?: string }>}
+ *   changed false when the user had already voted (or had not voted, when removing)
+ */
+async function changeVote(queueDoc, userId, direction) {
+  if (!(await isVotable(queueDoc))) {
+    return { code: 409, message: 'Voting is closed: this title is already being downloaded or finished' };
+  }
+  const isTv = queueDoc.mediaType === 'tv';
+  const filter = direction > 0 ? { _id: queueDoc._id, voters: { $ne: userId } } : { _id: queueDoc._id, voters: userId };
+  if (!isTv) filter.status = { $in: REORDERABLE_STATUSES };
+  const updated = await DownloadQueueModel.findOneAndUpdate(
+    filter,
+    {
+      [direction > 0 ? '$addToSet' : '$pull']: { voters: userId },
+      $inc: { votes: direction, ...(!isTv && { priority: direction * VOTE_PRIORITY }) },
+    },
+    { new: true }
+  ).lean();
+  if (!updated) {
+    const current = await DownloadQueueModel.findById(queueDoc._id).select('votes').lean();
+    return { changed: false, votes: current?.votes ?? 0 };
+  }
+  if (isTv) {
+    await DownloadSeriesQueueModel.updateMany(
+      { parentId: queueDoc._id, status: { $in: REORDERABLE_STATUSES } },
+      { $inc: { priority: direction * VOTE_PRIORITY } }
+    );
+  }
+  return { changed: true, votes: updated.votes };
+}
+
+const addVote = (queueDoc, userId) => changeVote(queueDoc, userId, 1);
+const removeVote = (queueDoc, userId) => changeVote(queueDoc, userId, -1);
+
+module.exports = {
+  REQUEST_QUOTA_WINDOW_MS,
+  getRequestQuota,
+  claimRequest,
+  confirmClaim,
+  releaseClaim,
+  addVote,
+  removeVote,
+};
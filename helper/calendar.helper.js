@@ -0,0 +1,212 @@
+/**
+ * Upcoming episodes calendar: air dates from TMDB for the monitored shows in the download queue and the TV shows
+ * a user saved in their folders, annotated with queue / ad-free state. Also renders the entries as an iCalendar feed.
+ *
+ * TMDB is asked once per show per CALENDAR_CACHE_MS (next_episode_to_air, then that season's episode list).
+ */
+require('dotenv').config();
+const crypto = require('crypto');
+const userModel = require('../model/user.model');
+const DownloadQueueModel = require('../model/downloadQueue.model');
+const DownloadSeriesQueueModel = require('../model/downloadSeriesQueue.model');
+const UploadedVideoModel = require('../model/uploadedVideo.model');
+const { fetchTvDetails, getTvSeasonsEpisodes } = require('./tmdb.helper');
+const { parseAirDate } = require('./downloadQueue.helper');
+
+const CALENDAR_CACHE_MS = parseInt(process.env.CALENDAR_CACHE_MS, 10) || 6 * 60 * 60 * 1000; // 6h
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** @type {Map<number, { expiresAt: number, value: object }>} tmdbId -> upcoming episodes */
+const upcomingCache = new Map();
+
+/** Secret token for a user's .ics feed URL. */
+function createCalendarToken() {
+  return crypto.randomBytes(24).toString('hex');
+}
+
+/** UTC midnight of the given day. */
+function startOfUtcDay(date) {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+}
+
+/**
+ * Episodes of a show from its next scheduled episode to the end of that season (cached).
+ * @param {number} tmdbId
+ * @returns {Promise<{ title: string, poster_path: string|null, episodes: Array<{ seasonNumber: number,
+ *   episodeNumber: number, name: string|null, overview: string, runtime: number|null, airDate: Date }> }>}
+ */
+async function getUpcomingEpisodes(tmdbId) {
+  const cached = upcomingCache.get(tmdbId);
+  if (cached && cached.expiresAt > Date.now()) return cached.value;
+
+  const show = await fetchTvDetails(tmdbId);
+  const value = { title: show?.name || `TMDB ${tmdbId}`, poster_path: show?.poster_path ?? null, episodes: [] };
+  const next = show?.next_episode_to_air;
+  if (next?.season_number != null) {
+    const seasonEpisodes = await getTvSeasonsEpisodes(tmdbId, next.season_number).catch(() => []);
+    for (const ep of seasonEpisodes) {
+      const airDate = parseAirDate(ep.air_date);
+      if (!airDate || (ep.episode_number ?? 0) < (next.episode_number ?? 0)) continue;
+      value.episodes.push({
+        seasonNumber: next.season_number,
+        episodeNumber: ep.episode_number,
+        name: (ep.name && String(ep.name).trim()) || null,
+        overview: ep.overview || '',
+        runtime: ep.runtime ?? null,
+        airDate,
+      });
+    }
+  }
+
+  const now = Date.now();
+  for (const [id, entry] of upcomingCache) {
+    if (entry.expiresAt <= now) upcomingCache.delete(id);
+  }
+  upcomingCache.set(tmdbId, { expiresAt: now + CALENDAR_CACHE_MS, value });
+  return value;
+}
+
+/**
+ * TV shows on a user's calendar: every monitored queue show plus the user's saved TV items.
+ * @param {*} userId
+ * @returns {Promise<Map<number, { monitored: boolean, saved: boolean }>>} tmdbId -> sources
+ */
+async function getCalendarShows(userId) {
+  const [monitored, user] = await Promise.all([
+    DownloadQueueModel.find({ mediaType: 'tv', monitored: true, tmdbId: { $ne: null } }).select('tmdbId').lean(),
+    userModel.findById(userId).select('folders').lean(),
+  ]);
+  const shows = new Map();
+  for (const parent of monitored) shows.set(parent.tmdbId, { monitored: true, saved: false });
+  for (const folder of user?.folders || []) {
+    for (const item of folder.saved || []) {
+      if (item.mediaType !== 'tv' || item.externalId == null) continue;
+      shows.set(item.externalId, { monitored: shows.get(item.externalId)?.monitored ?? false, saved: true });
+    }
+  }
+  return shows;
+}
+
+/**
+ * Upcoming episodes for a user between from (inclusive) and to (exclusive), sorted by air date.
+ * Each entry says whether the episode is queued (queueStatus = its DownloadSeriesQueue status) and whether
+ * an ad-free video is ready. TMDB failures for one show leave that show out.
+ * @param {*} userId
+ * @param {{ from: Date, to: Date }} range
+ * @returns {Promise<object[]>}
+ */
+async function buildCalendar(userId, { from, to }) {
+  const shows = await getCalendarShows(userId);
+  const entries = [];
+  for (const [tmdbId, sources] of shows) {
+    const upcoming = await getUpcomingEpisodes(tmdbId).catch(() => null);
+    for (const ep of upcoming?.episodes || []) {
+      if (ep.airDate < from || ep.airDate >= to) continue;
+      entries.push({ tmdbId, showTitle: upcoming.title, poster_path: upcoming.poster_path, ...ep, ...sources });
+    }
+  }
+  if (entries.length === 0) return [];
+
+  const tmdbIds = [...new Set(entries.map((e) => e.tmdbId))];
+  const [parents, uploaded] = await Promise.all([
+    DownloadQueueModel.find({ mediaType: 'tv', tmdbId: { $in: tmdbIds } }).select('tmdbId').lean(),
+    UploadedVideoModel.find({ mediaType: 'tv', externalId: { $in: tmdbIds }, slugStatus: 'ready' })
+      .select('externalId seasonNumber episodeNumber')
+      .lean(),
+  ]);
+  const queuedEpisodes = parents.length
+    ? await DownloadSeriesQueueModel.find({ parentId: { $in: parents.map((p) => p._id) } })
+      .select('parentId seasonNumber episodeNumber status')
+      .lean()
+    : [];
+  const tmdbIdByParent = new Map(parents.map((p) => [String(p._id), p.tmdbId]));
+  const key = (tmdbId, seasonNumber, episodeNumber) => `${tmdbId}:${seasonNumber}:${episodeNumber}`;
+  const queueStatusByKey = new Map(
+    queuedEpisodes.map((e) => [key(tmdbIdByParent.get(String(e.parentId)), e.seasonNumber, e.episodeNumber), e.status])
+  );
+  const adFreeKeys = new Set(uploaded.map((u) => key(u.externalId, u.seasonNumber, u.episodeNumber)));
+
+  return entries
+    .map((entry) => {
+      const k = key(entry.tmdbId, entry.seasonNumber, entry.episodeNumber);
+      const queueStatus = queueStatusByKey.get(k) ?? null;
+      return { ...entry, queued: queueStatus != null, queueStatus, adFree: adFreeKeys.has(k) };
+    })
+    .sort((a, b) => a.airDate - b.airDate || a.showTitle.localeCompare(b.showTitle) || a.episodeNumber - b.episodeNumber);
+}
+
+/** RFC 5545 TEXT escaping. */
+function escapeIcsText(value) {
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/** Fold a content line at 75 octets (continuation lines start with a space). */
+function foldIcsLine(line) {
+  const parts = [];
+  let current = '';
+  let size = 0;
+  for (const char of line) {
+    const charSize = Buffer.byteLength(char);
+    if (size + charSize > (parts.length ? 74 : 75)) {
+      parts.push(current);
+      current = '';
+      size = 0;
+    }
+    current += char;
+    size += charSize;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+const icsDate = (date) => date.toISOString().slice(0, 10).replace(/-/g, '');
+const icsTimestamp = (date) => `${date.toISOString().slice(0, 19).replace(/[-:]/g, '')}Z`;
+
+/**
+ * Render calendar entries as an iCalendar document with one all-day event per episode.
+ * @param {object[]} entries - from buildCalendar
+ * @param {{ name?: string }} [options]
+ * @returns {string}
+ */
+function buildIcs(entries, { name = 'Upcoming episodes' } = {}) {
+  const stamp = icsTimestamp(new Date());
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Stream Haven//Episode Calendar//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeIcsText(name)}`,
+  ];
+  for (const entry of entries) {
+    const code = `S${String(entry.seasonNumber).padStart(2, '0')}E${String(entry.episodeNumber).padStart(2, '0')}`;
+    const state = entry.adFree ? 'Ad-free' : entry.queued ? `Queued (${entry.queueStatus})` : entry.monitored ? 'Monitored' : null;
+    const description = [state, entry.overview].filter(Boolean).join('\n\n');
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:tv-${entry.tmdbId}-${entry.seasonNumber}-${entry.episodeNumber}@streamhaven`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART;VALUE=DATE:${icsDate(entry.airDate)}`,
+      `DTEND;VALUE=DATE:${icsDate(new Date(entry.airDate.getTime() + DAY_MS))}`,
+      `SUMMARY:${escapeIcsText(`${entry.showTitle} ${code}${entry.name ? ` - ${entry.name}` : ''}`)}`,
+      ...(description ? [`DESCRIPTION:${escapeIcsText(description)}`] : []),
+      'TRANSP:TRANSPARENT',
+      'END:VEVENT'
+    );
+  }
+  lines.push('END:VCALENDAR');
+  return `${lines.map(foldIcsLine).join('\r\n')}\r\n`;
+}
+
+module.exports = {
+  DAY_MS,
+  createCalendarToken,
+  startOfUtcDay,
+  getUpcomingEpisodes,
+  buildCalendar,
+  buildIcs,
+};
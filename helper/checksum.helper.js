@@ -0,0 +1,85 @@
+/**
+ * SHA-256 helpers for staged videos: clients send hex digests per chunk and for the whole file,
+ * the server recomputes them while streaming (upload-chunk → GridFS → temp file → Abyss).
+ */
+const crypto = require('crypto');
+const { Transform } = require('stream');
+const StagingVideoModel = require('../model/stagingVideo.model');
+const UploadedVideoModel = require('../model/uploadedVideo.model');
+
+/** Error thrown when computed and expected digests differ; callers map it to status 'checksum_fail' / HTTP 400. */
+class ChecksumMismatchError extends Error {
+  constructor(label, expected, actual) {
+    super(`Checksum mismatch (${label}): expected sha256 ${expected}, got ${actual}`);
+    this.name = 'ChecksumMismatchError';
+    this.code = 'checksum_mismatch';
+    this.expected = expected;
+    this.actual = actual;
+  }
+}
+
+/**
+ * Normalize a client-sent digest (hex, case-insensitive). Returns null when absent.
+ * @throws {Error} when present but not a 64-char hex string
+ */
+function normalizeSha256(value) {
+  if (value == null || value === '') return null;
+  const hex = String(value).trim().toLowerCase();
+  if (!/^[a-f0-9]{64}$/.test(hex)) throw new Error('sha256 must be a 64-character hex string');
+  return hex;
+}
+
+function sha256Buffer(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+/**
+ * Pass-through stream that hashes everything flowing through it; read digest() after 'finish'.
+ * @returns {Transform & { digest: () => string }}
+ */
+function createSha256Transform() {
+  const hash = crypto.createHash('sha256');
+  let hex = null;
+  const transform = new Transform({
+    transform(chunk, enc, cb) {
+      hash.update(chunk);
+      cb(null, chunk);
+    },
+  });
+  transform.digest = () => {
+    if (hex == null) hex = hash.digest('hex');
+    return hex;
+  };
+  return transform;
+}
+
+/** Throw ChecksumMismatchError when expected is set and differs from actual. */
+function assertSha256(label, expected, actual) {
+  if (expected && expected !== actual) throw new ChecksumMismatchError(label, expected, actual);
+}
+
+/**
+ * Find an existing staged or uploaded video with the same content hash.
+ * @param {string} sha256
+ * @param {{ excludeStagingId?: string }} [opts]
+ * @returns {Promise<{ kind: 'staging'|'uploaded', id: string, title: string, filename: string|null }|null>}
+ */
+async function findDuplicateBySha256(sha256, { excludeStagingId = null } = {}) {
+  if (!sha256) return null;
+  const stagingQuery = { sha256, status: { $ne: 'writing' } };
+  if (excludeStagingId) stagingQuery._id = { $ne: excludeStagingId };
+  const staging = await StagingVideoModel.findOne(stagingQuery).select('_id title filename').lean();
+  if (staging) return { kind: 'staging', id: staging._id.toString(), title: staging.title, filename: staging.filename };
+  const uploaded = await UploadedVideoModel.findOne({ sha256 }).select('_id title filename').lean();
+  if (uploaded) return { kind: 'uploaded', id: uploaded._id.toString(), title: uploaded.title, filename: uploaded.filename };
+  return null;
+}
+
+module.exports = {
+  ChecksumMismatchError,
+  normalizeSha256,
+  sha256Buffer,
+  createSha256Transform,
+  assertSha256,
+  findDuplicateBySha256,
+};
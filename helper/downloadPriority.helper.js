@@ -0,0 +1,96 @@
+/**
+ * Download queue priority. Jobs (movies in DownloadQueue, episodes in DownloadSeriesQueue) are handed to the
+ * downloader by priority (higher first), then oldest first. New jobs get a default by who asked for them;
+ * admins can move jobs around afterwards (POST /api/download-queue/reorder).
+ *
+ * Auto-enqueued titles (TMDB category sync) are stored as requester { type: 'admin', id: null } and get the lowest default.
+ * Each upvote on the request board adds VOTE_PRIORITY (adFreeRequest.helper).
+ * Defaults can be overridden with DOWNLOAD_PRIORITY_ADMIN / _USER / _GUEST / _AUTO / _PER_VOTE.
+ */
+require('dotenv').config();
+
+const envPriority = (name, fallback) => {
+  const n = parseFloat(process.env[name]);
+  return Number.isFinite(n) ? n : fallback;
+};
+
+const DEFAULT_PRIORITIES = {
+  admin: envPriority('DOWNLOAD_PRIORITY_ADMIN', 300),
+  user: envPriority('DOWNLOAD_PRIORITY_USER', 200),
+  guest: envPriority('DOWNLOAD_PRIORITY_GUEST', 100),
+  auto: envPriority('DOWNLOAD_PRIORITY_AUTO', 0),
+};
+
+/** Priority added per request-board vote: ten votes lift a user request to an admin pick. */
+const VOTE_PRIORITY = envPriority('DOWNLOAD_PRIORITY_PER_VOTE', 10);
+
+/** Sort for handing out jobs: highest priority first, then oldest first (_id keeps insertMany batches in episode order). */
+const QUEUE_ORDER = { priority: -1, createdAt: 1, _id: 1 };
+
+/** Statuses a job can still be reordered in (not yet claimed by the downloader). */
+const REORDERABLE_STATUSES = ['pending', 'waiting'];
+
+/**
+ * @param {{ id?: *, type?: string }|null|undefined} requester
+ * @returns {number}
+ */
+function defaultPriority(requester) {
+  const type = requester?.type;
+  if (!type || (type === 'admin' && !requester.id)) return DEFAULT_PRIORITIES.auto;
+  return DEFAULT_PRIORITIES[type] ?? DEFAULT_PRIORITIES.auto;
+}
+
+/**
+ * Comparator matching QUEUE_ORDER, for merging movies and episodes in memory.
+ * Jobs without a priority (created before the field existed) fall back to their requester default.
+ */
+function compareQueueOrder(a, b) {
+  const pa = a.priority ?? defaultPriority(a.requester);
+  const pb = b.priority ?? defaultPriority(b.requester);
+  if (pa !== pb) return pb - pa;
+  const byAge = new Date(a.createdAt || 0) - new Date(b.createdAt || 0);
+  if (byAge !== 0) return byAge;
+  return String(a._id) < String(b._id) ? -1 : String(a._id) > String(b._id) ? 1 : 0;
+}
+
+/**
+ * Priority that places a job at `position` in an ordered queue (the job itself must not be in `ordered`).
+ * Picks a value strictly between the neighbours; when they tie, the tied jobs above the slot are bumped
+ * into the gap above them so the order of everything else is unchanged.
+ * @param {Array<{ _id: *, priority: number }>} ordered - queue in QUEUE_ORDER, without the job being moved
+ * @param {number} position - 0-based target index (clamped)
+ * @param {number} fallback - priority when the queue is empty
+ * @returns {{ priority: number, bumps: Array<{ ids: Array<*>, priority: number }> }}
+ */
+function priorityForPosition(ordered, position, fallback) {
+  const pos = Math.max(0, Math.min(Math.trunc(position) || 0, ordered.length));
+  const above = ordered[pos - 1];
+  const below = ordered[pos];
+  if (!above && !below) return { priority: fallback, bumps: [] };
+  if (!above) return { priority: below.priority + 1, bumps: [] };
+  if (!below) return { priority: above.priority - 1, bumps: [] };
+  if (above.priority > below.priority) {
+    return { priority: (above.priority + below.priority) / 2, bumps: [] };
+  }
+
+  // Tie: lift the tied run directly above the slot halfway towards the next higher priority.
+  const tied = below.priority;
+  let start = pos - 1;
+  while (start > 0 && ordered[start - 1].priority === tied) start -= 1;
+  const higher = ordered[start - 1];
+  const lifted = higher ? (higher.priority + tied) / 2 : tied + 1;
+  return {
+    priority: (lifted + tied) / 2,
+    bumps: [{ ids: ordered.slice(start, pos).map((j) => j._id), priority: lifted }],
+  };
+}
+
+module.exports = {
+  DEFAULT_PRIORITIES,
+  VOTE_PRIORITY,
+  QUEUE_ORDER,
+  REORDERABLE_STATUSES,
+  defaultPriority,
+  compareQueueOrder,
+  priorityForPosition,
+};
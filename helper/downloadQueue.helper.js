@@ -0,0 +1,234 @@
+/**
+ * Shared download-queue enqueue logic (admin queue route and user ad-free requests).
+ * TV: parent show in DownloadQueue (mediaType 'tv'), one DownloadSeriesQueue job per episode.
+ */
+const DownloadQueueModel = require('../model/downloadQueue.model');
+const DownloadSeriesQueueModel = require('../model/downloadSeriesQueue.model');
+const StagingVideoModel = require('../model/stagingVideo.model');
+const UploadedVideoModel = require('../model/uploadedVideo.model');
+const { getTvSeasonsSummary, getTvSeasonsEpisodes } = require('./tmdb.helper');
+const { defaultPriority, VOTE_PRIORITY } = require('./downloadPriority.helper');
+require('dotenv').config();
+
+/**
+ * Hours after its TMDB air date before an episode is queued. Air dates are the local broadcast day and are read as
+ * UTC midnight (parseAirDate), so an evening US broadcast is already about a day "late" against that instant; the
+ * extra half day gives releases time to show up. EPISODE_AIR_DELAY_HOURS=0 queues on the air date itself.
+ */
+const envDelay = parseFloat(process.env.EPISODE_AIR_DELAY_HOURS);
+const AIR_DELAY_HOURS = Number.isFinite(envDelay) && envDelay >= 0 ? envDelay : 36;
+
+/** TMDB air dates are calendar dates ('YYYY-MM-DD'); read them as UTC midnight. */
+function parseAirDate(value) {
+  if (!value || !/^\d{4}-\d{2}-\d{2}$/.test(String(value))) return null;
+  const date = new Date(`${value}T00:00:00Z`);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/** Latest air date an episode may have to be queued by a request or the series monitor (now minus EPISODE_AIR_DELAY_HOURS). */
+function airedCutoff() {
+  return new Date(Date.now() - AIR_DELAY_HOURS * 60 * 60 * 1000);
+}
+
+const episodeLabel = (showTitle, seasonNumber, episodeNumber) =>
+  `${showTitle} S${String(seasonNumber).padStart(2, '0')}E${String(episodeNumber).padStart(2, '0')}`;
+
+/**
+ * (season, episode) keys of a show's episodes that are staged or uploaded already.
+ * @param {number} tmdbId
+ * @returns {Promise<Set<string>>} 'season,episode'
+ */
+async function getAvailableEpisodeKeys(tmdbId) {
+  const [staged, uploaded] = await Promise.all([
+    StagingVideoModel.find({ tmdbId, mediaType: 'tv' }).select('seasonNumber episodeNumber').lean(),
+    UploadedVideoModel.find({ externalId: tmdbId, mediaType: 'tv' }).select('seasonNumber episodeNumber').lean(),
+  ]);
+  return new Set([...staged, ...uploaded].map((e) => `${e.seasonNumber},${e.episodeNumber}`));
+}
+
+/**
+ * Enqueue a TV show (or some of its seasons) from TMDB. An existing parent for the show is merged:
+ * only (season, episode) pairs not queued yet are added and the season metadata is refreshed.
+ * Episodes already staged or uploaded are never queued again.
+ * @param {object} tvDetails - TMDB TV details (fetchTvDetails)
+ * @param {object} options
+ * @param {{ id: *, type: string }} options.requester - stored on the parent (when new) and on every new episode
+ * @param {string|null} [options.title] - overrides the TMDB name
+ * @param {string|null} [options.posterPath] - overrides the TMDB poster
+ * @param {number|null} [options.year] - overrides the first air year
+ * @param {number[]|null} [options.seasonNumbers] - only these seasons (all when null)
+ * @param {object} [options.parentFields] - extra fields for a newly created parent (e.g. monitored)
+ * @param {Date|null} [options.airedBefore] - only episodes whose TMDB air date is on or before this (episodes without one are skipped)
+ * @param {boolean} [options.dryRun] - write nothing; items are the episodes that would be added (parent is null for a new show)
+ * @returns {Promise<{ parent?: object|null, items?: object[], created?: number, isNew?: boolean, nothingNew?: boolean,
+ *   code?: number, message?: string }>} code/message when nothing could be enqueued
+ */
+async function enqueueTvShow(
+  tvDetails,
+  { requester, title = null, posterPath = null, year = null, seasonNumbers = null, parentFields = {}, airedBefore = null, dryRun = false }
+) {
+  const tmdbId = Number(tvDetails.id);
+  const summary = getTvSeasonsSummary(tvDetails);
+  if (!summary.seasons || summary.seasons.length === 0) {
+    return { code: 400, message: 'No seasons found for this show' };
+  }
+  const seasons = seasonNumbers
+    ? summary.seasons.filter((s) => seasonNumbers.includes(s.season_number ?? 0))
+    : summary.seasons;
+  if (seasons.length === 0) {
+    return { code: 400, message: 'None of the requested seasons exist for this show' };
+  }
+  const showTitle = (title && String(title).trim()) || tvDetails.name || 'Unknown Show';
+  const posterPathFromApi = tvDetails.poster_path != null ? String(tvDetails.poster_path).trim() : null;
+  const finalPosterPath = posterPath != null ? posterPath : posterPathFromApi;
+  const yearFromApi =
+    tvDetails.first_air_date != null && String(tvDetails.first_air_date).length >= 4
+      ? parseInt(String(tvDetails.first_air_date).slice(0, 4), 10)
+      : null;
+  const finalYear = year != null ? year : yearFromApi;
+
+  // Fetch per-season episode list (with names) from TMDB
+  let episodesFromTmdb = [];
+  let listedEpisodes = 0;
+  for (const season of seasons) {
+    const sn = season.season_number ?? 0;
+    try {
+      const episodeList = await getTvSeasonsEpisodes(tmdbId, sn);
+      if (Array.isArray(episodeList)) {
+        for (const ep of episodeList) {
+          const epNum = ep.episode_number ?? 0;
+          if (epNum < 1) continue;
+          listedEpisodes++;
+          const airDate = parseAirDate(ep.air_date);
+          if (airedBefore && (!airDate || airDate > airedBefore)) continue;
+          episodesFromTmdb.push({
+            seasonNumber: sn,
+            episodeNumber: epNum,
+            episodeName: (ep.name && String(ep.name).trim()) || null,
+            airDate,
+          });
+        }
+      }
+    } catch {
+      // Skip season if API fails (e.g. not yet available)
+    }
+  }
+  if (listedEpisodes === 0) {
+    return { code: 400, message: 'No episodes found for this show' };
+  }
+  const availableKeys = await getAvailableEpisodeKeys(tmdbId);
+  const listedAired = episodesFromTmdb.length;
+  episodesFromTmdb = episodesFromTmdb.filter((ep) => !availableKeys.has(`${ep.seasonNumber},${ep.episodeNumber}`));
+
+  const requestedSeasonMeta = seasons.map((s) => ({
+    seasonNumber: s.season_number ?? 0,
+    name: s.name ?? `Season ${s.season_number ?? 0}`,
+    posterPath: s.poster_path ?? null,
+  }));
+  // Episodes added to a show people voted for carry those votes, like the show's queued episodes do (adFreeRequest.helper)
+  const existingTv = await DownloadQueueModel.findOne({ tmdbId, mediaType: 'tv' }).lean();
+  const episodePriority = defaultPriority(requester) + (existingTv?.votes || 0) * VOTE_PRIORITY;
+  const toEpisodeDoc = (parentId, ep) => ({
+    parentId,
+    seasonNumber: ep.seasonNumber,
+    episodeNumber: ep.episodeNumber,
+    title: ep.episodeName || episodeLabel(showTitle, ep.seasonNumber, ep.episodeNumber),
+    episodeName: ep.episodeName,
+    airDate: ep.airDate,
+    status: 'pending',
+    quality: 'high',
+    requester,
+    priority: episodePriority,
+  });
+
+  if (existingTv) {
+    // Merge: add only new (season, episode) pairs and update seasonMetadata from TMDB
+    const parent = existingTv;
+    const existingEpisodes = await DownloadSeriesQueueModel.find(
+      { parentId: parent._id },
+      { seasonNumber: 1, episodeNumber: 1, airDate: 1 }
+    ).lean();
+    const existingByKey = new Map(existingEpisodes.map((e) => [`${e.seasonNumber},${e.episodeNumber}`, e]));
+    const episodeDocs = episodesFromTmdb
+      .filter((ep) => !existingByKey.has(`${ep.seasonNumber},${ep.episodeNumber}`))
+      .map((ep) => toEpisodeDoc(parent._id, ep));
+    if (dryRun) {
+      return { parent, items: episodeDocs, created: 0, isNew: false, nothingNew: episodeDocs.length === 0 };
+    }
+
+    // Jobs queued before air dates were stored get them now
+    const airDateUpdates = [];
+    for (const ep of episodesFromTmdb) {
+      const existing = existingByKey.get(`${ep.seasonNumber},${ep.episodeNumber}`);
+      if (existing && existing.airDate == null && ep.airDate) {
+        airDateUpdates.push({ updateOne: { filter: { _id: existing._id }, update: { $set: { airDate: ep.airDate } } } });
+      }
+    }
+    if (airDateUpdates.length > 0) await DownloadSeriesQueueModel.bulkWrite(airDateUpdates);
+
+    const metaBySeason = new Map((parent.seasonMetadata || []).map((m) => [m.seasonNumber, { ...m }]));
+    for (const m of requestedSeasonMeta) {
+      const existing = metaBySeason.get(m.seasonNumber);
+      metaBySeason.set(m.seasonNumber, {
+        seasonNumber: m.seasonNumber,
+        name: m.name ?? existing?.name ?? `Season ${m.seasonNumber}`,
+        posterPath: m.posterPath ?? existing?.posterPath ?? null,
+      });
+    }
+    const mergedSeasonMetadata = Array.from(metaBySeason.values()).sort(
+      (a, b) => (a.seasonNumber || 0) - (b.seasonNumber || 0)
+    );
+
+    const metaChanged = JSON.stringify(mergedSeasonMetadata) !== JSON.stringify(parent.seasonMetadata || []);
+    if (metaChanged || finalPosterPath !== parent.poster_path || finalYear !== parent.year) {
+      await DownloadQueueModel.findByIdAndUpdate(parent._id, {
+        $set: {
+          seasonMetadata: mergedSeasonMetadata,
+          ...(finalPosterPath != null && { poster_path: finalPosterPath }),
+          ...(finalYear != null && { year: finalYear }),
+        },
+      });
+    }
+
+    const created = episodeDocs.length > 0 ? await DownloadSeriesQueueModel.insertMany(episodeDocs) : [];
+    return {
+      parent: { ...parent, seasonMetadata: mergedSeasonMetadata },
+      items: created,
+      created: created.length,
+      isNew: false,
+      nothingNew: created.length === 0,
+    };
+  }
+
+  // New show: create parent + all episodes (with episode names from TMDB). A monitored show is kept
+  // even before anything aired: the series monitor fills it in.
+  if (episodesFromTmdb.length === 0 && parentFields.monitored !== true) {
+    return listedAired > 0
+      ? { code: 400, message: 'Every requested episode is already in staging or uploaded' }
+      : { code: 400, message: 'No episodes of this show have aired yet' };
+  }
+  if (dryRun) {
+    return { parent: null, items: episodesFromTmdb.map((ep) => toEpisodeDoc(null, ep)), created: 0, isNew: true, nothingNew: false };
+  }
+  const parent = await DownloadQueueModel.create({
+    ...parentFields,
+    title: showTitle,
+    tmdbId,
+    poster_path: finalPosterPath,
+    year: finalYear,
+    mediaType: 'tv',
+    requester,
+    seasonMetadata: requestedSeasonMeta,
+  });
+  const created = episodesFromTmdb.length > 0
+    ? await DownloadSeriesQueueModel.insertMany(episodesFromTmdb.map((ep) => toEpisodeDoc(parent._id, ep)))
+    : [];
+  return { parent, items: created, created: created.length, isNew: true, nothingNew: false };
+}
+
+module.exports = {
+  AIR_DELAY_HOURS,
+  airedCutoff,
+  parseAirDate,
+  enqueueTvShow,
+};
@@ -0,0 +1,285 @@
+/**
+ * Library scanner: bulk-ingest an existing folder of videos into staging.
+ *
+ * Walks LIBRARY_SCAN_DIR (or a subfolder of it), identifies each video from its file name and folder
+ * structure the way media servers do ("Show/Season 1/Show.S01E02.mkv", "Movie (2024)/movie.mkv"),
+ * looks the title up on TMDB (tmdbMatch.helper) and streams confident matches into GridFS with
+ * createStagingVideoWithProgress. Files already staged or uploaded (same name and size, same TMDB
+ * title/episode, or same SHA-256 after ingest) are skipped. Unmatched files are only staged with includeUnmatched.
+ *
+ * One scan at a time; state is kept in memory. Each ingest also shows up in GET /api/staging/uploads
+ * (uploadId "library-<hash>").
+ */
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const StagingVideoModel = require('../model/stagingVideo.model');
+const UploadedVideoModel = require('../model/uploadedVideo.model');
+const systemModel = require('../model/system.model');
+const { createStagingVideoWithProgress, deleteStaging } = require('./stagingVideo.helper');
+const { setUploadState } = require('./stagingProcessState.helper');
+const { parseReleaseName } = require('./releaseName.helper');
+const { rankTmdbCandidates, isConfidentMatch } = require('./tmdbMatch.helper');
+
+const LIBRARY_SCAN_DIR = process.env.LIBRARY_SCAN_DIR ? path.resolve(process.env.LIBRARY_SCAN_DIR) : null;
+
+/** Extensions the staging bucket accepts (see ALLOWED_TYPES in stagingVideo.helper). */
+const VIDEO_MIME_BY_EXT = {
+  '.mp4': 'video/mp4',
+  '.m4v': 'video/mp4',
+  '.webm': 'video/webm',
+  '.mkv': 'video/x-matroska',
+};
+/** Folder names that hold extras, not the main title. */
+const IGNORED_DIRS = /^(extras?|featurettes?|behind the scenes|deleted scenes|interviews|trailers?|samples?|\..*)$/i;
+const SEASON_DIR = /^(?:season|series|s)[ ._-]?(\d{1,2})$/i;
+/** "E02", "Episode 2", "02 - Pilot" inside a season folder */
+const BARE_EPISODE = /^(?:e|ep|episode)[ ._-]?(\d{1,3})\b|^(\d{1,3})(?:[ ._-]|$)/i;
+
+/** @type {object | null} */
+let scanJob = null;
+
+/**
+ * Resolve a folder under LIBRARY_SCAN_DIR; null when it escapes the root or no root is configured.
+ * @param {string} [subPath]
+ * @returns {string|null}
+ */
+function resolveLibraryPath(subPath = '') {
+  if (!LIBRARY_SCAN_DIR) return null;
+  const resolved = path.resolve(LIBRARY_SCAN_DIR, String(subPath || '.'));
+  if (resolved !== LIBRARY_SCAN_DIR && !resolved.startsWith(LIBRARY_SCAN_DIR + path.sep)) return null;
+  return resolved;
+}
+
+async function walk(dir, out) {
+  const entries = await fs.promises.readdir(dir, { withFileTypes: true });
+  for (const entry of entries) {
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      if (!IGNORED_DIRS.test(entry.name)) await walk(full, out);
+    } else if (entry.isFile() && !/\bsample\b/i.test(entry.name)) {
+      out.push(full);
+    }
+  }
+  return out;
+}
+
+/**
+ * Identify a file from its name, falling back to its folders (show folder for TV, "Title (Year)" folder for movies).
+ * @param {string} relPath - path relative to the library root
+ * @returns {{ title: string, year: number|null, seasonNumber: number|null, episodeNumber: number|null, mediaType: 'movie'|'tv' }}
+ */
+function identifyLibraryFile(relPath) {
+  const parts = relPath.split(/[\\/]/);
+  const fileName = parts.pop();
+  const parsed = parseReleaseName(fileName);
+  const parentDir = parts[parts.length - 1] || '';
+  const seasonDir = parentDir.match(SEASON_DIR);
+  const showDir = seasonDir ? parts[parts.length - 2] || '' : parentDir;
+
+  if (parsed.mediaType !== 'tv' && seasonDir) {
+    const bare = path.parse(fileName).name.match(BARE_EPISODE);
+    if (bare) {
+      parsed.mediaType = 'tv';
+      parsed.seasonNumber = parseInt(seasonDir[1], 10);
+      parsed.episodeNumber = parseInt(bare[1] || bare[2], 10);
+      parsed.title = '';
+    }
+  }
+
+  if (parsed.mediaType === 'tv') {
+    if (parsed.seasonNumber == null && seasonDir) parsed.seasonNumber = parseInt(seasonDir[1], 10);
+    if (!parsed.title && showDir) {
+      const show = parseReleaseName(showDir);
+      parsed.title = show.title;
+      if (parsed.year == null) parsed.year = show.year;
+    }
+    return parsed;
+  }
+
+  // Movies: a "Title (Year)" folder is usually cleaner than the file name.
+  if (parentDir) {
+    const folder = parseReleaseName(parentDir);
+    if (folder.mediaType === 'movie' && folder.title && (parsed.year == null || !parsed.title) && folder.year != null) {
+      return folder;
+    }
+  }
+  return parsed;
+}
+
+async function isAlreadyIngested(fileName, size, match) {
+  const [stagedByName, uploadedByName] = await Promise.all([
+    StagingVideoModel.exists({ filename: fileName, size }),
+    UploadedVideoModel.exists({ filename: fileName, size }),
+  ]);
+  if (stagedByName) return 'Same file name and size already staged';
+  if (uploadedByName) return 'Same file name and size already uploaded';
+  if (!match) return null;
+
+  const isTv = match.mediaType === 'tv';
+  const episode = isTv ? { seasonNumber: match.seasonNumber, episodeNumber: match.episodeNumber } : {};
+  const [staged, uploaded] = await Promise.all([
+    StagingVideoModel.exists({ tmdbId: match.tmdbId, mediaType: match.mediaType, ...episode }),
+    UploadedVideoModel.exists({ externalId: match.tmdbId, mediaType: match.mediaType, ...episode }),
+  ]);
+  if (staged) return `${isTv ? 'Episode' : 'Title'} already staged`;
+  if (uploaded) return `${isTv ? 'Episode' : 'Title'} already uploaded`;
+  return null;
+}
+
+async function ingestFile(job, entry) {
+  const uploadId = `library-${crypto.createHash('sha1').update(entry.path).digest('hex').slice(0, 16)}`;
+  const match = entry.match;
+  setUploadState(uploadId, { status: 'writing', fileName: entry.fileName, uploadProgress: 100, dbProgress: 0 });
+  try {
+    const isTv = entry.parsed.mediaType === 'tv';
+    const result = await createStagingVideoWithProgress(
+      {
+        readStream: fs.createReadStream(entry.path),
+        mimetype: entry.mimetype,
+        originalname: entry.fileName,
+        size: entry.size,
+        tmdbId: match?.tmdbId ?? null,
+        title: match
+          ? (isTv ? `${match.title} S${String(match.seasonNumber).padStart(2, '0')}E${String(match.episodeNumber).padStart(2, '0')}` : match.title)
+          : entry.parsed.title,
+        posterPath: match?.poster_path ?? null,
+        mediaType: isTv ? 'tv' : 'movie',
+        seasonNumber: isTv ? entry.parsed.seasonNumber : null,
+        episodeNumber: isTv ? entry.parsed.episodeNumber : null,
+      },
+      (percent) => {
+        setUploadState(uploadId, { dbProgress: percent });
+        job.current = { ...job.current, percent };
+      }
+    );
+    if (result.duplicate) {
+      // Same bytes as a staged/uploaded video under another name: drop the copy we just wrote.
+      await deleteStaging(result.stagingId);
+      setUploadState(uploadId, { status: 'done', dbProgress: 100 });
+      return { status: 'skipped', reason: `Same SHA-256 as ${result.duplicate.kind} ${result.duplicate.id}` };
+    }
+    setUploadState(uploadId, { status: 'done', dbProgress: 100, stagingId: result.stagingId });
+    return { status: 'staged', stagingId: result.stagingId };
+  } catch (err) {
+    setUploadState(uploadId, { status: 'error', error: err?.message || 'Ingest failed' });
+    throw err;
+  }
+}
+
+async function runScan(job) {
+  try {
+    const files = await walk(job.root, []);
+    job.totalFiles = files.length;
+    for (const filePath of files) {
+      const relPath = path.relative(LIBRARY_SCAN_DIR, filePath);
+      const fileName = path.basename(filePath);
+      const mimetype = VIDEO_MIME_BY_EXT[path.extname(fileName).toLowerCase()];
+      if (!mimetype) {
+        job.results.push({ path: relPath, status: 'unsupported' });
+        continue;
+      }
+      job.current = { path: relPath, percent: 0 };
+      const entry = { path: filePath, fileName, mimetype, parsed: identifyLibraryFile(relPath) };
+      const result = { path: relPath, parsed: entry.parsed };
+      try {
+        entry.size = (await fs.promises.stat(filePath)).size;
+        if (entry.parsed.mediaType === 'tv' && entry.parsed.episodeNumber == null) {
+          job.results.push({ ...result, status: 'unmatched', reason: 'No episode number' });
+          continue;
+        }
+        const candidates = await rankTmdbCandidates(entry.parsed);
+        entry.match = isConfidentMatch(candidates) ? candidates[0] : null;
+        result.match = entry.match;
+        if (!entry.match) result.candidates = candidates;
+
+        const skipReason = await isAlreadyIngested(fileName, entry.size, entry.match);
+        if (skipReason) {
+          job.results.push({ ...result, status: 'skipped', reason: skipReason });
+          continue;
+        }
+        if (!entry.match && !job.includeUnmatched) {
+          job.results.push({ ...result, status: 'unmatched', reason: 'No confident TMDB match' });
+          continue;
+        }
+        if (job.dryRun) {
+          job.results.push({ ...result, status: 'would_stage' });
+          continue;
+        }
+        job.results.push({ ...result, ...(await ingestFile(job, entry)) });
+      } catch (err) {
+        job.results.push({ ...result, status: 'error', reason: err?.message || 'Scan failed' });
+      }
+    }
+    job.status = 'finished';
+  } catch (err) {
+    job.status = 'error';
+    job.errorMessage = err?.message || 'Library scan failed';
+  } finally {
+    job.current = null;
+    job.finishedAt = new Date().toISOString();
+    const count = (status) => job.results.filter((r) => r.status === status).length;
+    await systemModel
+      .appendLog('STAGING_PROCESS_LOG', [
+        `Library scan ${job.status}${job.dryRun ? ' (dry run)' : ''} of ${job.root}: files ${job.totalFiles}, staged ${count('staged')}, skipped ${count('skipped')}, unmatched ${count('unmatched')}, errors ${count('error')}${job.errorMessage ? `, ${job.errorMessage}` : ''}`,
+      ])
+      .catch(() => {});
+  }
+}
+
+/**
+ * Start a library scan in the background.
+ * @param {{ subPath?: string, dryRun?: boolean, includeUnmatched?: boolean }} [options]
+ * @returns {{ started: boolean, job?: object, message?: string }}
+ */
+function startLibraryScan({ subPath = '', dryRun = false, includeUnmatched = false } = {}) {
+  if (!LIBRARY_SCAN_DIR) return { started: false, message: 'LIBRARY_SCAN_DIR is not set' };
+  if (scanJob?.status === 'running') return { started: false, job: scanJob, message: 'A library scan is already running' };
+  const root = resolveLibraryPath(subPath);
+  if (!root) return { started: false, message: 'path must stay inside LIBRARY_SCAN_DIR' };
+  if (!fs.existsSync(root) || !fs.statSync(root).isDirectory()) return { started: false, message: `Not a directory: ${root}` };
+
+  const job = {
+    status: 'running',
+    root,
+    dryRun,
+    includeUnmatched,
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    errorMessage: null,
+    totalFiles: 0,
+    current: null,
+    results: [],
+  };
+  scanJob = job;
+  setImmediate(() => runScan(job));
+  return { started: true, job };
+}
+
+/** Current (or last) library scan, or null. */
+function getLibraryScan() {
+  return scanJob;
+}
+
+/**
+ * Run a scan to the end (for the CLI script).
+ * @param {{ subPath?: string, dryRun?: boolean, includeUnmatched?: boolean }} [options]
+ * @returns {Promise<object>} the finished job
+ */
+async function runLibraryScan(options) {
+  const { started, job, message } = startLibraryScan(options);
+  if (!started) throw new Error(message);
+  while (job.status === 'running') {
+    await new Promise((r) => setTimeout(r, 500));
+  }
+  return job;
+}
+
+module.exports = {
+  LIBRARY_SCAN_DIR,
+  identifyLibraryFile,
+  startLibraryScan,
+  getLibraryScan,
+  runLibraryScan,
+};
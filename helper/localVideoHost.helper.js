@@ -0,0 +1,170 @@
+/**
+ * Local-filesystem video host (provider 'local'): stores uploaded videos on disk instead of Abyss.
+ * Meant for tests and self-hosting; serve LOCAL_VIDEO_HOST_DIR with any static file server and set
+ * LOCAL_VIDEO_HOST_BASE_URL so watch links point at it.
+ *
+ * Layout: <dir>/<fileId>/video<ext>, <dir>/<fileId>/meta.json, <dir>/<fileId>/subtitles/<filename>
+ */
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+require('dotenv').config();
+
+const LOCAL_VIDEO_HOST_DIR = process.env.LOCAL_VIDEO_HOST_DIR || path.join(process.cwd(), 'local-video-host');
+/** Storage limit in bytes; 0 = unlimited. */
+const LOCAL_VIDEO_HOST_MAX_BYTES = parseInt(process.env.LOCAL_VIDEO_HOST_MAX_BYTES, 10) || 0;
+const LOCAL_VIDEO_HOST_BASE_URL = (process.env.LOCAL_VIDEO_HOST_BASE_URL || '').replace(/\/+$/, '');
+
+function fileDir(fileId) {
+  const safe = String(fileId).replace(/[^a-f0-9]/gi, '');
+  if (!safe) throw new Error('Invalid local file id');
+  return path.join(LOCAL_VIDEO_HOST_DIR, safe);
+}
+
+async function readMeta(fileId) {
+  const raw = await fs.promises.readFile(path.join(fileDir(fileId), 'meta.json'), 'utf8');
+  return JSON.parse(raw);
+}
+
+async function writeMeta(fileId, meta) {
+  await fs.promises.writeFile(path.join(fileDir(fileId), 'meta.json'), JSON.stringify(meta, null, 2));
+}
+
+/**
+ * Write the stream to a new file id. Removes the partial directory on error/abort.
+ * @returns {Promise<{ fileId: string }>}
+ */
+async function upload(stream, { filename, contentType, size, signal, onProgress }) {
+  const fileId = crypto.randomBytes(8).toString('hex');
+  const dir = fileDir(fileId);
+  const ext = path.extname(filename || '') || '.mp4';
+  const videoName = `video${ext}`;
+  await fs.promises.mkdir(dir, { recursive: true });
+  let written = 0;
+  const counter = new Transform({
+    transform(chunk, enc, cb) {
+      written += chunk.length;
+      if (typeof onProgress === 'function') onProgress(written, size);
+      cb(null, chunk);
+    },
+  });
+  try {
+    await pipeline(stream, counter, fs.createWriteStream(path.join(dir, videoName)), ...(signal ? [{ signal }] : []));
+    await writeMeta(fileId, {
+      name: filename || videoName,
+      videoName,
+      contentType: contentType || 'video/mp4',
+      size: written,
+      createdAt: new Date().toISOString(),
+      subtitles: [],
+    });
+  } catch (err) {
+    await fs.promises.rm(dir, { recursive: true, force: true }).catch(() => {});
+    throw err;
+  }
+  return { fileId };
+}
+
+/** Files are playable as soon as they are written. */
+async function getStatus(fileId) {
+  await readMeta(fileId);
+  return 'ready';
+}
+
+async function deleteFile(fileId) {
+  try {
+    await fs.promises.rm(fileDir(fileId), { recursive: true, force: true });
+    return { success: true };
+  } catch (err) {
+    return { success: false, message: err?.message ?? 'Delete failed' };
+  }
+}
+
+async function renameFile(fileId, newName) {
+  try {
+    const meta = await readMeta(fileId);
+    meta.name = newName;
+    await writeMeta(fileId, meta);
+    return { success: true, data: { id: fileId, name: newName } };
+  } catch (err) {
+    return { success: false, message: err?.message ?? 'Rename failed' };
+  }
+}
+
+async function putSubtitle(fileId, buffer, { language, filename }) {
+  const meta = await readMeta(fileId);
+  const subDir = path.join(fileDir(fileId), 'subtitles');
+  await fs.promises.mkdir(subDir, { recursive: true });
+  const name = path.basename(filename || `${language || 'subtitle'}.srt`);
+  await fs.promises.writeFile(path.join(subDir, name), buffer);
+  meta.subtitles = (meta.subtitles || []).filter((s) => s.filename !== name);
+  meta.subtitles.push({ name: language || name, language: language || null, filename: name, createdAt: new Date().toISOString() });
+  await writeMeta(fileId, meta);
+  return { id: fileId, name, type: 'subtitle', slug: fileId, createdAt: new Date().toISOString() };
+}
+
+async function listSubtitles(fileId) {
+  const meta = await readMeta(fileId);
+  return meta.subtitles || [];
+}
+
+async function getUsedBytes() {
+  const ids = await fs.promises.readdir(LOCAL_VIDEO_HOST_DIR).catch(() => []);
+  let used = 0;
+  for (const id of ids) {
+    const meta = await readMeta(id).catch(() => null);
+    if (meta?.size) used += meta.size;
+  }
+  return { used, count: ids.length };
+}
+
+/** Same shape checkUploadQuota reads from Abyss /v1/about; there is no daily limit locally. */
+async function getAccountInfo() {
+  const { used, count } = await getUsedBytes();
+  return {
+    data: {
+      provider: 'local',
+      directory: LOCAL_VIDEO_HOST_DIR,
+      storage: { used, limit: LOCAL_VIDEO_HOST_MAX_BYTES },
+      daily: { used: 0, limit: 0 },
+      uploadsCount: count,
+    },
+  };
+}
+
+function checkUploadQuota(accountInfo, fileSizeBytes) {
+  const storage = (accountInfo?.data ?? accountInfo ?? {}).storage ?? {};
+  if (storage.limit > 0 && (storage.used ?? 0) + fileSizeBytes > storage.limit) {
+    return { canUpload: false, failStatus: 'storage_fail' };
+  }
+  return { canUpload: true, failStatus: null };
+}
+
+/** Direct file link when LOCAL_VIDEO_HOST_BASE_URL is set; otherwise no links (file is not served). */
+async function getWatchLinks(fileId) {
+  if (!LOCAL_VIDEO_HOST_BASE_URL) return [];
+  const meta = await readMeta(fileId).catch(() => null);
+  if (!meta) return [];
+  return [{ label: 'Local', link: `${LOCAL_VIDEO_HOST_BASE_URL}/${fileId}/${meta.videoName}` }];
+}
+
+const provider = {
+  name: 'local',
+  label: 'Local storage',
+  upload,
+  getStatus,
+  deleteFile,
+  renameFile,
+  putSubtitle,
+  listSubtitles,
+  getAccountInfo,
+  checkUploadQuota,
+  getWatchLinks,
+};
+
+module.exports = {
+  LOCAL_VIDEO_HOST_DIR,
+  provider,
+};
@@ -0,0 +1,493 @@
+/**
+ * Minimal Matroska / WebM (EBML) reader in pure JS: segment info and track list, read through a random-access
+ * source ({ size, read(offset, length) → Buffer }, see videoProbe.helper) so clusters are never loaded.
+ * Spec: https://www.matroska.org/technical/elements.html
+ */
+
+const ID = {
+  EBML: 0x1a45dfa3,
+  DocType: 0x4282,
+  Segment: 0x18538067,
+  SeekHead: 0x114d9b74,
+  Seek: 0x4dbb,
+  SeekID: 0x53ab,
+  SeekPosition: 0x53ac,
+  Info: 0x1549a966,
+  TimestampScale: 0x2ad7b1,
+  Duration: 0x4489,
+  Tracks: 0x1654ae6b,
+  TrackEntry: 0xae,
+  TrackNumber: 0xd7,
+  TrackType: 0x83,
+  FlagDefault: 0x88,
+  FlagForced: 0x55aa,
+  CodecID: 0x86,
+  CodecPrivate: 0x63a2,
+  Name: 0x536e,
+  Language: 0x22b59c,
+  LanguageIETF: 0x22b59d,
+  Video: 0xe0,
+  PixelWidth: 0xb0,
+  PixelHeight: 0xba,
+  Audio: 0xe1,
+  SamplingFrequency: 0xb5,
+  Channels: 0x9f,
+  Cluster: 0x1f43b675,
+  Timestamp: 0xe7,
+  SimpleBlock: 0xa3,
+  BlockGroup: 0xa0,
+  Block: 0xa1,
+  BlockDuration: 0x9b,
+  Cues: 0x1c53bb6b,
+  Chapters: 0x1043a770,
+  Tags: 0x1254c367,
+  Attachments: 0x1941a469,
+};
+
+/** Segment children: seeing one of these inside an unknown-size cluster ends the cluster. */
+const TOP_LEVEL_IDS = new Set([ID.Cluster, ID.Cues, ID.Chapters, ID.Tags, ID.Attachments, ID.SeekHead, ID.Info, ID.Tracks]);
+
+const TRACK_TYPE = { 1: 'video', 2: 'audio', 17: 'subtitle' };
+
+/** Matroska CodecID → short codec name (ffprobe style). */
+const CODEC_NAMES = {
+  'V_MPEG4/ISO/AVC': 'h264',
+  'V_MPEGH/ISO/HEVC': 'hevc',
+  V_AV1: 'av1',
+  V_VP9: 'vp9',
+  V_VP8: 'vp8',
+  'V_MPEG4/ISO/ASP': 'mpeg4',
+  'V_MPEG4/ISO/SP': 'mpeg4',
+  'V_MS/VFW/FOURCC': 'vfw',
+  V_MPEG2: 'mpeg2video',
+  A_AAC: 'aac',
+  A_AC3: 'ac3',
+  A_EAC3: 'eac3',
+  A_DTS: 'dts',
+  A_TRUEHD: 'truehd',
+  A_OPUS: 'opus',
+  A_VORBIS: 'vorbis',
+  A_FLAC: 'flac',
+  'A_MPEG/L3': 'mp3',
+  'A_MPEG/L2': 'mp2',
+  'A_PCM/INT/LIT': 'pcm',
+  'S_TEXT/UTF8': 'subrip',
+  'S_TEXT/ASS': 'ass',
+  'S_TEXT/SSA': 'ssa',
+  'S_TEXT/WEBVTT': 'webvtt',
+  'S_HDMV/PGS': 'hdmv_pgs',
+  'S_HDMV/TEXTST': 'hdmv_text',
+  S_VOBSUB: 'dvd_subtitle',
+  'S_DVBSUB': 'dvb_subtitle',
+};
+
+/** Text subtitle codecs (can be converted to SRT without OCR). */
+const TEXT_SUBTITLE_CODECS = ['subrip', 'ass', 'ssa', 'webvtt'];
+
+function codecName(codecId) {
+  if (!codecId) return null;
+  if (CODEC_NAMES[codecId]) return CODEC_NAMES[codecId];
+  const prefix = Object.keys(CODEC_NAMES).find((k) => codecId.startsWith(`${k}/`));
+  return prefix ? CODEC_NAMES[prefix] : codecId;
+}
+
+/**
+ * Read an EBML variable-length integer.
+ * @param {Buffer} buf
+ * @param {number} pos
+ * @param {boolean} keepMarker - true for element IDs (the length marker is part of the ID)
+ * @returns {{ value: number, length: number, unknown: boolean } | null} null when the buffer is too short or invalid
+ */
+function readVint(buf, pos, keepMarker) {
+  if (pos >= buf.length) return null;
+  const first = buf[pos];
+  if (first === 0) return null;
+  let length = 1;
+  while (length <= 8 && !(first & (0x80 >> (length - 1)))) length++;
+  if (length > 8 || pos + length > buf.length) return null;
+  let value = keepMarker ? first : first & (0xff >> length);
+  let allOnes = value === (0xff >> length);
+  for (let i = 1; i < length; i++) {
+    value = value * 256 + buf[pos + i];
+    if (buf[pos + i] !== 0xff) allOnes = false;
+  }
+  return { value, length, unknown: !keepMarker && allOnes };
+}
+
+/**
+ * Element header at pos: id, header length and data size (size null for "unknown size").
+ * @returns {{ id: number, headerLength: number, size: number|null } | null}
+ */
+function readElementHeader(buf, pos) {
+  const id = readVint(buf, pos, true);
+  if (!id) return null;
+  const size = readVint(buf, pos + id.length, false);
+  if (!size) return null;
+  return { id: id.value, headerLength: id.length + size.length, size: size.unknown ? null : size.value };
+}
+
+/**
+ * Child elements of buf[start, end).
+ * @returns {Generator<{ id: number, dataStart: number, size: number }>}
+ */
+function* children(buf, start = 0, end = buf.length) {
+  let pos = start;
+  while (pos < end) {
+    const header = readElementHeader(buf, pos);
+    if (!header) return;
+    const dataStart = pos + header.headerLength;
+    const size = header.size == null ? end - dataStart : Math.min(header.size, end - dataStart);
+    yield { id: header.id, dataStart, size };
+    pos = dataStart + size;
+  }
+}
+
+function readUint(buf, start, size) {
+  let value = 0;
+  for (let i = 0; i < size; i++) value = value * 256 + buf[start + i];
+  return value;
+}
+
+function readFloat(buf, start, size) {
+  if (size === 4) return buf.readFloatBE(start);
+  if (size === 8) return buf.readDoubleBE(start);
+  return 0;
+}
+
+function readString(buf, start, size) {
+  return buf.toString('utf8', start, start + size).replace(/\0+$/, '');
+}
+
+function parseInfo(buf, start, end) {
+  let timestampScale = 1000000;
+  let duration = null;
+  for (const el of children(buf, start, end)) {
+    if (el.id === ID.TimestampScale) timestampScale = readUint(buf, el.dataStart, el.size);
+    else if (el.id === ID.Duration) duration = readFloat(buf, el.dataStart, el.size);
+  }
+  return {
+    timestampScale,
+    durationSec: duration != null ? (duration * timestampScale) / 1e9 : null,
+  };
+}
+
+function parseTrackEntry(buf, start, end) {
+  const track = {
+    number: null,
+    type: null,
+    codecId: null,
+    codec: null,
+    codecPrivate: null,
+    language: 'eng', // spec default when the element is absent
+    name: null,
+    default: true,
+    forced: false,
+    width: null,
+    height: null,
+    channels: null,
+    sampleRate: null,
+  };
+  let languageIetf = null;
+  for (const el of children(buf, start, end)) {
+    switch (el.id) {
+      case ID.TrackNumber: track.number = readUint(buf, el.dataStart, el.size); break;
+      case ID.TrackType: track.type = TRACK_TYPE[readUint(buf, el.dataStart, el.size)] || 'other'; break;
+      case ID.CodecID: track.codecId = readString(buf, el.dataStart, el.size); break;
+      case ID.CodecPrivate: track.codecPrivate = buf.subarray(el.dataStart, el.dataStart + el.size); break;
+      case ID.Name: track.name = readString(buf, el.dataStart, el.size); break;
+      case ID.Language: track.language = readString(buf, el.dataStart, el.size); break;
+      case ID.LanguageIETF: languageIetf = readString(buf, el.dataStart, el.size); break;
+      case ID.FlagDefault: track.default = readUint(buf, el.dataStart, el.size) === 1; break;
+      case ID.FlagForced: track.forced = readUint(buf, el.dataStart, el.size) === 1; break;
+      case ID.Video:
+        for (const v of children(buf, el.dataStart, el.dataStart + el.size)) {
+          if (v.id === ID.PixelWidth) track.width = readUint(buf, v.dataStart, v.size);
+          else if (v.id === ID.PixelHeight) track.height = readUint(buf, v.dataStart, v.size);
+        }
+        break;
+      case ID.Audio:
+        for (const a of children(buf, el.dataStart, el.dataStart + el.size)) {
+          if (a.id === ID.Channels) track.channels = readUint(buf, a.dataStart, a.size);
+          else if (a.id === ID.SamplingFrequency) track.sampleRate = Math.round(readFloat(buf, a.dataStart, a.size));
+        }
+        break;
+      default:
+        break;
+    }
+  }
+  if (languageIetf) track.language = languageIetf;
+  track.codec = codecName(track.codecId);
+  return track;
+}
+
+function parseTracks(buf, start, end) {
+  const tracks = [];
+  for (const el of children(buf, start, end)) {
+    if (el.id === ID.TrackEntry) tracks.push(parseTrackEntry(buf, el.dataStart, el.dataStart + el.size));
+  }
+  return tracks;
+}
+
+function parseSeekHead(buf, start, end) {
+  const positions = new Map(); // element id -> position relative to segment data start
+  for (const seek of children(buf, start, end)) {
+    if (seek.id !== ID.Seek) continue;
+    let id = null;
+    let position = null;
+    for (const el of children(buf, seek.dataStart, seek.dataStart + seek.size)) {
+      if (el.id === ID.SeekID) id = readUint(buf, el.dataStart, el.size);
+      else if (el.id === ID.SeekPosition) position = readUint(buf, el.dataStart, el.size);
+    }
+    if (id != null && position != null && !positions.has(id)) positions.set(id, position);
+  }
+  return positions;
+}
+
+/** Largest Info / Tracks / SeekHead element we load into memory. */
+const MAX_HEADER_ELEMENT_BYTES = 16 * 1024 * 1024;
+
+async function readElementAt(source, pos) {
+  const head = await source.read(pos, 12);
+  const header = readElementHeader(head, 0);
+  if (!header) return null;
+  return { ...header, pos, dataStart: pos + header.headerLength };
+}
+
+async function loadElementData(source, el) {
+  if (el.size == null || el.size > MAX_HEADER_ELEMENT_BYTES) return null;
+  return source.read(el.dataStart, el.size);
+}
+
+/**
+ * Read the EBML header, segment info and tracks.
+ * @param {{ size: number, read: (offset: number, length: number) => Promise<Buffer> }} source
+ * @returns {Promise<{ docType: string, segmentDataStart: number, segmentEnd: number, seekPositions: Map<number, number>,
+ *   timestampScale: number, durationSec: number|null, tracks: object[] }>} seekPositions are relative to segmentDataStart
+ */
+async function readMatroskaHeaders(source) {
+  const ebml = await readElementAt(source, 0);
+  if (!ebml || ebml.id !== ID.EBML) throw new Error('Not a Matroska/WebM file');
+  const ebmlData = await loadElementData(source, ebml);
+  let docType = 'matroska';
+  for (const el of children(ebmlData || Buffer.alloc(0))) {
+    if (el.id === ID.DocType) docType = readString(ebmlData, el.dataStart, el.size);
+  }
+
+  const segment = await readElementAt(source, ebml.dataStart + ebml.size);
+  if (!segment || segment.id !== ID.Segment) throw new Error('Matroska segment not found');
+  const segmentDataStart = segment.dataStart;
+  const segmentEnd = segment.size == null ? source.size : Math.min(source.size, segmentDataStart + segment.size);
+
+  let info = null;
+  let tracks = null;
+  let seekPositions = null;
+  let pos = segmentDataStart;
+  while (pos < segmentEnd && (!info || !tracks)) {
+    const el = await readElementAt(source, pos);
+    if (!el) break;
+    if (el.id === ID.Cluster || el.id === ID.Cues || el.size == null) break; // media data: rely on SeekHead for the rest
+    if (el.id === ID.Info || el.id === ID.Tracks || el.id === ID.SeekHead) {
+      const data = await loadElementData(source, el);
+      if (data) {
+        if (el.id === ID.Info) info = parseInfo(data, 0, data.length);
+        else if (el.id === ID.Tracks) tracks = parseTracks(data, 0, data.length);
+        else if (!seekPositions) seekPositions = parseSeekHead(data, 0, data.length);
+      }
+    }
+    pos = el.dataStart + el.size;
+  }
+
+  for (const [wanted, id] of [['info', ID.Info], ['tracks', ID.Tracks]]) {
+    if ((wanted === 'info' ? info : tracks) || !seekPositions?.has(id)) continue;
+    const el = await readElementAt(source, segmentDataStart + seekPositions.get(id));
+    if (!el || el.id !== id) continue;
+    const data = await loadElementData(source, el);
+    if (!data) continue;
+    if (id === ID.Info) info = parseInfo(data, 0, data.length);
+    else tracks = parseTracks(data, 0, data.length);
+  }
+
+  return {
+    docType,
+    segmentDataStart,
+    segmentEnd,
+    seekPositions: seekPositions || new Map(),
+    timestampScale: info?.timestampScale ?? 1000000,
+    durationSec: info?.durationSec ?? null,
+    tracks: tracks || [],
+  };
+}
+
+/**
+ * Sequential reader over a Readable stream: pull exactly n bytes or skip them without keeping them.
+ */
+function createStreamCursor(stream) {
+  const iterator = stream[Symbol.asyncIterator]();
+  let buffered = Buffer.alloc(0);
+  let done = false;
+  let position = 0;
+
+  async function fill(n) {
+    while (buffered.length < n && !done) {
+      const { value, done: finished } = await iterator.next();
+      if (finished) done = true;
+      else buffered = buffered.length ? Buffer.concat([buffered, value]) : value;
+    }
+    return buffered.length >= n;
+  }
+
+  return {
+    get position() {
+      return position;
+    },
+    /** Up to n bytes without consuming them (fewer at end of stream). */
+    async peek(n) {
+      await fill(n);
+      return buffered.subarray(0, n);
+    },
+    /** Exactly n bytes, or null at end of stream. */
+    async take(n) {
+      if (!(await fill(n))) return null;
+      const out = Buffer.from(buffered.subarray(0, n));
+      buffered = buffered.subarray(n);
+      position += n;
+      return out;
+    },
+    async skip(n) {
+      let left = n;
+      while (left > 0) {
+        if (!buffered.length && !(await fill(1))) return false;
+        const step = Math.min(left, buffered.length);
+        buffered = buffered.subarray(step);
+        position += step;
+        left -= step;
+      }
+      return true;
+    },
+    async close() {
+      if (typeof iterator.return === 'function') await iterator.return();
+    },
+  };
+}
+
+/**
+ * Parse a Block / SimpleBlock payload header.
+ * @returns {{ trackNumber: number, relativeTimestamp: number, frame: Buffer } | null} null for laced blocks (not used for text subtitles)
+ */
+function parseBlock(data) {
+  const track = readVint(data, 0, false);
+  if (!track || data.length < track.length + 3) return null;
+  const relativeTimestamp = data.readInt16BE(track.length);
+  const flags = data[track.length + 2];
+  if (flags & 0x06) return null;
+  return { trackNumber: track.value, relativeTimestamp, frame: data.subarray(track.length + 3) };
+}
+
+/**
+ * Walk every cluster of a Matroska stream and call onBlock for blocks of the wanted tracks.
+ * The whole file is read once, but only one cluster child is held in memory at a time.
+ * @param {NodeJS.ReadableStream} stream - file bytes starting at segmentDataStart (see readMatroskaHeaders)
+ * @param {{ trackNumbers: number[], timestampScale: number }} options
+ * @param {(block: { trackNumber: number, startMs: number, durationMs: number|null, frame: Buffer }) => void} onBlock
+ */
+async function forEachBlock(stream, { trackNumbers, timestampScale }, onBlock) {
+  const wanted = new Set(trackNumbers);
+  const toMs = (ticks) => (ticks * timestampScale) / 1e6;
+  const cursor = createStreamCursor(stream);
+
+  async function nextHeader() {
+    const head = await cursor.peek(12);
+    const header = readElementHeader(head, 0);
+    if (!header) return null;
+    await cursor.skip(header.headerLength);
+    return header;
+  }
+
+  function emit(blockData, clusterTimestamp, durationTicks) {
+    const block = parseBlock(blockData);
+    if (!block || !wanted.has(block.trackNumber)) return;
+    onBlock({
+      trackNumber: block.trackNumber,
+      startMs: toMs(clusterTimestamp + block.relativeTimestamp),
+      durationMs: durationTicks != null ? toMs(durationTicks) : null,
+      frame: block.frame,
+    });
+  }
+
+  // Only the track number (first byte(s) of the block) is needed to drop audio/video blocks unread.
+  async function handleBlock(size, clusterTimestamp) {
+    const head = await cursor.peek(Math.min(size, 8));
+    const track = readVint(head, 0, false);
+    if (!track || !wanted.has(track.value)) return cursor.skip(size);
+    const data = await cursor.take(size);
+    if (data) emit(data, clusterTimestamp, null);
+    return !!data;
+  }
+
+  async function handleBlockGroup(size, clusterTimestamp) {
+    const data = await cursor.take(size);
+    if (!data) return false;
+    let block = null;
+    let duration = null;
+    for (const el of children(data)) {
+      if (el.id === ID.Block) block = data.subarray(el.dataStart, el.dataStart + el.size);
+      else if (el.id === ID.BlockDuration) duration = readUint(data, el.dataStart, el.size);
+    }
+    if (block) emit(block, clusterTimestamp, duration);
+    return true;
+  }
+
+  try {
+    let pending = null; // header read while walking an unknown-size cluster that turned out to be the next top-level element
+    for (;;) {
+      const header = pending || (await nextHeader());
+      pending = null;
+      if (!header) break;
+      if (header.id !== ID.Cluster) {
+        if (header.size == null || !(await cursor.skip(header.size))) break;
+        continue;
+      }
+      const clusterEnd = header.size == null ? Infinity : cursor.position + header.size;
+      let clusterTimestamp = 0;
+      while (cursor.position < clusterEnd) {
+        const child = await nextHeader();
+        if (!child) break;
+        if (TOP_LEVEL_IDS.has(child.id)) {
+          pending = child;
+          break;
+        }
+        if (child.size == null) break;
+        let ok;
+        if (child.id === ID.Timestamp) {
+          const data = await cursor.take(child.size);
+          ok = !!data;
+          if (data) clusterTimestamp = readUint(data, 0, child.size);
+        } else if (child.id === ID.SimpleBlock) {
+          ok = await handleBlock(child.size, clusterTimestamp);
+        } else if (child.id === ID.BlockGroup) {
+          ok = await handleBlockGroup(child.size, clusterTimestamp);
+        } else {
+          ok = await cursor.skip(child.size);
+        }
+        if (!ok) return;
+      }
+    }
+  } finally {
+    await cursor.close().catch(() => {});
+  }
+}
+
+module.exports = {
+  ID,
+  TEXT_SUBTITLE_CODECS,
+  readVint,
+  readElementHeader,
+  children,
+  readUint,
+  readFloat,
+  readString,
+  readElementAt,
+  readMatroskaHeaders,
+  parseBlock,
+  forEachBlock,
+};
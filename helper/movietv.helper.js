@@ -2,6 +2,7 @@ const ServerModel = require('../model/server.model');
 const UploadedVideoModel = require('../model/uploadedVideo.model');
 const DownloadQueueModel = require('../model/downloadQueue.model');
 const { tmdbImageUrl } = require('./tmdb.helper');
+const { getProviderFor } = require('./videoHost.helper');
 
 /**
  * Full TMDB poster URL for a poster_path (e.g. from download queue or staging).
@@ -77,10 +78,11 @@ async function formatTv(externalId, ss, eps) {
 
 /**
  * Get all movie servers and format each to { label, link } for the given externalId.
- * When an uploaded video exists with slugStatus 'ready' (ad-free), prepends my_player (StreamHaven) links.
+ * When an uploaded video exists with slugStatus 'ready' (ad-free), prepends my_player (StreamHaven) links,
+ * which also carry quality, resolution and audioLanguages from the file's probe.
  * @param {number|string} externalId - TMDB movie id
  * @param {{ adFree?: boolean }} [options] - unused; kept for API compatibility
- * @returns {Promise<Array<{ label: string, link: string }>>}
+ * @returns {Promise<Array<{ label: string, link: string, quality?: string|null, resolution?: string|null, audioLanguages?: string[] }>>}
  */
 async function getAllMovieServers(externalId, options = {}) {
   const servers = await ServerModel.find({ usedFor: 'movie' })
@@ -97,7 +99,7 @@ async function getAllMovieServers(externalId, options = {}) {
     slugStatus: 'ready',
   }).lean();
   if (uploaded?.abyssSlug) {
-    const myPlayerLinks = await getAllMyPlayerServers(uploaded.abyssSlug);
+    const myPlayerLinks = await getUploadedVideoLinks(uploaded);
     links = [...myPlayerLinks, ...links];
   }
 
@@ -107,12 +109,12 @@ async function getAllMovieServers(externalId, options = {}) {
 /**
  * Get all TV servers and format each to { label, link } for the given externalId, season, episode.
  * When an uploaded video exists for this episode (tmdb show + season + episode) with slugStatus 'ready' (ad-free),
- * prepends my_player (StreamHaven) links using that episode's abyssSlug.
+ * prepends my_player (StreamHaven) links using that episode's abyssSlug (see getUploadedVideoLinks), with probe details.
  * @param {number|string} externalId - TMDB TV id (show id)
  * @param {number|string} ss - season number
  * @param {number|string} eps - episode number
  * @param {{ adFree?: boolean }} [options] - unused; kept for API compatibility
- * @returns {Promise<Array<{ label: string, link: string }>>}
+ * @returns {Promise<Array<{ label: string, link: string, quality?: string|null, resolution?: string|null, audioLanguages?: string[] }>>}
  */
 async function getAllTvServers(externalId, ss, eps, options = {}) {
   const servers = await ServerModel.find({ usedFor: 'tv' })
@@ -135,7 +137,7 @@ async function getAllTvServers(externalId, ss, eps, options = {}) {
     slugStatus: 'ready',
   }).lean();
   if (uploaded?.abyssSlug) {
-    const myPlayerLinks = await getAllMyPlayerServers(uploaded.abyssSlug);
+    const myPlayerLinks = await getUploadedVideoLinks(uploaded);
     links = [...myPlayerLinks, ...links];
   }
 
@@ -236,6 +238,37 @@ async function getAllMyPlayerServers(slug) {
   }));
 }
 
+/**
+ * What the file itself offers, from its probe: quality label, frame size and audio-track languages.
+ * Fields are null (languages empty) when the upload was never probed or the probe failed.
+ * @param {object|null} probe - UploadedVideo probe
+ * @returns {{ quality: string|null, resolution: string|null, audioLanguages: string[] }}
+ */
+function getProbeLinkInfo(probe) {
+  const ok = probe && !probe.error;
+  return {
+    quality: (ok && probe.quality) || null,
+    resolution: ok && probe.width && probe.height ? `${probe.width}x${probe.height}` : null,
+    audioLanguages: ok ? [...new Set((probe.audioTracks || []).map((t) => t.language || 'und'))] : [],
+  };
+}
+
+/**
+ * Watch links for an uploaded video on whichever host holds it: the provider's own links when it has them
+ * (e.g. local storage), otherwise the my_player servers with {slug} = file id (Abyss).
+ * Each link carries the file's quality, resolution and audio languages (getProbeLinkInfo).
+ * @param {{ provider?: string, abyssSlug: string, probe?: object }} uploaded - UploadedVideo doc
+ * @returns {Promise<Array<{ label: string, link: string, quality: string|null, resolution: string|null, audioLanguages: string[] }>>}
+ */
+async function getUploadedVideoLinks(uploaded) {
+  const provider = getProviderFor(uploaded);
+  const links = typeof provider.getWatchLinks === 'function'
+    ? await provider.getWatchLinks(uploaded.abyssSlug)
+    : await getAllMyPlayerServers(uploaded.abyssSlug);
+  const info = getProbeLinkInfo(uploaded.probe);
+  return links.map((l) => ({ ...l, ...info }));
+}
+
 /**
  * Batch-fetch download status for multiple movies by TMDB id.
  * Uses 2 DB queries total (DownloadQueue + UploadedVideo) instead of 2 per movie.
@@ -286,6 +319,8 @@ module.exports = {
   getAllMovieServers,
   getAllTvServers,
   getAllMyPlayerServers,
+  getUploadedVideoLinks,
+  getProbeLinkInfo,
   getDownloadStatuses,
   getTvShowsDownloadStatuses,
   getTvEpisodeDownloadStatus,
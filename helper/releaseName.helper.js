@@ -0,0 +1,88 @@
+/**
+ * Parse video file / release names ("The.Matrix.1999.1080p.BluRay.x264.mkv", "Loki S01E03 720p.mp4")
+ * into a title plus year and season/episode, for matching files to TMDB.
+ */
+
+const VIDEO_EXTENSIONS = /\.(mp4|mkv|avi|mov|m4v|webm|wmv|flv|ts|m2ts)$/i;
+/** S01E02, s1e2, S01.E02 */
+const SEASON_EPISODE = /\bs(\d{1,2})[ ._-]?e(\d{1,3})\b/i;
+/** 1x02 */
+const CROSS_EPISODE = /\b(\d{1,2})x(\d{2,3})\b/i;
+/** "Season 1" (pack without episode) */
+const SEASON_ONLY = /\b(?:s(\d{1,2})|season[ ._-]?(\d{1,2}))\b/i;
+const YEAR = /\b(19[2-9]\d|20\d{2})\b/g;
+/** Tokens that mark the end of the title in scene-style names. */
+const STOP_TOKENS = /\b(2160p|1080p|720p|576p|480p|4k|uhd|hdr|bluray|blu-ray|bdrip|brrip|web-?dl|web-?rip|webrip|hdtv|dvdrip|dvd|remux|x264|x265|h\.?264|h\.?265|hevc|aac|ac3|dts|atmos|proper|repack|extended|unrated|remastered|imax|multi|dual)\b/i;
+
+/**
+ * @param {string} name - file name or release name (path segments are ignored)
+ * @returns {{ title: string, year: number|null, seasonNumber: number|null, episodeNumber: number|null, mediaType: 'movie'|'tv' }}
+ */
+function parseReleaseName(name) {
+  let base = String(name || '').split(/[\\/]/).pop().replace(VIDEO_EXTENSIONS, '');
+  // Drop bracketed group tags ([YTS], [rarbg]) but keep "(1999)".
+  base = base.replace(/\[[^\]]*\]/g, ' ').replace(/[._]+/g, ' ').replace(/\s+/g, ' ').trim();
+
+  let seasonNumber = null;
+  let episodeNumber = null;
+  let cut = base.length;
+
+  const se = base.match(SEASON_EPISODE) || base.match(CROSS_EPISODE);
+  if (se) {
+    seasonNumber = parseInt(se[1], 10);
+    episodeNumber = parseInt(se[2], 10);
+    cut = Math.min(cut, se.index);
+  } else {
+    const seasonOnly = base.match(SEASON_ONLY);
+    if (seasonOnly && seasonOnly.index > 0) {
+      seasonNumber = parseInt(seasonOnly[1] || seasonOnly[2], 10);
+      cut = Math.min(cut, seasonOnly.index);
+    }
+  }
+
+  // The release year is the last plausible year before the season/episode marker, unless it starts the
+  // name ("2012 2009 1080p" → "2012", 2009; "Blade Runner 2049 2017" → "Blade Runner 2049", 2017).
+  let year = null;
+  const years = [...base.slice(0, cut).matchAll(YEAR)].filter((m) => m.index > 0);
+  if (years.length) {
+    const last = years[years.length - 1];
+    year = parseInt(last[1], 10);
+    cut = last.index;
+  }
+
+  const stop = base.slice(0, cut).match(STOP_TOKENS);
+  if (stop && stop.index > 0) cut = Math.min(cut, stop.index);
+
+  const title = base
+    .slice(0, cut)
+    .replace(/[([{-]+\s*$/, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  return {
+    title,
+    year,
+    seasonNumber,
+    episodeNumber,
+    mediaType: seasonNumber != null ? 'tv' : 'movie',
+  };
+}
+
+/**
+ * Lowercase alphanumeric form of a title for comparisons ("Spider-Man: No Way Home" → "spidermannowayhome").
+ * @param {string} title
+ * @returns {string}
+ */
+function normalizeTitle(title) {
+  return String(title || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, 'and')
+    .replace(/[^a-z0-9]+/g, '');
+}
+
+module.exports = {
+  parseReleaseName,
+  normalizeTitle,
+};
@@ -0,0 +1,101 @@
+/**
+ * Runtime sanity check run before a staged video is uploaded: compare the file duration (probe, or the
+ * duration the client sent) with the TMDB runtime of the movie / episode. A file far shorter (trailer, sample)
+ * or far longer (wrong file, several episodes) is held back as 'needs_review' instead of using host quota.
+ *
+ * A file passes when |actual - expected| <= max(RUNTIME_CHECK_SLACK_MIN minutes, expected * ratio), where ratio is
+ * RUNTIME_CHECK_SHORT_RATIO below the TMDB runtime and RUNTIME_CHECK_LONG_RATIO above it.
+ * Without a duration or a TMDB runtime the check is skipped (the upload goes ahead).
+ */
+require('dotenv').config();
+const { fetchMovieDetails, fetchTvDetails, getTvSeasonsEpisodes } = require('./tmdb.helper');
+
+const RUNTIME_CHECK_ENABLED = process.env.RUNTIME_CHECK_ENABLED !== 'false';
+const RUNTIME_CHECK_SHORT_RATIO = parseFloat(process.env.RUNTIME_CHECK_SHORT_RATIO) || 0.2;
+const RUNTIME_CHECK_LONG_RATIO = parseFloat(process.env.RUNTIME_CHECK_LONG_RATIO) || 0.5;
+const RUNTIME_CHECK_SLACK_MIN = parseFloat(process.env.RUNTIME_CHECK_SLACK_MIN) || 5;
+
+/**
+ * TMDB runtime in minutes for a staged doc: movie runtime, or the episode runtime (falling back to the show's
+ * usual episode runtime).
+ * @param {{ mediaType: string, tmdbId: number|null, seasonNumber?: number|null, episodeNumber?: number|null }} doc
+ * @returns {Promise<number|null>}
+ */
+async function getExpectedRuntimeMinutes(doc) {
+  if (!doc?.tmdbId) return null;
+  if (doc.mediaType !== 'tv') {
+    const movie = await fetchMovieDetails(doc.tmdbId);
+    return movie?.runtime || null;
+  }
+  if (doc.seasonNumber != null && doc.episodeNumber != null) {
+    const episodes = await getTvSeasonsEpisodes(doc.tmdbId, doc.seasonNumber).catch(() => []);
+    const episode = episodes.find((e) => e.episode_number === doc.episodeNumber);
+    if (episode?.runtime) return episode.runtime;
+  }
+  const show = await fetchTvDetails(doc.tmdbId);
+  const runtimes = (show?.episode_run_time || []).filter((n) => n > 0);
+  return runtimes.length ? Math.max(...runtimes) : null;
+}
+
+/**
+ * @param {number} actualSec
+ * @param {number} expectedMin
+ * @returns {string|null} why the duration does not fit, or null when it does
+ */
+function compareRuntime(actualSec, expectedMin) {
+  const actualMin = actualSec / 60;
+  const diff = actualMin - expectedMin;
+  const allowed = Math.max(RUNTIME_CHECK_SLACK_MIN, expectedMin * (diff < 0 ? RUNTIME_CHECK_SHORT_RATIO : RUNTIME_CHECK_LONG_RATIO));
+  if (Math.abs(diff) <= allowed) return null;
+  const fmt = (m) => `${Math.round(m)} min`;
+  return diff < 0
+    ? `File is ${fmt(actualMin)}, TMDB runtime is ${fmt(expectedMin)} (too short: trailer, sample or wrong file?)`
+    : `File is ${fmt(actualMin)}, TMDB runtime is ${fmt(expectedMin)} (too long: wrong file or several episodes?)`;
+}
+
+/**
+ * Check a staged doc. Never throws: TMDB errors count as 'skipped'.
+ * @param {object} doc - StagingVideo (lean)
+ * @returns {Promise<{ verdict: 'ok'|'mismatch'|'skipped', actualSec: number|null, expectedMin: number|null,
+ *   source: 'probe'|'client'|null, reason: string|null, checkedAt: Date }>}
+ */
+async function checkStagingRuntime(doc) {
+  const probed = doc?.probe?.durationSec;
+  const actualSec = probed || doc?.clientDurationSec || null;
+  const source = probed ? 'probe' : actualSec ? 'client' : null;
+  const result = { verdict: 'skipped', actualSec, expectedMin: null, source, reason: null, checkedAt: new Date() };
+  if (!actualSec) {
+    result.reason = 'No duration (probe failed and none sent by the client)';
+    return result;
+  }
+  try {
+    result.expectedMin = await getExpectedRuntimeMinutes(doc);
+  } catch (err) {
+    result.reason = `TMDB runtime lookup failed: ${err?.message || err}`;
+    return result;
+  }
+  if (!result.expectedMin) {
+    result.reason = doc?.tmdbId ? 'No runtime on TMDB' : 'No TMDB id';
+    return result;
+  }
+  const mismatch = compareRuntime(actualSec, result.expectedMin);
+  result.verdict = mismatch ? 'mismatch' : 'ok';
+  result.reason = mismatch;
+  return result;
+}
+
+/**
+ * Whether the runner should check this doc before uploading (disabled by env, or already approved by an admin).
+ * @param {object} doc - StagingVideo (lean)
+ */
+function shouldCheckRuntime(doc) {
+  return RUNTIME_CHECK_ENABLED && !doc?.runtimeCheck?.approvedAt;
+}
+
+module.exports = {
+  RUNTIME_CHECK_ENABLED,
+  getExpectedRuntimeMinutes,
+  compareRuntime,
+  checkStagingRuntime,
+  shouldCheckRuntime,
+};
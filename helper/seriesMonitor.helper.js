@@ -0,0 +1,126 @@
+/**
+ * Series monitor: keeps monitored TV shows in the download queue current.
+ *
+ * Every SERIES_MONITOR_INTERVAL_MS the monitor re-fetches each monitored parent (DownloadQueue, mediaType 'tv',
+ * monitored: true) from TMDB and enqueues episodes that are not queued yet and aired at least EPISODE_AIR_DELAY_HOURS
+ * ago (downloadQueue.helper airedCutoff, shared with ad-free requests). Only seasons the show already tracks and seasons
+ * newer than those are considered, so a request for season 3 does not pull in seasons 1-2.
+ * New episodes are stored with the parent's requester, plus the priority of the show's votes.
+ * Runs are logged to SYSTEM_LOG when something changes.
+ */
+require('dotenv').config();
+const DownloadQueueModel = require('../model/downloadQueue.model');
+const systemModel = require('../model/system.model');
+const { fetchTvDetails } = require('./tmdb.helper');
+const { enqueueTvShow, airedCutoff } = require('./downloadQueue.helper');
+
+const MONITOR_INTERVAL_MS = parseInt(process.env.SERIES_MONITOR_INTERVAL_MS, 10) || 6 * 60 * 60 * 1000; // 6h
+/** First pass after startup, so hosts restarting more often than the interval still get checked. */
+const STARTUP_DELAY_MS = parseInt(process.env.SERIES_MONITOR_STARTUP_DELAY_MS, 10) || 60 * 1000;
+
+/** @type {Promise<object> | null} */
+let currentPass = null;
+/** @type {NodeJS.Timeout | null} */
+let monitorInterval = null;
+
+/**
+ * Seasons of a show the monitor may enqueue from: the tracked ones and anything newer.
+ * @param {object} parent - DownloadQueue TV parent (lean)
+ * @param {object} tvDetails - TMDB TV details
+ * @returns {number[]|null} null when the parent tracks no season yet (all seasons)
+ */
+function monitoredSeasonNumbers(parent, tvDetails) {
+  const tracked = (parent.seasonMetadata || []).map((m) => m.seasonNumber).filter((n) => n != null);
+  if (tracked.length === 0) return null;
+  const newest = Math.max(...tracked);
+  const fromTmdb = (tvDetails.seasons || []).map((s) => s.season_number).filter((n) => n != null && n > newest);
+  return [...new Set([...tracked, ...fromTmdb])];
+}
+
+/**
+ * Check one monitored show and enqueue its newly aired episodes.
+ * @param {object} parent - DownloadQueue TV parent (lean)
+ * @param {Date} airedBefore
+ * @returns {Promise<{ created: number, error: string|null }>}
+ */
+async function checkSeries(parent, airedBefore) {
+  const now = new Date();
+  try {
+    const tvDetails = await fetchTvDetails(parent.tmdbId);
+    if (!tvDetails) throw new Error('TV show not found on TMDB');
+    const result = await enqueueTvShow(tvDetails, {
+      requester: parent.requester,
+      seasonNumbers: monitoredSeasonNumbers(parent, tvDetails),
+      airedBefore,
+    });
+    // "No episodes" only means nothing has aired yet in the monitored seasons
+    await DownloadQueueModel.updateOne({ _id: parent._id }, { $set: { monitorCheckedAt: now, monitorError: null } });
+    return { created: result.created ?? 0, error: null };
+  } catch (err) {
+    const error = err?.message || 'Monitor check failed';
+    await DownloadQueueModel.updateOne({ _id: parent._id }, { $set: { monitorCheckedAt: now, monitorError: error } }).catch(() => {});
+    return { created: 0, error };
+  }
+}
+
+async function runPass() {
+  const airedBefore = airedCutoff();
+  const shows = await DownloadQueueModel.find({ mediaType: 'tv', monitored: true, tmdbId: { $ne: null } })
+    .sort({ monitorCheckedAt: 1 })
+    .lean();
+
+  const summary = { checked: shows.length, created: 0, failed: 0, shows: [] };
+  const lines = [];
+  for (const parent of shows) {
+    const { created, error } = await checkSeries(parent, airedBefore);
+    summary.created += created;
+    if (error) summary.failed++;
+    summary.shows.push({ _id: parent._id, title: parent.title, created, error });
+    if (created > 0) lines.push(`${parent.title}: ${created} new episode(s) queued`);
+    if (error) lines.push(`${parent.title}: ${error}`);
+  }
+
+  if (lines.length > 0) {
+    await systemModel
+      .appendLog('SYSTEM_LOG', [`Series monitor: checked ${shows.length}, queued ${summary.created}, failed ${summary.failed}`, ...lines])
+      .catch(() => {});
+  }
+  return summary;
+}
+
+/**
+ * Check all monitored shows now. Passes never overlap: a call made while one is running waits for it, then runs its own.
+ * @returns {Promise<{ checked: number, created: number, failed: number, shows: object[] }>}
+ */
+async function runSeriesMonitor() {
+  while (currentPass) {
+    await currentPass.catch(() => {});
+  }
+  currentPass = runPass();
+  try {
+    return await currentPass;
+  } finally {
+    currentPass = null;
+  }
+}
+
+/**
+ * Call once after Mongo connects: check shortly after startup, then keep checking in the background.
+ * Set SERIES_MONITOR_ENABLED=false to turn off.
+ */
+function initSeriesMonitor() {
+  if (monitorInterval || process.env.SERIES_MONITOR_ENABLED === 'false') return;
+  const tick = () => {
+    if (currentPass) return;
+    runSeriesMonitor().catch((err) => console.error('[series-monitor] pass failed:', err?.message));
+  };
+  setTimeout(tick, STARTUP_DELAY_MS).unref();
+  monitorInterval = setInterval(tick, MONITOR_INTERVAL_MS);
+  monitorInterval.unref();
+}
+
+module.exports = {
+  monitoredSeasonNumbers,
+  runSeriesMonitor,
+  initSeriesMonitor,
+};
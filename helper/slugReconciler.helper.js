@@ -0,0 +1,205 @@
+/**
+ * Background reconciler for UploadedVideo.slugStatus.
+ *
+ * Video hosts encode after upload, so new UploadedVideo docs start as 'uploaded_not_ready'. Every
+ * SLUG_RECONCILE_INTERVAL_MS the reconciler asks the host (provider.getStatus) about the docs that are due,
+ * SLUG_RECONCILE_CONCURRENCY at a time. A doc that is still not ready (or whose check failed) is checked
+ * again after an exponential backoff (SLUG_RECONCILE_BASE_MS * 2^(checks-1), capped at SLUG_RECONCILE_MAX_BACKOFF_MS).
+ *
+ * Events on uploadedVideoEvents:
+ * - 'ready'   { uploadedVideo }  a doc flipped to ready
+ * - 'ad_free' { mediaType, externalId, title, uploadedVideo }  the title's first ready video (movie, or first episode of a show)
+ */
+require('dotenv').config();
+const { EventEmitter } = require('events');
+const UploadedVideoModel = require('../model/uploadedVideo.model');
+const systemModel = require('../model/system.model');
+const { getProviderFor } = require('./videoHost.helper');
+
+const RECONCILE_INTERVAL_MS = parseInt(process.env.SLUG_RECONCILE_INTERVAL_MS, 10) || 60 * 1000;
+const CONCURRENCY = Math.max(1, parseInt(process.env.SLUG_RECONCILE_CONCURRENCY, 10) || 4);
+const BASE_BACKOFF_MS = parseInt(process.env.SLUG_RECONCILE_BASE_MS, 10) || 60 * 1000; // 1 min
+const MAX_BACKOFF_MS = parseInt(process.env.SLUG_RECONCILE_MAX_BACKOFF_MS, 10) || 60 * 60 * 1000; // 1h
+/** Max docs checked in one scheduled pass (and per page of a forced one). */
+const BATCH_LIMIT = 200;
+
+const uploadedVideoEvents = new EventEmitter();
+uploadedVideoEvents.setMaxListeners(0);
+
+/** @type {Promise<object> | null} */
+let currentPass = null;
+/** @type {NodeJS.Timeout | null} */
+let reconcileInterval = null;
+
+/**
+ * Delay before the next check of a doc that is not ready yet.
+ * @param {number} checks - checks done so far (including the one that just happened)
+ * @returns {number} ms
+ */
+function getSlugCheckBackoffMs(checks) {
+  const n = Math.max(1, checks);
+  return Math.min(MAX_BACKOFF_MS, BASE_BACKOFF_MS * 2 ** (n - 1));
+}
+
+/** Payload sent to listeners and websocket clients. */
+function toEventVideo(doc) {
+  return {
+    _id: String(doc._id),
+    externalId: doc.externalId ?? null,
+    mediaType: doc.mediaType ?? 'movie',
+    title: doc.title ?? '',
+    poster_path: doc.poster_path ?? null,
+    seasonNumber: doc.seasonNumber ?? null,
+    episodeNumber: doc.episodeNumber ?? null,
+    provider: doc.provider ?? 'abyss',
+    abyssSlug: doc.abyssSlug,
+    readyAt: doc.readyAt ? new Date(doc.readyAt).toISOString() : null,
+  };
+}
+
+/**
+ * Emit 'ready' for a doc that just became ready, and 'ad_free' when it is the first ready video of its title.
+ * Call after the doc is saved as ready (the staging runner does this for uploads that are ready right away).
+ * @param {object} doc - UploadedVideo (plain or hydrated) with slugStatus 'ready'
+ */
+async function notifySlugReady(doc) {
+  const uploadedVideo = toEventVideo(doc);
+  uploadedVideoEvents.emit('ready', { uploadedVideo });
+  if (uploadedVideo.externalId == null) return;
+  const otherReady = await UploadedVideoModel.exists({
+    _id: { $ne: doc._id },
+    externalId: uploadedVideo.externalId,
+    mediaType: uploadedVideo.mediaType,
+    slugStatus: 'ready',
+  });
+  if (otherReady) return;
+  uploadedVideoEvents.emit('ad_free', {
+    mediaType: uploadedVideo.mediaType,
+    externalId: uploadedVideo.externalId,
+    title: uploadedVideo.title,
+    uploadedVideo,
+  });
+}
+
+/**
+ * Check one doc on its host and record the outcome.
+ * @returns {Promise<'ready'|'not_ready'|'error'>}
+ */
+async function checkSlug(doc) {
+  const now = new Date();
+  const checks = (doc.slugCheckAttempts ?? 0) + 1;
+  try {
+    const status = await getProviderFor(doc).getStatus(doc.abyssSlug);
+    if (status === 'ready') {
+      // Conditional update so a concurrent manual sync does not emit twice.
+      const updated = await UploadedVideoModel.findOneAndUpdate(
+        { _id: doc._id, slugStatus: 'uploaded_not_ready' },
+        { $set: { slugStatus: 'ready', readyAt: now, lastSlugCheckAt: now, nextSlugCheckAt: null, slugCheckError: null, slugCheckAttempts: checks } },
+        { new: true }
+      ).lean();
+      if (updated) await notifySlugReady(updated);
+      return 'ready';
+    }
+    await UploadedVideoModel.updateOne(
+      { _id: doc._id },
+      { $set: { slugCheckAttempts: checks, lastSlugCheckAt: now, nextSlugCheckAt: new Date(now.getTime() + getSlugCheckBackoffMs(checks)), slugCheckError: null } }
+    );
+    return 'not_ready';
+  } catch (err) {
+    await UploadedVideoModel.updateOne(
+      { _id: doc._id },
+      {
+        $set: {
+          slugCheckAttempts: checks,
+          lastSlugCheckAt: now,
+          nextSlugCheckAt: new Date(now.getTime() + getSlugCheckBackoffMs(checks)),
+          slugCheckError: err?.response?.data?.msg || err?.message || 'Status check failed',
+        },
+      }
+    ).catch(() => {});
+    return 'error';
+  }
+}
+
+/** Check docs with up to CONCURRENCY requests in flight, counting the outcomes into summary. */
+async function checkDocs(docs, summary) {
+  const queue = [...docs];
+  const worker = async () => {
+    while (queue.length) {
+      const result = await checkSlug(queue.shift());
+      if (result === 'ready') summary.ready++;
+      else if (result === 'not_ready') summary.notReady++;
+      else summary.failed++;
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(CONCURRENCY, docs.length) }, worker));
+}
+
+async function runPass({ force }) {
+  const now = new Date();
+  const filter = { slugStatus: 'uploaded_not_ready' };
+  if (!force) filter.$or = [{ nextSlugCheckAt: null }, { nextSlugCheckAt: { $lte: now } }];
+
+  // A scheduled pass takes one batch of the most overdue docs. A forced pass pages through all of them by _id
+  // (docs still not ready keep matching the filter, so re-running the same query would never end).
+  const summary = { checked: [], ready: 0, notReady: 0, failed: 0 };
+  const checkedIds = [];
+  let lastId = null;
+  for (;;) {
+    const docs = force
+      ? await UploadedVideoModel.find(lastId ? { ...filter, _id: { $gt: lastId } } : filter).sort({ _id: 1 }).limit(BATCH_LIMIT).lean()
+      : await UploadedVideoModel.find(filter).sort({ nextSlugCheckAt: 1, createdAt: 1 }).limit(BATCH_LIMIT).lean();
+    if (docs.length === 0) break;
+    checkedIds.push(...docs.map((d) => d._id));
+    await checkDocs(docs, summary);
+    if (!force || docs.length < BATCH_LIMIT) break;
+    lastId = docs[docs.length - 1]._id;
+  }
+  // Return the docs as they are after the checks
+  if (checkedIds.length > 0) {
+    summary.checked = await UploadedVideoModel.find({ _id: { $in: checkedIds } }).sort({ _id: 1 }).lean();
+  }
+
+  if (summary.ready > 0 || summary.failed > 0) {
+    await systemModel
+      .appendLog('ABYSS_UPLOAD_LOG', [`Slug reconcile: checked ${checkedIds.length}, ready ${summary.ready}, not ready ${summary.notReady}, failed ${summary.failed}`])
+      .catch(() => {});
+  }
+  return summary;
+}
+
+/**
+ * Check 'uploaded_not_ready' docs whose check is due (all of them with force) and flip the ready ones.
+ * Passes never overlap: a call made while one is running waits for it, then runs its own.
+ * @param {{ force?: boolean }} [options]
+ * @returns {Promise<{ checked: object[], ready: number, notReady: number, failed: number }>} checked = the checked docs, updated
+ */
+async function reconcileSlugStatuses({ force = false } = {}) {
+  while (currentPass) {
+    await currentPass.catch(() => {});
+  }
+  currentPass = runPass({ force });
+  try {
+    return await currentPass;
+  } finally {
+    currentPass = null;
+  }
+}
+
+/** Call once after Mongo connects: keep reconciling in the background. Set SLUG_RECONCILE_ENABLED=false to turn off. */
+function initSlugReconciler() {
+  if (reconcileInterval || process.env.SLUG_RECONCILE_ENABLED === 'false') return;
+  reconcileInterval = setInterval(() => {
+    if (currentPass) return;
+    reconcileSlugStatuses().catch((err) => console.error('[slug-reconciler] pass failed:', err?.message));
+  }, RECONCILE_INTERVAL_MS);
+  reconcileInterval.unref();
+}
+
+module.exports = {
+  uploadedVideoEvents,
+  getSlugCheckBackoffMs,
+  notifySlugReady,
+  reconcileSlugStatuses,
+  initSlugReconciler,
+};
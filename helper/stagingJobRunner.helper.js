@@ -0,0 +1,644 @@
+/**
+ * Mongo-backed job engine for the staging → video host (Abyss by default, see videoHost.helper) upload run.
+ *
+ * A run is a StagingProcessRun doc; each StagingVideo is claimed with a lease (leaseOwner + leaseExpiresAt)
+ * that the worker keeps extending while it uploads. If the process dies, the lease expires and the sweeper
+ * puts the doc back to 'pending' and takes over the run, so a restart/deploy does not abandon a batch.
+ * A retry scheduler also starts runs on its own for failed docs whose retry is due (see stagingRetry.helper).
+ */
+require('dotenv').config();
+const os = require('os');
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const { pipeline } = require('stream');
+const { promisify } = require('util');
+const pipelineAsync = promisify(pipeline);
+const StagingVideoModel = require('../model/stagingVideo.model');
+const UploadedVideoModel = require('../model/uploadedVideo.model');
+const StagingProcessRunModel = require('../model/stagingProcessRun.model');
+const systemModel = require('../model/system.model');
+const { getStagingVideoStream, updateStaging, deleteStaging } = require('./stagingVideo.helper');
+const { getProvider } = require('./videoHost.helper');
+const { notifySlugReady } = require('./slugReconciler.helper');
+const { checkStagingRuntime, shouldCheckRuntime } = require('./runtimeCheck.helper');
+const { createSubtitleCollector } = require('./subtitleExtract.helper');
+const { listUploadStates } = require('./stagingProcessState.helper');
+const { ChecksumMismatchError, createSha256Transform, assertSha256 } = require('./checksum.helper');
+const { QUOTA_FAIL_STATUSES, RETRY_INTERVAL_MS, getNextErrorAttemptAt, getNextDailyReset, buildDueRetryFilter } = require('./stagingRetry.helper');
+
+/** Statuses that should be picked up by the process queue (pending + previous failures to retry) */
+const PROCESSABLE_STATUSES = ['pending', 'storage_fail', 'daily_fail', 'max_upload_fail', 'error'];
+/** Max staging docs snapshotted into one run (same cap as the old HTTP-bound loop). */
+const RUN_BATCH_LIMIT = 100;
+/** A claimed doc / running run is considered orphaned when not refreshed for this long. */
+const LEASE_MS = 2 * 60 * 1000;
+const HEARTBEAT_MS = 30 * 1000;
+const SWEEP_INTERVAL_MS = 60 * 1000;
+/** Min interval between byte-progress writes to the run doc. */
+const PROGRESS_WRITE_MS = 2000;
+/** Force the old GridFS → temp file → Abyss path (e.g. when the Abyss upload is too slow to keep a GridFS cursor open). */
+const UPLOAD_VIA_TEMP_FILE = process.env.ABYSS_UPLOAD_VIA_TEMP_FILE === 'true';
+
+const WORKER_ID = `${os.hostname()}-${process.pid}`;
+const EMPTY_CURRENT_UPLOAD = { bytesSent: 0, bytesTotal: null, mode: null };
+
+/** Run this process is currently driving (string id) and the abort handle of the in-flight upload. */
+let drivingRunId = null;
+let currentAbort = null;
+let sweepInterval = null;
+let retryInterval = null;
+
+function leaseFree(now) {
+  return { $or: [{ leaseExpiresAt: null }, { leaseExpiresAt: { $lte: now } }] };
+}
+
+function isStale(run) {
+  if (!run?.heartbeatAt) return true;
+  return Date.now() - new Date(run.heartbeatAt).getTime() > LEASE_MS;
+}
+
+/**
+ * Claim the next queued staging doc of this run: atomically set status 'uploading' and take the lease.
+ * @param {object} run - StagingProcessRun (lean)
+ * @returns {Promise<object|null>} claimed StagingVideo (lean) or null when nothing is left
+ */
+async function claimNext(run) {
+  const queuedIds = (run.items || [])
+    .filter((i) => i.outcome === 'queued' && mongoose.Types.ObjectId.isValid(i.stagingId))
+    .map((i) => new mongoose.Types.ObjectId(i.stagingId));
+  if (queuedIds.length === 0) return null;
+  const now = new Date();
+  return StagingVideoModel.findOneAndUpdate(
+    { _id: { $in: queuedIds }, status: { $in: PROCESSABLE_STATUSES }, ...leaseFree(now) },
+    {
+      $set: {
+        status: 'uploading',
+        leaseOwner: WORKER_ID,
+        leaseExpiresAt: new Date(now.getTime() + LEASE_MS),
+        processRunId: run._id,
+      },
+    },
+    { sort: { createdAt: 1 }, new: true }
+  ).lean();
+}
+
+/**
+ * Throttled writer of byte-level upload progress into the run doc (currentUpload), read by getProcessRunState.
+ * @returns {(bytesSent: number) => void}
+ */
+function createUploadProgressReporter(runId, bytesTotal, mode) {
+  let lastWriteAt = 0;
+  const write = (bytesSent) => {
+    if (!runId) return;
+    StagingProcessRunModel.updateOne(
+      { _id: runId },
+      { $set: { currentUpload: { bytesSent, bytesTotal, mode } } }
+    ).catch(() => {});
+  };
+  write(0);
+  return (bytesSent) => {
+    const now = Date.now();
+    if (now - lastWriteAt < PROGRESS_WRITE_MS && bytesSent < bytesTotal) return;
+    lastWriteAt = now;
+    write(bytesSent);
+  };
+}
+
+/** Release the lease on a staging doc and set its status (plus any extra fields). */
+async function releaseStaging(stagingId, status, extra = {}) {
+  return updateStaging(stagingId, {
+    $set: { status, leaseOwner: null, leaseExpiresAt: null, ...extra },
+  });
+}
+
+/** Mark a doc 'error', count the attempt and schedule the next one with exponential backoff. */
+async function failStaging(doc, errorMessage) {
+  const attempts = (doc.attempts ?? 0) + 1;
+  return releaseStaging(doc._id.toString(), 'error', {
+    errorMessage,
+    attempts,
+    nextAttemptAt: getNextErrorAttemptAt(attempts),
+  });
+}
+
+/** Remove a file that was uploaded but will not be kept. Best effort: failures are only logged. */
+async function deleteHostedFile(host, slug, logLines, stagingId) {
+  try {
+    const response = await host.deleteFile(slug);
+    if (response?.success === false) throw new Error(response.message || 'delete refused');
+    logLines.push(`${stagingId} Deleted ${host.label} file ${slug}`);
+  } catch (err) {
+    logLines.push(`${stagingId} Could not delete ${host.label} file ${slug}: ${err?.message || err}`);
+  }
+}
+
+/**
+ * Upload one claimed staging doc to the default video host and turn it into an UploadedVideo.
+ * @param {object} doc - claimed StagingVideo (lean, status 'uploading')
+ * @param {string[]} logLines
+ * @returns {Promise<'done'|'failed'|'quota'|'review'|'aborted'>}
+ */
+async function processStagingDoc(doc, logLines) {
+  const stagingId = doc._id.toString();
+  const abort = new AbortController();
+  currentAbort = abort;
+  try {
+    // — Compare the file duration with TMDB before spending host quota on a trailer/sample/wrong episode
+    if (shouldCheckRuntime(doc)) {
+      const runtimeCheck = await checkStagingRuntime(doc);
+      if (runtimeCheck.verdict === 'mismatch') {
+        logLines.push(`${stagingId} Runtime check failed, needs review: ${runtimeCheck.reason}`);
+        await releaseStaging(stagingId, 'needs_review', { runtimeCheck, errorMessage: runtimeCheck.reason });
+        return 'review';
+      }
+      logLines.push(`${stagingId} Runtime check ${runtimeCheck.verdict}${runtimeCheck.reason ? `: ${runtimeCheck.reason}` : ''}`);
+      await updateStaging(stagingId, { $set: { runtimeCheck } });
+    }
+
+    const host = getProvider();
+    // — Check host quota before uploading
+    logLines.push(`${stagingId} Checking ${host.label} quota…`);
+    const accountInfo = await host.getAccountInfo();
+    const quota = host.checkUploadQuota(accountInfo, doc.size);
+    if (!quota.canUpload) {
+      const nextAttemptAt = getNextDailyReset(accountInfo);
+      logLines.push(`${stagingId} Quota check failed: ${quota.failStatus}, retry at ${nextAttemptAt.toISOString()}`);
+      await releaseStaging(stagingId, quota.failStatus, { nextAttemptAt });
+      return 'quota';
+    }
+
+    // — Open GridFS stream
+    logLines.push(`${stagingId} Opening GridFS stream…`);
+    const streamResult = await getStagingVideoStream(stagingId);
+    if (!streamResult?.stream) {
+      logLines.push(`${stagingId} Could not open staging stream`);
+      await failStaging(doc, 'Could not open staging stream');
+      return 'failed';
+    }
+
+    // — Embedded text subtitles are collected from the same GridFS read as the upload; never fails the upload
+    let subtitles = null;
+    try {
+      subtitles = await createSubtitleCollector(doc);
+      if (subtitles.skipped.length) logLines.push(`${stagingId} Skipped subtitle tracks: ${subtitles.skipped.join(', ')}`);
+      subtitles.attach?.(streamResult.stream);
+    } catch (err) {
+      logLines.push(`${stagingId} Subtitle extraction failed: ${err?.message || err}`);
+    }
+
+    let slug;
+    let sha256;
+    const useTempFile = UPLOAD_VIA_TEMP_FILE || streamResult.length == null;
+    if (!useTempFile) {
+      // — Stream GridFS straight to the host with the stored length; the hash is checked once all bytes went through
+      logLines.push(`${stagingId} Streaming GridFS to ${host.label} (${streamResult.length} bytes)…`);
+      const reportProgress = createUploadProgressReporter(doc.processRunId, streamResult.length, 'stream');
+      const gridFsHash = createSha256Transform();
+      streamResult.stream.on('error', (err) => gridFsHash.destroy(err));
+      const result = await host.upload(streamResult.stream.pipe(gridFsHash), {
+        filename: streamResult.filename,
+        contentType: streamResult.contentType,
+        size: streamResult.length,
+        signal: abort.signal,
+        onProgress: reportProgress,
+      });
+      slug = result.fileId;
+      sha256 = gridFsHash.digest();
+      logLines.push(`${stagingId} ${host.label} upload OK, slug: ${slug}`);
+      try {
+        assertSha256(`GridFS, slug ${slug}`, doc.sha256, sha256);
+      } catch (err) {
+        // Corrupted in GridFS: keep it out of UploadedVideo and drop the hosted copy so it does not hold quota.
+        logLines.push(`${stagingId} ${err.message}`);
+        await deleteHostedFile(host, slug, logLines, stagingId);
+        await releaseStaging(stagingId, 'checksum_fail', { errorMessage: err.message });
+        return 'failed';
+      }
+    } else {
+      // — Fallback: write to temp file (verifying the GridFS bytes against doc.sha256), then upload to the host
+      const tmpPath = path.join(os.tmpdir(), `abyss-upload-${stagingId}-${Date.now()}${path.extname(streamResult.filename) || '.mp4'}`);
+      logLines.push(`${stagingId} Writing to temp file, then uploading to ${host.label}…`);
+      try {
+        const gridFsHash = createSha256Transform();
+        await pipelineAsync(streamResult.stream, gridFsHash, fs.createWriteStream(tmpPath));
+        sha256 = gridFsHash.digest();
+        try {
+          assertSha256('GridFS', doc.sha256, sha256);
+        } catch (err) {
+          logLines.push(`${stagingId} ${err.message}`);
+          await releaseStaging(stagingId, 'checksum_fail', { errorMessage: err.message });
+          return 'failed';
+        }
+        const stat = await fs.promises.stat(tmpPath);
+        const uploadHash = createSha256Transform();
+        const fileStream = fs.createReadStream(tmpPath).pipe(uploadHash);
+        const result = await host.upload(fileStream, {
+          filename: streamResult.filename,
+          contentType: streamResult.contentType,
+          size: stat.size,
+          signal: abort.signal,
+          onProgress: createUploadProgressReporter(doc.processRunId, stat.size, 'temp_file'),
+        });
+        slug = result.fileId;
+        logLines.push(`${stagingId} ${host.label} upload OK, slug: ${slug}`);
+        // The temp file must hand the host exactly what GridFS held; otherwise drop the hosted copy and retry.
+        if (uploadHash.digest() !== sha256) {
+          await deleteHostedFile(host, slug, logLines, stagingId);
+          throw new ChecksumMismatchError(`temp file, slug ${slug}`, sha256, uploadHash.digest());
+        }
+      } finally {
+        await fs.promises.unlink(tmpPath).catch(() => {});
+      }
+    }
+
+    // — Fetch slug status, create UploadedVideo, delete staging
+    logLines.push(`${stagingId} Fetching slug status…`);
+    const slugStatus = await host.getStatus(slug);
+    const uploadedPayload = {
+      externalId: doc.tmdbId ?? null,
+      title: doc.title ?? '',
+      poster_path: doc.poster_path ?? null,
+      provider: host.name,
+      abyssSlug: slug,
+      slugStatus,
+      readyAt: slugStatus === 'ready' ? new Date() : null,
+      filename: doc.filename ?? null,
+      size: doc.size ?? null,
+      sha256,
+      mediaType: doc.mediaType === 'tv' ? 'tv' : 'movie',
+      probe: doc.probe ?? null,
+    };
+    if (doc.mediaType === 'tv') {
+      if (doc.seasonNumber != null) uploadedPayload.seasonNumber = doc.seasonNumber;
+      if (doc.episodeNumber != null) uploadedPayload.episodeNumber = doc.episodeNumber;
+    }
+    const uploaded = await UploadedVideoModel.create(uploadedPayload);
+    logLines.push(`${stagingId} UploadedVideo created, slug: ${slug}`);
+    if (slugStatus === 'ready') {
+      await notifySlugReady(uploaded).catch(() => {});
+    }
+    // — Collected subtitles → StagingSubtitle (attached by process-subtitle)
+    if (subtitles?.finish) {
+      try {
+        const { created } = await subtitles.finish({ uploadedVideoId: uploaded._id });
+        if (created.length) {
+          logLines.push(`${stagingId} Extracted subtitles: ${created.map((c) => `${c.language} (${c.cues} cues)`).join(', ')}`);
+        }
+      } catch (err) {
+        logLines.push(`${stagingId} Subtitle extraction failed: ${err?.message || err}`);
+      }
+    }
+    await releaseStaging(stagingId, slugStatus, { abyssSlug: slug });
+
+    logLines.push(`${stagingId} deleting staging`);
+    await deleteStaging(stagingId);
+    logLines.push(`${stagingId} staging deleted`);
+    return 'done';
+  } catch (err) {
+    if (abort.signal.aborted) {
+      logLines.push(`${stagingId} Upload cancelled, back to pending`);
+      await releaseStaging(stagingId, 'pending').catch(() => {});
+      return 'aborted';
+    }
+    logLines.push(`${stagingId} Error: ${err?.message || err}`);
+    await failStaging(doc, err?.message || String(err)).catch(() => {});
+    return 'failed';
+  } finally {
+    currentAbort = null;
+  }
+}
+
+/**
+ * Heartbeat for the run this process drives: refresh run heartbeat and the current doc's lease,
+ * and abort the in-flight upload when the run was cancelled or taken over.
+ */
+async function heartbeat(runId) {
+  const now = new Date();
+  const run = await StagingProcessRunModel.findOneAndUpdate(
+    { _id: runId, workerId: WORKER_ID },
+    { $set: { heartbeatAt: now } },
+    { new: true }
+  ).lean();
+  if (!run || run.requestedAction === 'cancel') {
+    if (currentAbort) currentAbort.abort();
+    return;
+  }
+  if (run.currentStagingId) {
+    await StagingVideoModel.updateOne(
+      { _id: run.currentStagingId, leaseOwner: WORKER_ID },
+      { $set: { leaseExpiresAt: new Date(now.getTime() + LEASE_MS) } }
+    );
+  }
+}
+
+/** Close a run: clear the active flag so a new run can start. */
+async function closeRun(runId, status, extra = {}) {
+  await StagingProcessRunModel.updateOne(
+    { _id: runId },
+    {
+      $set: {
+        status,
+        active: false,
+        requestedAction: null,
+        currentStagingId: null,
+        currentUpload: EMPTY_CURRENT_UPLOAD,
+        finishedAt: new Date(),
+        ...extra,
+      },
+    }
+  );
+}
+
+/**
+ * Drive a run until it is finished, paused, cancelled or taken over. Never throws.
+ * @param {import('mongoose').Types.ObjectId|string} runId
+ */
+async function driveRun(runId) {
+  if (drivingRunId) return;
+  drivingRunId = String(runId);
+  const logLines = [];
+  const beat = setInterval(() => {
+    heartbeat(runId).catch((err) => console.error('[staging-runner] heartbeat failed:', err?.message));
+  }, HEARTBEAT_MS);
+
+  try {
+    logLines.push(`Process run ${runId} driven by ${WORKER_ID}`);
+    for (;;) {
+      const run = await StagingProcessRunModel.findById(runId).lean();
+      if (!run || run.workerId !== WORKER_ID || run.status !== 'running') {
+        logLines.push('Run no longer owned by this worker, stopping');
+        break;
+      }
+      if (run.requestedAction === 'pause') {
+        await StagingProcessRunModel.updateOne(
+          { _id: runId },
+          { $set: { status: 'paused', requestedAction: null, currentStagingId: null, currentUpload: EMPTY_CURRENT_UPLOAD } }
+        );
+        logLines.push(`Run paused. Processed: ${run.processed}, Failed: ${run.failed}`);
+        break;
+      }
+      if (run.requestedAction === 'cancel') {
+        await closeRun(runId, 'cancelled');
+        logLines.push(`Run cancelled. Processed: ${run.processed}, Failed: ${run.failed}`);
+        break;
+      }
+
+      const doc = await claimNext(run);
+      if (!doc) {
+        await closeRun(runId, 'finished');
+        logLines.push(`Run finished. Processed: ${run.processed}, Failed: ${run.failed}, QuotaStopped: false`);
+        break;
+      }
+
+      const stagingId = doc._id.toString();
+      await StagingProcessRunModel.updateOne({ _id: runId }, { $set: { currentStagingId: stagingId } });
+      const outcome = await processStagingDoc(doc, logLines);
+
+      const update = { $set: { currentStagingId: null, currentUpload: EMPTY_CURRENT_UPLOAD } };
+      if (outcome !== 'aborted') update.$set['items.$[it].outcome'] = outcome;
+      if (outcome === 'done') update.$inc = { processed: 1 };
+      if (outcome === 'failed') update.$inc = { failed: 1 };
+      const updated = await StagingProcessRunModel.findOneAndUpdate({ _id: runId }, update, {
+        arrayFilters: [{ 'it.stagingId': stagingId }],
+        new: true,
+      }).lean();
+      if (outcome !== 'aborted') {
+        logLines.push(`${stagingId} Done. Processed: ${updated?.processed ?? 0}, Failed: ${updated?.failed ?? 0}`);
+      }
+
+      if (outcome === 'quota') {
+        await closeRun(runId, 'finished', { quotaStopped: true });
+        logLines.push(`Run finished. Processed: ${updated?.processed ?? 0}, Failed: ${updated?.failed ?? 0}, QuotaStopped: true`);
+        break;
+      }
+    }
+  } catch (err) {
+    logLines.push(`Process run failed: ${err?.message || err}`);
+    await closeRun(runId, 'failed', { errorMessage: err?.message || String(err) }).catch(() => {});
+  } finally {
+    clearInterval(beat);
+    drivingRunId = null;
+    if (logLines.length > 0) {
+      await systemModel.appendLog('ABYSS_UPLOAD_LOG', logLines).catch(() => {});
+    }
+  }
+}
+
+/** Take ownership of an existing run (resume a paused one or take over an orphaned one) and drive it. */
+async function takeOverRun(run, fromStatus) {
+  const claimed = await StagingProcessRunModel.findOneAndUpdate(
+    { _id: run._id, status: fromStatus, heartbeatAt: run.heartbeatAt },
+    { $set: { status: 'running', workerId: WORKER_ID, heartbeatAt: new Date(), requestedAction: null } },
+    { new: true }
+  ).lean();
+  if (!claimed) return null;
+  setImmediate(() => driveRun(claimed._id));
+  return claimed;
+}
+
+/**
+ * Start a new run, or resume the active one when it is paused/orphaned.
+ * Manual runs take every processable doc; scheduled runs only failed docs whose retry is due.
+ * @param {{ userId?: import('mongoose').Types.ObjectId|null, trigger?: 'manual'|'scheduled' }} [opts]
+ * @returns {Promise<{ run: object|null, started: boolean, resumed: boolean, alreadyRunning: boolean }>}
+ */
+async function startStagingRun({ userId = null, trigger = 'manual' } = {}) {
+  const active = await StagingProcessRunModel.findOne({ active: true }).lean();
+  if (active) {
+    if (active.status === 'paused' || (active.status === 'running' && isStale(active))) {
+      const resumed = await takeOverRun(active, active.status);
+      if (resumed) return { run: resumed, started: false, resumed: true, alreadyRunning: false };
+    }
+    return { run: active, started: false, resumed: false, alreadyRunning: true };
+  }
+
+  // — Load pending items (processable statuses only, not leased by another worker)
+  const now = new Date();
+  const selection = trigger === 'scheduled' ? buildDueRetryFilter(now) : { status: { $in: PROCESSABLE_STATUSES } };
+  const pending = await StagingVideoModel.find({ $and: [selection, leaseFree(now)] })
+    .sort({ createdAt: 1 })
+    .limit(RUN_BATCH_LIMIT)
+    .lean();
+  if (pending.length === 0) {
+    return { run: null, started: false, resumed: false, alreadyRunning: false };
+  }
+
+  let run;
+  try {
+    run = await StagingProcessRunModel.create({
+      status: 'running',
+      active: true,
+      workerId: WORKER_ID,
+      heartbeatAt: new Date(),
+      startedBy: userId,
+      trigger,
+      total: pending.length,
+      items: pending.map((d) => ({
+        stagingId: d._id.toString(),
+        title: d.title ?? '',
+        filename: d.filename ?? '',
+      })),
+    });
+  } catch (err) {
+    if (err?.code === 11000) {
+      const other = await StagingProcessRunModel.findOne({ active: true }).lean();
+      return { run: other, started: false, resumed: false, alreadyRunning: true };
+    }
+    throw err;
+  }
+  setImmediate(() => driveRun(run._id));
+  return { run: run.toObject(), started: true, resumed: false, alreadyRunning: false };
+}
+
+/**
+ * Ask the active run to pause after the current item. Stale runs are paused immediately.
+ * @returns {Promise<object|null>} updated run or null when nothing is running
+ */
+async function pauseStagingRun() {
+  const active = await StagingProcessRunModel.findOne({ active: true, status: 'running' }).lean();
+  if (!active) return null;
+  const update = isStale(active)
+    ? { status: 'paused', requestedAction: null, currentStagingId: null }
+    : { requestedAction: 'pause' };
+  return StagingProcessRunModel.findByIdAndUpdate(active._id, { $set: update }, { new: true }).lean();
+}
+
+/**
+ * Cancel the active run. A running worker aborts its in-flight upload (doc goes back to 'pending');
+ * paused or orphaned runs are closed immediately.
+ * @returns {Promise<object|null>} updated run or null when there is no active run
+ */
+async function cancelStagingRun() {
+  const active = await StagingProcessRunModel.findOne({ active: true }).lean();
+  if (!active) return null;
+  if (active.status === 'paused' || isStale(active)) {
+    await closeRun(active._id, 'cancelled');
+  } else {
+    await StagingProcessRunModel.updateOne({ _id: active._id }, { $set: { requestedAction: 'cancel' } });
+    if (drivingRunId === String(active._id) && currentAbort) currentAbort.abort();
+  }
+  return StagingProcessRunModel.findById(active._id).lean();
+}
+
+/**
+ * Put orphaned 'uploading' docs (lease expired or never leased) back to 'pending',
+ * and take over an active run whose worker stopped heartbeating.
+ * @returns {Promise<{ recovered: number, resumedRunId: string|null }>}
+ */
+async function recoverStagingJobs() {
+  const result = await StagingVideoModel.updateMany(
+    { status: 'uploading', ...leaseFree(new Date()) },
+    { $set: { status: 'pending', leaseOwner: null, leaseExpiresAt: null } }
+  );
+  const recovered = result.modifiedCount ?? 0;
+
+  let resumedRunId = null;
+  const active = await StagingProcessRunModel.findOne({ active: true, status: 'running' }).lean();
+  if (active && !drivingRunId && isStale(active)) {
+    const run = await takeOverRun(active, 'running');
+    if (run) resumedRunId = run._id.toString();
+  }
+  if (recovered > 0 || resumedRunId) {
+    const lines = [];
+    if (recovered > 0) lines.push(`Recovered ${recovered} orphaned uploading staging doc(s) to pending`);
+    if (resumedRunId) lines.push(`Resumed orphaned process run ${resumedRunId} on ${WORKER_ID}`);
+    await systemModel.appendLog('ABYSS_UPLOAD_LOG', lines).catch(() => {});
+  }
+  return { recovered, resumedRunId };
+}
+
+/**
+ * Scheduler tick: start a 'scheduled' run when nothing is active, the quota window has reset,
+ * and at least one failed doc is due for retry.
+ * @returns {Promise<object|null>} the started run, or null
+ */
+async function runDueRetries() {
+  if (drivingRunId) return null;
+  if (await StagingProcessRunModel.exists({ active: true })) return null;
+  const now = new Date();
+  const quotaBlocked = await StagingVideoModel.exists({
+    status: { $in: QUOTA_FAIL_STATUSES },
+    nextAttemptAt: { $gt: now },
+  });
+  if (quotaBlocked) return null;
+  const { run, started } = await startStagingRun({ trigger: 'scheduled' });
+  if (!started) return null;
+  await systemModel
+    .appendLog('ABYSS_UPLOAD_LOG', [`Scheduled retry run ${run._id} started, items: ${run.total}`])
+    .catch(() => {});
+  return run;
+}
+
+/** Call once after Mongo connects: recover now, then keep sweeping for expired leases and due retries. */
+async function initStagingJobRunner() {
+  await recoverStagingJobs();
+  if (sweepInterval) return;
+  sweepInterval = setInterval(() => {
+    recoverStagingJobs().catch((err) => console.error('[staging-runner] sweep failed:', err?.message));
+  }, SWEEP_INTERVAL_MS);
+  sweepInterval.unref();
+  retryInterval = setInterval(() => {
+    runDueRetries().catch((err) => console.error('[staging-runner] retry tick failed:', err?.message));
+  }, RETRY_INTERVAL_MS);
+  retryInterval.unref();
+}
+
+/**
+ * Current (active, else most recent) run for the UI, plus chunked-upload state:
+ * upload = most recently updated upload (kept for older clients), uploads = all active uploads.
+ * @returns {Promise<object>}
+ */
+async function getProcessRunState() {
+  const run = (await StagingProcessRunModel.findOne({ active: true }).lean())
+    || (await StagingProcessRunModel.findOne({}).sort({ startedAt: -1 }).lean());
+  const iso = (d) => (d ? new Date(d).toISOString() : null);
+  const tracked = listUploadStates();
+  return {
+    runId: run?._id?.toString() ?? null,
+    status: run?.status ?? null,
+    trigger: run?.trigger ?? null,
+    isProcessing: run?.status === 'running',
+    isPaused: run?.status === 'paused',
+    requestedAction: run?.requestedAction ?? null,
+    workerId: run?.workerId ?? null,
+    startedAt: iso(run?.startedAt),
+    lastUpdatedAt: iso(run?.heartbeatAt ?? run?.updatedAt),
+    finishedAt: iso(run?.finishedAt),
+    total: run?.total ?? 0,
+    processed: run?.processed ?? 0,
+    failed: run?.failed ?? 0,
+    quotaStopped: run?.quotaStopped ?? false,
+    currentStagingId: run?.currentStagingId ?? null,
+    currentUpload: run?.currentStagingId && run?.currentUpload?.mode
+      ? {
+        bytesSent: run.currentUpload.bytesSent ?? 0,
+        bytesTotal: run.currentUpload.bytesTotal ?? null,
+        percent: run.currentUpload.bytesTotal > 0
+          ? Math.min(100, Math.round((run.currentUpload.bytesSent / run.currentUpload.bytesTotal) * 100))
+          : null,
+        mode: run.currentUpload.mode,
+      }
+      : null,
+    items: (run?.items || []).map((i) => ({
+      stagingId: i.stagingId,
+      title: i.title ?? '',
+      filename: i.filename ?? '',
+      outcome: i.outcome,
+    })),
+    upload: tracked[0] ?? null,
+    uploads: tracked.filter((u) => u.active),
+  };
+}
+
+module.exports = {
+  PROCESSABLE_STATUSES,
+  WORKER_ID,
+  startStagingRun,
+  pauseStagingRun,
+  cancelStagingRun,
+  recoverStagingJobs,
+  runDueRetries,
+  initStagingJobRunner,
+  getProcessRunState,
+};
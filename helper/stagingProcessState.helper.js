@@ -1,165 +1,205 @@
 /**
- * In-memory state for the staging process queue. One process run at a time (semaphore).
+ * In-memory state for staging uploads (per uploadId) and the download-queue job lock.
+ * The staging → Abyss process run itself is persisted in Mongo (see stagingJobRunner.helper).
  * Survives until server restart; frontend can poll GET /api/staging/process-status.
  */
-
-let state = {
-  isProcessing: false,
-  startedAt: null,
-  lastUpdatedAt: null,
-  total: 0,
-  processed: 0,
-  failed: 0,
-  currentStagingId: null,
-  /** Snapshot of items in this run: { stagingId, title, filename } */
-  items: [],
-};
+require('dotenv').config();
+const StagingUploadSessionModel = require('../model/stagingUploadSession.model');
 
 /**
  * State for download-queue: only one job can run at a time (downloader returns 503 if busy).
  * tryStartDownloadJob(jobId) / endDownloadJob() used by downloadQueue.route.js.
+ * The lock is a lease: the downloader's webhooks renew it, and a lock not renewed for DOWNLOAD_JOB_LEASE_MS
+ * (downloader crashed without calling done/failed) can be taken by the next claim.
  */
+const DOWNLOAD_JOB_LEASE_MS = parseInt(process.env.DOWNLOAD_JOB_LEASE_MS, 10) || 15 * 60 * 1000; // 15 min
+
 let downloadQueueState = {
   isJobRunning: false,
   currentJobId: null,
+  leaseExpiresAt: 0,
 };
 
+function downloadLeaseExpired() {
+  return downloadQueueState.isJobRunning && downloadQueueState.leaseExpiresAt <= Date.now();
+}
+
 /**
- * Try to claim "one download job running". Returns false if already running.
+ * Try to claim "one download job running". Returns false if already running (and the lease has not expired).
  * @param {string} jobId
  * @returns {boolean}
  */
 function tryStartDownloadJob(jobId) {
-  if (downloadQueueState.isJobRunning) return false;
+  if (downloadQueueState.isJobRunning && !downloadLeaseExpired()) return false;
   downloadQueueState.isJobRunning = true;
   downloadQueueState.currentJobId = jobId != null ? String(jobId) : null;
+  downloadQueueState.leaseExpiresAt = Date.now() + DOWNLOAD_JOB_LEASE_MS;
+  return true;
+}
+
+/**
+ * Extend the lease of the job holding the lock.
+ * @param {string} jobId
+ * @returns {boolean} false when jobId does not hold the lock
+ */
+function renewDownloadJob(jobId) {
+  if (!downloadQueueState.isJobRunning || downloadQueueState.currentJobId !== String(jobId)) return false;
+  downloadQueueState.leaseExpiresAt = Date.now() + DOWNLOAD_JOB_LEASE_MS;
   return true;
 }
 
 /**
- * Release the download-job lock (call when job finishes via webhook done/failed).
+ * Release the download-job lock (call when job finishes via webhook done/failed, or from the admin release).
  */
 function endDownloadJob() {
   downloadQueueState.isJobRunning = false;
   downloadQueueState.currentJobId = null;
+  downloadQueueState.leaseExpiresAt = 0;
 }
 
 /**
  * @returns {boolean}
  */
 function isDownloadJobRunning() {
-  return downloadQueueState.isJobRunning;
+  return downloadQueueState.isJobRunning && !downloadLeaseExpired();
 }
 
 /**
- * State for "upload to staging" (chunked upload → write to staging).
- * Frontend can poll GET /api/staging/process-status and read data.upload.
+ * jobId holding the download-job lock, or null when free (or its lease expired).
+ * @returns {string|null}
  */
-let uploadState = {
-  active: false,
-  uploadId: null,
-  status: null, // 'uploading' | 'writing' | 'done' | 'error'
-  startedAt: null,
-  fileName: null,
-  totalChunks: 0,
-  currentChunk: 0,
-  uploadProgress: null, // 0–100 sending chunks
-  dbProgress: null, // 0–100 writing to DB
-  error: null,
-  stagingId: null, // set when done
-};
+function getCurrentDownloadJobId() {
+  return downloadLeaseExpired() ? null : downloadQueueState.currentJobId;
+}
 
 /**
- * Try to start a run. Returns false if already processing (caller should respond 409).
- * @param {Array<{ _id: object, title?: string, filename: string }>} pendingDocs - pending staging docs (snapshot for display)
- * @returns {boolean}
+ * Lock state for the admin UI.
+ * @returns {{ currentJobId: string|null, leaseExpiresAt: string|null, expired: boolean }}
  */
-function tryStartRun(pendingDocs) {
-  if (state.isProcessing) return false;
-  state.isProcessing = true;
-  state.startedAt = new Date();
-  state.lastUpdatedAt = new Date();
-  state.total = pendingDocs.length;
-  state.processed = 0;
-  state.failed = 0;
-  state.currentStagingId = null;
-  state.items = pendingDocs.map((d) => ({
-    stagingId: d._id.toString(),
-    title: d.title ?? '',
-    filename: d.filename ?? '',
-  }));
-  return true;
+function getDownloadJobLock() {
+  return {
+    currentJobId: downloadQueueState.currentJobId,
+    leaseExpiresAt: downloadQueueState.isJobRunning ? new Date(downloadQueueState.leaseExpiresAt).toISOString() : null,
+    expired: downloadLeaseExpired(),
+  };
 }
 
 /**
- * Update progress during the run.
- * @param {number} processed
- * @param {number} failed
- * @param {string|null} currentStagingId - id of item currently being uploaded, or null
+ * State for "upload to staging" (chunked upload → write to staging), one entry per uploadId so the downloader
+ * and an admin can stage files at the same time. Frontend polls GET /api/staging/upload-status/:uploadId
+ * or GET /api/staging/uploads (all tracked uploads).
+ * With STAGING_UPLOAD_PROGRESS_MONGO=true each entry is also mirrored onto its StagingUploadSession doc,
+ * so progress can be read after a restart or from another instance.
  */
-function updateProgress(processed, failed, currentStagingId) {
-  state.processed = processed;
-  state.failed = failed;
-  state.currentStagingId = currentStagingId;
-  state.lastUpdatedAt = new Date();
+const uploadStates = new Map(); // uploadId -> state
+/** Finished ('done' / 'error') entries are dropped after this long. */
+const UPLOAD_STATE_TTL_MS = 60 * 60 * 1000;
+/** Min interval between Mongo progress writes for one upload (status changes are always written). */
+const PROGRESS_PERSIST_MS = 2000;
+const PERSIST_UPLOAD_PROGRESS = process.env.STAGING_UPLOAD_PROGRESS_MONGO === 'true';
+
+function emptyUploadState(uploadId) {
+  return {
+    active: false,
+    uploadId,
+    status: null, // 'uploading' | 'writing' | 'done' | 'error'
+    startedAt: null,
+    updatedAt: null,
+    fileName: null,
+    totalChunks: 0,
+    currentChunk: 0,
+    uploadProgress: null, // 0–100 sending chunks
+    dbProgress: null, // 0–100 writing to DB
+    error: null,
+    stagingId: null, // set when done
+    persistedAt: 0,
+  };
 }
 
-/**
- * Release the lock and clear current run (call in finally).
- */
-function endRun() {
-  state.isProcessing = false;
-  state.currentStagingId = null;
-  // Keep items, total, processed, failed, startedAt so UI can show "last run" until next start
+function pruneUploadStates() {
+  const cutoff = Date.now() - UPLOAD_STATE_TTL_MS;
+  for (const [id, st] of uploadStates) {
+    if (!st.active && st.updatedAt && st.updatedAt.getTime() < cutoff) uploadStates.delete(id);
+  }
+}
+
+function formatUploadState(st) {
+  return {
+    active: st.active,
+    uploadId: st.uploadId,
+    status: st.status,
+    startedAt: st.startedAt ? st.startedAt.toISOString() : null,
+    updatedAt: st.updatedAt ? st.updatedAt.toISOString() : null,
+    fileName: st.fileName,
+    totalChunks: st.totalChunks,
+    currentChunk: st.currentChunk,
+    uploadProgress: st.uploadProgress,
+    dbProgress: st.dbProgress,
+    error: st.error,
+    stagingId: st.stagingId,
+  };
+}
+
+function persistUploadState(st, force) {
+  if (!PERSIST_UPLOAD_PROGRESS) return;
+  const now = Date.now();
+  if (!force && now - st.persistedAt < PROGRESS_PERSIST_MS) return;
+  st.persistedAt = now;
+  StagingUploadSessionModel.updateOne({ uploadId: st.uploadId }, { $set: { progress: formatUploadState(st) } }).catch(() => {});
 }
 
 /**
- * Set state for upload-to-staging (chunked upload). Merges partial into uploadState.
- * @param {Partial<{ uploadId: string, status: string, fileName: string, totalChunks: number, currentChunk: number, uploadProgress: number, dbProgress: number, error: string, stagingId: string }>} partial
+ * Set state for one upload-to-staging (chunked upload). Merges partial into that upload's entry (created on first call).
+ * @param {string} uploadId
+ * @param {Partial<{ status: string, fileName: string, totalChunks: number, currentChunk: number, uploadProgress: number, dbProgress: number, error: string, stagingId: string }>} partial
  */
-function setUploadState(partial) {
-  if (!partial) return;
-  if (partial.uploadId != null) uploadState.uploadId = partial.uploadId;
-  if (partial.status != null) uploadState.status = partial.status;
-  if (partial.fileName != null) uploadState.fileName = partial.fileName;
-  if (partial.totalChunks != null) uploadState.totalChunks = partial.totalChunks;
-  if (partial.currentChunk != null) uploadState.currentChunk = partial.currentChunk;
-  if (partial.uploadProgress != null) uploadState.uploadProgress = partial.uploadProgress;
-  if (partial.dbProgress != null) uploadState.dbProgress = partial.dbProgress;
-  if (partial.error != null) uploadState.error = partial.error;
-  if (partial.stagingId != null) uploadState.stagingId = partial.stagingId;
+function setUploadState(uploadId, partial) {
+  if (uploadId == null || !partial) return;
+  const id = String(uploadId);
+  let st = uploadStates.get(id);
+  if (!st) {
+    pruneUploadStates();
+    st = emptyUploadState(id);
+    uploadStates.set(id, st);
+  }
+  const statusChanged = partial.status != null && partial.status !== st.status;
+  if (partial.status != null) st.status = partial.status;
+  if (partial.fileName != null) st.fileName = partial.fileName;
+  if (partial.totalChunks != null) st.totalChunks = partial.totalChunks;
+  if (partial.currentChunk != null) st.currentChunk = partial.currentChunk;
+  if (partial.uploadProgress != null) st.uploadProgress = partial.uploadProgress;
+  if (partial.dbProgress != null) st.dbProgress = partial.dbProgress;
+  if (partial.error != null) st.error = partial.error;
+  if (partial.stagingId != null) st.stagingId = partial.stagingId;
   if (partial.status === 'uploading' || partial.status === 'writing') {
-    uploadState.active = true;
-    if (!uploadState.startedAt) uploadState.startedAt = new Date();
+    st.active = true;
+    st.error = partial.error ?? null;
+    if (!st.startedAt) st.startedAt = new Date();
   }
   if (partial.status === 'done' || partial.status === 'error') {
-    uploadState.active = false;
+    st.active = false;
   }
+  st.updatedAt = new Date();
+  persistUploadState(st, statusChanged);
 }
 
 /**
- * Clear upload-to-staging state (e.g. after client has seen 'done' or on timeout).
+ * Clear upload-to-staging state for one upload, or for all uploads when uploadId is omitted (purge).
+ * @param {string} [uploadId]
  */
-function clearUploadState() {
-  uploadState.active = false;
-  uploadState.uploadId = null;
-  uploadState.status = null;
-  uploadState.startedAt = null;
-  uploadState.fileName = null;
-  uploadState.totalChunks = 0;
-  uploadState.currentChunk = 0;
-  uploadState.uploadProgress = null;
-  uploadState.dbProgress = null;
-  uploadState.error = null;
-  uploadState.stagingId = null;
+function clearUploadState(uploadId) {
+  if (uploadId == null) uploadStates.clear();
+  else uploadStates.delete(String(uploadId));
 }
 
 /**
+ * @param {string} uploadId
  * @returns {{
  *   active: boolean,
- *   uploadId: string|null,
+ *   uploadId: string,
  *   status: string|null,
  *   startedAt: string|null,
+ *   updatedAt: string|null,
  *   fileName: string|null,
  *   totalChunks: number,
  *   currentChunk: number,
@@ -167,59 +207,35 @@ function clearUploadState() {
  *   dbProgress: number|null,
  *   error: string|null,
  *   stagingId: string|null
- * }}
+ * } | null} null when this process does not track the upload
  */
-function getUploadState() {
-  return {
-    active: uploadState.active,
-    uploadId: uploadState.uploadId,
-    status: uploadState.status,
-    startedAt: uploadState.startedAt ? uploadState.startedAt.toISOString() : null,
-    fileName: uploadState.fileName,
-    totalChunks: uploadState.totalChunks,
-    currentChunk: uploadState.currentChunk,
-    uploadProgress: uploadState.uploadProgress,
-    dbProgress: uploadState.dbProgress,
-    error: uploadState.error,
-    stagingId: uploadState.stagingId,
-  };
+function getUploadState(uploadId) {
+  const st = uploadStates.get(String(uploadId));
+  return st ? formatUploadState(st) : null;
 }
 
 /**
- * @returns {{
- *   isProcessing: boolean,
- *   startedAt: string|null,
- *   total: number,
- *   processed: number,
- *   failed: number,
- *   currentStagingId: string|null,
- *   items: Array<{ stagingId: string, title: string, filename: string }>,
- *   upload: ReturnType<typeof getUploadState>
- * }}
+ * All tracked uploads in this process, most recently updated first.
+ * @param {{ activeOnly?: boolean }} [opts]
  */
-function getState() {
-  return {
-    isProcessing: state.isProcessing,
-    startedAt: state.startedAt ? state.startedAt.toISOString() : null,
-    lastUpdatedAt: state.lastUpdatedAt ? state.lastUpdatedAt.toISOString() : null,
-    total: state.total,
-    processed: state.processed,
-    failed: state.failed,
-    currentStagingId: state.currentStagingId,
-    items: [...state.items],
-    upload: getUploadState(),
-  };
+function listUploadStates({ activeOnly = false } = {}) {
+  pruneUploadStates();
+  return [...uploadStates.values()]
+    .filter((st) => !activeOnly || st.active)
+    .sort((a, b) => (b.updatedAt?.getTime() ?? 0) - (a.updatedAt?.getTime() ?? 0))
+    .map(formatUploadState);
 }
 
 module.exports = {
-  tryStartRun,
-  updateProgress,
-  endRun,
-  getState,
   setUploadState,
   clearUploadState,
   getUploadState,
+  listUploadStates,
+  DOWNLOAD_JOB_LEASE_MS,
   tryStartDownloadJob,
+  renewDownloadJob,
   endDownloadJob,
   isDownloadJobRunning,
+  getCurrentDownloadJobId,
+  getDownloadJobLock,
 };
@@ -0,0 +1,82 @@
+/**
+ * Retry policy for staging videos that failed to upload to Abyss.
+ * - Quota failures (storage_fail / daily_fail / max_upload_fail) wait for the Abyss daily window to reset.
+ * - Generic 'error' docs back off exponentially and stop after STAGING_RETRY_MAX_ATTEMPTS.
+ * The scheduler that acts on this lives in stagingJobRunner.helper.
+ */
+require('dotenv').config();
+
+const QUOTA_FAIL_STATUSES = ['storage_fail', 'daily_fail', 'max_upload_fail'];
+
+const MAX_ATTEMPTS = Math.max(1, parseInt(process.env.STAGING_RETRY_MAX_ATTEMPTS, 10) || 5);
+const BASE_BACKOFF_MS = parseInt(process.env.STAGING_RETRY_BASE_MS, 10) || 15 * 60 * 1000; // 15 min
+const MAX_BACKOFF_MS = parseInt(process.env.STAGING_RETRY_MAX_BACKOFF_MS, 10) || 24 * 60 * 60 * 1000; // 24h
+/** Hour (UTC, 0-23) at which the Abyss daily upload quota resets when account info does not say. */
+const DAILY_RESET_UTC_HOUR = Math.min(23, Math.max(0, parseInt(process.env.ABYSS_DAILY_RESET_UTC_HOUR, 10) || 0));
+/** How often the scheduler checks for due retries. */
+const RETRY_INTERVAL_MS = parseInt(process.env.STAGING_RETRY_INTERVAL_MS, 10) || 5 * 60 * 1000; // 5 min
+
+/**
+ * Delay before the next attempt of an 'error' doc: base * 2^(attempts-1), capped.
+ * @param {number} attempts - failed attempts so far (including the one that just failed)
+ * @returns {number} ms
+ */
+function getBackoffMs(attempts) {
+  const n = Math.max(1, attempts);
+  return Math.min(MAX_BACKOFF_MS, BASE_BACKOFF_MS * 2 ** (n - 1));
+}
+
+/**
+ * When to retry an 'error' doc, or null when attempts are exhausted.
+ * @param {number} attempts - failed attempts so far (including the one that just failed)
+ * @param {Date} [now]
+ * @returns {Date|null}
+ */
+function getNextErrorAttemptAt(attempts, now = new Date()) {
+  if (attempts >= MAX_ATTEMPTS) return null;
+  return new Date(now.getTime() + getBackoffMs(attempts));
+}
+
+/**
+ * Next reset of the Abyss daily window. Uses the account info reset time when present,
+ * otherwise the next DAILY_RESET_UTC_HOUR:00 UTC.
+ * @param {object} [accountInfo] - raw getAccountInfo() result
+ * @param {Date} [now]
+ * @returns {Date}
+ */
+function getNextDailyReset(accountInfo, now = new Date()) {
+  const data = accountInfo?.data ?? accountInfo ?? {};
+  const raw = data.daily?.resetAt ?? data.daily?.reset_at ?? data.dailyResetAt ?? null;
+  if (raw != null) {
+    const d = new Date(raw);
+    if (!Number.isNaN(d.getTime()) && d.getTime() > now.getTime()) return d;
+  }
+  const reset = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate(), DAILY_RESET_UTC_HOUR));
+  if (reset.getTime() <= now.getTime()) reset.setUTCDate(reset.getUTCDate() + 1);
+  return reset;
+}
+
+/**
+ * Mongo filter for failed staging docs whose retry is due (used by scheduled runs).
+ * @param {Date} [now]
+ * @returns {object}
+ */
+function buildDueRetryFilter(now = new Date()) {
+  const due = { $or: [{ nextAttemptAt: null }, { nextAttemptAt: { $lte: now } }] };
+  return {
+    $or: [
+      { status: { $in: QUOTA_FAIL_STATUSES }, ...due },
+      { status: 'error', attempts: { $lt: MAX_ATTEMPTS }, ...due },
+    ],
+  };
+}
+
+module.exports = {
+  QUOTA_FAIL_STATUSES,
+  MAX_ATTEMPTS,
+  RETRY_INTERVAL_MS,
+  getBackoffMs,
+  getNextErrorAttemptAt,
+  getNextDailyReset,
+  buildDueRetryFilter,
+};
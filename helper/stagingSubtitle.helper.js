@@ -0,0 +1,102 @@
+/**
+ * StagingSubtitle → video host: render the stored file (normalized to SRT, timing correction applied) and send it.
+ * Sent subtitles keep their doc and GridFS file (status 'uploaded') so a timing fix can be re-applied and re-sent later;
+ * the host has no download endpoint to fetch an attached subtitle back.
+ */
+const mongoose = require('mongoose');
+const StagingSubtitleModel = require('../model/stagingSubtitle.model');
+const UploadedVideoModel = require('../model/uploadedVideo.model');
+const { getBucket, getSubtitleBuffer } = require('../model/subtitleGridFs.model');
+const { getProviderFor } = require('./videoHost.helper');
+const { parseSubtitle, buildSrt, applyTimingCorrection, SubtitleFormatError } = require('./subtitle.helper');
+
+/**
+ * Store a subtitle file in the stagingSubtitles bucket.
+ * @returns {Promise<import('mongoose').Types.ObjectId>} GridFS file id
+ */
+async function writeSubtitleFile(filename, buffer, contentType) {
+  const uploadStream = getBucket().openUploadStream(filename, { metadata: { contentType } });
+  await new Promise((resolve, reject) => {
+    uploadStream.on('finish', resolve);
+    uploadStream.on('error', reject);
+    uploadStream.end(buffer);
+  });
+  return uploadStream.id;
+}
+
+/**
+ * Delete a staged subtitle doc and its GridFS file.
+ * @param {object} doc - StagingSubtitle (lean)
+ */
+async function deleteStagingSubtitle(doc) {
+  await getBucket().delete(doc.gridFsFileId).catch(() => {}); // file may already be gone
+  await StagingSubtitleModel.deleteOne({ _id: doc._id });
+}
+
+/**
+ * @param {string} id
+ * @returns {Promise<object|null>} StagingSubtitle (lean)
+ */
+async function getStagingSubtitleById(id) {
+  if (!mongoose.Types.ObjectId.isValid(id)) return null;
+  return StagingSubtitleModel.findById(id).lean();
+}
+
+/**
+ * Cues of a staged subtitle as they will be sent: parsed and cleaned, then shifted by the given (or stored) correction.
+ * @param {object} doc - StagingSubtitle (lean)
+ * @param {object|null} [correction] - defaults to doc.timingCorrection
+ * @returns {Promise<{ cues: object[], original: object[], format: string, encoding: string, warnings: string[] }>}
+ * @throws {SubtitleFormatError} when the stored file is missing or cannot be parsed
+ */
+async function renderStagingSubtitle(doc, correction = doc.timingCorrection) {
+  const buffer = await getSubtitleBuffer(doc.gridFsFileId);
+  if (!buffer?.length) throw new SubtitleFormatError('Subtitle file missing from GridFS');
+  const parsed = parseSubtitle(buffer);
+  return { ...parsed, original: parsed.cues, cues: applyTimingCorrection(parsed.cues, correction) };
+}
+
+/**
+ * The uploaded video a staged subtitle belongs to (uploadedVideoId, else first video of the TMDB id).
+ * @param {object} doc - StagingSubtitle (lean)
+ */
+function findSubtitleVideo(doc) {
+  return doc.uploadedVideoId
+    ? UploadedVideoModel.findById(doc.uploadedVideoId)
+    : UploadedVideoModel.findOne({ externalId: doc.tmdbId });
+}
+
+/**
+ * Render and send a staged subtitle to the host of uploadedVideo, then mark it 'uploaded'.
+ * @param {object} doc - StagingSubtitle (lean)
+ * @param {object} uploadedVideo - UploadedVideo
+ * @returns {Promise<{ cues: number, filename: string }>}
+ * @throws {SubtitleFormatError} when the file cannot be parsed (host errors are thrown as-is)
+ */
+async function sendStagingSubtitle(doc, uploadedVideo) {
+  const { cues } = await renderStagingSubtitle(doc);
+  if (!cues.length) throw new SubtitleFormatError('No cues left after timing correction');
+  const filename = `${(doc.filename || doc.language).replace(/\.[^.]+$/, '')}.srt`;
+  await getProviderFor(uploadedVideo).putSubtitle(uploadedVideo.abyssSlug, Buffer.from(buildSrt(cues), 'utf8'), {
+    language: doc.language,
+    filename,
+  });
+  await StagingSubtitleModel.updateOne(
+    { _id: doc._id },
+    { $set: { status: 'uploaded', errorMessage: null, uploadedToSlug: uploadedVideo.abyssSlug, uploadedAt: new Date() } }
+  );
+  await UploadedVideoModel.updateOne(
+    { _id: uploadedVideo._id },
+    { $addToSet: { 'subtitle.downloadedSubtitles': doc.language } }
+  );
+  return { cues: cues.length, filename };
+}
+
+module.exports = {
+  writeSubtitleFile,
+  deleteStagingSubtitle,
+  getStagingSubtitleById,
+  renderStagingSubtitle,
+  findSubtitleVideo,
+  sendStagingSubtitle,
+};
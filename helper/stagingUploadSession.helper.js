@@ -0,0 +1,231 @@
+/**
+ * Persistent chunked-upload sessions for POST /api/staging/upload-chunk.
+ * Each chunk is written at its byte offset (chunkIndex * chunkSize) so chunks may arrive in any order;
+ * the received set lives in Mongo (StagingUploadSession) so uploads survive a backend restart.
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+require('dotenv').config();
+const StagingUploadSessionModel = require('../model/stagingUploadSession.model');
+
+/** Directory for chunk temp files. Point it at a persistent volume if the host wipes os.tmpdir() on restart. */
+const UPLOAD_TMP_DIR = process.env.STAGING_UPLOAD_TMP_DIR || os.tmpdir();
+/** An 'assembling' session not touched for this long is considered crashed and may be assembled again. */
+const ASSEMBLE_STALE_MS = 10 * 60 * 1000;
+/** A session (any status) not touched for this long is abandoned: its doc and temp file are swept. */
+const SESSION_TTL_MS = parseInt(process.env.STAGING_UPLOAD_SESSION_TTL_MS, 10) || 24 * 60 * 60 * 1000; // 24h
+const SWEEP_INTERVAL_MS = parseInt(process.env.STAGING_UPLOAD_SWEEP_INTERVAL_MS, 10) || 60 * 60 * 1000; // 1h
+
+let sweepInterval = null;
+
+function safeUploadId(id) {
+  return String(id).replace(/[^a-zA-Z0-9-_]/g, '') || 'unknown';
+}
+
+/** Indexes in [0, totalChunks) not yet received. */
+function getMissingChunks(session) {
+  const received = new Set(session.receivedChunks || []);
+  const missing = [];
+  for (let i = 0; i < session.totalChunks; i++) {
+    if (!received.has(i)) missing.push(i);
+  }
+  return missing;
+}
+
+async function getSession(uploadId) {
+  return StagingUploadSessionModel.findOne({ uploadId: safeUploadId(uploadId) }).lean();
+}
+
+/**
+ * Load the session for uploadId or create it from the first chunk request that arrives (any index).
+ * If the temp file vanished (e.g. tmp wiped on restart), the received set is reset so the client re-sends everything.
+ * A whole-file sha256 may arrive with any chunk; it is recorded once and never overwritten.
+ * @param {string} uploadId
+ * @param {{ totalChunks: number, chunkSize?: number|null, totalSize?: number|null, sha256?: string|null, meta: object, ext: string }} init
+ * @returns {Promise<object>} session (lean)
+ */
+async function getOrCreateSession(uploadId, { totalChunks, chunkSize = null, totalSize = null, sha256 = null, meta, ext }) {
+  const key = safeUploadId(uploadId);
+  const filePath = path.join(UPLOAD_TMP_DIR, `staging-append-${key}${ext || '.mp4'}`);
+  let session;
+  try {
+    session = await StagingUploadSessionModel.findOneAndUpdate(
+      { uploadId: key },
+      { $setOnInsert: { uploadId: key, filePath, totalChunks, chunkSize, totalSize, sha256, meta, receivedChunks: [], status: 'receiving' } },
+      { upsert: true, new: true }
+    ).lean();
+  } catch (err) {
+    // Two first chunks raced on the upsert; the other one created it.
+    if (err?.code !== 11000) throw err;
+    session = await StagingUploadSessionModel.findOne({ uploadId: key }).lean();
+  }
+  if (sha256 && !session.sha256) {
+    session = await StagingUploadSessionModel.findOneAndUpdate(
+      { _id: session._id, sha256: null },
+      { $set: { sha256 } },
+      { new: true }
+    ).lean() || await StagingUploadSessionModel.findById(session._id).lean();
+  }
+  if (session.status === 'receiving' && session.receivedChunks.length > 0) {
+    const exists = await fs.promises.access(session.filePath).then(() => true).catch(() => false);
+    if (!exists) {
+      return StagingUploadSessionModel.findByIdAndUpdate(session._id, { $set: { receivedChunks: [] } }, { new: true }).lean();
+    }
+  }
+  return session;
+}
+
+/**
+ * Write a chunk buffer into the session's temp file at the given byte offset (file is created if missing).
+ */
+async function writeChunkAt(session, buffer, offset) {
+  const handle = await fs.promises.open(session.filePath, fs.constants.O_RDWR | fs.constants.O_CREAT);
+  try {
+    let written = 0;
+    while (written < buffer.length) {
+      const { bytesWritten } = await handle.write(buffer, written, buffer.length - written, offset + written);
+      written += bytesWritten;
+    }
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Record a chunk as received (idempotent) and remember the nominal chunk size.
+ * @returns {Promise<object>} updated session (lean)
+ */
+async function markChunkReceived(session, chunkIndex, chunkSize) {
+  const set = {};
+  if (session.chunkSize == null && chunkSize != null) set.chunkSize = chunkSize;
+  return StagingUploadSessionModel.findByIdAndUpdate(
+    session._id,
+    { $addToSet: { receivedChunks: chunkIndex }, ...(Object.keys(set).length && { $set: set }) },
+    { new: true }
+  ).lean();
+}
+
+/**
+ * Atomically move a complete session to 'assembling'. Only one request wins; a stale 'assembling'
+ * session (process died mid-assembly) can be claimed again.
+ * @returns {Promise<object|null>} claimed session or null
+ */
+async function claimAssembly(session) {
+  const staleBefore = new Date(Date.now() - ASSEMBLE_STALE_MS);
+  return StagingUploadSessionModel.findOneAndUpdate(
+    {
+      _id: session._id,
+      $or: [{ status: 'receiving' }, { status: 'assembling', updatedAt: { $lt: staleBefore } }],
+    },
+    { $set: { status: 'assembling', errorMessage: null } },
+    { new: true }
+  ).lean();
+}
+
+async function completeSession(session, stagingId) {
+  await StagingUploadSessionModel.updateOne({ _id: session._id }, { $set: { status: 'done', stagingId } });
+  await fs.promises.unlink(session.filePath).catch(() => {});
+}
+
+async function failSession(session, errorMessage) {
+  await StagingUploadSessionModel.updateOne({ _id: session._id }, { $set: { status: 'error', errorMessage } });
+  await fs.promises.unlink(session.filePath).catch(() => {});
+}
+
+/**
+ * Upload progress derived from a session doc, for uploads this process does not track in memory
+ * (another instance, or before a restart). Prefers the mirrored progress snapshot when present.
+ * Same shape as stagingProcessState.helper getUploadState().
+ */
+function sessionToUploadState(session) {
+  const received = (session.receivedChunks || []).length;
+  const derivedStatus = { receiving: 'uploading', assembling: 'writing' }[session.status] || session.status;
+  const base = {
+    active: session.status === 'receiving' || session.status === 'assembling',
+    uploadId: session.uploadId,
+    status: derivedStatus,
+    startedAt: session.createdAt ? new Date(session.createdAt).toISOString() : null,
+    updatedAt: session.updatedAt ? new Date(session.updatedAt).toISOString() : null,
+    fileName: session.meta?.filename ?? null,
+    totalChunks: session.totalChunks,
+    currentChunk: received,
+    uploadProgress: session.totalChunks > 0 ? Math.round((received / session.totalChunks) * 100) : null,
+    dbProgress: session.status === 'done' ? 100 : null,
+    error: session.errorMessage ?? null,
+    stagingId: session.stagingId ?? null,
+  };
+  // The mirrored snapshot has byte/DB progress; once the session is closed its own status wins.
+  return base.active && session.progress ? { ...base, ...session.progress, active: true } : base;
+}
+
+/**
+ * Sessions still receiving chunks or being assembled, newest activity first.
+ */
+async function listOpenSessions() {
+  return StagingUploadSessionModel.find({ status: { $in: ['receiving', 'assembling'] } })
+    .sort({ updatedAt: -1 })
+    .lean();
+}
+
+/**
+ * Delete every session and its temp file (used by purge-all-uploads).
+ * @returns {Promise<number>} sessions deleted
+ */
+async function purgeSessions() {
+  const sessions = await StagingUploadSessionModel.find({}).select('filePath').lean();
+  for (const s of sessions) {
+    await fs.promises.unlink(s.filePath).catch(() => {});
+  }
+  const result = await StagingUploadSessionModel.deleteMany({});
+  return result.deletedCount ?? 0;
+}
+
+/**
+ * Delete sessions whose updatedAt is older than SESSION_TTL_MS and unlink their temp files.
+ * Chunks of an abandoned upload can add up to several GB in UPLOAD_TMP_DIR.
+ * @returns {Promise<number>} sessions deleted
+ */
+async function sweepStaleSessions() {
+  const staleBefore = new Date(Date.now() - SESSION_TTL_MS);
+  const sessions = await StagingUploadSessionModel.find({ updatedAt: { $lt: staleBefore } }).select('filePath').lean();
+  if (sessions.length === 0) return 0;
+  for (const s of sessions) {
+    await fs.promises.unlink(s.filePath).catch(() => {});
+  }
+  // Re-check updatedAt so a chunk that arrived meanwhile keeps its session.
+  const result = await StagingUploadSessionModel.deleteMany({
+    _id: { $in: sessions.map((s) => s._id) },
+    updatedAt: { $lt: staleBefore },
+  });
+  const deleted = result.deletedCount ?? 0;
+  if (deleted > 0) console.log(`[STAGING_CHUNK] swept ${deleted} abandoned upload session(s)`);
+  return deleted;
+}
+
+function initUploadSessionSweeper() {
+  if (sweepInterval) return;
+  const tick = () => sweepStaleSessions().catch((err) => console.error('[STAGING_CHUNK] session sweep failed:', err?.message));
+  tick();
+  sweepInterval = setInterval(tick, SWEEP_INTERVAL_MS);
+  sweepInterval.unref();
+}
+
+module.exports = {
+  UPLOAD_TMP_DIR,
+  SESSION_TTL_MS,
+  safeUploadId,
+  getMissingChunks,
+  getSession,
+  getOrCreateSession,
+  writeChunkAt,
+  markChunkReceived,
+  claimAssembly,
+  completeSession,
+  failSession,
+  sessionToUploadState,
+  listOpenSessions,
+  purgeSessions,
+  sweepStaleSessions,
+  initUploadSessionSweeper,
+};
@@ -2,17 +2,21 @@ const { Readable, Transform } = require('stream');
 const mongoose = require('mongoose');
 const { getBucket, getFilesCollection } = require('../model/videoGridFs.model');
 const StagingVideoModel = require('../model/stagingVideo.model');
+const { ChecksumMismatchError, createSha256Transform, findDuplicateBySha256 } = require('./checksum.helper');
+const { probeGridFsFile } = require('./videoProbe.helper');
 
 const ALLOWED_TYPES = ['video/mp4', 'video/webm', 'video/x-matroska'];
 const MAX_SIZE_BYTES = 15 * 1024 * 1024 * 1024; // 15GB
 
 /**
  * Same as createStagingVideo but streams from readStream in chunks and calls onProgress(percent) so the server can report DB write progress.
- * @param {{ readStream: NodeJS.ReadableStream, mimetype: string, originalname: string, size: number, tmdbId?: number, imdbId?: string, title?: string, posterPath?: string, mediaType?: 'movie'|'tv', seasonNumber?: number, episodeNumber?: number }}
+ * The SHA-256 is computed while streaming; when expectedSha256 is given and differs, the GridFS file is removed and ChecksumMismatchError is thrown.
+ * @param {{ readStream: NodeJS.ReadableStream, mimetype: string, originalname: string, size: number, expectedSha256?: string|null, tmdbId?: number, imdbId?: string, title?: string, posterPath?: string, mediaType?: 'movie'|'tv', seasonNumber?: number, episodeNumber?: number, durationSec?: number|null }}
  * @param {(percent: number) => void} onProgress - called with 0-100 as bytes are written to GridFS
+ * @returns {Promise<{ stagingId: string, gridFsFileId: string, sha256: string, duplicate: object|null }>}
  */
 async function createStagingVideoWithProgress(
-  { readStream, mimetype, originalname, size, tmdbId = null, imdbId = null, title = '', posterPath = null, mediaType = 'movie', seasonNumber = null, episodeNumber = null },
+  { readStream, mimetype, originalname, size, expectedSha256 = null, tmdbId = null, imdbId = null, title = '', posterPath = null, mediaType = 'movie', seasonNumber = null, episodeNumber = null, durationSec = null },
   onProgress
 ) {
   if (!ALLOWED_TYPES.includes(mimetype)) {
@@ -36,20 +40,32 @@ async function createStagingVideoWithProgress(
     },
   });
 
+  const hashTransform = createSha256Transform();
+
   await new Promise((resolve, reject) => {
-    readStream.pipe(progressTransform).pipe(uploadStream);
+    readStream.pipe(hashTransform).pipe(progressTransform).pipe(uploadStream);
     uploadStream.on('finish', () => resolve(uploadStream.id));
     uploadStream.on('error', reject);
     readStream.on('error', reject);
   });
 
+  const gridFsFileId = uploadStream.id;
+  const sha256 = hashTransform.digest();
+  if (expectedSha256 && expectedSha256 !== sha256) {
+    await bucket.delete(gridFsFileId).catch(() => {});
+    throw new ChecksumMismatchError('file', expectedSha256, sha256);
+  }
+
   if (typeof onProgress === 'function') onProgress(100);
 
-  const gridFsFileId = uploadStream.id;
+  const duplicate = await findDuplicateBySha256(sha256);
+  // Probe failures are recorded in probe.error and never fail the ingest.
+  const probe = await probeGridFsFile(gridFsFileId);
   const stagingPayload = {
     gridFsFileId,
     filename,
     size,
+    sha256,
     contentType: mimetype,
     tmdbId,
     imdbId,
@@ -57,6 +73,8 @@ async function createStagingVideoWithProgress(
     title,
     status: 'pending',
     mediaType: mediaType === 'tv' ? 'tv' : 'movie',
+    clientDurationSec: durationSec > 0 ? durationSec : null,
+    probe,
   };
   if (mediaType === 'tv' && seasonNumber != null) stagingPayload.seasonNumber = seasonNumber;
   if (mediaType === 'tv' && episodeNumber != null) stagingPayload.episodeNumber = episodeNumber;
@@ -65,18 +83,20 @@ async function createStagingVideoWithProgress(
   return {
     stagingId: staging._id.toString(),
     gridFsFileId: gridFsFileId.toString(),
+    sha256,
+    duplicate,
   };
 }
 
 /**
  * Stream upload to GridFS without knowing size upfront (e.g. from multipart stream).
- * Counts bytes as it streams; calls onProgress(percent) with 0 until end then 100.
- * @param {{ readStream: NodeJS.ReadableStream, mimetype: string, originalname: string, tmdbId?: number, imdbId?: string, title?: string, posterPath?: string, mediaType?: 'movie'|'tv', seasonNumber?: number, episodeNumber?: number }}
+ * Counts bytes and computes the SHA-256 as it streams; calls onProgress(percent) with 0 until end then 100.
+ * @param {{ readStream: NodeJS.ReadableStream, mimetype: string, originalname: string, expectedSha256?: string|null, tmdbId?: number, imdbId?: string, title?: string, posterPath?: string, mediaType?: 'movie'|'tv', seasonNumber?: number, episodeNumber?: number, durationSec?: number|null }}
  * @param {(percent: number) => void} onProgress
- * @returns {Promise<{ stagingId: string, gridFsFileId: string, size: number }>}
+ * @returns {Promise<{ stagingId: string, gridFsFileId: string, size: number, sha256: string, duplicate: object|null }>}
  */
 async function createStagingVideoFromStream(
-  { readStream, mimetype, originalname, tmdbId = null, imdbId = null, title = '', posterPath = null, mediaType = 'movie', seasonNumber = null, episodeNumber = null },
+  { readStream, mimetype, originalname, expectedSha256 = null, tmdbId = null, imdbId = null, title = '', posterPath = null, mediaType = 'movie', seasonNumber = null, episodeNumber = null, durationSec = null },
   onProgress
 ) {
   if (!ALLOWED_TYPES.includes(mimetype)) {
@@ -100,6 +120,7 @@ async function createStagingVideoFromStream(
     title,
     status: 'writing',
     mediaType: mediaType === 'tv' ? 'tv' : 'movie',
+    clientDurationSec: durationSec > 0 ? durationSec : null,
   };
   if (mediaType === 'tv' && seasonNumber != null) stagingPayload.seasonNumber = seasonNumber;
   if (mediaType === 'tv' && episodeNumber != null) stagingPayload.episodeNumber = episodeNumber;
@@ -114,9 +135,11 @@ async function createStagingVideoFromStream(
     },
   });
 
+  const hashTransform = createSha256Transform();
+
   try {
     await new Promise((resolve, reject) => {
-      readStream.pipe(progressTransform).pipe(uploadStream);
+      readStream.pipe(hashTransform).pipe(progressTransform).pipe(uploadStream);
       uploadStream.on('finish', () => resolve(uploadStream.id));
       uploadStream.on('error', reject);
       readStream.on('error', reject);
@@ -139,17 +162,31 @@ async function createStagingVideoFromStream(
     );
     throw new Error(`Video too large. Max ${MAX_SIZE_BYTES / 1024 / 1024 / 1024}GB`);
   }
+  const sha256 = hashTransform.digest();
+  if (expectedSha256 && expectedSha256 !== sha256) {
+    const err = new ChecksumMismatchError('file', expectedSha256, sha256);
+    await bucket.delete(gridFsFileId).catch(() => {});
+    await StagingVideoModel.updateOne(
+      { _id: staging._id },
+      { $set: { size, sha256, status: 'checksum_fail', errorMessage: err.message } }
+    );
+    throw err;
+  }
   if (typeof onProgress === 'function') onProgress(100);
 
+  const duplicate = await findDuplicateBySha256(sha256, { excludeStagingId: staging._id });
+  const probe = await probeGridFsFile(gridFsFileId);
   await StagingVideoModel.updateOne(
     { _id: staging._id },
-    { $set: { size, status: 'pending' } }
+    { $set: { size, sha256, probe, status: 'pending' } }
   );
 
   return {
     stagingId: staging._id.toString(),
     gridFsFileId: gridFsFileId.toString(),
     size,
+    sha256,
+    duplicate,
   };
 }
 
@@ -169,7 +206,8 @@ async function getStagingById(stagingId) {
 /**
  * Open a read stream for the video file (for uploading to Abyss or streaming).
  * @param {string} stagingId - StagingVideo _id
- * @returns {Promise<{ stream: Readable, contentType: string, filename: string } | null>}
+ * length is the stored GridFS file length (bytes), so the stream can be uploaded with a known Content-Length.
+ * @returns {Promise<{ stream: Readable, contentType: string, filename: string, length: number|null } | null>}
  */
 async function getStagingVideoStream(stagingId) {
   const staging = await getStagingById(stagingId);
@@ -191,7 +229,9 @@ async function getStagingVideoStream(stagingId) {
   const contentType = fileDoc.metadata?.contentType || staging.contentType || 'video/mp4';
   const filename = staging.filename || fileDoc.filename || 'video.mp4';
 
-  return { stream, contentType, filename };
+  const length = Number.isFinite(fileDoc.length) ? fileDoc.length : null;
+
+  return { stream, contentType, filename, length };
 }
 
 /**
@@ -231,6 +271,17 @@ async function updateStaging(stagingId, update) {
   return StagingVideoModel.findByIdAndUpdate(id, update, { new: true }).lean();
 }
 
+/**
+ * Probe the staged file again (e.g. docs ingested before probing existed) and store the result.
+ * @returns {Promise<object|null>} the updated doc, or null when not found
+ */
+async function reprobeStaging(stagingId) {
+  const staging = await getStagingById(stagingId);
+  if (!staging?.gridFsFileId) return null;
+  const probe = await probeGridFsFile(staging.gridFsFileId);
+  return StagingVideoModel.findByIdAndUpdate(staging._id, { $set: { probe } }, { new: true }).lean();
+}
+
 /**
  * Delete staging document and its file from GridFS.
  */
@@ -256,6 +307,7 @@ module.exports = {
   getStagingVideoStream,
   listStaging,
   updateStaging,
+  reprobeStaging,
   deleteStaging,
   ALLOWED_TYPES,
   MAX_SIZE_BYTES,
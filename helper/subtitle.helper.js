@@ -0,0 +1,409 @@
+/**
+ * Subtitle text helpers: SRT building, ASS/SSA dialogue cleanup, language code mapping and normalization
+ * of any supported subtitle file (SRT, WebVTT, ASS/SSA, MicroDVD; UTF-8/UTF-16/Windows-1252) to clean UTF-8 SRT.
+ * Cues are plain objects { startMs, endMs, text } throughout.
+ */
+
+/** Error for subtitle files that cannot be decoded, parsed or yield no usable cues. */
+class SubtitleFormatError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SubtitleFormatError';
+    this.code = 'subtitle_invalid';
+  }
+}
+
+/** Frame rate assumed for MicroDVD files that do not declare one ({1}{1}23.976). */
+const MICRODVD_DEFAULT_FPS = 23.976;
+/** End time given to cues whose end is missing or not after their start. */
+const FALLBACK_CUE_MS = 2000;
+
+/** ISO 639-2 (terminology and bibliographic) → ISO 639-1, for the languages we see in video files. */
+const ISO639_2_TO_1 = {
+  eng: 'en', spa: 'es', fre: 'fr', fra: 'fr', ger: 'de', deu: 'de', ita: 'it', por: 'pt', jpn: 'ja', kor: 'ko',
+  chi: 'zh', zho: 'zh', ara: 'ar', rus: 'ru', hin: 'hi', dut: 'nl', nld: 'nl', pol: 'pl', swe: 'sv', dan: 'da',
+  fin: 'fi', nor: 'no', nob: 'no', nno: 'no', cze: 'cs', ces: 'cs', tur: 'tr', tha: 'th', vie: 'vi', ind: 'id',
+  rum: 'ro', ron: 'ro', gre: 'el', ell: 'el', heb: 'he', hun: 'hu', ukr: 'uk', may: 'ms', msa: 'ms', hrv: 'hr',
+  bul: 'bg', slo: 'sk', slk: 'sk', slv: 'sl', srp: 'sr', per: 'fa', fas: 'fa', ben: 'bn', tam: 'ta', tel: 'te',
+  mal: 'ml', urd: 'ur', lav: 'lv', lit: 'lt', est: 'et', bos: 'bs', sin: 'si', alb: 'sq', sqi: 'sq', ice: 'is',
+  isl: 'is', cat: 'ca', baq: 'eu', eus: 'eu', glg: 'gl', fil: 'tl', tgl: 'tl', mac: 'mk', mkd: 'mk', geo: 'ka',
+  kat: 'ka', arm: 'hy', hye: 'hy', kan: 'kn', mar: 'mr', guj: 'gu', pan: 'pa', nep: 'ne', khm: 'km', lao: 'lo',
+  bur: 'my', mya: 'my', wel: 'cy', cym: 'cy', gle: 'ga', afr: 'af', swa: 'sw', kaz: 'kk', uzb: 'uz', aze: 'az',
+  mon: 'mn', amh: 'am', som: 'so', yor: 'yo', zul: 'zu', lat: 'la', epo: 'eo', bel: 'be',
+};
+
+/**
+ * Normalize a language tag from a file or client to ISO 639-1 ("eng" → "en", "pt-BR" → "pt").
+ * @param {string} code
+ * @returns {string|null} null for unknown / undetermined languages
+ */
+function toIso6391(code) {
+  const base = String(code || '').trim().toLowerCase().split(/[-_]/)[0];
+  if (/^[a-z]{2}$/.test(base)) return base;
+  return ISO639_2_TO_1[base] || null;
+}
+
+function pad(n, width = 2) {
+  return String(n).padStart(width, '0');
+}
+
+/**
+ * @param {number} ms
+ * @returns {string} "HH:MM:SS,mmm"
+ */
+function formatSrtTime(ms) {
+  const total = Math.max(0, Math.round(ms));
+  const h = Math.floor(total / 3600000);
+  const m = Math.floor((total % 3600000) / 60000);
+  const s = Math.floor((total % 60000) / 1000);
+  return `${pad(h)}:${pad(m)}:${pad(s)},${pad(total % 1000, 3)}`;
+}
+
+/**
+ * Build an SRT file (LF line endings) from cues; empty cues are dropped and the rest renumbered.
+ * @param {Array<{ startMs: number, endMs: number, text: string }>} cues
+ * @returns {string}
+ */
+function buildSrt(cues) {
+  return cues
+    .filter((c) => c.text && c.text.trim())
+    .map((c, i) => `${i + 1}\n${formatSrtTime(c.startMs)} --> ${formatSrtTime(c.endMs)}\n${c.text.trim()}\n`)
+    .join('\n');
+}
+
+/**
+ * Plain text of an ASS/SSA dialogue: override blocks ({\i1}, {\pos(..)}) removed, \N / \n as line breaks, \h as space.
+ * @param {string} text
+ * @returns {string}
+ */
+function assDialogueText(text) {
+  return String(text || '')
+    .replace(/\{[^}]*\}/g, '')
+    .replace(/\\[Nn]/g, '\n')
+    .replace(/\\h/g, ' ')
+    .split('\n')
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .join('\n');
+}
+
+/**
+ * Text of a Matroska S_TEXT/ASS or S_TEXT/SSA block: "ReadOrder, Layer, Style, Name, MarginL, MarginR, MarginV, Effect, Text".
+ * @param {string} frame
+ * @returns {string}
+ */
+function matroskaAssBlockText(frame) {
+  const parts = String(frame).split(',');
+  return assDialogueText(parts.slice(8).join(','));
+}
+
+// — Normalization
+
+/** Windows-1252 characters in 0x80-0x9F (where it differs from Latin-1); TextDecoder may fall back to Latin-1 without full ICU. */
+const CP1252_HIGH = '\u20ac\u0081\u201a\u0192\u201e\u2026\u2020\u2021\u02c6\u2030\u0160\u2039\u0152\u008d\u017d\u008f'
+  + '\u0090\u2018\u2019\u201c\u201d\u2022\u2013\u2014\u02dc\u2122\u0161\u203a\u0153\u009d\u017e\u0178';
+
+function decodeWindows1252(buffer) {
+  let out = '';
+  for (const byte of buffer) out += byte >= 0x80 && byte <= 0x9f ? CP1252_HIGH[byte - 0x80] : String.fromCharCode(byte);
+  return out;
+}
+
+/**
+ * Decode a subtitle file: BOM first, then UTF-16 without BOM (NUL byte pattern), then strict UTF-8, else Windows-1252.
+ * @param {Buffer} buffer
+ * @returns {{ text: string, encoding: 'utf-8'|'utf-16le'|'utf-16be'|'windows-1252' }}
+ */
+function decodeSubtitleBuffer(buffer) {
+  const utf16be = (buf) => {
+    const swapped = Buffer.from(buf.subarray(0, buf.length - (buf.length % 2)));
+    swapped.swap16();
+    return swapped.toString('utf16le');
+  };
+  if (buffer[0] === 0xef && buffer[1] === 0xbb && buffer[2] === 0xbf) {
+    return { text: buffer.subarray(3).toString('utf8'), encoding: 'utf-8' };
+  }
+  if (buffer[0] === 0xff && buffer[1] === 0xfe) return { text: buffer.subarray(2).toString('utf16le'), encoding: 'utf-16le' };
+  if (buffer[0] === 0xfe && buffer[1] === 0xff) return { text: utf16be(buffer.subarray(2)), encoding: 'utf-16be' };
+
+  const sample = buffer.subarray(0, 4096);
+  let evenNul = 0;
+  let oddNul = 0;
+  for (let i = 0; i < sample.length; i++) {
+    if (sample[i] === 0) {
+      if (i % 2) oddNul++;
+      else evenNul++;
+    }
+  }
+  const half = sample.length / 2;
+  if (oddNul > half * 0.3 && evenNul < half * 0.05) return { text: buffer.toString('utf16le'), encoding: 'utf-16le' };
+  if (evenNul > half * 0.3 && oddNul < half * 0.05) return { text: utf16be(buffer), encoding: 'utf-16be' };
+
+  try {
+    return { text: new TextDecoder('utf-8', { fatal: true }).decode(buffer), encoding: 'utf-8' };
+  } catch {
+    return { text: decodeWindows1252(buffer), encoding: 'windows-1252' };
+  }
+}
+
+/**
+ * @param {string} text - decoded file
+ * @returns {'srt'|'webvtt'|'ass'|'microdvd'|null}
+ */
+function detectSubtitleFormat(text) {
+  const head = text.slice(0, 8192);
+  if (/^\s*WEBVTT/.test(head)) return 'webvtt';
+  if (/^\s*\[Script Info\]/im.test(head) || /^\[Events\]/im.test(text) || /^Dialogue:/m.test(head)) return 'ass';
+  if (/^\s*\{\d+\}\{\d*\}/m.test(head)) return 'microdvd';
+  if (/\d+:\d{2}[,.]\d{1,3}\s*-->/.test(head)) return 'srt';
+  return null;
+}
+
+/** "01:02:03,456", "01:02:03.456", "02:03.456" → ms */
+function parseTimestamp(value) {
+  const m = String(value).trim().match(/^(?:(\d+):)?(\d{1,2}):(\d{1,2})[,.](\d{1,3})$/);
+  if (!m) return null;
+  const ms = parseInt(m[4].padEnd(3, '0'), 10);
+  return ((parseInt(m[1] || '0', 10) * 60 + parseInt(m[2], 10)) * 60 + parseInt(m[3], 10)) * 1000 + ms;
+}
+
+/** SRT and WebVTT share the "start --> end" block layout; VTT headers, NOTE/STYLE/REGION blocks and cue settings are ignored. */
+function parseTimedBlocks(text) {
+  const cues = [];
+  for (const block of text.split(/\n[ \t]*\n/)) {
+    const lines = block.split('\n');
+    const timingIndex = lines.findIndex((l) => l.includes('-->'));
+    if (timingIndex === -1) continue;
+    const [startRaw, rest = ''] = lines[timingIndex].split('-->');
+    const startMs = parseTimestamp(startRaw);
+    const endMs = parseTimestamp(rest.trim().split(/\s+/)[0]);
+    if (startMs == null || endMs == null) continue;
+    cues.push({ startMs, endMs, text: lines.slice(timingIndex + 1).join('\n') });
+  }
+  return cues;
+}
+
+/** "H:MM:SS.cc" (ASS/SSA centiseconds) → ms */
+function parseAssTimestamp(value) {
+  const m = String(value).trim().match(/^(\d+):(\d{2}):(\d{2})[.:](\d{1,3})$/);
+  if (!m) return null;
+  const fraction = m[4].length === 3 ? parseInt(m[4], 10) : parseInt(m[4].padEnd(2, '0'), 10) * 10;
+  return ((parseInt(m[1], 10) * 60 + parseInt(m[2], 10)) * 60 + parseInt(m[3], 10)) * 1000 + fraction;
+}
+
+function parseAss(text) {
+  const cues = [];
+  let inEvents = false;
+  let format = ['layer', 'start', 'end', 'style', 'name', 'marginl', 'marginr', 'marginv', 'effect', 'text'];
+  for (const line of text.split('\n')) {
+    const section = line.match(/^\s*\[(.+)\]\s*$/);
+    if (section) {
+      inEvents = section[1].toLowerCase() === 'events';
+      continue;
+    }
+    if (!inEvents) continue;
+    const entry = line.match(/^(Format|Dialogue):\s*(.*)$/i);
+    if (!entry) continue;
+    if (entry[1].toLowerCase() === 'format') {
+      format = entry[2].split(',').map((f) => f.trim().toLowerCase());
+      continue;
+    }
+    const fields = entry[2].split(',');
+    const values = fields.slice(0, format.length - 1).concat(fields.slice(format.length - 1).join(','));
+    const get = (name) => values[format.indexOf(name)];
+    const raw = get('text') || '';
+    if (/\{[^}]*\\p[1-9]/.test(raw)) continue; // vector drawing, not text
+    const startMs = parseAssTimestamp(get('start'));
+    const endMs = parseAssTimestamp(get('end'));
+    if (startMs == null || endMs == null) continue;
+    cues.push({ startMs, endMs, text: assDialogueText(raw) });
+  }
+  return cues;
+}
+
+function parseMicroDvd(text, fps) {
+  const lines = text.split('\n').map((l) => l.trim()).filter(Boolean);
+  let frameRate = fps || MICRODVD_DEFAULT_FPS;
+  const cues = [];
+  for (const line of lines) {
+    const m = line.match(/^\{(\d+)\}\{(\d*)\}(.*)$/);
+    if (!m) continue;
+    const startFrame = parseInt(m[1], 10);
+    // {1}{1}23.976 declares the frame rate
+    if (cues.length === 0 && startFrame <= 1 && /^\d+(\.\d+)?$/.test(m[3].trim())) {
+      if (!fps) frameRate = parseFloat(m[3]);
+      continue;
+    }
+    const endFrame = m[2] ? parseInt(m[2], 10) : null;
+    cues.push({
+      startMs: (startFrame / frameRate) * 1000,
+      endMs: endFrame != null ? (endFrame / frameRate) * 1000 : null,
+      text: m[3].replace(/\{[^}]*\}/g, '').split('|').join('\n'),
+    });
+  }
+  return cues;
+}
+
+/**
+ * Cue text without styling: HTML-like tags (<i>, <font>, <c.x>, <v Name>), leftover ASS overrides ({\an8}),
+ * VTT entities decoded, blank lines and surrounding whitespace removed.
+ * @param {string} text
+ * @returns {string}
+ */
+function stripSubtitleTags(text) {
+  return String(text || '')
+    .replace(/<[^>]*>/g, '')
+    .replace(/\{\\[^}]*\}/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&')
+    .split('\n')
+    .map((line) => line.replace(/[ \t]+/g, ' ').trim())
+    .filter(Boolean)
+    .join('\n');
+}
+
+/**
+ * Sort cues by start, fix missing/negative durations (up to the next cue, at most FALLBACK_CUE_MS), drop empty
+ * and duplicate cues. Overlapping cues are kept (two speakers at once is valid SRT).
+ * @returns {{ cues: object[], warnings: string[] }}
+ */
+function fixCueTiming(input) {
+  const warnings = [];
+  let outOfOrder = 0;
+  for (let i = 1; i < input.length; i++) if (input[i].startMs < input[i - 1].startMs) outOfOrder++;
+  if (outOfOrder) warnings.push(`${outOfOrder} cue(s) out of order, sorted by start time`);
+
+  const sorted = input
+    .filter((c) => c.text && c.startMs != null && c.startMs >= 0)
+    .map((c, i) => ({ ...c, i }))
+    .sort((a, b) => a.startMs - b.startMs || a.i - b.i);
+
+  let fixed = 0;
+  let duplicates = 0;
+  const cues = [];
+  for (let i = 0; i < sorted.length; i++) {
+    const cue = sorted[i];
+    const prev = cues[cues.length - 1];
+    if (prev && prev.startMs === Math.round(cue.startMs) && prev.text === cue.text) {
+      duplicates++;
+      continue;
+    }
+    let endMs = cue.endMs;
+    if (endMs == null || endMs <= cue.startMs) {
+      const next = sorted[i + 1];
+      endMs = cue.startMs + (next && next.startMs > cue.startMs ? Math.min(FALLBACK_CUE_MS, next.startMs - cue.startMs) : FALLBACK_CUE_MS);
+      fixed++;
+    }
+    cues.push({ startMs: Math.round(cue.startMs), endMs: Math.round(endMs), text: cue.text });
+  }
+  if (fixed) warnings.push(`${fixed} cue(s) without a valid end time fixed`);
+  if (duplicates) warnings.push(`${duplicates} duplicate cue(s) removed`);
+  return { cues, warnings };
+}
+
+/**
+ * Parse a subtitle file into clean cues (tags stripped, timing fixed).
+ * @param {Buffer} buffer
+ * @param {{ fps?: number }} [options] - fps for MicroDVD files without a declared frame rate
+ * @returns {{ cues: Array<{ startMs: number, endMs: number, text: string }>, format: string, encoding: string, warnings: string[] }}
+ * @throws {SubtitleFormatError}
+ */
+function parseSubtitle(buffer, { fps = null } = {}) {
+  if (!buffer?.length) throw new SubtitleFormatError('Subtitle file is empty');
+  const decoded = decodeSubtitleBuffer(buffer);
+  const text = decoded.text.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+  const format = detectSubtitleFormat(text);
+  if (!format) throw new SubtitleFormatError('Unrecognised subtitle format (expected SRT, WebVTT, ASS/SSA or MicroDVD)');
+
+  let raw;
+  if (format === 'ass') raw = parseAss(text);
+  else if (format === 'microdvd') raw = parseMicroDvd(text, fps);
+  else raw = parseTimedBlocks(text);
+  const cleaned = raw.map((c) => ({ ...c, text: stripSubtitleTags(c.text) }));
+  const { cues, warnings } = fixCueTiming(cleaned);
+  if (!cues.length) throw new SubtitleFormatError(`No usable cues in ${format} subtitle`);
+  return { cues, format, encoding: decoded.encoding, warnings };
+}
+
+/**
+ * Convert any supported subtitle file to clean UTF-8 SRT.
+ * @param {Buffer} buffer
+ * @param {{ fps?: number }} [options]
+ * @returns {{ buffer: Buffer, format: string, encoding: string, cues: number, warnings: string[] }}
+ * @throws {SubtitleFormatError}
+ */
+function normalizeSubtitle(buffer, options) {
+  const { cues, format, encoding, warnings } = parseSubtitle(buffer, options);
+  return { buffer: Buffer.from(buildSrt(cues), 'utf8'), format, encoding, cues: cues.length, warnings };
+}
+
+// — Timing correction
+
+/**
+ * Validate a timing correction from a request body.
+ * offset: { mode: 'offset', offsetMs } shifts every cue.
+ * stretch: { mode: 'stretch', points: [{ fromMs, toMs }, { fromMs, toMs }] } maps two cue times (as in the file → as they
+ * should be) and moves everything else linearly, which also fixes frame-rate drift.
+ * @param {object} input
+ * @returns {{ correction: object|null, error: string|null }}
+ */
+function parseTimingCorrection(input) {
+  const mode = input?.mode || (Array.isArray(input?.points) ? 'stretch' : 'offset');
+  if (mode === 'offset') {
+    const offsetMs = Number(input?.offsetMs);
+    if (!Number.isFinite(offsetMs)) return { correction: null, error: 'offsetMs must be a number' };
+    return { correction: { mode, offsetMs: Math.round(offsetMs), points: [] }, error: null };
+  }
+  if (mode === 'stretch') {
+    const points = (Array.isArray(input?.points) ? input.points : []).map((p) => ({ fromMs: Number(p?.fromMs), toMs: Number(p?.toMs) }));
+    if (points.length !== 2 || points.some((p) => !Number.isFinite(p.fromMs) || !Number.isFinite(p.toMs))) {
+      return { correction: null, error: 'points must be two { fromMs, toMs } pairs' };
+    }
+    points.sort((a, b) => a.fromMs - b.fromMs);
+    if (points[1].fromMs - points[0].fromMs < 1000 || points[1].toMs <= points[0].toMs) {
+      return { correction: null, error: 'points must be at least 1s apart and keep their order' };
+    }
+    return { correction: { mode, offsetMs: 0, points: points.map((p) => ({ fromMs: Math.round(p.fromMs), toMs: Math.round(p.toMs) })) }, error: null };
+  }
+  return { correction: null, error: "mode must be 'offset' or 'stretch'" };
+}
+
+/**
+ * Apply a timing correction (see parseTimingCorrection). Cues pushed entirely before 0 are dropped, the rest clamped to 0.
+ * @param {Array<{ startMs: number, endMs: number, text: string }>} cues
+ * @param {object|null} correction
+ * @returns {Array<{ startMs: number, endMs: number, text: string }>}
+ */
+function applyTimingCorrection(cues, correction) {
+  if (!correction?.mode) return cues;
+  let map;
+  if (correction.mode === 'stretch') {
+    const [a, b] = correction.points;
+    const scale = (b.toMs - a.toMs) / (b.fromMs - a.fromMs);
+    map = (ms) => a.toMs + (ms - a.fromMs) * scale;
+  } else {
+    map = (ms) => ms + (correction.offsetMs || 0);
+  }
+  return cues
+    .map((c) => ({ ...c, startMs: Math.round(map(c.startMs)), endMs: Math.round(map(c.endMs)) }))
+    .filter((c) => c.endMs > 0)
+    .map((c) => ({ ...c, startMs: Math.max(0, c.startMs) }));
+}
+
+module.exports = {
+  SubtitleFormatError,
+  toIso6391,
+  formatSrtTime,
+  buildSrt,
+  assDialogueText,
+  matroskaAssBlockText,
+  decodeSubtitleBuffer,
+  detectSubtitleFormat,
+  stripSubtitleTags,
+  parseSubtitle,
+  normalizeSubtitle,
+  parseTimingCorrection,
+  applyTimingCorrection,
+};
@@ -0,0 +1,170 @@
+/**
+ * Extract text subtitle tracks (SRT / ASS / SSA / WebVTT) embedded in Matroska staging files, convert them
+ * to SRT in the stagingSubtitles bucket and create StagingSubtitle docs linked to the uploaded video.
+ * The process-subtitle webhook then attaches them to the video host like downloaded subtitles.
+ * Image subtitles (PGS, VobSub) would need OCR and are skipped, as are forced tracks and tracks without a language.
+ */
+const { Transform } = require('stream');
+const StagingSubtitleModel = require('../model/stagingSubtitle.model');
+const { createGridFsSource } = require('./videoProbe.helper');
+const { readMatroskaHeaders, forEachBlock, TEXT_SUBTITLE_CODECS } = require('./matroska.helper');
+const { toIso6391, buildSrt, matroskaAssBlockText } = require('./subtitle.helper');
+const { writeSubtitleFile } = require('./stagingSubtitle.helper');
+
+/** Display time for cues stored without a duration (SimpleBlock), unless the next cue starts earlier. */
+const DEFAULT_CUE_MS = 4000;
+
+/**
+ * Text subtitle tracks worth extracting, one per language (the default track wins, then the first one).
+ * @param {object[]} tracks - from readMatroskaHeaders
+ * @returns {Array<{ track: object, language: string }>}
+ */
+function pickSubtitleTracks(tracks) {
+  const byLanguage = new Map();
+  for (const track of tracks) {
+    if (track.type !== 'subtitle' || track.forced || !TEXT_SUBTITLE_CODECS.includes(track.codec)) continue;
+    const language = toIso6391(track.language);
+    if (!language) continue;
+    const current = byLanguage.get(language);
+    if (!current || (track.default && !current.track.default)) byLanguage.set(language, { track, language });
+  }
+  return [...byLanguage.values()];
+}
+
+function blockText(codec, frame) {
+  const text = frame.toString('utf8');
+  if (codec === 'ass' || codec === 'ssa') return matroskaAssBlockText(text);
+  if (codec === 'webvtt') return text.replace(/<[^>]+>/g, '').trim(); // voice/class spans are not valid SRT
+  return text.trim();
+}
+
+/**
+ * Give cues without a duration an end time (next cue start on the same track, at most DEFAULT_CUE_MS later).
+ * @param {Array<{ startMs: number, endMs: number|null, text: string }>} cues - sorted by startMs
+ */
+function fillCueEnds(cues) {
+  for (let i = 0; i < cues.length; i++) {
+    if (cues[i].endMs != null) continue;
+    const next = cues[i + 1];
+    const fallback = cues[i].startMs + DEFAULT_CUE_MS;
+    cues[i].endMs = next ? Math.min(fallback, Math.max(cues[i].startMs + 1, next.startMs)) : fallback;
+  }
+  return cues;
+}
+
+/**
+ * Prepare extracting the embedded text subtitles of a staged Matroska file from a read that happens anyway
+ * (the host upload), so the file is not read from GridFS a second time. Only the headers are read here.
+ * Pipe the whole file (from byte 0) through attach(source); once the source has ended, finish() stores the SRTs.
+ * A failing parser detaches itself and never stalls the source.
+ * @param {object} stagingDoc - StagingVideo (lean); must still have its GridFS file
+ * @returns {Promise<{ skipped: string[], attach?: (source: import('stream').Readable) => void,
+ *   finish?: (options?: { uploadedVideoId?: import('mongoose').Types.ObjectId|null }) => Promise<{
+ *   created: Array<{ language: string, cues: number, stagingSubtitleId: string }>, skipped: string[] }> }>}
+ *   attach/finish are missing when there is nothing to extract
+ */
+async function createSubtitleCollector(stagingDoc) {
+  const skipped = [];
+  const container = stagingDoc.probe?.container;
+  if (container ? !['matroska', 'webm'].includes(container) : stagingDoc.contentType !== 'video/x-matroska') {
+    return { skipped };
+  }
+
+  const source = await createGridFsSource(stagingDoc.gridFsFileId);
+  const headers = await readMatroskaHeaders(source);
+  const picked = pickSubtitleTracks(headers.tracks);
+  for (const track of headers.tracks.filter((t) => t.type === 'subtitle')) {
+    if (!picked.some((p) => p.track === track)) {
+      skipped.push(`track ${track.number} (${track.codec}, ${track.language}${track.forced ? ', forced' : ''})`);
+    }
+  }
+  if (!picked.length) return { skipped };
+
+  const existing = await StagingSubtitleModel.find({ stagingVideoId: stagingDoc._id, source: 'embedded' }).select('language').lean();
+  const tracks = picked.filter((p) => !existing.some((e) => e.language === p.language));
+  if (!tracks.length) return { skipped };
+
+  const cuesByTrack = new Map(tracks.map((p) => [p.track.number, []]));
+  const codecByTrack = new Map(tracks.map((p) => [p.track.number, p.track.codec]));
+
+  // forEachBlock wants the bytes from segmentDataStart on
+  let toSkip = headers.segmentDataStart;
+  const sink = new Transform({
+    transform(chunk, _encoding, callback) {
+      if (toSkip >= chunk.length) {
+        toSkip -= chunk.length;
+        return callback();
+      }
+      const rest = toSkip ? chunk.subarray(toSkip) : chunk;
+      toSkip = 0;
+      return callback(null, rest);
+    },
+  });
+  sink.on('error', () => {});
+  let attachedTo = null;
+  const parsing = forEachBlock(
+    sink,
+    { trackNumbers: [...cuesByTrack.keys()], timestampScale: headers.timestampScale },
+    ({ trackNumber, startMs, durationMs, frame }) => {
+      const text = blockText(codecByTrack.get(trackNumber), frame);
+      if (!text) return;
+      cuesByTrack.get(trackNumber).push({ startMs, endMs: durationMs != null ? startMs + durationMs : null, text });
+    }
+  )
+    .then(() => null, (err) => err)
+    .finally(() => {
+      // Parsing stopped (end of file, error, or nothing left to read): let the upload go on without us
+      if (attachedTo) attachedTo.unpipe(sink);
+      sink.resume();
+    });
+
+  return {
+    skipped,
+    attach(stream) {
+      attachedTo = stream;
+      // pipe() does not end the sink when the source fails or closes early; stop parsing so finish() settles
+      let ended = false;
+      stream.once('end', () => { ended = true; });
+      stream.once('error', (err) => sink.destroy(err));
+      stream.once('close', () => {
+        if (!ended) sink.destroy(new Error('Video stream closed before the end'));
+      });
+      stream.pipe(sink);
+    },
+    async finish({ uploadedVideoId = null } = {}) {
+      const parseError = await parsing;
+      if (parseError) throw parseError;
+      const result = { created: [], skipped };
+      const baseName = (stagingDoc.filename || 'video').replace(/\.[^.]+$/, '');
+      for (const { track, language } of tracks) {
+        const cues = fillCueEnds(cuesByTrack.get(track.number).sort((a, b) => a.startMs - b.startMs));
+        if (!cues.length) {
+          result.skipped.push(`track ${track.number} (${language}): no cues`);
+          continue;
+        }
+        const filename = `${baseName}.${language}.srt`;
+        const buffer = Buffer.from(buildSrt(cues), 'utf8');
+        const gridFsFileId = await writeSubtitleFile(filename, buffer, 'application/x-subrip');
+        const subtitle = await StagingSubtitleModel.create({
+          gridFsFileId,
+          filename,
+          size: buffer.length,
+          contentType: 'application/x-subrip',
+          language,
+          tmdbId: stagingDoc.tmdbId ?? null,
+          stagingVideoId: stagingDoc._id,
+          uploadedVideoId,
+          source: 'embedded',
+        });
+        result.created.push({ language, cues: cues.length, stagingSubtitleId: subtitle._id.toString() });
+      }
+      return result;
+    },
+  };
+}
+
+module.exports = {
+  pickSubtitleTracks,
+  fillCueEnds,
+  createSubtitleCollector,
+};
@@ -0,0 +1,123 @@
+/**
+ * Rank TMDB candidates for a parsed file name (see releaseName.helper) with a 0-1 confidence.
+ *
+ * confidence = 0.7 * title similarity (bigram Dice on normalized titles, best of title/original title)
+ *            + 0.2 * year (1 exact, 0.5 off by one, 0.5 when the file has no year, 0 otherwise)
+ *            + 0.1 * TMDB search rank (first result 1, then decreasing)
+ * TV candidates whose season/episode does not exist on TMDB are capped at 0.5.
+ * A top candidate is "confident" at MATCH_CONFIDENT_SCORE or more with a MATCH_CONFIDENT_MARGIN lead over the next one.
+ */
+require('dotenv').config();
+const { tmdbApi } = require('./api.helper');
+const { fetchTvDetails, getTvSeasonsSummary } = require('./tmdb.helper');
+const { normalizeTitle } = require('./releaseName.helper');
+
+const MATCH_CONFIDENT_SCORE = parseFloat(process.env.MATCH_CONFIDENT_SCORE) || 0.85;
+const MATCH_CONFIDENT_MARGIN = parseFloat(process.env.MATCH_CONFIDENT_MARGIN) || 0.1;
+/** TMDB results scored per search. */
+const SEARCH_RESULTS_SCORED = 10;
+/** TV candidates whose episode is checked against TMDB season data (one details call each). */
+const TV_EPISODE_CHECKS = 3;
+
+function bigrams(s) {
+  const grams = new Map();
+  for (let i = 0; i < s.length - 1; i++) {
+    const g = s.slice(i, i + 2);
+    grams.set(g, (grams.get(g) || 0) + 1);
+  }
+  return grams;
+}
+
+/**
+ * Dice coefficient on character bigrams of the normalized titles (1 = same title).
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} 0-1
+ */
+function titleSimilarity(a, b) {
+  const x = normalizeTitle(a);
+  const y = normalizeTitle(b);
+  if (!x || !y) return 0;
+  if (x === y) return 1;
+  if (x.length < 2 || y.length < 2) return 0;
+  const gx = bigrams(x);
+  const gy = bigrams(y);
+  let overlap = 0;
+  for (const [g, n] of gx) overlap += Math.min(n, gy.get(g) || 0);
+  return (2 * overlap) / (x.length - 1 + (y.length - 1));
+}
+
+function yearScore(fileYear, tmdbDate) {
+  if (fileYear == null) return 0.5;
+  if (!tmdbDate) return 0;
+  const diff = Math.abs(new Date(tmdbDate).getFullYear() - fileYear);
+  if (diff === 0) return 1;
+  if (diff === 1) return 0.5;
+  return 0;
+}
+
+const round = (n) => Math.round(n * 1000) / 1000;
+
+/**
+ * @param {{ title: string, year: number|null, seasonNumber: number|null, episodeNumber: number|null, mediaType: 'movie'|'tv' }} parsed
+ * @param {{ limit?: number }} [options]
+ * @returns {Promise<Array<{ tmdbId: number, mediaType: 'movie'|'tv', title: string, year: number|null, poster_path: string|null,
+ *   seasonNumber: number|null, episodeNumber: number|null, confidence: number }>>} best first
+ */
+async function rankTmdbCandidates(parsed, { limit = 5 } = {}) {
+  if (!parsed?.title) return [];
+  const isTv = parsed.mediaType === 'tv';
+  const res = await tmdbApi.get(isTv ? '/search/tv' : '/search/movie', {
+    params: { query: parsed.title, language: 'en-US', include_adult: false },
+  });
+  const results = (res.data?.results || []).slice(0, SEARCH_RESULTS_SCORED);
+
+  const candidates = results.map((r, i) => {
+    const names = isTv ? [r.name, r.original_name] : [r.title, r.original_title];
+    const date = isTv ? r.first_air_date : r.release_date;
+    const similarity = Math.max(...names.map((n) => titleSimilarity(parsed.title, n)));
+    const rankScore = 1 - i / SEARCH_RESULTS_SCORED;
+    return {
+      tmdbId: r.id,
+      mediaType: isTv ? 'tv' : 'movie',
+      title: (isTv ? r.name : r.title) ?? '',
+      year: date ? new Date(date).getFullYear() : null,
+      poster_path: r.poster_path ?? null,
+      seasonNumber: isTv ? parsed.seasonNumber : null,
+      episodeNumber: isTv ? parsed.episodeNumber : null,
+      confidence: 0.7 * similarity + 0.2 * yearScore(parsed.year, date) + 0.1 * rankScore,
+    };
+  });
+  candidates.sort((a, b) => b.confidence - a.confidence);
+
+  if (isTv && parsed.seasonNumber != null) {
+    for (const c of candidates.slice(0, TV_EPISODE_CHECKS)) {
+      const { seasons } = getTvSeasonsSummary(await fetchTvDetails(c.tmdbId));
+      const season = seasons.find((s) => s.season_number === parsed.seasonNumber);
+      const episodeExists = season && (parsed.episodeNumber == null || parsed.episodeNumber <= season.episode_count);
+      if (!episodeExists) c.confidence = Math.min(c.confidence, 0.5);
+    }
+    candidates.sort((a, b) => b.confidence - a.confidence);
+  }
+
+  return candidates.slice(0, limit).map((c) => ({ ...c, confidence: round(c.confidence) }));
+}
+
+/**
+ * Whether the best candidate is safe to accept without an admin looking at it.
+ * @param {Array<{ confidence: number }>} candidates - best first (rankTmdbCandidates)
+ * @returns {boolean}
+ */
+function isConfidentMatch(candidates) {
+  const [best, next] = candidates;
+  if (!best || best.confidence < MATCH_CONFIDENT_SCORE) return false;
+  return !next || best.confidence - next.confidence >= MATCH_CONFIDENT_MARGIN;
+}
+
+module.exports = {
+  MATCH_CONFIDENT_SCORE,
+  MATCH_CONFIDENT_MARGIN,
+  titleSimilarity,
+  rankTmdbCandidates,
+  isConfidentMatch,
+};
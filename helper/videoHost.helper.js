@@ -0,0 +1,77 @@
+/**
+ * Video-host providers: where uploaded videos (UploadedVideo) live once they leave staging.
+ * Routes and the staging job runner talk to a provider instead of calling abyss.helper directly,
+ * and each UploadedVideo records the provider that holds its file (UploadedVideo.provider).
+ *
+ * Provider contract (all methods async unless noted):
+ * - name: string (stored on UploadedVideo.provider), label: string (for logs/messages)
+ * - upload(stream, { filename, contentType, size, signal?, onProgress? }) → { fileId }
+ * - getStatus(fileId) → 'uploaded_not_ready' | 'ready'
+ * - deleteFile(fileId) → { success, message? }
+ * - renameFile(fileId, newName) → { success, data?, message? }
+ * - putSubtitle(fileId, buffer, { language, filename }) → provider response
+ * - listSubtitles(fileId) → Array<{ name?, language?, label? }>
+ * - getAccountInfo() → raw account info ({ data: { storage, daily, ... } } shape, see checkUploadQuota)
+ * - checkUploadQuota(accountInfo, sizeBytes) (sync) → { canUpload, failStatus }
+ * - getWatchLinks?(fileId) → Array<{ label, link }>; when absent, my_player servers are used with {slug} = fileId
+ */
+require('dotenv').config();
+const abyss = require('./abyss.helper');
+const localVideoHost = require('./localVideoHost.helper');
+
+const abyssProvider = {
+  name: 'abyss',
+  label: 'Abyss',
+  async upload(stream, opts) {
+    const { slug } = await abyss.uploadVideoToAbyss(stream, opts);
+    return { fileId: slug };
+  },
+  getStatus: (fileId) => abyss.getSlugStatus(fileId),
+  deleteFile: (fileId) => abyss.deleteAbyssVideoById(fileId),
+  renameFile: (fileId, newName) => abyss.putResource(fileId, newName),
+  putSubtitle: (fileId, buffer, opts) => abyss.putSubtitleToAbyss(fileId, buffer, opts),
+  listSubtitles: (fileId) => abyss.getVideoSubtitle(fileId),
+  getAccountInfo: () => abyss.getAccountInfo(),
+  checkUploadQuota: (accountInfo, sizeBytes) => abyss.checkUploadQuota(accountInfo, sizeBytes),
+};
+
+const providers = new Map([
+  [abyssProvider.name, abyssProvider],
+  [localVideoHost.provider.name, localVideoHost.provider],
+]);
+
+/** Provider new uploads go to (VIDEO_HOST_PROVIDER, default 'abyss'). */
+const DEFAULT_PROVIDER = process.env.VIDEO_HOST_PROVIDER || 'abyss';
+
+/**
+ * @param {string} [name] - provider name; default provider when omitted
+ * @returns {object} provider
+ * @throws {Error} when no provider is registered under name
+ */
+function getProvider(name) {
+  const key = name || DEFAULT_PROVIDER;
+  const provider = providers.get(key);
+  if (!provider) throw new Error(`Unknown video host provider: ${key}`);
+  return provider;
+}
+
+/** Provider holding an UploadedVideo's file (docs from before providers existed are on Abyss). */
+function getProviderFor(uploadedVideo) {
+  return getProvider(uploadedVideo?.provider || 'abyss');
+}
+
+function isProviderName(name) {
+  return providers.has(name);
+}
+
+function listProviderNames() {
+  return [...providers.keys()];
+}
+
+module.exports = {
+  DEFAULT_PROVIDER,
+  getProvider,
+  getProviderFor,
+  isProviderName,
+  listProviderNames,
+};
@@ -0,0 +1,320 @@
+/**
+ * Probe video files in pure JS (no ffprobe): duration, frame size, codecs, audio and subtitle tracks.
+ * MP4/MOV is read from the moov box, Matroska/WebM from the segment headers (matroska.helper).
+ * Files are read through a random-access source { size, read(offset, length) → Buffer } so only
+ * the header boxes/elements are loaded, whether the file is in GridFS or on disk.
+ */
+const fs = require('fs');
+const mongoose = require('mongoose');
+const { getBucket, getFilesCollection } = require('../model/videoGridFs.model');
+const { readMatroskaHeaders } = require('./matroska.helper');
+
+/** Largest moov box we load into memory (long files with big sample tables stay well under this). */
+const MAX_MOOV_BYTES = 64 * 1024 * 1024;
+
+/** MP4 sample entry fourcc → short codec name (ffprobe style). */
+const MP4_CODECS = {
+  avc1: 'h264',
+  avc3: 'h264',
+  hvc1: 'hevc',
+  hev1: 'hevc',
+  av01: 'av1',
+  vp09: 'vp9',
+  vp08: 'vp8',
+  mp4v: 'mpeg4',
+  mp4a: 'aac',
+  'ac-3': 'ac3',
+  'ec-3': 'eac3',
+  Opus: 'opus',
+  fLaC: 'flac',
+  '.mp3': 'mp3',
+  tx3g: 'mov_text',
+  wvtt: 'webvtt',
+  stpp: 'ttml',
+  c608: 'eia_608',
+};
+
+/**
+ * @param {Buffer} buffer
+ */
+function createBufferSource(buffer) {
+  return {
+    size: buffer.length,
+    read: async (offset, length) => buffer.subarray(offset, Math.min(buffer.length, offset + length)),
+    close: async () => {},
+  };
+}
+
+/**
+ * @param {string} filePath
+ */
+async function createFileSource(filePath) {
+  const handle = await fs.promises.open(filePath, 'r');
+  const { size } = await handle.stat();
+  return {
+    size,
+    read: async (offset, length) => {
+      const len = Math.max(0, Math.min(length, size - offset));
+      const buf = Buffer.alloc(len);
+      const { bytesRead } = await handle.read(buf, 0, len, offset);
+      return buf.subarray(0, bytesRead);
+    },
+    close: () => handle.close(),
+  };
+}
+
+/**
+ * @param {string|import('mongoose').Types.ObjectId} gridFsFileId - stagingVideos bucket file id
+ */
+async function createGridFsSource(gridFsFileId) {
+  const objectId = new mongoose.Types.ObjectId(String(gridFsFileId));
+  const fileDoc = await getFilesCollection().findOne({ _id: objectId });
+  if (!fileDoc) throw new Error('GridFS file not found');
+  const size = fileDoc.length;
+  const bucket = getBucket();
+  return {
+    size,
+    read: async (offset, length) => {
+      const end = Math.min(size, offset + length);
+      if (offset >= end) return Buffer.alloc(0);
+      const chunks = [];
+      for await (const chunk of bucket.openDownloadStream(objectId, { start: offset, end })) chunks.push(chunk);
+      return Buffer.concat(chunks);
+    },
+    close: async () => {},
+  };
+}
+
+function qualityLabel(width, height) {
+  if (!width || !height) return null;
+  // Width first so letterboxed encodes (1920x800) get their nominal label.
+  if (width >= 3200 || height >= 2000) return '2160p';
+  if (width >= 1800 || height >= 1000) return '1080p';
+  if (width >= 1200 || height >= 700) return '720p';
+  if (height >= 470) return '480p';
+  return 'SD';
+}
+
+// — MP4
+
+/**
+ * Boxes in buf[start, end).
+ * @returns {Generator<{ type: string, dataStart: number, end: number }>}
+ */
+function* mp4Boxes(buf, start = 0, end = buf.length) {
+  let pos = start;
+  while (pos + 8 <= end) {
+    let size = buf.readUInt32BE(pos);
+    const type = buf.toString('latin1', pos + 4, pos + 8);
+    let headerLength = 8;
+    if (size === 1) {
+      if (pos + 16 > end) return;
+      size = Number(buf.readBigUInt64BE(pos + 8));
+      headerLength = 16;
+    } else if (size === 0) {
+      size = end - pos;
+    }
+    if (size < headerLength) return;
+    yield { type, dataStart: pos + headerLength, end: Math.min(end, pos + size) };
+    pos += size;
+  }
+}
+
+function findBox(buf, start, end, type) {
+  for (const box of mp4Boxes(buf, start, end)) if (box.type === type) return box;
+  return null;
+}
+
+function findPath(buf, start, end, types) {
+  let box = { dataStart: start, end };
+  for (const type of types) {
+    box = findBox(buf, box.dataStart, box.end, type);
+    if (!box) return null;
+  }
+  return box;
+}
+
+/** mdhd language: three 5-bit letters offset by 0x60 */
+function unpackLanguage(packed) {
+  if (!packed || packed === 0x7fff) return 'und';
+  const chars = [(packed >> 10) & 0x1f, (packed >> 5) & 0x1f, packed & 0x1f].map((c) => String.fromCharCode(c + 0x60));
+  return /^[a-z]{3}$/.test(chars.join('')) ? chars.join('') : 'und';
+}
+
+function parseMp4Track(buf, trak) {
+  const track = { trackNumber: null, handler: null, codec: null, language: 'und', name: null, default: false, width: null, height: null, channels: null };
+
+  const tkhd = findBox(buf, trak.dataStart, trak.end, 'tkhd');
+  if (tkhd) {
+    const version = buf[tkhd.dataStart];
+    const flags = buf.readUIntBE(tkhd.dataStart + 1, 3);
+    track.default = (flags & 0x1) === 1; // track_enabled
+    track.trackNumber = buf.readUInt32BE(tkhd.dataStart + (version === 1 ? 20 : 12));
+    // width/height (16.16 fixed) are the last 8 bytes of tkhd
+    if (tkhd.end - 8 >= tkhd.dataStart) {
+      track.width = buf.readUInt32BE(tkhd.end - 8) >>> 16;
+      track.height = buf.readUInt32BE(tkhd.end - 4) >>> 16;
+    }
+  }
+
+  const mdia = findBox(buf, trak.dataStart, trak.end, 'mdia');
+  if (!mdia) return track;
+  const mdhd = findBox(buf, mdia.dataStart, mdia.end, 'mdhd');
+  if (mdhd) {
+    const version = buf[mdhd.dataStart];
+    track.language = unpackLanguage(buf.readUInt16BE(mdhd.dataStart + (version === 1 ? 32 : 20)));
+  }
+  const hdlr = findBox(buf, mdia.dataStart, mdia.end, 'hdlr');
+  if (hdlr) {
+    track.handler = buf.toString('latin1', hdlr.dataStart + 8, hdlr.dataStart + 12);
+    const name = buf.toString('utf8', hdlr.dataStart + 24, hdlr.end).replace(/\0+$/, '').trim();
+    if (name && !/handler$/i.test(name)) track.name = name;
+  }
+
+  const stsd = findPath(buf, mdia.dataStart, mdia.end, ['minf', 'stbl', 'stsd']);
+  if (stsd && stsd.dataStart + 16 <= stsd.end) {
+    // stsd: version/flags(4) entry_count(4), then the first sample entry box
+    const entryStart = stsd.dataStart + 8;
+    const fourcc = buf.toString('latin1', entryStart + 4, entryStart + 8);
+    track.codec = MP4_CODECS[fourcc] || fourcc.trim();
+    if (track.handler === 'vide' && entryStart + 36 <= stsd.end) {
+      track.width = buf.readUInt16BE(entryStart + 32) || track.width;
+      track.height = buf.readUInt16BE(entryStart + 34) || track.height;
+    } else if (track.handler === 'soun' && entryStart + 26 <= stsd.end) {
+      track.channels = buf.readUInt16BE(entryStart + 24) || null;
+    }
+  }
+  return track;
+}
+
+async function probeMp4(source) {
+  let moov = null;
+  let pos = 0;
+  while (pos + 8 <= source.size) {
+    const head = await source.read(pos, 16);
+    if (head.length < 8) break;
+    let size = head.readUInt32BE(0);
+    const type = head.toString('latin1', 4, 8);
+    if (size === 1) size = Number(head.readBigUInt64BE(8));
+    else if (size === 0) size = source.size - pos;
+    if (size < 8) break;
+    if (type === 'moov') {
+      if (size > MAX_MOOV_BYTES) throw new Error(`moov box too large (${size} bytes)`);
+      moov = await source.read(pos, size);
+      break;
+    }
+    pos += size;
+  }
+  if (!moov) throw new Error('MP4 moov box not found');
+
+  const root = findBox(moov, 0, moov.length, 'moov');
+  let durationSec = null;
+  const mvhd = findBox(moov, root.dataStart, root.end, 'mvhd');
+  if (mvhd) {
+    const version = moov[mvhd.dataStart];
+    const timescale = moov.readUInt32BE(mvhd.dataStart + (version === 1 ? 20 : 12));
+    const duration = version === 1 ? Number(moov.readBigUInt64BE(mvhd.dataStart + 24)) : moov.readUInt32BE(mvhd.dataStart + 16);
+    if (timescale) durationSec = duration / timescale;
+  }
+
+  const tracks = [];
+  for (const box of mp4Boxes(moov, root.dataStart, root.end)) {
+    if (box.type === 'trak') tracks.push(parseMp4Track(moov, box));
+  }
+  const video = tracks.find((t) => t.handler === 'vide');
+  return {
+    container: 'mp4',
+    durationSec,
+    width: video?.width || null,
+    height: video?.height || null,
+    videoCodec: video?.codec || null,
+    audioTracks: tracks
+      .filter((t) => t.handler === 'soun')
+      .map((t) => ({ codec: t.codec, language: t.language, channels: t.channels, name: t.name, default: t.default })),
+    subtitleTracks: tracks
+      .filter((t) => ['sbtl', 'text', 'subt'].includes(t.handler))
+      .map((t) => ({ codec: t.codec, language: t.language, name: t.name, forced: false, default: t.default, trackNumber: t.trackNumber })),
+  };
+}
+
+// — Matroska / WebM
+
+async function probeMatroska(source) {
+  const { docType, durationSec, tracks } = await readMatroskaHeaders(source);
+  const video = tracks.find((t) => t.type === 'video');
+  return {
+    container: docType === 'webm' ? 'webm' : 'matroska',
+    durationSec,
+    width: video?.width || null,
+    height: video?.height || null,
+    videoCodec: video?.codec || null,
+    audioTracks: tracks
+      .filter((t) => t.type === 'audio')
+      .map((t) => ({ codec: t.codec, language: t.language, channels: t.channels, name: t.name, default: t.default })),
+    subtitleTracks: tracks
+      .filter((t) => t.type === 'subtitle')
+      .map((t) => ({ codec: t.codec, language: t.language, name: t.name, forced: t.forced, default: t.default, trackNumber: t.number })),
+  };
+}
+
+/**
+ * Probe a file through a random-access source. Throws when the container is not recognised or is malformed.
+ * @param {{ size: number, read: (offset: number, length: number) => Promise<Buffer> }} source
+ * @returns {Promise<object>} probe (see model/videoProbe.model)
+ */
+async function probeSource(source) {
+  const magic = await source.read(0, 12);
+  let probe;
+  if (magic.length >= 4 && magic.readUInt32BE(0) === 0x1a45dfa3) {
+    probe = await probeMatroska(source);
+  } else if (magic.length >= 8 && ['ftyp', 'moov', 'free', 'mdat', 'wide', 'skip'].includes(magic.toString('latin1', 4, 8))) {
+    probe = await probeMp4(source);
+  } else {
+    throw new Error('Unrecognised container (expected MP4 or Matroska/WebM)');
+  }
+  if (probe.durationSec != null) probe.durationSec = Math.round(probe.durationSec * 1000) / 1000;
+  return { ...probe, quality: qualityLabel(probe.width, probe.height), probedAt: new Date(), error: null };
+}
+
+/**
+ * Like probeSource, but never throws: failures come back as { error, probedAt } so ingest can carry on.
+ * @param {() => Promise<{ size: number, read: Function, close: Function }>} openSource
+ * @returns {Promise<object>}
+ */
+async function safeProbe(openSource) {
+  let source = null;
+  try {
+    source = await openSource();
+    return await probeSource(source);
+  } catch (err) {
+    return { probedAt: new Date(), error: err?.message || String(err) };
+  } finally {
+    if (source) await source.close().catch(() => {});
+  }
+}
+
+/**
+ * Probe a file in the stagingVideos GridFS bucket. Never throws (see safeProbe).
+ * @param {string|import('mongoose').Types.ObjectId} gridFsFileId
+ */
+function probeGridFsFile(gridFsFileId) {
+  return safeProbe(() => createGridFsSource(gridFsFileId));
+}
+
+/**
+ * Probe a local file. Never throws (see safeProbe).
+ * @param {string} filePath
+ */
+function probeFile(filePath) {
+  return safeProbe(() => createFileSource(filePath));
+}
+
+module.exports = {
+  createBufferSource,
+  createFileSource,
+  createGridFsSource,
+  qualityLabel,
+  probeSource,
+  probeGridFsFile,
+  probeFile,
+};
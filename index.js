@@ -7,9 +7,16 @@ const mongoose = require('mongoose');
 const systemModel = require('./model/system.model');
 const MediaModel = require('./model/media.model');
 const DownloadQueueModel = require('./model/downloadQueue.model');
+const DownloadSeriesQueueModel = require('./model/downloadSeriesQueue.model');
+const { DEFAULT_PRIORITIES } = require('./helper/downloadPriority.helper');
 const passport = require("./helper/passport.helper");
 const session = require('express-session');
-const { attachDownloadQueueProgressWs } = require('./ws/downloadQueueProgress');
+const { WS_PATH: DOWNLOAD_QUEUE_WS_PATH, attachDownloadQueueProgressWs } = require('./ws/downloadQueueProgress');
+const { WS_PATH: UPLOADED_VIDEO_WS_PATH, attachUploadedVideoEventsWs } = require('./ws/uploadedVideoEvents');
+const { initStagingJobRunner } = require('./helper/stagingJobRunner.helper');
+const { initSlugReconciler } = require('./helper/slugReconciler.helper');
+const { initSeriesMonitor } = require('./helper/seriesMonitor.helper');
+const { initUploadSessionSweeper } = require('./helper/stagingUploadSession.helper');
 require('dotenv').config();
 
 const app = express();
@@ -17,6 +24,15 @@ const server = http.createServer(app);
 const PORT = process.env.PORT || 5000;
 
 attachDownloadQueueProgressWs(server);
+attachUploadedVideoEventsWs(server);
+// Each websocket endpoint only handles its own path; close upgrades for any other path instead of leaving the socket open.
+const wsPaths = new Set([DOWNLOAD_QUEUE_WS_PATH, UPLOADED_VIDEO_WS_PATH]);
+server.on('upgrade', (req, socket) => {
+  const { pathname } = new URL(req.url || '', 'http://localhost');
+  if (wsPaths.has(pathname)) return;
+  socket.write('HTTP/1.1 404 Not Found\r\nConnection: close\r\n\r\n');
+  socket.destroy();
+});
 
 const authRoutes = require('./routes/auth.route.js');
 const systemRoutes = require('./routes/data entry/system.route.js');
@@ -36,6 +52,18 @@ const stagingRoutes = require('./routes/staging.route.js');
 const uploadedVideoRoutes = require('./routes/uploadedVideo.route.js');
 const logRoutes = require('./routes/data entry/log.route.js');
 const downloadQueueRoutes = require('./routes/downloadQueue.route.js');
+const calendarRoutes = require('./routes/calendar.route.js');
+
+// --------------- Reverse proxy ---------------
+// Behind a proxy, req.ip is the proxy unless it is trusted; rate limits and guest request quotas key on req.ip.
+// TRUST_PROXY: 'true', a hop count (e.g. 1) or a list of proxy addresses/subnets (see Express 'trust proxy').
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY.trim();
+  app.set(
+    'trust proxy',
+    trustProxy === 'true' ? true : trustProxy === 'false' ? false : /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy
+  );
+}
 
 // --------------- Security headers ---------------
 app.use(helmet({
@@ -153,6 +181,17 @@ async function ensureDownloadQueueJobIdIndex() {
   console.log('Created partial unique index downloadqueues.jobId_1 (non-null jobId only)');
 }
 
+/** Give queue jobs saved before priorities existed their requester default (auto-enqueued = admin without id). */
+async function backfillDownloadQueuePriority() {
+  const missing = { priority: { $exists: false } };
+  for (const Model of [DownloadQueueModel, DownloadSeriesQueueModel]) {
+    await Model.updateMany({ ...missing, 'requester.type': 'admin', 'requester.id': { $ne: null } }, { $set: { priority: DEFAULT_PRIORITIES.admin } });
+    await Model.updateMany({ ...missing, 'requester.type': 'user' }, { $set: { priority: DEFAULT_PRIORITIES.user } });
+    await Model.updateMany({ ...missing, 'requester.type': 'guest' }, { $set: { priority: DEFAULT_PRIORITIES.guest } });
+    await Model.updateMany(missing, { $set: { priority: DEFAULT_PRIORITIES.auto } });
+  }
+}
+
 console.log("MONGO_URI:", process.env.MONGO_URI);
 mongoose.connect(process.env.MONGODB_URI, {
     dbName : "app",
@@ -166,6 +205,23 @@ mongoose.connect(process.env.MONGODB_URI, {
     } catch (e) {
       console.error('ensureDownloadQueueJobIdIndex:', e.message);
     }
+    try {
+      await backfillDownloadQueuePriority();
+    } catch (e) {
+      console.error('backfillDownloadQueuePriority:', e.message);
+    }
+    // Recover staging docs left in 'uploading' by a previous process and resume its process run.
+    try {
+      await initStagingJobRunner();
+    } catch (e) {
+      console.error('initStagingJobRunner:', e.message);
+    }
+    // Poll the video host for uploads that are still encoding and announce titles that become ad-free.
+    initSlugReconciler();
+    // Queue newly aired episodes of monitored TV shows.
+    initSeriesMonitor();
+    // Delete abandoned chunked-upload sessions and their temp files.
+    initUploadSessionSweeper();
     console.log("MongoDB Connected");
 })
 .catch((err)=> (console.log(err)))
@@ -200,7 +256,8 @@ app.use('/api/staging', stagingRoutes)
 app.use('/api/uploaded-videos', uploadedVideoRoutes)
 app.use('/api/logs', logRoutes)
 app.use('/api/download-queue', downloadQueueRoutes)
+app.use('/api/calendar', calendarRoutes)
 
 server.listen(PORT, () => {
-  console.log(`Server is running on port ${PORT} (HTTP + WS /ws/download-queue/progress)`);
+  console.log(`Server is running on port ${PORT} (HTTP + WS /ws/download-queue/progress, /ws/uploaded-videos/events)`);
 });
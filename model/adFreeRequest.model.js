@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+/**
+ * Ledger of accepted ad-free requests (POST /api/feedback/ad-free-request), used for the weekly per-requester quota.
+ * Separate from DownloadQueue so deleting or finishing a queue item does not hand the request back.
+ * Votes on an already queued title are not requests and are not recorded here.
+ */
+const adFreeRequestSchema = new Schema(
+  {
+    /** Logged-in requester; null for guests */
+    userId: {
+      type: Schema.Types.ObjectId,
+      ref: 'user',
+      default: null,
+      index: true,
+    },
+    /** SHA-256 of the guest IP (guests have no account to count against) */
+    ipHash: {
+      type: String,
+      default: null,
+      index: true,
+    },
+    tmdbId: {
+      type: Number,
+      default: null,
+    },
+    mediaType: {
+      type: String,
+      enum: ['movie', 'tv'],
+      default: 'movie',
+    },
+    /** TV: each requested season is one request */
+    seasonNumber: {
+      type: Number,
+      default: null,
+    },
+    /** DownloadQueue doc created for the request */
+    queueId: {
+      type: Schema.Types.ObjectId,
+      ref: 'DownloadQueue',
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+// Entries only matter inside the 7-day quota window (adFreeRequest.helper); keep a day of slack, then let Mongo drop them.
+adFreeRequestSchema.index({ createdAt: 1 }, { expireAfterSeconds: 8 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('AdFreeRequest', adFreeRequestSchema);
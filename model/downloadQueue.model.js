@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const { Schema } = mongoose;
+const { defaultPriority } = require('../helper/downloadPriority.helper');
 
 /**
  * Queue of videos to be downloaded (torrent) then uploaded to staging.
@@ -71,6 +72,23 @@ const downloadQueueSchema = new Schema(
         required : false,
       }
     },
+    /** Movies: handed to the downloader highest first (see downloadPriority.helper). Unused on TV parents. */
+    priority: {
+      type: Number,
+      default: function () { return defaultPriority(this.requester); },
+      index: true,
+    },
+    /** Request board upvotes (a logged-in requester counts as the first voter). */
+    votes: {
+      type: Number,
+      default: 0,
+    },
+    /** Users who voted; hidden unless selected with '+voters' */
+    voters: {
+      type: [{ type: Schema.Types.ObjectId, ref: 'user' }],
+      default: [],
+      select: false,
+    },
     mediaType: {
       type: String,
       enum: ['movie', 'tv'],
@@ -81,6 +99,15 @@ const downloadQueueSchema = new Schema(
       type: String,
       default: null,
     },
+    /** TV parent only: the series monitor enqueues newly aired episodes (seriesMonitor.helper). */
+    monitored: {
+      type: Boolean,
+      default: false,
+      index: true,
+    },
+    /** TV parent only: last series monitor check and its error, if any. */
+    monitorCheckedAt: { type: Date, default: null },
+    monitorError: { type: String, default: null },
     /** For TV parent only: one doc per season (name, posterPath). */
     seasonMetadata: {
       type: [
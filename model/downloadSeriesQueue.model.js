@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const { Schema } = mongoose;
+const { defaultPriority } = require('../helper/downloadPriority.helper');
 
 /**
  * Per-episode queue for TV series. Parent show lives in DownloadQueue (mediaType: 'tv').
@@ -38,6 +39,11 @@ const downloadSeriesQueueSchema = new Schema(
       type: String,
       default: null,
     },
+    /** TMDB air date (UTC midnight of the calendar date); null when TMDB has none or the job predates it. */
+    airDate: {
+      type: Date,
+      default: null,
+    },
     status: {
       type: String,
       enum: ['pending', 'waiting', 'searching', 'downloading', 'uploading', 'done', 'failed'],
@@ -61,6 +67,12 @@ const downloadSeriesQueueSchema = new Schema(
       type: String,
       default: null,
     },
+    /** Handed to the downloader highest first, shared ordering with movies (see downloadPriority.helper). */
+    priority: {
+      type: Number,
+      default: function () { return defaultPriority(this.requester); },
+      index: true,
+    },
     requester: {
       id: {
         type: Schema.Types.ObjectId,
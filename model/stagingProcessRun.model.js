@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+/**
+ * One staging → Abyss process run (the batch started by POST /api/staging/process).
+ * Lives in Mongo so a run survives restarts/deploys: the worker heartbeats while it runs,
+ * and on boot a run whose worker stopped heartbeating is picked up again by stagingJobRunner.helper.
+ */
+const runItemSchema = new Schema(
+  {
+    stagingId: { type: String, required: true },
+    title: { type: String, default: '' },
+    filename: { type: String, default: '' },
+    /** queued = not handled yet; done = uploaded; failed = error; quota = stopped by Abyss quota; review = held back by the runtime check */
+    outcome: {
+      type: String,
+      enum: ['queued', 'done', 'failed', 'quota', 'review'],
+      default: 'queued',
+    },
+  },
+  { _id: false }
+);
+
+const stagingProcessRunSchema = new Schema(
+  {
+    /**
+     * running = worker is (or should be) processing items.
+     * paused = stopped after the current item; POST /process resumes it.
+     * cancelled = stopped by admin; remaining items left in staging.
+     * finished = all items handled (or stopped by quota).
+     * failed = run crashed outside of a single item.
+     */
+    status: {
+      type: String,
+      enum: ['running', 'paused', 'cancelled', 'finished', 'failed'],
+      default: 'running',
+      index: true,
+    },
+    /** true while running or paused. Unique (partial index) so only one run can be active. */
+    active: {
+      type: Boolean,
+      default: true,
+    },
+    /** Control flag written by the pause/cancel endpoints; the worker reads it between items and on heartbeat. */
+    requestedAction: {
+      type: String,
+      enum: ['pause', 'cancel', null],
+      default: null,
+    },
+    /** hostname-pid of the process currently driving this run */
+    workerId: {
+      type: String,
+      default: null,
+    },
+    /** Last heartbeat from workerId; a running run with a stale heartbeat is taken over on boot. */
+    heartbeatAt: {
+      type: Date,
+      default: null,
+    },
+    /** manual = POST /api/staging/process; scheduled = automatic retry of failed docs */
+    trigger: {
+      type: String,
+      enum: ['manual', 'scheduled'],
+      default: 'manual',
+    },
+    startedBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'user',
+      default: null,
+    },
+    startedAt: { type: Date, default: Date.now },
+    finishedAt: { type: Date, default: null },
+    total: { type: Number, default: 0 },
+    processed: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 },
+    quotaStopped: { type: Boolean, default: false },
+    currentStagingId: { type: String, default: null },
+    /** Byte-level progress of the in-flight Abyss upload (currentStagingId); mode = how the bytes are fed to Abyss. */
+    currentUpload: {
+      bytesSent: { type: Number, default: 0 },
+      bytesTotal: { type: Number, default: null },
+      mode: { type: String, enum: ['stream', 'temp_file', null], default: null },
+    },
+    /** Snapshot of the items in this run (same shape as the in-memory items + outcome). */
+    items: {
+      type: [runItemSchema],
+      default: [],
+    },
+    errorMessage: {
+      type: String,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+stagingProcessRunSchema.index(
+  { active: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { active: { $eq: true } },
+  }
+);
+
+module.exports = mongoose.model('StagingProcessRun', stagingProcessRunSchema);
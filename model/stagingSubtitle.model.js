@@ -47,14 +47,61 @@ const stagingSubtitleSchema = new Schema(
       default: null,
       index: true,
     },
+    /** Optional: the uploaded video to attach to (set for embedded tracks so TV episodes are not matched by show id) */
+    uploadedVideoId: {
+      type: Schema.Types.ObjectId,
+      ref: 'UploadedVideo',
+      default: null,
+      index: true,
+    },
+    /**
+     * download = fetched by the downloader service; embedded = extracted from the video file (see subtitleExtract.helper);
+     * upload = sent by a user or admin through POST /api/languages/subtitles.
+     */
+    source: {
+      type: String,
+      enum: ['download', 'embedded', 'upload'],
+      default: 'download',
+    },
+    /** User who uploaded the file (source 'upload') */
+    uploadedBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'user',
+      default: null,
+      index: true,
+    },
+    /**
+     * Timing fix applied on top of the stored file whenever it is sent to the host (see subtitle.helper parseTimingCorrection).
+     * offset: offsetMs added to every cue; stretch: two { fromMs, toMs } points mapped linearly.
+     */
+    timingCorrection: {
+      mode: { type: String, enum: ['offset', 'stretch', null], default: null },
+      offsetMs: { type: Number, default: 0 },
+      points: {
+        type: [{ fromMs: Number, toMs: Number, _id: false }],
+        default: [],
+      },
+      updatedBy: { type: Schema.Types.ObjectId, ref: 'user', default: null },
+      updatedAt: { type: Date, default: null },
+    },
+    /** Abyss/host file the subtitle was last sent to (status 'uploaded'); the doc and file are kept so it can be corrected and re-sent */
+    uploadedToSlug: {
+      type: String,
+      default: null,
+    },
+    uploadedAt: {
+      type: Date,
+      default: null,
+    },
     /**
+     * awaiting_approval = uploaded by a user, waits for an admin before process-subtitle sends it.
      * pending = in staging.
-     * uploaded = attached/uploaded to Abyss (or consumed).
+     * uploaded = attached/uploaded to Abyss (or consumed); kept for timing corrections.
      * error = processing/upload error.
      */
     status: {
       type: String,
-      enum: ['pending', 'uploaded', 'error'],
+      enum: ['awaiting_approval', 'pending', 'uploaded', 'error'],
       default: 'pending',
       index: true,
     },
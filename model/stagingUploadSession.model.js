@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+/**
+ * Chunked upload session for POST /api/staging/upload-chunk.
+ * Chunks are written at their byte offset into one temp file (filePath); this doc records which chunks
+ * arrived so the client can resume after a disconnect or backend restart (GET /api/staging/upload-chunk/:uploadId).
+ */
+const stagingUploadSessionSchema = new Schema(
+  {
+    /** Client-chosen upload id (sanitized) */
+    uploadId: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    /** Temp file the chunks are written into */
+    filePath: {
+      type: String,
+      required: true,
+    },
+    totalChunks: {
+      type: Number,
+      required: true,
+    },
+    /** Nominal chunk size in bytes (every chunk except the last); learned from the client or the first non-last chunk */
+    chunkSize: {
+      type: Number,
+      default: null,
+    },
+    /** Expected total file size in bytes, when the client sends it */
+    totalSize: {
+      type: Number,
+      default: null,
+    },
+    /** Client SHA-256 (hex) of the whole file; the assembled file is verified against it */
+    sha256: {
+      type: String,
+      default: null,
+    },
+    /** 0-based indexes of chunks already written */
+    receivedChunks: {
+      type: [Number],
+      default: [],
+    },
+    /** Staging metadata captured from the first chunk request */
+    meta: {
+      filename: { type: String, default: 'video.mp4' },
+      mimetype: { type: String, default: 'video/mp4' },
+      tmdbId: { type: Number, default: null },
+      title: { type: String, default: '' },
+      poster_path: { type: String, default: null },
+      durationSec: { type: Number, default: null },
+      mediaType: { type: String, enum: ['movie', 'tv'], default: 'movie' },
+      seasonNumber: { type: Number, default: null },
+      episodeNumber: { type: Number, default: null },
+    },
+    /**
+     * receiving = waiting for chunks.
+     * assembling = all chunks received, file is being written to GridFS.
+     * done = StagingVideo created (stagingId set).
+     * error = assembling failed (errorMessage set).
+     */
+    status: {
+      type: String,
+      enum: ['receiving', 'assembling', 'done', 'error'],
+      default: 'receiving',
+      index: true,
+    },
+    stagingId: {
+      type: String,
+      default: null,
+    },
+    /** Last upload progress snapshot (see stagingProcessState.helper); only written when STAGING_UPLOAD_PROGRESS_MONGO=true */
+    progress: {
+      type: Schema.Types.Mixed,
+      default: null,
+    },
+    errorMessage: {
+      type: String,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model('StagingUploadSession', stagingUploadSessionSchema);
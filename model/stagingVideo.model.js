@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const { Schema } = mongoose;
+const { videoProbeSchema } = require('./videoProbe.model');
 
 /**
  * Staging table for videos queued for upload to Abyss.
@@ -23,6 +24,12 @@ const stagingVideoSchema = new Schema(
       type: Number,
       required: true,
     },
+    /** SHA-256 (hex) of the file as written to GridFS; verified against the client digest when one was sent */
+    sha256: {
+      type: String,
+      default: null,
+      index: true,
+    },
     /** MIME type, e.g. video/mp4 */
     contentType: {
       type: String,
@@ -71,14 +78,16 @@ const stagingVideoSchema = new Schema(
      * writing = file is still being streamed to GridFS (do not show in staging list).
      * pending = still in staging, queued.
      * uploading = currently uploading to Abyss.
-     * storage_fail / daily_fail / max_upload_fail = Abyss quota check failed; retry tomorrow.
+     * storage_fail / daily_fail / max_upload_fail = Abyss quota check failed; retried automatically at nextAttemptAt.
      * uploaded_not_ready = uploaded to Abyss, slug not ready yet.
      * ready = uploaded and slug ready on Abyss.
+     * checksum_fail = file bytes no longer match sha256 (corrupted in GridFS); not retried, re-upload it.
+     * needs_review = duration does not match the TMDB runtime (see runtimeCheck.helper); held until an admin approves or deletes it.
      * error = generic upload/processing error.
      */
     status: {
       type: String,
-      enum: ['writing', 'pending', 'uploading', 'storage_fail', 'daily_fail', 'max_upload_fail', 'uploaded_not_ready', 'ready', 'error'],
+      enum: ['writing', 'pending', 'uploading', 'storage_fail', 'daily_fail', 'max_upload_fail', 'uploaded_not_ready', 'ready', 'checksum_fail', 'needs_review', 'error'],
       default: 'pending',
       index: true,
     },
@@ -87,11 +96,60 @@ const stagingVideoSchema = new Schema(
       type: String,
       default: null,
     },
+    /** Failed upload attempts (status 'error'); the retry scheduler stops at STAGING_RETRY_MAX_ATTEMPTS. */
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    /** When the retry scheduler may pick this doc up again (backoff for 'error', daily reset for quota fails). */
+    nextAttemptAt: {
+      type: Date,
+      default: null,
+      index: true,
+    },
     /** Abyss slug after successful upload (uploaded_not_ready or ready) */
     abyssSlug: {
       type: String,
       default: null,
     },
+    /** Worker (hostname-pid) holding the upload lease while status === 'uploading' */
+    leaseOwner: {
+      type: String,
+      default: null,
+    },
+    /** Lease expiry; refreshed by the worker heartbeat. Expired 'uploading' docs are put back to 'pending'. */
+    leaseExpiresAt: {
+      type: Date,
+      default: null,
+      index: true,
+    },
+    /** Duration, frame size, codecs and tracks read from the file on ingest (see videoProbe.helper) */
+    probe: {
+      type: videoProbeSchema,
+      default: null,
+    },
+    /** Duration in seconds sent by the uploader; used by the runtime check when the probe has none */
+    clientDurationSec: {
+      type: Number,
+      default: null,
+    },
+    /** Last runtime sanity check against TMDB (see runtimeCheck.helper); approvedAt skips it on later runs */
+    runtimeCheck: {
+      verdict: { type: String, enum: ['ok', 'mismatch', 'skipped'], default: null },
+      actualSec: { type: Number, default: null },
+      expectedMin: { type: Number, default: null },
+      source: { type: String, enum: ['probe', 'client', null], default: null },
+      reason: { type: String, default: null },
+      checkedAt: { type: Date, default: null },
+      approvedBy: { type: Schema.Types.ObjectId, ref: 'user', default: null },
+      approvedAt: { type: Date, default: null },
+    },
+    /** StagingProcessRun that last claimed this doc */
+    processRunId: {
+      type: Schema.Types.ObjectId,
+      ref: 'StagingProcessRun',
+      default: null,
+    },
   },
   { timestamps: true }
 );
@@ -34,6 +34,19 @@ const systemSchema = new mongoose.Schema({
         required : true,
         default : false
     },
+    /** Ad-free requests allowed per requester per rolling week (guests counted by IP). Admins are not limited. */
+    adFreeRequestQuota : {
+        user : {
+            type : Number,
+            min : 0,
+            default : 5
+        },
+        guest : {
+            type : Number,
+            min : 0,
+            default : 2
+        }
+    },
     logoUrl : {
         type : String,
         default : ''
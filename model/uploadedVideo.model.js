@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const { Schema } = mongoose;
+const { videoProbeSchema } = require('./videoProbe.model');
 
 /**
  * Record of videos successfully uploaded to Abyss (file lives on Abyss, not in our DB).
@@ -41,19 +42,47 @@ const uploadedVideoSchema = new Schema(
       type: String,
       default: null,
     },
-    /** Abyss slug (video identifier on Abyss) */
+    /** Video host holding the file (see videoHost.helper). Docs from before providers existed are on Abyss. */
+    provider: {
+      type: String,
+      default: 'abyss',
+      index: true,
+    },
+    /** File id on the video host (Abyss slug for provider 'abyss'; the field name predates other providers) */
     abyssSlug: {
       type: String,
       required: true,
       index: true,
     },
-    /** Slug status on Abyss: uploaded_not_ready | ready */
+    /** File status on the video host: uploaded_not_ready | ready */
     slugStatus: {
       type: String,
       enum: ['uploaded_not_ready', 'ready'],
       default: 'uploaded_not_ready',
       index: true,
     },
+    /** When slugStatus became 'ready' */
+    readyAt: {
+      type: Date,
+      default: null,
+    },
+    /** Slug reconciler bookkeeping (see slugReconciler.helper): checks done while not ready, next due check, last error */
+    slugCheckAttempts: {
+      type: Number,
+      default: 0,
+    },
+    nextSlugCheckAt: {
+      type: Date,
+      default: null,
+    },
+    lastSlugCheckAt: {
+      type: Date,
+      default: null,
+    },
+    slugCheckError: {
+      type: String,
+      default: null,
+    },
     /** Original filename (for display) */
     filename: {
       type: String,
@@ -64,6 +93,17 @@ const uploadedVideoSchema = new Schema(
       type: Number,
       default: null,
     },
+    /** SHA-256 (hex) of the uploaded file, carried over from staging (duplicate detection) */
+    sha256: {
+      type: String,
+      default: null,
+      index: true,
+    },
+    /** Duration, frame size, codecs and tracks carried over from staging */
+    probe: {
+      type: videoProbeSchema,
+      default: null,
+    },
     subtitle: {
       availableSubtitles: {
         type: [String],
@@ -84,4 +124,5 @@ const uploadedVideoSchema = new Schema(
 
 uploadedVideoSchema.index({ externalId: 1, slugStatus: 1 });
 uploadedVideoSchema.index({ externalId: 1, seasonNumber: 1, episodeNumber: 1 });
+uploadedVideoSchema.index({ slugStatus: 1, nextSlugCheckAt: 1 });
 module.exports = mongoose.model('UploadedVideo', uploadedVideoSchema);
@@ -78,6 +78,13 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: true,
   },
+  /** Secret token in the user's .ics episode calendar URL (GET /api/calendar/feed/:token.ics). */
+  calendarToken: {
+    type: String,
+    default: null,
+    select: false,
+    index: { unique: true, partialFilterExpression: { calendarToken: { $type: 'string' } } },
+  },
   createdAt: {
     type: Date,
     default: Date.now,
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+/**
+ * Container/stream info read from the file itself (see videoProbe.helper), embedded as `probe`
+ * on StagingVideo and carried over to UploadedVideo.
+ */
+const audioTrackSchema = new Schema(
+  {
+    codec: { type: String, default: null },
+    /** ISO 639-2 ("eng") or BCP 47 ("en-US") as stored in the file; 'und' when unknown */
+    language: { type: String, default: 'und' },
+    channels: { type: Number, default: null },
+    name: { type: String, default: null },
+    default: { type: Boolean, default: false },
+  },
+  { _id: false }
+);
+
+const subtitleTrackSchema = new Schema(
+  {
+    codec: { type: String, default: null },
+    language: { type: String, default: 'und' },
+    name: { type: String, default: null },
+    forced: { type: Boolean, default: false },
+    default: { type: Boolean, default: false },
+    /** Track number inside the container (Matroska TrackNumber / MP4 track_ID), for extraction */
+    trackNumber: { type: Number, default: null },
+  },
+  { _id: false }
+);
+
+const videoProbeSchema = new Schema(
+  {
+    /** mp4 | matroska | webm */
+    container: { type: String, default: null },
+    durationSec: { type: Number, default: null },
+    width: { type: Number, default: null },
+    height: { type: Number, default: null },
+    /** 2160p | 1080p | 720p | 480p | SD, from the frame size */
+    quality: { type: String, default: null },
+    videoCodec: { type: String, default: null },
+    audioTracks: { type: [audioTrackSchema], default: [] },
+    subtitleTracks: { type: [subtitleTrackSchema], default: [] },
+    probedAt: { type: Date, default: null },
+    /** Set when the file could not be parsed; the other fields stay empty */
+    error: { type: String, default: null },
+  },
+  { _id: false }
+);
+
+module.exports = {
+  videoProbeSchema,
+};
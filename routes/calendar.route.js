@@ -0,0 +1,100 @@
+const express = require('express');
+const userModel = require('../model/user.model');
+const { validateToken } = require('../helper/validate.helper');
+const { getPosterUrl } = require('../helper/movietv.helper');
+const { DAY_MS, createCalendarToken, startOfUtcDay, buildCalendar, buildIcs } = require('../helper/calendar.helper');
+
+const router = express.Router();
+
+const DEFAULT_DAYS = 30;
+const MAX_DAYS = 90;
+/** The .ics feed covers a fixed window so calendar apps see the same range on every refresh. */
+const FEED_DAYS = 60;
+
+/** Public feed URL for a token (BE_URL when set, else the host of this request). */
+function feedUrl(req, token) {
+  const base = (process.env.BE_URL || `${req.protocol}://${req.get('host')}`).replace(/\/+$/, '');
+  return `${base}/api/calendar/feed/${token}.ics`;
+}
+
+// -----------------------------------------------------------------------------
+// GET / — Upcoming episodes of monitored shows + the user's saved TV shows (?days=, default 30, max 90).
+// Each entry: tmdbId, showTitle, seasonNumber, episodeNumber, name, airDate, monitored, saved, queued, queueStatus, adFree.
+// -----------------------------------------------------------------------------
+
+router.get('/', validateToken, async (req, res) => {
+  try {
+    const days = Math.min(Math.max(1, parseInt(req.query.days, 10) || DEFAULT_DAYS), MAX_DAYS);
+    const from = startOfUtcDay(new Date());
+    const to = new Date(from.getTime() + days * DAY_MS);
+    const entries = await buildCalendar(req.userId, { from, to });
+    const list = entries.map((entry) => ({ ...entry, poster_url: getPosterUrl(entry.poster_path, 'w200') || null }));
+    return res.json({ success: true, data: { from, to, list } });
+  } catch (err) {
+    return res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+// -----------------------------------------------------------------------------
+// GET /feed-url — The user's .ics feed URL (creates the secret token on first use).
+// POST /feed-url/reset — Replace the token; the old URL stops working.
+// -----------------------------------------------------------------------------
+
+router.get('/feed-url', validateToken, async (req, res) => {
+  try {
+    const user = await userModel.findById(req.userId).select('+calendarToken').lean();
+    if (!user) return res.status(404).json({ success: false, message: 'User not found' });
+    let token = user.calendarToken;
+    if (!token) {
+      token = createCalendarToken();
+      // Conditional so two first requests racing agree on one token
+      const updated = await userModel
+        .findOneAndUpdate({ _id: req.userId, calendarToken: null }, { $set: { calendarToken: token } }, { new: true })
+        .select('+calendarToken')
+        .lean();
+      if (!updated) {
+        token = (await userModel.findById(req.userId).select('+calendarToken').lean())?.calendarToken;
+      }
+    }
+    return res.json({ success: true, data: { url: feedUrl(req, token) } });
+  } catch (err) {
+    return res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+router.post('/feed-url/reset', validateToken, async (req, res) => {
+  try {
+    const token = createCalendarToken();
+    const updated = await userModel.findByIdAndUpdate(req.userId, { $set: { calendarToken: token } }, { new: true }).lean();
+    if (!updated) return res.status(404).json({ success: false, message: 'User not found' });
+    return res.json({ success: true, data: { url: feedUrl(req, token) } });
+  } catch (err) {
+    return res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+// -----------------------------------------------------------------------------
+// GET /feed/:token.ics — iCalendar feed for calendar apps (no auth header; the token is the secret).
+// -----------------------------------------------------------------------------
+
+router.get('/feed/:token.ics', async (req, res) => {
+  try {
+    const token = String(req.params.token || '');
+    if (!/^[a-f0-9]{48}$/.test(token)) return res.status(404).send('Not found');
+    const user = await userModel.findOne({ calendarToken: token }).select('_id isActive').lean();
+    if (!user || user.isActive !== true) return res.status(404).send('Not found');
+
+    const from = startOfUtcDay(new Date());
+    const to = new Date(from.getTime() + FEED_DAYS * DAY_MS);
+    const entries = await buildCalendar(user._id, { from, to });
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', 'inline; filename="episodes.ics"');
+    return res.send(buildIcs(entries));
+  } catch (err) {
+    // Public, unauthenticated URL: log the cause, do not echo it
+    console.error('[calendar] feed failed:', err.message);
+    return res.status(500).send('Calendar feed unavailable');
+  }
+});
+
+module.exports = router;
@@ -4,6 +4,14 @@ const { validateToken, validateAdmin } = require('../../helper/validate.helper')
 const { getAccountInfo, deleteAbyssVideoById, getResources, putResource } = require('../../helper/abyss.helper');
 const uploadedVideoModel = require('../../model/uploadedVideo.model');
 const { getPosterUrl } = require('../../helper/movietv.helper');
+const {
+  ABYSS_PROVIDER_FILTER,
+  buildReconciliationReport,
+  listMatchCandidates,
+  acceptMatches,
+  startReconcileFixJob,
+  getReconcileFixJob,
+} = require('../../helper/abyssReconcile.helper');
 
 router.use(validateToken);
 router.use(validateAdmin);
@@ -31,7 +39,7 @@ router.delete('/delete-video/:slug', async (req, res) => {
       return res.status(500).json({ success: false, message: response.message ?? 'Abyss delete failed' });
     }
     // Remove our mapping doc if it exists (no-op when doc not found)
-    await uploadedVideoModel.findOneAndDelete({ abyssSlug: slug });
+    await uploadedVideoModel.findOneAndDelete({ abyssSlug: slug, provider: ABYSS_PROVIDER_FILTER });
     return res.status(200).json({ success: true, message: 'Video deleted from Abyss and database' });
   } catch (error) {
     return res.status(500).json({ success: false, message: error.message });
@@ -52,7 +60,7 @@ router.get('/resources',async (req, res) => {
 
     const mappeditems = await Promise.all(
       pageItems.map(async (item) => {
-        const uploadedVideo = await uploadedVideoModel.findOne({ abyssSlug: item.id }).lean();
+        const uploadedVideo = await uploadedVideoModel.findOne({ abyssSlug: item.id, provider: ABYSS_PROVIDER_FILTER }).lean();
         if (!uploadedVideo) return null;
         const posterUrl = getPosterUrl(uploadedVideo.poster_path, 'w200');
         return {
@@ -89,4 +97,99 @@ router.patch('/patch-video/:slug', express.json(), async (req, res) => {
   }
 });
 
+// GET /api/abyss/reconcile – orphan Abyss files, dangling mappings and duplicate mappings
+router.get('/reconcile', async (req, res) => {
+  try {
+    const report = await buildReconciliationReport();
+    return res.status(200).json({ success: true, data: report });
+  } catch (error) {
+    return res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// POST /api/abyss/reconcile/fix – start the auto-fix job. Body: deleteDangling?, guessTmdbIds? (both default true), dryRun?
+router.post('/reconcile/fix', express.json(), async (req, res) => {
+  try {
+    const { deleteDangling, guessTmdbIds, dryRun } = req.body || {};
+    const { started, job } = startReconcileFixJob({
+      deleteDangling: deleteDangling !== false,
+      guessTmdbIds: guessTmdbIds !== false,
+      dryRun: dryRun === true,
+    });
+    if (!started) {
+      return res.status(409).json({ success: false, message: 'A reconcile fix job is already running', data: job });
+    }
+    return res.status(202).json({ success: true, message: 'Reconcile fix job started', data: job });
+  } catch (error) {
+    return res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// GET /api/abyss/reconcile/fix – state of the current or last fix job
+router.get('/reconcile/fix', (req, res) => {
+  return res.status(200).json({ success: true, data: getReconcileFixJob() });
+});
+
+// GET /api/abyss/match-candidates?skip=0&limit=20 – ranked TMDB candidates (with confidence) for unmapped Abyss files
+router.get('/match-candidates', async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(1, parseInt(req.query.limit, 10) || 20), 50);
+    const skip = Math.max(0, parseInt(req.query.skip, 10) || 0);
+    const data = await listMatchCandidates({ skip, limit });
+    return res.status(200).json({ success: true, data });
+  } catch (error) {
+    return res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// POST /api/abyss/match-candidates/accept – bulk-create mappings.
+// Body: { matches: [{ abyssSlug, tmdbId, mediaType: 'movie'|'tv', seasonNumber?, episodeNumber? }] } (TV needs season and episode)
+router.post('/match-candidates/accept', express.json(), async (req, res) => {
+  try {
+    const { matches } = req.body || {};
+    if (!Array.isArray(matches) || matches.length === 0) {
+      return res.status(400).json({ success: false, message: 'matches must be a non-empty array' });
+    }
+    if (matches.length > 200) {
+      return res.status(400).json({ success: false, message: 'At most 200 matches per request' });
+    }
+    const normalized = [];
+    for (const [i, m] of matches.entries()) {
+      const abyssSlug = m?.abyssSlug == null ? '' : String(m.abyssSlug).trim();
+      const tmdbId = Number(m?.tmdbId);
+      const mediaType = String(m?.mediaType ?? 'movie').toLowerCase();
+      if (!abyssSlug) {
+        return res.status(400).json({ success: false, message: `matches[${i}].abyssSlug required` });
+      }
+      if (!Number.isInteger(tmdbId) || tmdbId < 1) {
+        return res.status(400).json({ success: false, message: `matches[${i}].tmdbId must be a positive number` });
+      }
+      if (mediaType !== 'movie' && mediaType !== 'tv') {
+        return res.status(400).json({ success: false, message: `matches[${i}].mediaType must be "movie" or "tv"` });
+      }
+      const seasonNumber = Number(m.seasonNumber);
+      const episodeNumber = Number(m.episodeNumber);
+      if (mediaType === 'tv' && (!Number.isInteger(seasonNumber) || seasonNumber < 0 || !Number.isInteger(episodeNumber) || episodeNumber < 1)) {
+        return res.status(400).json({ success: false, message: `matches[${i}] needs seasonNumber and episodeNumber for TV` });
+      }
+      normalized.push({
+        abyssSlug,
+        tmdbId,
+        mediaType,
+        seasonNumber: mediaType === 'tv' ? seasonNumber : null,
+        episodeNumber: mediaType === 'tv' ? episodeNumber : null,
+      });
+    }
+    const results = await acceptMatches(normalized);
+    const created = results.filter((r) => r.status === 'created').length;
+    return res.status(200).json({
+      success: true,
+      message: `${created} of ${results.length} match(es) mapped`,
+      data: results,
+    });
+  } catch (error) {
+    return res.status(500).json({ success: false, message: error.message });
+  }
+});
+
 module.exports = router;
@@ -3,15 +3,21 @@ const router = express.Router()
 require('../../model/user.model') // ensure User is registered before Feedback uses ref: 'User'
 const feedbackModel = require('../../model/feedback.model')
 const DownloadQueueModel = require('../../model/downloadQueue.model')
+const DownloadSeriesQueueModel = require('../../model/downloadSeriesQueue.model')
 const StagingVideoModel = require('../../model/stagingVideo.model')
 const systemModel = require('../../model/system.model')
 const { validateToken, validateAdmin, optionalValidateToken } = require('../../helper/validate.helper')
-const { fetchMovieByImdbId, fetchMovieByTmdbId } = require('../../helper/tmdb.helper')
+const { fetchMovieByImdbId, fetchMovieByTmdbId, fetchTvByImdbId, fetchTvByTmdbId } = require('../../helper/tmdb.helper')
 const { getPosterUrl } = require('../../helper/movietv.helper')
 const UploadedVideoModel = require('../../model/uploadedVideo.model')
 const { verifyRecaptcha } = require('../../helper/recaptcha.helper')
+const { getRequestQuota, claimRequest, confirmClaim, releaseClaim, addVote, removeVote } = require('../../helper/adFreeRequest.helper')
+const { enqueueTvShow, airedCutoff } = require('../../helper/downloadQueue.helper')
 
 const PAGE_SIZE = 20
+/** A TV request shows the most advanced status among its episodes (all done = done). */
+const TV_STATUS_ORDER = ['downloading', 'searching', 'uploading', 'waiting', 'pending', 'failed', 'done']
+const mediaKey = (mediaType, tmdbId) => `${mediaType || 'movie'}:${tmdbId}`
 
 // POST / – submit feedback (public); if Authorization header present, userId is set from token
 router.post('/', optionalValidateToken, async (req, res) => {
@@ -47,7 +53,112 @@ router.post('/', optionalValidateToken, async (req, res) => {
   }
 })
 
-// POST /ad-free-request – request ad-free movie by tmdbId or imdbId (optional auth)
+/** Quota lookup key for the current request (user, else guest IP). */
+const quotaRequester = (req) => ({
+  userId: req.userId || null,
+  ip: req.ip || req.socket?.remoteAddress,
+  isAdmin: req.user?.isAdmin === true,
+})
+
+const sendQuotaExceeded = (req, res, quota) =>
+  res.status(429).json({
+    success: false,
+    message: req.userId
+      ? 'You have used all your ad-free requests for this week. Upvote queued titles instead.'
+      : 'Weekly ad-free request limit reached. Log in to request more or to upvote queued titles.',
+    data: quota,
+  })
+
+/**
+ * TV branch of POST /ad-free-request: enqueue the requested seasons like the admin queue does, with the requester
+ * stored on every new episode. Only aired episodes that are not queued, staged or uploaded yet are added.
+ * Each season that gets new episodes counts as one request against the weekly quota, and non-admins must name
+ * the seasons, so one request cannot flood the queue with a long-running show. A show whose requested episodes
+ * are all queued already counts as an upvote for logged-in users.
+ */
+async function requestTvShow(req, res, { hasTmdb, tmdbId, imdbId }) {
+  const rawSeasons = req.body?.seasons
+  let seasonNumbers = null
+  if (rawSeasons != null) {
+    const list = Array.isArray(rawSeasons) ? rawSeasons.map(Number) : []
+    if (list.length === 0 || list.some((n) => !Number.isInteger(n) || n < 0)) {
+      return res.status(400).json({ success: false, message: 'seasons must be a non-empty array of season numbers' })
+    }
+    seasonNumbers = [...new Set(list)]
+  }
+  if (!quotaRequester(req).isAdmin && !seasonNumbers) {
+    return res.status(400).json({ success: false, message: 'seasons is required for TV requests (each season counts as one request)' })
+  }
+  const show = hasTmdb ? await fetchTvByTmdbId(tmdbId) : await fetchTvByImdbId(imdbId)
+  if (!show) {
+    return res.status(404).json({
+      success: false,
+      message: hasTmdb ? 'TV show not found for this TMDB id' : 'TV show not found for this IMDB id',
+    })
+  }
+
+  // Dry run first: a show with nothing new to add is a vote (free), otherwise only seasons that get episodes are charged
+  const requester = req.userId ? { id: req.userId, type: 'user' } : { id: null, type: 'guest' }
+  const airedBefore = airedCutoff()
+  const plan = await enqueueTvShow(show, { requester, seasonNumbers, airedBefore, dryRun: true })
+  if (plan.code) {
+    return res.status(plan.code).json({ success: false, message: plan.message })
+  }
+  if (plan.nothingNew) {
+    const { parent } = plan
+    if (!req.userId) {
+      return res.status(409).json({
+        success: false,
+        message: 'This show has already been requested. Log in to upvote it.',
+        data: { id: parent._id },
+      })
+    }
+    const vote = await addVote(parent, req.userId)
+    if (vote.code) {
+      return res.status(400).json({ success: false, message: 'This show is already in the queue or has been uploaded' })
+    }
+    return res.status(200).json({
+      success: true,
+      data: { id: parent._id, votes: vote.votes, hasVoted: true },
+      message: vote.changed ? 'Already requested: your vote was added' : 'You already voted for this show',
+    })
+  }
+  const seasonsToAdd = [...new Set(plan.items.map((ep) => ep.seasonNumber))]
+  // Claim the quota before queueing so concurrent requests cannot overspend it
+  const { claim, quota: refused } = await claimRequest({ ...quotaRequester(req), tmdbId: Number(show.id), mediaType: 'tv', seasonNumbers: seasonsToAdd })
+  if (!claim) return sendQuotaExceeded(req, res, { ...refused, seasonsToAdd })
+
+  let result
+  try {
+    result = await enqueueTvShow(show, { requester, seasonNumbers: seasonsToAdd, airedBefore })
+  } catch (err) {
+    await releaseClaim(claim).catch(() => {})
+    throw err
+  }
+  if (result.code || result.nothingNew) {
+    await releaseClaim(claim)
+    if (result.code) return res.status(result.code).json({ success: false, message: result.message })
+    // Another request queued the same episodes in between
+    return res.status(409).json({ success: false, message: 'This show has just been requested', data: { id: result.parent._id } })
+  }
+  const { parent } = result
+  // Seasons another request filled in between are handed back
+  const seasonsAdded = new Set(result.items.map((ep) => ep.seasonNumber))
+  const seasonsSkipped = seasonsToAdd.filter((n) => !seasonsAdded.has(n))
+  if (seasonsSkipped.length > 0) await releaseClaim(claim, seasonsSkipped)
+  await confirmClaim(claim, parent._id)
+  // The requester is the first voter (same as for movies: the vote carries its priority)
+  if (req.userId) await addVote(parent, req.userId)
+  return res.status(201).json({
+    success: true,
+    data: { id: parent._id, title: parent.title, tmdbId: parent.tmdbId, created: result.created },
+    message: `Added ${result.created} episode${result.created === 1 ? '' : 's'} to download queue`,
+  })
+}
+
+// POST /ad-free-request – request an ad-free movie, or a TV show with mediaType 'tv' and seasons: [n, ...] (optional for admins),
+// by tmdbId or imdbId (optional auth).
+// A title already queued counts as an upvote for logged-in users; new requests count against the weekly quota.
 router.post('/ad-free-request', optionalValidateToken, async (req, res) => {
   try {
     const sys = await systemModel.findOne({}).select('openAdFreeRequest').lean()
@@ -77,6 +188,9 @@ router.post('/ad-free-request', optionalValidateToken, async (req, res) => {
         message: 'tmdbId or imdbId is required',
       })
     }
+    if (req.body.mediaType === 'tv') {
+      return await requestTvShow(req, res, { hasTmdb, tmdbId, imdbId })
+    }
     const movie = hasTmdb
       ? await fetchMovieByTmdbId(tmdbId)
       : await fetchMovieByImdbId(imdbId)
@@ -89,10 +203,27 @@ router.post('/ad-free-request', optionalValidateToken, async (req, res) => {
     const movieTmdbId = movie.id != null ? Number(movie.id) : null
     if (movieTmdbId != null) {
       const [inQueue, inStaging, inUploaded] = await Promise.all([
-        DownloadQueueModel.findOne({ tmdbId: movieTmdbId }).lean(),
+        DownloadQueueModel.findOne({ tmdbId: movieTmdbId, mediaType: 'movie' }).lean(),
         StagingVideoModel.findOne({ tmdbId: movieTmdbId }).lean(),
         UploadedVideoModel.findOne({ externalId: movieTmdbId }).lean(),
       ])
+      if (inQueue && !inStaging && !inUploaded && inQueue.status !== 'done') {
+        if (!req.userId) {
+          return res.status(409).json({
+            success: false,
+            message: 'This movie has already been requested. Log in to upvote it.',
+            data: { id: inQueue._id },
+          })
+        }
+        const vote = await addVote(inQueue, req.userId)
+        if (!vote.code) {
+          return res.status(200).json({
+            success: true,
+            data: { id: inQueue._id, votes: vote.votes, hasVoted: true },
+            message: vote.changed ? 'Already requested: your vote was added' : 'You already voted for this movie',
+          })
+        }
+      }
       if (inQueue || inStaging || inUploaded) {
         return res.status(400).json({
           success: false,
@@ -100,23 +231,36 @@ router.post('/ad-free-request', optionalValidateToken, async (req, res) => {
         })
       }
     }
+    // Claim the quota first so concurrent requests cannot both take the last slot
+    const { claim, quota } = await claimRequest({ ...quotaRequester(req), tmdbId: movieTmdbId, mediaType: 'movie' })
+    if (!claim) return sendQuotaExceeded(req, res, quota)
     const title = movie.title
       ? `${movie.title}${movie.release_date ? ` ${new Date(movie.release_date).getFullYear()}` : ''}`.trim()
       : `TMDB ${movie.id}`
     const requester = req.userId
       ? { id: req.userId, type: 'user' }
       : { id: null, type: 'guest' }
-    const doc = await DownloadQueueModel.create({
-      title,
-      tmdbId: movieTmdbId,
-      poster_path: movie.poster_path != null && String(movie.poster_path).trim() ? String(movie.poster_path).trim() : null,
-      year: movie.release_date ? new Date(movie.release_date).getFullYear() : null,
-      status: 'pending',
-      requester,
-    })
+    let doc
+    try {
+      doc = await DownloadQueueModel.create({
+        title,
+        tmdbId: movieTmdbId,
+        poster_path: movie.poster_path != null && String(movie.poster_path).trim() ? String(movie.poster_path).trim() : null,
+        year: movie.release_date ? new Date(movie.release_date).getFullYear() : null,
+        status: 'pending',
+        requester,
+      })
+    } catch (err) {
+      await releaseClaim(claim).catch(() => {})
+      throw err
+    }
+    await confirmClaim(claim, doc._id)
+    // A logged-in requester is the first voter; voting (not seeding votes) also adds the vote's priority,
+    // so taking the vote back returns the job to its requester default.
+    if (req.userId) await addVote(doc.toObject(), req.userId)
     return res.status(201).json({
       success: true,
-      data: doc,
+      data: req.userId ? await DownloadQueueModel.findById(doc._id).lean() : doc,
       message: 'Added to download queue',
     })
   } catch (err) {
@@ -127,53 +271,121 @@ router.post('/ad-free-request', optionalValidateToken, async (req, res) => {
   }
 })
 
-// GET /ad-free-request – list download queue + ad-free-only (UploadedVideo without queue) with pagination
+// GET /ad-free-request/quota – weekly request quota of the caller (user, or guest by IP)
+router.get('/ad-free-request/quota', optionalValidateToken, async (req, res) => {
+  try {
+    const quota = await getRequestQuota(quotaRequester(req))
+    return res.status(200).json({ success: true, data: quota })
+  } catch (err) {
+    return res.status(500).json({ success: false, message: err.message })
+  }
+})
+
+// POST /ad-free-request/:id/vote – upvote a queued title (logged-in users; one vote each)
+// DELETE /ad-free-request/:id/vote – take the vote back
+const voteHandler = (changeVote) => async (req, res) => {
+  try {
+    const doc = await DownloadQueueModel.findById(req.params.id).lean()
+    if (!doc) {
+      return res.status(404).json({ success: false, message: 'Request not found' })
+    }
+    const result = await changeVote(doc, req.userId)
+    if (result.code) {
+      return res.status(result.code).json({ success: false, message: result.message })
+    }
+    return res.status(200).json({
+      success: true,
+      data: { id: doc._id, votes: result.votes, hasVoted: changeVote === addVote },
+    })
+  } catch (err) {
+    return res.status(500).json({ success: false, message: err.message })
+  }
+}
+router.post('/ad-free-request/:id/vote', validateToken, voteHandler(addVote))
+router.delete('/ad-free-request/:id/vote', validateToken, voteHandler(removeVote))
+
+// GET /ad-free-request – list download queue + ad-free-only (UploadedVideo without queue) with pagination.
+// Queue items carry votes and hasVoted (current user); TV shows carry episodes { total, done }. ?sort=votes orders the board by votes.
 router.get('/ad-free-request', optionalValidateToken, async (req, res) => {
   try {
     const limit = Math.min(Math.max(1, parseInt(req.query.limit, 10) || PAGE_SIZE), 100)
     const skip = Math.max(0, parseInt(req.query.skip, 10) || 0)
     const statusFilter = req.query.status?.trim() || null
+    const sortByVotes = req.query.sort === 'votes'
+    const userId = req.userId ? String(req.userId) : null
 
     const [allQueue, allAdFreeOnly] = await Promise.all([
-      DownloadQueueModel.find({}).sort({ createdAt: -1 }).lean(),
+      DownloadQueueModel.find({}).select('+voters').sort({ createdAt: -1 }).lean(),
       UploadedVideoModel.find({ slugStatus: 'ready', externalId: { $ne: null } }).sort({ createdAt: -1 }).lean(),
     ])
-    const queueTmdbSet = new Set(allQueue.map((d) => d.tmdbId).filter((id) => id != null))
-    const adFreeOnly = allAdFreeOnly.filter((d) => !queueTmdbSet.has(d.externalId))
-    const adFreeByTmdb = new Map(allAdFreeOnly.map((d) => [d.externalId, d.slugStatus]))
+    const queueKeySet = new Set(allQueue.filter((d) => d.tmdbId != null).map((d) => mediaKey(d.mediaType, d.tmdbId)))
+    const adFreeByKey = new Map()
+    for (const d of allAdFreeOnly) {
+      const key = mediaKey(d.mediaType, d.externalId)
+      if (!adFreeByKey.has(key)) adFreeByKey.set(key, d) // newest upload per title (TV: one row per show)
+    }
+    const adFreeOnly = [...adFreeByKey.entries()].filter(([key]) => !queueKeySet.has(key)).map(([, d]) => d)
+
+    // TV parents have no status of their own: summarize their episodes
+    const tvParentIds = allQueue.filter((d) => d.mediaType === 'tv').map((d) => d._id)
+    const episodeStatuses = new Map() // parentId -> { status -> count }
+    if (tvParentIds.length > 0) {
+      const agg = await DownloadSeriesQueueModel.aggregate([
+        { $match: { parentId: { $in: tvParentIds } } },
+        { $group: { _id: { parentId: '$parentId', status: '$status' }, count: { $sum: 1 } } },
+      ])
+      for (const row of agg) {
+        const pid = String(row._id.parentId)
+        if (!episodeStatuses.has(pid)) episodeStatuses.set(pid, {})
+        episodeStatuses.get(pid)[row._id.status] = row.count
+      }
+    }
 
-    const queueItems = allQueue.map((item) => {
+    const queueItems = allQueue.map(({ voters, ...item }) => {
       let downloadStatus
-      const slugStatus = item.tmdbId != null ? adFreeByTmdb.get(item.tmdbId) : undefined
-      if (slugStatus === 'ready') {
+      let episodes = null
+      let status = item.status
+      if (item.mediaType === 'tv') {
+        const counts = episodeStatuses.get(String(item._id)) || {}
+        status = TV_STATUS_ORDER.find((st) => counts[st]) ?? null
+        episodes = { total: Object.values(counts).reduce((sum, n) => sum + n, 0), done: counts.done || 0 }
+      }
+      const uploaded = item.tmdbId != null ? adFreeByKey.get(mediaKey(item.mediaType, item.tmdbId)) : undefined
+      if (uploaded?.slugStatus === 'ready' && (item.mediaType !== 'tv' || status === 'done')) {
         downloadStatus = 'ad_free'
-      } else if (item.status === 'done') {
+      } else if (status === 'done') {
         downloadStatus = 'processing'
-      } else if (item.status === 'uploading') {
+      } else if (status === 'uploading') {
         downloadStatus = 'staging'
       } else {
-        downloadStatus = item.status
+        downloadStatus = status
       }
       return {
         ...item,
         poster_url: getPosterUrl(item.poster_path, 'w200') || null,
         downloadStatus,
+        ...(episodes && { episodes }),
+        votes: item.votes ?? 0,
+        hasVoted: !!userId && (voters || []).some((v) => String(v) === userId),
       }
     })
     const adFreeOnlyItems = adFreeOnly.map((d) => ({
       _id: d._id,
       title: d.title || `TMDB ${d.externalId}`,
       tmdbId: d.externalId,
+      mediaType: d.mediaType || 'movie',
       poster_path: d.poster_path,
       poster_url: getPosterUrl(d.poster_path, 'w200') || null,
       year: d.year ?? null,
       downloadStatus: 'ad_free',
       createdAt: d.createdAt,
       fromUploadedVideo: true,
+      votes: 0,
+      hasVoted: false,
     }))
 
     let combined = [...queueItems, ...adFreeOnlyItems].sort(
-      (a, b) => new Date(b.createdAt) - new Date(a.createdAt)
+      (a, b) => (sortByVotes ? b.votes - a.votes : 0) || new Date(b.createdAt) - new Date(a.createdAt)
     )
     if (statusFilter) {
       combined = combined.filter((item) => item.downloadStatus === statusFilter)
@@ -34,7 +34,18 @@ router.get('/', async (req, res) => {
 // PUT / – update system config (adrian only). If logoUrl or logoFullUrl is changed, deletes old from storage when it was /api/images/:id.
 router.put('/', validateAdmin, async (req, res) => {
   try {
-    const { appName, openRegistration, openAdFreeRequest, logoUrl, logoFullUrl, tagLine } = req.body;
+    const { appName, openRegistration, openAdFreeRequest, adFreeRequestQuota, logoUrl, logoFullUrl, tagLine } = req.body;
+    if (adFreeRequestQuota !== undefined) {
+      const invalid = adFreeRequestQuota === null || typeof adFreeRequestQuota !== 'object'
+        || ['user', 'guest'].some((key) => adFreeRequestQuota[key] !== undefined
+          && !(Number.isInteger(adFreeRequestQuota[key]) && adFreeRequestQuota[key] >= 0));
+      if (invalid) {
+        return res.status(400).json({
+          success: false,
+          message: 'adFreeRequestQuota.user and adFreeRequestQuota.guest must be non-negative integers',
+        });
+      }
+    }
     let oldLogoUrl = null;
     let oldLogoFullUrl = null;
     const current = await systemModel.findOne({}).select('logoUrl logoFullUrl').lean();
@@ -47,6 +58,8 @@ router.put('/', validateAdmin, async (req, res) => {
         ...(appName !== undefined && { appName }),
         ...(openRegistration !== undefined && { openRegistration }),
         ...(openAdFreeRequest !== undefined && { openAdFreeRequest }),
+        ...(adFreeRequestQuota?.user !== undefined && { 'adFreeRequestQuota.user': adFreeRequestQuota.user }),
+        ...(adFreeRequestQuota?.guest !== undefined && { 'adFreeRequestQuota.guest': adFreeRequestQuota.guest }),
         ...(logoUrl !== undefined && { logoUrl }),
         ...(logoFullUrl !== undefined && { logoFullUrl }),
         ...(tagLine !== undefined && { tagLine }),
@@ -2,7 +2,23 @@ const express = require('express');
 const axios = require('axios');
 const { validateToken, validateAdmin, validateWebhookSecret } = require('../helper/validate.helper');
 const { getPosterUrl } = require('../helper/movietv.helper');
-const { fetchTvDetails, getTvSeasonsSummary, getTvSeasonsEpisodes } = require('../helper/tmdb.helper');
+const { fetchTvDetails } = require('../helper/tmdb.helper');
+const { enqueueTvShow, airedCutoff } = require('../helper/downloadQueue.helper');
+const { runSeriesMonitor } = require('../helper/seriesMonitor.helper');
+const {
+  tryStartDownloadJob,
+  renewDownloadJob,
+  endDownloadJob,
+  getCurrentDownloadJobId,
+  getDownloadJobLock,
+} = require('../helper/stagingProcessState.helper');
+const {
+  QUEUE_ORDER,
+  REORDERABLE_STATUSES,
+  defaultPriority,
+  compareQueueOrder,
+  priorityForPosition,
+} = require('../helper/downloadPriority.helper');
 const DownloadQueueModel = require('../model/downloadQueue.model');
 const DownloadSeriesQueueModel = require('../model/downloadSeriesQueue.model');
 const StagingVideoModel = require('../model/stagingVideo.model');
@@ -132,6 +148,9 @@ router.get('/', validateToken, validateAdmin, async (req, res) => {
         waitingCount: waitingCountByParent[pid] || 0,
         failedCount: failedCountByParent[pid] || 0,
         hasInProgress: !!inProgressByParent[pid],
+        monitored: !!parent.monitored,
+        monitorCheckedAt: parent.monitorCheckedAt ?? null,
+        monitorError: parent.monitorError ?? null,
       };
     });
 
@@ -236,6 +255,112 @@ router.get('/failed', validateToken, validateAdmin, async (req, res) => {
   }
 });
 
+// -----------------------------------------------------------------------------
+// Queue order: pending + waiting movies and episodes, merged in the order the downloader gets them.
+// -----------------------------------------------------------------------------
+
+/**
+ * All reorderable jobs (movies + episodes) in QUEUE_ORDER. Jobs saved before priorities existed use their requester default.
+ * @returns {Promise<object[]>} lean docs with kind 'movie' | 'episode'
+ */
+async function loadQueuedJobs() {
+  const [movies, episodes] = await Promise.all([
+    DownloadQueueModel.find({ mediaType: 'movie', status: { $in: REORDERABLE_STATUSES } })
+      .select('title status priority requester tmdbId poster_path createdAt')
+      .lean(),
+    DownloadSeriesQueueModel.find({ status: { $in: REORDERABLE_STATUSES } })
+      .select('parentId seasonNumber episodeNumber title status priority requester createdAt')
+      .lean(),
+  ]);
+  return [
+    ...movies.map((doc) => ({ ...doc, kind: 'movie' })),
+    ...episodes.map((doc) => ({ ...doc, kind: 'episode' })),
+  ]
+    .map((job) => ({ ...job, priority: job.priority ?? defaultPriority(job.requester) }))
+    .sort(compareQueueOrder);
+}
+
+// GET /order — Queued jobs in download order (?limit=, ?skip=). position is the index POST /reorder expects.
+router.get('/order', validateToken, validateAdmin, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    const skip = Math.max(0, parseInt(req.query.skip, 10) || 0);
+    const jobs = await loadQueuedJobs();
+    const page = jobs.slice(skip, skip + limit);
+
+    const parentIds = [...new Set(page.filter((j) => j.kind === 'episode').map((j) => String(j.parentId)))];
+    const parents = await DownloadQueueModel.find({ _id: { $in: parentIds } }).select('title tmdbId poster_path').lean();
+    const parentMap = new Map(parents.map((p) => [p._id.toString(), p]));
+    const list = page.map((job, i) => {
+      const parent = job.kind === 'episode' ? parentMap.get(String(job.parentId)) : null;
+      const posterPath = parent ? parent.poster_path : job.poster_path;
+      return {
+        ...job,
+        position: skip + i,
+        showTitle: parent?.title ?? null,
+        tmdbId: parent ? parent.tmdbId : job.tmdbId,
+        poster_url: getPosterUrl(posterPath, 'w200') || null,
+        requesterType: job.requester?.type ?? null,
+      };
+    });
+    return res.json({ success: true, data: { list, total: jobs.length } });
+  } catch (err) {
+    return res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+// POST /reorder — Body: id (movie, episode, or TV parent = all its queued episodes), position (0-based index in GET /order; 0 = top).
+// Only pending/waiting jobs can move. The moved jobs get a priority between their new neighbours.
+router.post('/reorder', validateToken, validateAdmin, async (req, res) => {
+  try {
+    const { id } = req.body || {};
+    const position = Number(req.body?.position);
+    if (!id) return res.status(400).json({ success: false, message: 'id required' });
+    if (!Number.isInteger(position) || position < 0) {
+      return res.status(400).json({ success: false, message: 'position must be a non-negative integer' });
+    }
+
+    let Model = DownloadQueueModel;
+    let filter;
+    const doc = await DownloadQueueModel.findById(id).lean();
+    if (doc?.mediaType === 'tv') {
+      Model = DownloadSeriesQueueModel;
+      filter = { parentId: doc._id };
+    } else if (doc) {
+      filter = { _id: doc._id };
+    } else {
+      const episode = await DownloadSeriesQueueModel.findById(id).lean();
+      if (!episode) return res.status(404).json({ success: false, message: 'Queue item not found' });
+      Model = DownloadSeriesQueueModel;
+      filter = { _id: episode._id };
+    }
+    const moving = await Model.find({ ...filter, status: { $in: REORDERABLE_STATUSES } }).select('requester').lean();
+    if (moving.length === 0) {
+      return res.status(400).json({ success: false, message: 'Only pending or waiting jobs can be reordered' });
+    }
+
+    const movingIds = new Set(moving.map((m) => m._id.toString()));
+    const ordered = (await loadQueuedJobs()).filter((job) => !movingIds.has(job._id.toString()));
+    const { priority, bumps } = priorityForPosition(ordered, position, defaultPriority(moving[0].requester));
+
+    const kindById = new Map(ordered.map((job) => [job._id.toString(), job.kind]));
+    for (const bump of bumps) {
+      const movieIds = bump.ids.filter((jobId) => kindById.get(jobId.toString()) === 'movie');
+      const episodeIds = bump.ids.filter((jobId) => kindById.get(jobId.toString()) === 'episode');
+      if (movieIds.length) await DownloadQueueModel.updateMany({ _id: { $in: movieIds } }, { $set: { priority: bump.priority } });
+      if (episodeIds.length) await DownloadSeriesQueueModel.updateMany({ _id: { $in: episodeIds } }, { $set: { priority: bump.priority } });
+    }
+    await Model.updateMany({ _id: { $in: moving.map((m) => m._id) } }, { $set: { priority } });
+
+    return res.json({
+      success: true,
+      data: { moved: moving.length, priority, position: Math.min(position, ordered.length) },
+    });
+  } catch (err) {
+    return res.status(500).json({ success: false, message: err.message });
+  }
+});
+
 // -----------------------------------------------------------------------------
 // POST /reset-failed — Set all failed movies and all failed episodes to status 'pending'.
 // -----------------------------------------------------------------------------
@@ -298,13 +423,13 @@ router.delete('/episodes', validateToken, validateAdmin, async (req, res) => {
 
 // -----------------------------------------------------------------------------
 // POST / — Add item(s) to queue
-// Body: title, tmdbId?, poster_path?, year?, mediaType? ('movie'|'tv')
+// Body: title, tmdbId?, poster_path?, year?, mediaType? ('movie'|'tv'), monitored? (TV: queue new episodes as they air)
 // For TV: pass seasons: [{ seasonNumber, episodeCount }, ...] → creates one queue entry per episode.
 // -----------------------------------------------------------------------------
 
 router.post('/', validateToken, validateAdmin, async (req, res) => {
   try {
-    const { title, tmdbId, poster_path, year, mediaType: rawMediaType, seasons: rawSeasons } = req.body || {};
+    const { title, tmdbId, poster_path, year, mediaType: rawMediaType, seasons: rawSeasons, monitored } = req.body || {};
     if (!title || typeof title !== 'string' || !title.trim()) {
       return res.status(400).json({ success: false, message: 'title required' });
     }
@@ -331,153 +456,28 @@ router.post('/', validateToken, validateAdmin, async (req, res) => {
       if (!tvDetails) {
         return res.status(404).json({ success: false, message: 'TV show not found for this TMDB id' });
       }
-      const summary = getTvSeasonsSummary(tvDetails);
-      if (!summary.seasons || summary.seasons.length === 0) {
-        return res.status(400).json({ success: false, message: 'No seasons found for this show' });
-      }
-      const showTitle = (title && String(title).trim()) || tvDetails.name || 'Unknown Show';
-      const posterPathFromApi = tvDetails.poster_path != null ? String(tvDetails.poster_path).trim() : null;
-      const finalPosterPath = posterPath != null ? posterPath : posterPathFromApi;
-      const yearFromApi =
-        tvDetails.first_air_date != null && String(tvDetails.first_air_date).length >= 4
-          ? parseInt(String(tvDetails.first_air_date).slice(0, 4), 10)
-          : null;
-      const finalYear = yearNum != null ? yearNum : yearFromApi;
-
-      // Fetch per-season episode list (with names) from TMDB
-      const episodesFromTmdb = [];
-      for (const season of summary.seasons) {
-        const sn = season.season_number ?? 0;
-        try {
-          const episodeList = await getTvSeasonsEpisodes(numTmdbId, sn);
-          if (Array.isArray(episodeList)) {
-            for (const ep of episodeList) {
-              const epNum = ep.episode_number ?? 0;
-              if (epNum < 1) continue;
-              episodesFromTmdb.push({
-                seasonNumber: sn,
-                episodeNumber: epNum,
-                episodeName: (ep.name && String(ep.name).trim()) || null,
-              });
-            }
-          }
-        } catch {
-          // Skip season if API fails (e.g. not yet available)
-        }
-      }
-      if (episodesFromTmdb.length === 0) {
-        return res.status(400).json({ success: false, message: 'No episodes found for this show' });
-      }
-
-      const requestedSeasonMeta = summary.seasons.map((s) => ({
-        seasonNumber: s.season_number ?? 0,
-        name: s.name ?? `Season ${s.season_number ?? 0}`,
-        posterPath: s.poster_path ?? null,
-      }));
-
-      const existingTv = await DownloadQueueModel.findOne({ tmdbId: numTmdbId, mediaType: 'tv' }).lean();
-
-      if (existingTv) {
-        // Merge: add only new (season, episode) pairs and update seasonMetadata from TMDB
-        const parent = existingTv;
-        const existingEpisodes = await DownloadSeriesQueueModel.find(
-          { parentId: parent._id },
-          { seasonNumber: 1, episodeNumber: 1 }
-        )
-          .lean();
-        const existingSet = new Set(
-          existingEpisodes.map((e) => `${e.seasonNumber},${e.episodeNumber}`)
-        );
-
-        const episodeDocs = [];
-        for (const ep of episodesFromTmdb) {
-          if (existingSet.has(`${ep.seasonNumber},${ep.episodeNumber}`)) continue;
-          const label = `${showTitle} S${String(ep.seasonNumber).padStart(2, '0')}E${String(ep.episodeNumber).padStart(2, '0')}`;
-          episodeDocs.push({
-            parentId: parent._id,
-            seasonNumber: ep.seasonNumber,
-            episodeNumber: ep.episodeNumber,
-            title: ep.episodeName || label,
-            episodeName: ep.episodeName,
-            status: 'pending',
-            quality: 'high',
-            requester,
-          });
-        }
-
-        const metaBySeason = new Map(
-          (parent.seasonMetadata || []).map((m) => [m.seasonNumber, { ...m }])
-        );
-        for (const m of requestedSeasonMeta) {
-          const existing = metaBySeason.get(m.seasonNumber);
-          metaBySeason.set(m.seasonNumber, {
-            seasonNumber: m.seasonNumber,
-            name: m.name ?? existing?.name ?? `Season ${m.seasonNumber}`,
-            posterPath: m.posterPath ?? existing?.posterPath ?? null,
-          });
-        }
-        const mergedSeasonMetadata = Array.from(metaBySeason.values()).sort(
-          (a, b) => (a.seasonNumber || 0) - (b.seasonNumber || 0)
-        );
-
-        const metaChanged =
-          JSON.stringify(mergedSeasonMetadata) !==
-          JSON.stringify(parent.seasonMetadata || []);
-        if (metaChanged || finalPosterPath !== parent.poster_path || finalYear !== parent.year) {
-          await DownloadQueueModel.findByIdAndUpdate(parent._id, {
-            $set: {
-              seasonMetadata: mergedSeasonMetadata,
-              ...(finalPosterPath != null && { poster_path: finalPosterPath }),
-              ...(finalYear != null && { year: finalYear }),
-            },
-          });
-        }
-
-        let created = [];
-        if (episodeDocs.length > 0) {
-          created = await DownloadSeriesQueueModel.insertMany(episodeDocs);
-        }
-
-        const nothingNew = created.length === 0;
-        return res.status(201).json({
-          success: true,
-          data: {
-            created: created.length,
-            updated: true,
-            nothingNew,
-            parent: { ...parent, seasonMetadata: mergedSeasonMetadata },
-            items: created,
-          },
-        });
-      }
-
-      // New show: create parent + all episodes (with episode names from TMDB)
-      const parent = await DownloadQueueModel.create({
-        title: showTitle,
-        tmdbId: numTmdbId,
-        poster_path: finalPosterPath,
-        year: finalYear,
-        mediaType: 'tv',
+      // A monitored show only gets the episodes that aired already; the series monitor adds the rest as they air.
+      const existingParent = await DownloadQueueModel.findOne({ tmdbId: numTmdbId, mediaType: 'tv' }).select('monitored').lean();
+      const isMonitored = typeof monitored === 'boolean' ? monitored : existingParent?.monitored === true;
+      const result = await enqueueTvShow(tvDetails, {
         requester,
-        seasonMetadata: requestedSeasonMeta,
-      });
-      const episodeDocs = episodesFromTmdb.map((ep) => {
-        const label = `${showTitle} S${String(ep.seasonNumber).padStart(2, '0')}E${String(ep.episodeNumber).padStart(2, '0')}`;
-        return {
-          parentId: parent._id,
-          seasonNumber: ep.seasonNumber,
-          episodeNumber: ep.episodeNumber,
-          title: ep.episodeName || label,
-          episodeName: ep.episodeName,
-          status: 'pending',
-          quality: 'high',
-          requester,
-        };
+        title,
+        posterPath,
+        year: yearNum,
+        parentFields: { monitored: isMonitored },
+        airedBefore: isMonitored ? airedCutoff() : null,
       });
-      const created = await DownloadSeriesQueueModel.insertMany(episodeDocs);
+      if (result.code) {
+        return res.status(result.code).json({ success: false, message: result.message });
+      }
+      const { parent, items, created, nothingNew } = result;
+      if (!result.isNew && typeof monitored === 'boolean' && parent.monitored !== monitored) {
+        await DownloadQueueModel.updateOne({ _id: parent._id }, { $set: { monitored } });
+        parent.monitored = monitored;
+      }
       return res.status(201).json({
         success: true,
-        data: { created: created.length, parent, items: created },
+        data: result.isNew ? { created, parent, items } : { created, updated: true, nothingNew, parent, items },
       });
     }
 
@@ -508,14 +508,31 @@ router.post('/', validateToken, validateAdmin, async (req, res) => {
 
 // -----------------------------------------------------------------------------
 // PATCH /:id — Update item (quality; only if pending or waiting). Id may be movie or episode.
+// TV parent: monitored (boolean) turns the series monitor on or off for the show.
 // -----------------------------------------------------------------------------
 
 router.patch('/:id', validateToken, validateAdmin, async (req, res) => {
   try {
-    const { quality, status: newStatus } = req.body || {};
+    const { quality, status: newStatus, monitored } = req.body || {};
     if (quality != null && !['low', 'medium', 'high'].includes(quality)) {
       return res.status(400).json({ success: false, message: 'Invalid quality' });
     }
+    if (monitored != null) {
+      if (typeof monitored !== 'boolean') {
+        return res.status(400).json({ success: false, message: 'monitored must be a boolean' });
+      }
+      const show = await DownloadQueueModel.findById(req.params.id).lean();
+      if (!show || show.mediaType !== 'tv') {
+        return res.status(400).json({ success: false, message: 'Only TV shows can be monitored' });
+      }
+      // TV parents have no quality/status of their own, so monitored is the only field to update
+      const updated = await DownloadQueueModel.findByIdAndUpdate(
+        req.params.id,
+        { $set: { monitored } },
+        { new: true }
+      ).lean();
+      return res.json({ success: true, data: updated });
+    }
     if (newStatus != null && newStatus !== 'pending') {
       return res.status(400).json({ success: false, message: 'Invalid status transition' });
     }
@@ -653,7 +670,7 @@ router.get('/job/:jobId', validateToken, validateAdmin, async (req, res) => {
 });
 
 // -----------------------------------------------------------------------------
-// POST /process — Move pending → waiting (assign jobId).
+// POST /process — Move pending → waiting (assign jobId), in priority order.
 // Query/body: type = 'both' | 'movie' | 'tv' (default both). movie = movies only, tv = series episodes only.
 // -----------------------------------------------------------------------------
 
@@ -669,7 +686,7 @@ router.post('/process', validateToken, validateAdmin, async (req, res) => {
         mediaType: 'movie',
         status: 'pending',
       })
-        .sort({ createdAt: 1 })
+        .sort(QUEUE_ORDER)
         .lean();
       for (const doc of pendingMovies) {
         await DownloadQueueModel.updateOne(
@@ -683,7 +700,7 @@ router.post('/process', validateToken, validateAdmin, async (req, res) => {
     let movedEpisodes = 0;
     if (doTv) {
       const pendingEpisodes = await DownloadSeriesQueueModel.find({ status: 'pending' })
-        .sort({ createdAt: 1 })
+        .sort(QUEUE_ORDER)
         .lean();
       for (const doc of pendingEpisodes) {
         await DownloadSeriesQueueModel.updateOne(
@@ -704,6 +721,20 @@ router.post('/process', validateToken, validateAdmin, async (req, res) => {
   }
 });
 
+// -----------------------------------------------------------------------------
+// POST /monitor/run — Check all monitored TV shows now and queue their newly aired episodes
+// (the series monitor also runs in the background).
+// -----------------------------------------------------------------------------
+
+router.post('/monitor/run', validateToken, validateAdmin, async (req, res) => {
+  try {
+    const summary = await runSeriesMonitor();
+    return res.json({ success: true, data: summary });
+  } catch (err) {
+    return res.status(500).json({ success: false, message: err.message });
+  }
+});
+
 // -----------------------------------------------------------------------------
 // POST /process/start — Ping sniffer server to start its worker loop (loop runs in Python).
 // -----------------------------------------------------------------------------
@@ -726,6 +757,258 @@ router.post('/process/start', validateToken, validateAdmin, async (req, res) =>
   }
 });
 
+// -----------------------------------------------------------------------------
+// Downloader webhooks (X-Webhook-Secret). The backend owns the job state machine:
+// waiting → searching → downloading → uploading → done | failed
+// Only one job runs at a time (tryStartDownloadJob / endDownloadJob lock). Every webhook for the job holding
+// the lock renews its lease; an expired lease (crashed downloader) lets the next claim through, and admins
+// can release the lock by hand (POST /lock/release).
+// -----------------------------------------------------------------------------
+
+/** Allowed next statuses per current status. Any waiting or in-progress job may fail. */
+const JOB_TRANSITIONS = {
+  waiting: ['searching', 'failed'],
+  searching: ['downloading', 'failed'],
+  downloading: ['uploading', 'failed'],
+  uploading: ['done', 'failed'],
+};
+const IN_PROGRESS_STATUSES = ['searching', 'downloading', 'uploading'];
+
+/**
+ * Find a job by jobId in DownloadQueue (movies) or DownloadSeriesQueue (episodes).
+ * @param {string} jobId
+ * @returns {Promise<{ Model: import('mongoose').Model, doc: object } | null>}
+ */
+async function findJob(jobId) {
+  const movie = await DownloadQueueModel.findOne({ jobId }).lean();
+  if (movie) return { Model: DownloadQueueModel, doc: movie };
+  const episode = await DownloadSeriesQueueModel.findOne({ jobId }).lean();
+  if (episode) return { Model: DownloadSeriesQueueModel, doc: episode };
+  return null;
+}
+
+/** Job payload for the downloader: episodes get show info from the parent. */
+async function buildJobPayload(Model, doc) {
+  if (Model === DownloadQueueModel) {
+    return { ...doc, kind: 'movie' };
+  }
+  const parent = await DownloadQueueModel.findById(doc.parentId).select('tmdbId title poster_path year').lean();
+  return {
+    ...doc,
+    kind: 'episode',
+    tmdbId: parent?.tmdbId ?? null,
+    showTitle: parent?.title ?? null,
+    poster_path: parent?.poster_path ?? null,
+    year: parent?.year ?? null,
+  };
+}
+
+/**
+ * Atomically move a job from its current status to nextStatus if the transition is legal.
+ * @returns {Promise<{ doc?: object, code?: number, message?: string }>}
+ */
+async function transitionJob(jobId, nextStatus, extraSet = {}) {
+  const found = await findJob(jobId);
+  if (!found) return { code: 404, message: 'Job not found' };
+  const { Model, doc } = found;
+  const allowed = JOB_TRANSITIONS[doc.status] || [];
+  if (!allowed.includes(nextStatus)) {
+    return { code: 409, message: `Illegal transition ${doc.status} → ${nextStatus}` };
+  }
+  const updated = await Model.findOneAndUpdate(
+    { _id: doc._id, status: doc.status },
+    { $set: { status: nextStatus, ...extraSet } },
+    { new: true }
+  ).lean();
+  if (!updated) return { code: 409, message: 'Job status changed concurrently; retry' };
+  return { doc: updated, Model };
+}
+
+/**
+ * Make sure the download lock belongs to jobId. After a backend restart the in-memory lock is empty,
+ * so an in-progress job re-takes it on its next webhook.
+ * @returns {boolean} false when another job holds the lock
+ */
+function ensureJobLock(jobId) {
+  const current = getCurrentDownloadJobId();
+  if (current === jobId) return renewDownloadJob(jobId);
+  if (current == null) return tryStartDownloadJob(jobId);
+  return false;
+}
+
+function releaseJobLock(jobId) {
+  if (getCurrentDownloadJobId() === jobId) endDownloadJob();
+}
+
+function readJobId(req) {
+  const raw = req.body?.jobId;
+  return raw != null && String(raw).trim() ? String(raw).trim() : null;
+}
+
+// POST /webhook/claim — Claim a waiting job (body.jobId, or the first waiting movie/episode in priority order) and move it to searching.
+// 503 when another job holds the lock (same contract as the downloader's own busy response).
+router.post('/webhook/claim', validateWebhookSecret, async (req, res) => {
+  try {
+    let jobId = readJobId(req);
+    if (!jobId) {
+      const [movie, episode] = await Promise.all([
+        DownloadQueueModel.findOne({ mediaType: 'movie', status: 'waiting' }).sort(QUEUE_ORDER).lean(),
+        DownloadSeriesQueueModel.findOne({ status: 'waiting' }).sort(QUEUE_ORDER).lean(),
+      ]);
+      const next = [movie, episode].filter(Boolean).sort(compareQueueOrder)[0];
+      if (!next) return res.json({ success: true, data: null, message: 'No waiting jobs' });
+      jobId = next.jobId;
+    }
+    if (!tryStartDownloadJob(jobId)) {
+      return res.status(503).json({
+        success: false,
+        message: 'Another download job is running',
+        data: { currentJobId: getCurrentDownloadJobId() },
+      });
+    }
+    const result = await transitionJob(jobId, 'searching', { errorMessage: null });
+    if (!result.doc) {
+      endDownloadJob();
+      return res.status(result.code).json({ success: false, message: result.message });
+    }
+    return res.json({ success: true, data: await buildJobPayload(result.Model, result.doc) });
+  } catch (err) {
+    return res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+// POST /webhook/progress — Body: jobId, status? (next state), uploadChunkIndex?, uploadChunkTotal?, uploadProgress?.
+// Same-status updates only carry progress; chunk indexes going backwards are rejected as stale.
+router.post('/webhook/progress', validateWebhookSecret, async (req, res) => {
+  try {
+    const jobId = readJobId(req);
+    if (!jobId) return res.status(400).json({ success: false, message: 'jobId required' });
+    const { status: nextStatus, uploadChunkIndex, uploadChunkTotal, uploadProgress } = req.body || {};
+    if (nextStatus === 'done' || nextStatus === 'failed') {
+      return res.status(400).json({ success: false, message: `Use /webhook/${nextStatus}` });
+    }
+    const found = await findJob(jobId);
+    if (!found) return res.status(404).json({ success: false, message: 'Job not found' });
+    const { Model, doc } = found;
+    if (!IN_PROGRESS_STATUSES.includes(doc.status)) {
+      return res.status(409).json({ success: false, message: `Job is ${doc.status}, not in progress` });
+    }
+    if (!ensureJobLock(jobId)) {
+      return res.status(409).json({ success: false, message: 'Another download job holds the lock' });
+    }
+
+    const set = {};
+    if (uploadChunkIndex != null) {
+      const idx = Number(uploadChunkIndex);
+      if (!Number.isInteger(idx) || idx < 0) {
+        return res.status(400).json({ success: false, message: 'uploadChunkIndex must be a non-negative integer' });
+      }
+      set.uploadChunkIndex = idx;
+    }
+    if (uploadChunkTotal != null) {
+      const total = Number(uploadChunkTotal);
+      if (!Number.isInteger(total) || total < 1) {
+        return res.status(400).json({ success: false, message: 'uploadChunkTotal must be a positive integer' });
+      }
+      set.uploadChunkTotal = total;
+    }
+    if (uploadProgress != null) {
+      const pct = Number(uploadProgress);
+      if (!Number.isFinite(pct) || pct < 0 || pct > 100) {
+        return res.status(400).json({ success: false, message: 'uploadProgress must be 0-100' });
+      }
+      set.uploadProgress = pct;
+    }
 
+    if (nextStatus != null && nextStatus !== doc.status) {
+      const result = await transitionJob(jobId, nextStatus, set);
+      if (!result.doc) return res.status(result.code).json({ success: false, message: result.message });
+      return res.json({ success: true, data: result.doc });
+    }
+
+    if (set.uploadChunkIndex != null && doc.uploadChunkIndex != null && set.uploadChunkIndex < doc.uploadChunkIndex) {
+      return res.status(409).json({
+        success: false,
+        message: `Stale progress: chunk ${set.uploadChunkIndex} < ${doc.uploadChunkIndex}`,
+      });
+    }
+    if (Object.keys(set).length === 0) return res.json({ success: true, data: doc });
+    const filter = { _id: doc._id, status: doc.status };
+    if (set.uploadChunkIndex != null) {
+      filter.$or = [{ uploadChunkIndex: null }, { uploadChunkIndex: { $lte: set.uploadChunkIndex } }];
+    }
+    const updated = await Model.findOneAndUpdate(filter, { $set: set }, { new: true }).lean();
+    if (!updated) return res.status(409).json({ success: false, message: 'Stale or out-of-order progress update' });
+    return res.json({ success: true, data: updated });
+  } catch (err) {
+    return res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+// POST /webhook/done — Body: jobId, stagingId?. uploading → done; releases the lock.
+router.post('/webhook/done', validateWebhookSecret, async (req, res) => {
+  try {
+    const jobId = readJobId(req);
+    if (!jobId) return res.status(400).json({ success: false, message: 'jobId required' });
+    const stagingId = req.body?.stagingId != null ? String(req.body.stagingId) : null;
+    const result = await transitionJob(jobId, 'done', {
+      ...(stagingId && { stagingId }),
+      uploadProgress: 100,
+      errorMessage: null,
+    });
+    if (!result.doc) return res.status(result.code).json({ success: false, message: result.message });
+    releaseJobLock(jobId);
+    return res.json({ success: true, data: result.doc });
+  } catch (err) {
+    return res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+// POST /webhook/failed — Body: jobId, errorMessage?. Waiting or any in-progress status → failed; releases the lock.
+router.post('/webhook/failed', validateWebhookSecret, async (req, res) => {
+  try {
+    const jobId = readJobId(req);
+    if (!jobId) return res.status(400).json({ success: false, message: 'jobId required' });
+    const errorMessage = req.body?.errorMessage != null ? String(req.body.errorMessage).slice(0, 2000) : 'Download failed';
+    const result = await transitionJob(jobId, 'failed', { errorMessage });
+    if (!result.doc) return res.status(result.code).json({ success: false, message: result.message });
+    releaseJobLock(jobId);
+    return res.json({ success: true, data: result.doc });
+  } catch (err) {
+    return res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+// -----------------------------------------------------------------------------
+// GET /lock — Download-job lock: currentJobId, leaseExpiresAt, expired.
+// POST /lock/release — Body: fail? (boolean). Release the lock (e.g. the downloader crashed mid-job);
+// with fail: true the job holding it is also marked failed so it can be reset and retried.
+// -----------------------------------------------------------------------------
+
+router.get('/lock', validateToken, validateAdmin, (req, res) => {
+  return res.json({ success: true, data: getDownloadJobLock() });
+});
+
+router.post('/lock/release', validateToken, validateAdmin, async (req, res) => {
+  try {
+    const { currentJobId } = getDownloadJobLock();
+    let job = null;
+    if (currentJobId && req.body?.fail === true) {
+      const result = await transitionJob(currentJobId, 'failed', { errorMessage: 'Released by admin' });
+      if (!result.doc && result.code !== 404) {
+        return res.status(result.code).json({ success: false, message: result.message });
+      }
+      job = result.doc ?? null;
+    }
+    endDownloadJob();
+    return res.json({
+      success: true,
+      message: currentJobId ? `Released lock held by ${currentJobId}` : 'Lock was not held',
+      data: { releasedJobId: currentJobId, job },
+    });
+  } catch (err) {
+    return res.status(500).json({ success: false, message: err.message });
+  }
+});
 
 module.exports = router;
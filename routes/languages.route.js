@@ -1,17 +1,42 @@
 const express = require('express');
+const multer = require('multer');
+const path = require('path');
 const { tmdbApi } = require('../helper/api.helper');
 const UploadedVideoModel = require('../model/uploadedVideo.model');
 const StagingSubtitleModel = require('../model/stagingSubtitle.model');
-const { getSubtitleBuffer } = require('../model/subtitleGridFs.model');
-const { validateWebhookSecret } = require('../helper/validate.helper');
-const { putSubtitleToAbyss, getVideoSubtitle } = require('../helper/abyss.helper');
+const { validateToken, validateAdmin, validateWebhookSecret } = require('../helper/validate.helper');
+const { getProviderFor } = require('../helper/videoHost.helper');
 const { verifyRecaptcha } = require('../helper/recaptcha.helper');
+const { SubtitleFormatError, parseSubtitle, parseTimingCorrection, formatSrtTime, toIso6391 } = require('../helper/subtitle.helper');
+const {
+  writeSubtitleFile,
+  deleteStagingSubtitle,
+  getStagingSubtitleById,
+  renderStagingSubtitle,
+  findSubtitleVideo,
+  sendStagingSubtitle,
+} = require('../helper/stagingSubtitle.helper');
 require('dotenv').config();
 const axios = require('axios');
 const router = express.Router();
 
 const DOWNLOADER_URL = (process.env.DOWNLOADER_URL || '').replace(/\/$/, '');
 const SNIFFER_URL = (process.env.DOWNLOADER_URL || process.env.DOWNLOADER_URL || '').replace(/\/$/, '');
+/** Subtitles uploaded by non-admins wait for an admin (status 'awaiting_approval') unless this is 'false'. */
+const SUBTITLE_UPLOAD_REQUIRE_APPROVAL = process.env.SUBTITLE_UPLOAD_REQUIRE_APPROVAL !== 'false';
+/** Uploads a non-admin may have waiting (pending or awaiting_approval) at once. */
+const SUBTITLE_UPLOAD_MAX_OPEN = parseInt(process.env.SUBTITLE_UPLOAD_MAX_OPEN, 10) || 10;
+const OPEN_SUBTITLE_STATUSES = ['pending', 'awaiting_approval'];
+
+const SUBTITLE_CONTENT_TYPES = { '.srt': 'application/x-subrip', '.vtt': 'text/vtt', '.ass': 'text/x-ssa', '.ssa': 'text/x-ssa' };
+const subtitleUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 }, // 5MB
+  fileFilter: (req, file, cb) => {
+    if (SUBTITLE_CONTENT_TYPES[path.extname(file.originalname || '').toLowerCase()]) return cb(null, true);
+    cb(new Error('Unsupported subtitle file. Use .srt, .vtt or .ass'));
+  },
+});
 
 /**
  * GET /api/languages
@@ -87,7 +112,7 @@ router.get('/subtitle-available', async (req, res) => {
     const slug = uploadedVideo.abyssSlug;
     if (slug && typeof slug === 'string') {
       try {
-        const raw = await getVideoSubtitle(slug);
+        const raw = await getProviderFor(uploadedVideo).listSubtitles(slug);
         const list = Array.isArray(raw) ? raw : [];
         subtitleOnAbyss = list
           .map((item) => {
@@ -98,7 +123,7 @@ router.get('/subtitle-available', async (req, res) => {
           })
           .filter(Boolean);
       } catch (err) {
-        console.error('[subtitle-available] Abyss getVideoSubtitle failed:', err?.message);
+        console.error('[subtitle-available] listSubtitles failed:', err?.message);
       }
     }
 
@@ -226,19 +251,21 @@ router.post('/download-subtitle', async (req, res) => {
 
 /**
  * GET /api/languages/process-subtitle
- * Webhook: process all staging subtitles. For each: if no uploaded video for tmdbId, delete staging doc;
- * if uploaded video already has this language, delete staging doc; else add language to uploaded video.
+ * Webhook: process all staging subtitles. For each: if no uploaded video (uploadedVideoId, else tmdbId), delete staging doc;
+ * if uploaded video already has this language, delete staging doc; else send it and add language to uploaded video.
+ * Subtitles are normalized to clean UTF-8 SRT with their timing correction applied (see stagingSubtitle.helper);
+ * files that cannot be parsed are marked status 'error' and not sent. Sent ones are kept as status 'uploaded'.
  * Requires X-Webhook-Secret header.
  */
 router.get('/process-subtitle', validateWebhookSecret, async (req, res) => {
   try {
-    const stagingDocs = await StagingSubtitleModel.find({}).lean();
+    const stagingDocs = await StagingSubtitleModel.find({ status: { $nin: ['awaiting_approval', 'error', 'uploaded'] } }).lean();
     let processed = 0;
     let deleted = 0;
-    console.log(stagingDocs);
+    let invalid = 0;
 
     for (const doc of stagingDocs) {
-      const uploadedVideo = await UploadedVideoModel.findOne({ externalId: doc.tmdbId });
+      const uploadedVideo = await findSubtitleVideo(doc);
       if (!uploadedVideo) {
         await StagingSubtitleModel.findByIdAndDelete(doc._id);
         deleted++;
@@ -251,26 +278,17 @@ router.get('/process-subtitle', validateWebhookSecret, async (req, res) => {
         deleted++;
         continue;
       }
-      // Load subtitle from GridFS and upload to Abyss
+      // Render from GridFS and upload to the video host (Abyss unless the video lives elsewhere)
       try {
-        const buffer = await getSubtitleBuffer(doc.gridFsFileId);
-        if (!buffer || buffer.length === 0) {
-          await StagingSubtitleModel.findByIdAndDelete(doc._id);
-          deleted++;
-          continue;
-        }
-        await putSubtitleToAbyss(uploadedVideo.abyssSlug, buffer, {
-          language: doc.language,
-          filename: doc.filename || `${doc.language}.srt`,
-        });
-        await StagingSubtitleModel.findByIdAndDelete(doc._id);
-        await UploadedVideoModel.updateOne(
-          { externalId: doc.tmdbId },
-          { $addToSet: { 'subtitle.downloadedSubtitles': doc.language } }
-        );
+        await sendStagingSubtitle(doc, uploadedVideo);
         processed++;
       } catch (err) {
-        console.error('[process-subtitle] upload to Abyss failed for staging doc', doc._id, err.message);
+        if (err instanceof SubtitleFormatError) {
+          await StagingSubtitleModel.updateOne({ _id: doc._id }, { $set: { status: 'error', errorMessage: err.message } });
+          invalid++;
+          continue;
+        }
+        console.error('[process-subtitle] subtitle upload to video host failed for staging doc', doc._id, err.message);
         // Leave doc in staging; could set status to 'error' if desired
       }
     }
@@ -278,7 +296,7 @@ router.get('/process-subtitle', validateWebhookSecret, async (req, res) => {
     return res.status(200).json({
       success: true,
       message: 'Processed staging subtitles',
-      data: { processed, deleted },
+      data: { processed, deleted, invalid },
     });
   } catch (err) {
     return res.status(500).json({
@@ -288,4 +306,301 @@ router.get('/process-subtitle', validateWebhookSecret, async (req, res) => {
   }
 });
 
+/**
+ * POST /api/languages/subtitles (multipart)
+ * Upload a subtitle (.srt / .vtt / .ass, field 'file') for an uploaded video.
+ * Body: tmdbId, language (ISO 639-1 or 639-2), mediaType ('movie' | 'tv'), seasonNumber + episodeNumber for TV.
+ * The file is parsed before it is stored; uploads by non-admins wait for approval when SUBTITLE_UPLOAD_REQUIRE_APPROVAL is on,
+ * others are sent to the host right away (or by the next process-subtitle run if that fails).
+ * A second subtitle for a video and language that already has one waiting is refused (409), and non-admins may have
+ * at most SUBTITLE_UPLOAD_MAX_OPEN uploads waiting (429).
+ */
+router.post('/subtitles', validateToken, (req, res, next) => {
+  subtitleUpload.single('file')(req, res, (err) => {
+    if (err) return res.status(400).json({ success: false, message: err.message || 'Invalid subtitle upload' });
+    next();
+  });
+}, async (req, res) => {
+  try {
+    if (!req.file?.buffer?.length) {
+      return res.status(400).json({ success: false, message: 'Subtitle file is required' });
+    }
+    const tmdbId = Number(req.body.tmdbId);
+    const mediaType = req.body.mediaType === 'tv' ? 'tv' : 'movie';
+    const seasonNumber = req.body.seasonNumber != null ? Number(req.body.seasonNumber) : null;
+    const episodeNumber = req.body.episodeNumber != null ? Number(req.body.episodeNumber) : null;
+    const language = toIso6391(req.body.language);
+    if (!Number.isFinite(tmdbId) || !language) {
+      return res.status(400).json({ success: false, message: 'tmdbId and a valid language code are required' });
+    }
+    if (mediaType === 'tv' && (!Number.isFinite(seasonNumber) || !Number.isFinite(episodeNumber))) {
+      return res.status(400).json({ success: false, message: 'seasonNumber and episodeNumber are required for TV' });
+    }
+
+    const videoQuery = mediaType === 'tv'
+      ? { externalId: tmdbId, mediaType: 'tv', seasonNumber, episodeNumber }
+      : { externalId: tmdbId, mediaType: { $ne: 'tv' } };
+    const uploadedVideo = await UploadedVideoModel.findOne(videoQuery).lean();
+    if (!uploadedVideo) {
+      return res.status(404).json({ success: false, message: 'No uploaded video for this title yet' });
+    }
+    if ((uploadedVideo.subtitle?.downloadedSubtitles || []).includes(language)) {
+      return res.status(409).json({ success: false, message: `The video already has a ${language} subtitle` });
+    }
+    const isAdmin = req.user?.isAdmin === true;
+    const [waiting, openByUser] = await Promise.all([
+      StagingSubtitleModel.exists({ uploadedVideoId: uploadedVideo._id, language, status: { $in: OPEN_SUBTITLE_STATUSES } }),
+      isAdmin ? 0 : StagingSubtitleModel.countDocuments({ uploadedBy: req.userId, source: 'upload', status: { $in: OPEN_SUBTITLE_STATUSES } }),
+    ]);
+    if (waiting) {
+      return res.status(409).json({ success: false, message: `A ${language} subtitle for this video is already waiting to be attached` });
+    }
+    if (openByUser >= SUBTITLE_UPLOAD_MAX_OPEN) {
+      return res.status(429).json({
+        success: false,
+        message: `You already have ${openByUser} subtitle uploads waiting; try again once they are reviewed`,
+      });
+    }
+
+    let parsed;
+    try {
+      parsed = parseSubtitle(req.file.buffer);
+    } catch (err) {
+      if (!(err instanceof SubtitleFormatError)) throw err;
+      return res.status(422).json({ success: false, code: err.code, message: err.message });
+    }
+
+    const needsApproval = SUBTITLE_UPLOAD_REQUIRE_APPROVAL && !isAdmin;
+    const ext = path.extname(req.file.originalname).toLowerCase();
+    const filename = path.basename(req.file.originalname);
+    const gridFsFileId = await writeSubtitleFile(filename, req.file.buffer, SUBTITLE_CONTENT_TYPES[ext]);
+    const doc = await StagingSubtitleModel.create({
+      gridFsFileId,
+      filename,
+      size: req.file.buffer.length,
+      contentType: SUBTITLE_CONTENT_TYPES[ext],
+      language,
+      tmdbId,
+      uploadedVideoId: uploadedVideo._id,
+      source: 'upload',
+      uploadedBy: req.userId ?? null,
+      status: needsApproval ? 'awaiting_approval' : 'pending',
+    });
+
+    let sent = false;
+    if (!needsApproval) {
+      sent = await sendStagingSubtitle(doc.toObject(), uploadedVideo).then(() => true, (err) => {
+        console.error('[subtitles] sending uploaded subtitle failed, left for process-subtitle', doc._id, err.message);
+        return false;
+      });
+    }
+    return res.status(201).json({
+      success: true,
+      message: needsApproval ? 'Subtitle uploaded, waiting for admin approval' : sent ? 'Subtitle uploaded and attached' : 'Subtitle uploaded',
+      data: {
+        id: doc._id,
+        status: needsApproval ? 'awaiting_approval' : sent ? 'uploaded' : 'pending',
+        language,
+        format: parsed.format,
+        encoding: parsed.encoding,
+        cues: parsed.cues.length,
+        warnings: parsed.warnings,
+      },
+    });
+  } catch (err) {
+    return res.status(500).json({ success: false, message: err.message || 'Failed to upload subtitle' });
+  }
+});
+
+/**
+ * POST /api/languages/subtitles/:id/approve
+ * Admin: accept a user upload and send it to the host (left 'pending' for process-subtitle if sending fails).
+ */
+router.post('/subtitles/:id/approve', validateToken, validateAdmin, async (req, res) => {
+  try {
+    const found = await getStagingSubtitleById(req.params.id);
+    const doc = found && await StagingSubtitleModel.findOneAndUpdate(
+      { _id: found._id, status: 'awaiting_approval' },
+      { $set: { status: 'pending' } },
+      { new: true }
+    ).lean();
+    if (!doc) {
+      return res.status(404).json({ success: false, message: 'No subtitle awaiting approval with this id' });
+    }
+    const uploadedVideo = await findSubtitleVideo(doc);
+    if (!uploadedVideo) {
+      return res.status(200).json({ success: true, message: 'Subtitle approved; video not found, process-subtitle will clean it up', data: { status: 'pending' } });
+    }
+    try {
+      await sendStagingSubtitle(doc, uploadedVideo);
+      return res.status(200).json({ success: true, message: 'Subtitle approved and attached', data: { status: 'uploaded' } });
+    } catch (err) {
+      if (err instanceof SubtitleFormatError) {
+        await StagingSubtitleModel.updateOne({ _id: doc._id }, { $set: { status: 'error', errorMessage: err.message } });
+        return res.status(422).json({ success: false, message: err.message });
+      }
+      return res.status(200).json({ success: true, message: `Subtitle approved; sending failed (${err.message}), process-subtitle will retry`, data: { status: 'pending' } });
+    }
+  } catch (err) {
+    return res.status(500).json({ success: false, message: err.message || 'Failed to approve subtitle' });
+  }
+});
+
+/**
+ * POST /api/languages/subtitles/:id/reject
+ * Admin: delete a user upload waiting for approval (doc and file).
+ */
+router.post('/subtitles/:id/reject', validateToken, validateAdmin, async (req, res) => {
+  try {
+    const doc = await getStagingSubtitleById(req.params.id);
+    if (!doc || doc.status !== 'awaiting_approval') {
+      return res.status(404).json({ success: false, message: 'No subtitle awaiting approval with this id' });
+    }
+    await deleteStagingSubtitle(doc);
+    return res.status(200).json({ success: true, message: 'Subtitle rejected' });
+  } catch (err) {
+    return res.status(500).json({ success: false, message: err.message || 'Failed to reject subtitle' });
+  }
+});
+
+const PREVIEW_DEFAULT_CUES = 10;
+const PREVIEW_MAX_CUES = 100;
+
+function previewCues(cues, limit) {
+  return cues.slice(0, limit).map((c, i) => ({
+    index: i + 1,
+    start: formatSrtTime(c.startMs),
+    end: formatSrtTime(c.endMs),
+    startMs: c.startMs,
+    endMs: c.endMs,
+    text: c.text,
+  }));
+}
+
+/**
+ * Save (or clear, with correction null) a subtitle's timing correction; a subtitle already sent to the host is re-sent
+ * first and the correction is only stored once the host has it.
+ * @returns {Promise<{ status: number, body: object }>}
+ */
+async function saveTimingCorrection(doc, correction, userId) {
+  const timingCorrection = correction
+    ? { ...correction, updatedBy: userId ?? null, updatedAt: new Date() }
+    : { mode: null, offsetMs: 0, points: [], updatedBy: userId ?? null, updatedAt: new Date() };
+  // Render first so a correction that leaves nothing (or a broken file) is refused before it is stored.
+  const { cues } = await renderStagingSubtitle(doc, timingCorrection);
+  if (!cues.length) return { status: 400, body: { success: false, message: 'No cues left after timing correction' } };
+
+  // Re-send before storing: if the host refuses the file, the stored correction still matches the timing it serves.
+  let resent = false;
+  if (doc.status === 'uploaded') {
+    const uploadedVideo = await findSubtitleVideo(doc);
+    if (uploadedVideo) {
+      await sendStagingSubtitle({ ...doc, timingCorrection }, uploadedVideo);
+      resent = true;
+    }
+  }
+  await StagingSubtitleModel.updateOne({ _id: doc._id }, { $set: { timingCorrection } });
+  return {
+    status: 200,
+    body: {
+      success: true,
+      message: resent ? 'Timing correction saved and subtitle re-uploaded' : 'Timing correction saved',
+      data: { timingCorrection, resent, cues: cues.length },
+    },
+  };
+}
+
+/**
+ * GET /api/languages/subtitles?status=&tmdbId=&uploadedVideoId=&limit=&skip=
+ * Admin: staged and sent subtitles (sent ones can still get a timing correction).
+ */
+router.get('/subtitles', validateToken, validateAdmin, async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(1, parseInt(req.query.limit, 10) || 20), 100);
+    const skip = Math.max(0, parseInt(req.query.skip, 10) || 0);
+    const query = {};
+    if (['awaiting_approval', 'pending', 'uploaded', 'error'].includes(req.query.status)) query.status = req.query.status;
+    if (req.query.tmdbId != null && Number.isFinite(Number(req.query.tmdbId))) query.tmdbId = Number(req.query.tmdbId);
+    if (/^[a-f0-9]{24}$/i.test(String(req.query.uploadedVideoId || ''))) query.uploadedVideoId = String(req.query.uploadedVideoId);
+    const [list, total] = await Promise.all([
+      StagingSubtitleModel.find(query).sort({ createdAt: -1 }).skip(skip).limit(limit).lean(),
+      StagingSubtitleModel.countDocuments(query),
+    ]);
+    return res.status(200).json({ success: true, data: { list, total } });
+  } catch (err) {
+    return res.status(500).json({ success: false, message: err.message || 'Failed to list subtitles' });
+  }
+});
+
+/**
+ * POST /api/languages/subtitles/:id/timing/preview
+ * Admin: first N cues before and after a correction, without saving it.
+ * Body: { mode: 'offset', offsetMs } | { mode: 'stretch', points: [{ fromMs, toMs }, { fromMs, toMs }] }, limit?
+ * With no mode/offsetMs/points the stored correction is previewed.
+ */
+router.post('/subtitles/:id/timing/preview', validateToken, validateAdmin, async (req, res) => {
+  try {
+    const doc = await getStagingSubtitleById(req.params.id);
+    if (!doc) return res.status(404).json({ success: false, message: 'Subtitle not found' });
+    const body = req.body || {};
+    let correction = doc.timingCorrection;
+    if (body.mode != null || body.offsetMs != null || body.points != null) {
+      const parsed = parseTimingCorrection(body);
+      if (parsed.error) return res.status(400).json({ success: false, message: parsed.error });
+      correction = parsed.correction;
+    }
+    const limit = Math.min(Math.max(1, parseInt(body.limit, 10) || PREVIEW_DEFAULT_CUES), PREVIEW_MAX_CUES);
+    const { cues, original, format, warnings } = await renderStagingSubtitle(doc, correction);
+    return res.status(200).json({
+      success: true,
+      data: {
+        correction: correction?.mode ? correction : null,
+        format,
+        warnings,
+        totalCues: cues.length,
+        original: previewCues(original, limit),
+        corrected: previewCues(cues, limit),
+      },
+    });
+  } catch (err) {
+    const status = err instanceof SubtitleFormatError ? 422 : 500;
+    return res.status(status).json({ success: false, message: err.message || 'Failed to preview subtitle' });
+  }
+});
+
+/**
+ * PUT /api/languages/subtitles/:id/timing
+ * Admin: store a timing correction (same body as the preview). It is applied whenever the subtitle is sent;
+ * a subtitle already attached on the host is re-uploaded with it.
+ */
+router.put('/subtitles/:id/timing', validateToken, validateAdmin, async (req, res) => {
+  try {
+    const doc = await getStagingSubtitleById(req.params.id);
+    if (!doc) return res.status(404).json({ success: false, message: 'Subtitle not found' });
+    const { correction, error } = parseTimingCorrection(req.body || {});
+    if (error) return res.status(400).json({ success: false, message: error });
+    const { status, body } = await saveTimingCorrection(doc, correction, req.userId);
+    return res.status(status).json(body);
+  } catch (err) {
+    const status = err instanceof SubtitleFormatError ? 422 : 500;
+    return res.status(status).json({ success: false, message: err.message || 'Failed to save timing correction' });
+  }
+});
+
+/**
+ * DELETE /api/languages/subtitles/:id/timing
+ * Admin: drop the timing correction (re-uploads the original timing when already attached).
+ */
+router.delete('/subtitles/:id/timing', validateToken, validateAdmin, async (req, res) => {
+  try {
+    const doc = await getStagingSubtitleById(req.params.id);
+    if (!doc) return res.status(404).json({ success: false, message: 'Subtitle not found' });
+    const { status, body } = await saveTimingCorrection(doc, null, req.userId);
+    return res.status(status).json(body);
+  } catch (err) {
+    const status = err instanceof SubtitleFormatError ? 422 : 500;
+    return res.status(status).json({ success: false, message: err.message || 'Failed to clear timing correction' });
+  }
+});
+
 module.exports = router;
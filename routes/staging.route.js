@@ -1,25 +1,37 @@
 const express = require('express');
 const multer = require('multer');
+const mongoose = require('mongoose');
 const fs = require('fs');
 const os = require('os');
 const path = require('path');
-const { pipeline } = require('stream');
-const { promisify } = require('util');
-const pipelineAsync = promisify(pipeline);
 const { validateToken, validateAdmin, validateStagingAuth } = require('../helper/validate.helper');
-const { createStagingVideoWithProgress, createStagingVideoFromStream, listStaging, getStagingVideoStream, updateStaging, deleteStaging } = require('../helper/stagingVideo.helper');
+const { createStagingVideoWithProgress, createStagingVideoFromStream, listStaging, deleteStaging, reprobeStaging } = require('../helper/stagingVideo.helper');
+const { normalizeSha256, sha256Buffer, findDuplicateBySha256 } = require('../helper/checksum.helper');
 const { formatMediaImageUrls } = require('../helper/tmdb.helper');
-const { getAccountInfo, checkUploadQuota, uploadVideoToAbyss, getSlugStatus } = require('../helper/abyss.helper');
-const { tryStartRun, updateProgress, endRun, getState, setUploadState, clearUploadState, getUploadState } = require('../helper/stagingProcessState.helper');
+const { setUploadState, clearUploadState, getUploadState, listUploadStates } = require('../helper/stagingProcessState.helper');
+const { startStagingRun, pauseStagingRun, cancelStagingRun, getProcessRunState } = require('../helper/stagingJobRunner.helper');
+const {
+  UPLOAD_TMP_DIR,
+  safeUploadId,
+  getMissingChunks,
+  getSession,
+  getOrCreateSession,
+  writeChunkAt,
+  markChunkReceived,
+  claimAssembly,
+  completeSession,
+  failSession,
+  sessionToUploadState,
+  listOpenSessions,
+  purgeSessions,
+} = require('../helper/stagingUploadSession.helper');
+const { startLibraryScan, getLibraryScan } = require('../helper/libraryScanner.helper');
 const StagingVideoModel = require('../model/stagingVideo.model');
-const UploadedVideoModel = require('../model/uploadedVideo.model');
 const systemModel = require('../model/system.model');
 
 const router = express.Router();
 
-const STATUS_ENUM = ['pending', 'uploading', 'storage_fail', 'daily_fail', 'max_upload_fail', 'uploaded_not_ready', 'ready', 'error'];
-/** Statuses that should be picked up by the process queue (pending + previous failures to retry) */
-const PROCESSABLE_STATUSES = ['pending', 'storage_fail', 'daily_fail', 'max_upload_fail', 'error'];
+const STATUS_ENUM = ['pending', 'uploading', 'storage_fail', 'daily_fail', 'max_upload_fail', 'uploaded_not_ready', 'ready', 'checksum_fail', 'needs_review', 'error'];
 
 
 
@@ -47,6 +59,7 @@ const streamingUploadStorage = {
     const mediaType = req.body.mediaType === 'tv' ? 'tv' : 'movie';
     const seasonNumber = req.body.seasonNumber != null ? Number(req.body.seasonNumber) : null;
     const episodeNumber = req.body.episodeNumber != null ? Number(req.body.episodeNumber) : null;
+    const durationSec = req.body.durationSec != null ? Number(req.body.durationSec) : null;
     createStagingVideoFromStream(
       {
         readStream: file.stream,
@@ -58,6 +71,7 @@ const streamingUploadStorage = {
         mediaType,
         seasonNumber,
         episodeNumber,
+        durationSec,
       },
       (percent) => { if (sendLine) sendLine({ stage: 'writing', progress: percent }); }
     )
@@ -90,19 +104,6 @@ const uploadChunk = multer({
   },
 });
 
-// Append-only upload: one write stream per uploadId. Chunks appended as they arrive; no full-file reassembly in RAM.
-const uploadStreams = new Map(); // uploadId -> { writeStream, filePath, meta, totalChunks, receivedChunks: Set }
-
-function safeUploadId(id) {
-  return String(id).replace(/[^a-zA-Z0-9-_]/g, '') || 'unknown';
-}
-
-async function removeUploadStream(uploadId, filePath) {
-  const key = safeUploadId(uploadId);
-  uploadStreams.delete(key);
-  if (filePath) await fs.promises.unlink(filePath).catch(() => {});
-}
-
 // GET /api/staging – list staging with pagination, optional status/statuses filter, and current process run
 router.get('/', validateToken, validateAdmin, async (req, res) => {
   try {
@@ -125,20 +126,25 @@ router.get('/', validateToken, validateAdmin, async (req, res) => {
       skip,
     });
     const listWithPoster = list.map((doc) => formatMediaImageUrls(doc));
-    const processRun = getState();
+    const processRun = await getProcessRunState();
     return res.json({
       success: true,
       data: {
         list: listWithPoster,
         total,
         processRun: {
+          runId: processRun.runId,
+          status: processRun.status,
           isProcessing: processRun.isProcessing,
+          isPaused: processRun.isPaused,
           startedAt: processRun.startedAt,
           lastUpdatedAt: processRun.lastUpdatedAt,
           total: processRun.total,
           processed: processRun.processed,
           failed: processRun.failed,
+          quotaStopped: processRun.quotaStopped,
           currentStagingId: processRun.currentStagingId,
+          currentUpload: processRun.currentUpload,
           items: processRun.items,
         },
       },
@@ -191,7 +197,13 @@ router.get('/', validateToken, validateAdmin, async (req, res) => {
 //   }
 // });
 
-// POST /api/staging/upload-chunk – append each chunk to one file (no reassembly in RAM). Last chunk triggers DB write + NDJSON.
+// POST /api/staging/upload-chunk – write each chunk at its byte offset into one temp file; chunks may arrive in any order.
+// The session (received chunks, meta, temp path) is persisted so an upload survives a backend restart.
+// Optional body: chunkSize (bytes per non-last chunk), totalSize, offset (explicit byte offset of this chunk),
+// chunkSha256 (hex digest of this chunk), sha256 (hex digest of the whole file), allowDuplicate ('true' to stage a file already known by hash),
+// durationSec (used by the runtime check when the file cannot be probed).
+// Checksum mismatches answer 400 with code 'checksum_mismatch'; a known file answers 409 with code 'duplicate'.
+// The request that completes the set triggers DB write + NDJSON.
 router.post('/upload-chunk', validateStagingAuth, validateAdmin, uploadChunk.single('file'), async (req, res) => {
   const uploadId = req.body.uploadId != null ? String(req.body.uploadId).trim() : null;
   const chunkIndex = req.body.chunkIndex != null ? parseInt(req.body.chunkIndex, 10) : NaN;
@@ -202,79 +214,134 @@ router.post('/upload-chunk', validateStagingAuth, validateAdmin, uploadChunk.sin
   if (!req.file || !req.file.buffer) {
     return res.status(400).json({ success: false, message: 'Chunk file required' });
   }
-  const key = safeUploadId(uploadId);
-  const chunkSize = req.file.buffer.length;
-  console.log(`[STAGING_CHUNK] received uploadId=${uploadId} chunkIndex=${chunkIndex}/${totalChunks} chunkSize=${chunkSize}`);
+  const bodyChunkSize = req.body.chunkSize != null ? parseInt(req.body.chunkSize, 10) : null;
+  const bodyTotalSize = req.body.totalSize != null ? parseInt(req.body.totalSize, 10) : null;
+  const bodyOffset = req.body.offset != null ? parseInt(req.body.offset, 10) : null;
+  let chunkSha256;
+  let fileSha256;
+  try {
+    chunkSha256 = normalizeSha256(req.body.chunkSha256);
+    fileSha256 = normalizeSha256(req.body.sha256);
+  } catch (err) {
+    return res.status(400).json({ success: false, message: err.message });
+  }
+  const bufferSize = req.file.buffer.length;
+  const isLastChunk = chunkIndex === totalChunks - 1;
+  console.log(`[STAGING_CHUNK] received uploadId=${uploadId} chunkIndex=${chunkIndex}/${totalChunks} chunkSize=${bufferSize}`);
   let logLines = [];
+  let session = null;
+  let assembling = false;
   try {
-    let entry = uploadStreams.get(key);
+    const ext = path.extname(req.file.originalname || 'video.mp4') || '.mp4';
+    let mimetype = req.file.mimetype || 'video/mp4';
+    if (mimetype === 'application/octet-stream') {
+      const e = ext.toLowerCase();
+      mimetype = { '.mp4': 'video/mp4', '.webm': 'video/webm', '.mkv': 'video/x-matroska' }[e] || 'video/mp4';
+    }
+    const meta = {
+      filename: req.file.originalname || req.file.filename || 'video.mp4',
+      mimetype,
+      tmdbId: req.body.tmdbId != null ? Number(req.body.tmdbId) : null,
+      title: req.body.title != null ? String(req.body.title) : '',
+      poster_path: req.body.poster_path != null ? String(req.body.poster_path) : null,
+      mediaType: req.body.mediaType === 'tv' ? 'tv' : 'movie',
+      seasonNumber: req.body.seasonNumber != null ? Number(req.body.seasonNumber) : null,
+      episodeNumber: req.body.episodeNumber != null ? Number(req.body.episodeNumber) : null,
+      durationSec: req.body.durationSec != null ? Number(req.body.durationSec) : null,
+    };
+    session = await getOrCreateSession(uploadId, {
+      totalChunks,
+      chunkSize: Number.isFinite(bodyChunkSize) && bodyChunkSize > 0 ? bodyChunkSize : null,
+      totalSize: Number.isFinite(bodyTotalSize) && bodyTotalSize > 0 ? bodyTotalSize : null,
+      sha256: fileSha256,
+      meta,
+      ext,
+    });
+    if (session.totalChunks !== totalChunks) {
+      return res.status(400).json({ success: false, message: `totalChunks mismatch: upload ${uploadId} expects ${session.totalChunks}` });
+    }
+    if (session.status === 'done') {
+      return res.status(200).json({ success: true, chunkIndex, totalChunks, done: true, stagingId: session.stagingId });
+    }
+    if (session.status === 'error') {
+      return res.status(400).json({ success: false, message: session.errorMessage || 'Upload failed; start a new upload.' });
+    }
 
-    if (chunkIndex === 0) {
-      if (entry && entry.receivedChunks.has(0)) {
-        console.log(`[STAGING_CHUNK] chunk 0 already received (idempotent) uploadId=${uploadId}`);
-        return res.status(200).json({ success: true, chunkIndex, totalChunks });
-      }
-      const ext = path.extname(req.file.originalname || 'video.mp4') || '.mp4';
-      const filePath = path.join(os.tmpdir(), `staging-append-${uploadId}-${Date.now()}${ext}`);
-      const writeStream = fs.createWriteStream(filePath, { flags: 'a' });
-      let mimetype = req.file.mimetype || 'video/mp4';
-      if (mimetype === 'application/octet-stream') {
-        const e = (path.extname(req.file.originalname || '') || '').toLowerCase();
-        mimetype = { '.mp4': 'video/mp4', '.webm': 'video/webm', '.mkv': 'video/x-matroska' }[e] || 'video/mp4';
+    if (fileSha256 && session.sha256 && fileSha256 !== session.sha256) {
+      return res.status(400).json({ success: false, code: 'checksum_mismatch', message: `sha256 differs from the one sent earlier for upload ${uploadId}` });
+    }
+    if (session.receivedChunks.length === 0 && session.sha256 && String(req.body.allowDuplicate) !== 'true') {
+      const duplicate = await findDuplicateBySha256(session.sha256);
+      if (duplicate) {
+        return res.status(409).json({
+          success: false,
+          code: 'duplicate',
+          message: `This file is already ${duplicate.kind === 'staging' ? 'in staging' : 'uploaded'}: ${duplicate.title || duplicate.filename || duplicate.id}`,
+          duplicate,
+        });
       }
-      const meta = {
-        filename: req.file.originalname || req.file.filename || 'video.mp4',
-        mimetype,
-        tmdbId: req.body.tmdbId != null ? Number(req.body.tmdbId) : null,
-        title: req.body.title != null ? String(req.body.title) : '',
-        poster_path: req.body.poster_path != null ? String(req.body.poster_path) : null,
-        mediaType: req.body.mediaType === 'tv' ? 'tv' : 'movie',
-        seasonNumber: req.body.seasonNumber != null ? Number(req.body.seasonNumber) : null,
-        episodeNumber: req.body.episodeNumber != null ? Number(req.body.episodeNumber) : null,
-      };
-      writeStream.write(req.file.buffer);
-      entry = { writeStream, filePath, meta, totalChunks, receivedChunks: new Set([0]) };
-      uploadStreams.set(key, entry);
-      clearUploadState();
-      setUploadState({ uploadId, status: 'uploading', fileName: meta.filename, totalChunks, currentChunk: 1, uploadProgress: Math.round((1 / totalChunks) * 100) });
-      console.log(`[STAGING_CHUNK] created stream chunk 0/${totalChunks} uploadId=${uploadId}`);
-      return res.status(200).json({ success: true, chunkIndex, totalChunks });
     }
 
-    if (!entry) {
-      return res.status(400).json({ success: false, message: 'Send chunk 0 first.' });
-    }
-    if (entry.receivedChunks.has(chunkIndex)) {
+    if (session.receivedChunks.includes(chunkIndex)) {
       console.log(`[STAGING_CHUNK] chunk ${chunkIndex} already received (idempotent) uploadId=${uploadId}`);
-      return res.status(200).json({ success: true, chunkIndex, totalChunks });
+    } else {
+      // Byte offset: explicit offset, else chunkIndex * nominal chunk size (any non-last chunk tells us the size).
+      const nominal = session.chunkSize || (!isLastChunk ? bufferSize : null);
+      const offset = Number.isFinite(bodyOffset) && bodyOffset >= 0 ? bodyOffset : chunkIndex === 0 ? 0 : nominal != null ? chunkIndex * nominal : null;
+      if (offset == null) {
+        return res.status(400).json({ success: false, message: 'chunkSize (or offset) required when the last chunk arrives first' });
+      }
+      if (!isLastChunk && session.chunkSize && bufferSize !== session.chunkSize) {
+        return res.status(400).json({ success: false, message: `Chunk ${chunkIndex} is ${bufferSize} bytes; expected ${session.chunkSize}` });
+      }
+      if (isLastChunk && session.totalSize != null && bufferSize !== session.totalSize - offset) {
+        return res.status(400).json({ success: false, message: `Last chunk is ${bufferSize} bytes; expected ${session.totalSize - offset} (totalSize ${session.totalSize} - offset ${offset})` });
+      }
+      if (chunkSha256) {
+        const actual = sha256Buffer(req.file.buffer);
+        if (actual !== chunkSha256) {
+          console.warn(`[STAGING_CHUNK] checksum mismatch chunk ${chunkIndex} uploadId=${uploadId}`);
+          return res.status(400).json({
+            success: false,
+            code: 'checksum_mismatch',
+            message: `Checksum mismatch (chunk ${chunkIndex}): expected sha256 ${chunkSha256}, got ${actual}. Re-send the chunk.`,
+            chunkIndex,
+          });
+        }
+      }
+      await writeChunkAt(session, req.file.buffer, offset);
+      session = await markChunkReceived(session, chunkIndex, !isLastChunk ? bufferSize : null);
     }
 
-    entry.writeStream.write(req.file.buffer);
-    entry.receivedChunks.add(chunkIndex);
-    const isLastChunk = chunkIndex === totalChunks - 1;
-
-    if (!isLastChunk) {
-      setUploadState({ currentChunk: chunkIndex + 1, uploadProgress: Math.round(((chunkIndex + 1) / totalChunks) * 100) });
-      console.log(`[STAGING_CHUNK] appended chunk ${chunkIndex + 1}/${totalChunks} uploadId=${uploadId}`);
-      return res.status(200).json({ success: true, chunkIndex, totalChunks });
+    const missing = getMissingChunks(session);
+    const received = totalChunks - missing.length;
+    if (missing.length > 0) {
+      setUploadState(session.uploadId, {
+        status: 'uploading',
+        fileName: session.meta.filename,
+        totalChunks,
+        currentChunk: received,
+        uploadProgress: Math.round((received / totalChunks) * 100),
+      });
+      console.log(`[STAGING_CHUNK] wrote chunk ${chunkIndex} (${received}/${totalChunks}) uploadId=${uploadId}`);
+      return res.status(200).json({ success: true, chunkIndex, totalChunks, received, missing });
     }
 
-    console.log(`[STAGING_CHUNK] last chunk appended, closing stream uploadId=${uploadId}`);
-    const writeStream = entry.writeStream;
-    const filePath = entry.filePath;
-    const meta = entry.meta;
-    uploadStreams.delete(key);
-
-    await new Promise((resolve, reject) => {
-      writeStream.once('finish', resolve);
-      writeStream.once('error', reject);
-      writeStream.end();
-    });
+    const claimed = await claimAssembly(session);
+    if (!claimed) {
+      // Another request completed the set and is writing to GridFS; poll GET /upload-chunk/:uploadId.
+      return res.status(200).json({ success: true, chunkIndex, totalChunks, received, missing: [], assembling: true });
+    }
+    session = claimed;
+    assembling = true;
 
-    const stat = await fs.promises.stat(filePath);
+    const stat = await fs.promises.stat(session.filePath);
     const totalSize = stat.size;
-    console.log(`[STAGING_CHUNK] stream closed totalSize=${totalSize} calling createStagingVideoWithProgress uploadId=${uploadId}`);
-    setUploadState({ status: 'writing', currentChunk: totalChunks, uploadProgress: 100, dbProgress: 0 });
+    if (session.totalSize != null && session.totalSize !== totalSize) {
+      throw new Error(`Assembled size ${totalSize} does not match totalSize ${session.totalSize}`);
+    }
+    console.log(`[STAGING_CHUNK] all chunks received totalSize=${totalSize} calling createStagingVideoWithProgress uploadId=${uploadId}`);
+    setUploadState(session.uploadId, { fileName: session.meta.filename, totalChunks, status: 'writing', currentChunk: totalChunks, uploadProgress: 100, dbProgress: 0 });
     res.setHeader('Content-Type', 'application/x-ndjson');
     res.setHeader('Transfer-Encoding', 'chunked');
     res.status(201);
@@ -290,26 +357,30 @@ router.post('/upload-chunk', validateStagingAuth, validateAdmin, uploadChunk.sin
         clientGone = true;
       }
     };
-    const readStream = fs.createReadStream(filePath);
+    const sessionMeta = session.meta;
+    const readStream = fs.createReadStream(session.filePath);
     const result = await createStagingVideoWithProgress(
       {
         readStream,
-        mimetype: meta.mimetype,
-        originalname: meta.filename,
+        mimetype: sessionMeta.mimetype,
+        originalname: sessionMeta.filename,
         size: totalSize,
-        tmdbId: meta.tmdbId,
-        title: meta.title,
-        posterPath: meta.poster_path,
-        mediaType: meta.mediaType,
-        seasonNumber: meta.seasonNumber,
-        episodeNumber: meta.episodeNumber,
+        expectedSha256: session.sha256,
+        tmdbId: sessionMeta.tmdbId,
+        title: sessionMeta.title,
+        posterPath: sessionMeta.poster_path,
+        mediaType: sessionMeta.mediaType,
+        seasonNumber: sessionMeta.seasonNumber,
+        episodeNumber: sessionMeta.episodeNumber,
+        durationSec: sessionMeta.durationSec,
       },
       (percent) => {
-        setUploadState({ dbProgress: percent });
+        setUploadState(session.uploadId, { dbProgress: percent });
         sendLine({ stage: 'writing', progress: percent });
       }
     );
-    setUploadState({ status: 'done', dbProgress: 100, stagingId: result.stagingId });
+    await completeSession(session, result.stagingId);
+    setUploadState(session.uploadId, { status: 'done', dbProgress: 100, stagingId: result.stagingId });
     try {
       if (!res.writableEnded && res.socket && !res.socket.destroyed) {
         sendLine({ stage: 'done', progress: 100, ...result, message: 'Video added to staging' });
@@ -319,19 +390,18 @@ router.post('/upload-chunk', validateStagingAuth, validateAdmin, uploadChunk.sin
       // Client may have disconnected; state is already 'done' so polling will see it
     }
     console.log(`[STAGING_CHUNK] done uploadId=${uploadId} stagingId=${result.stagingId}`);
-    logLines.push(`Chunked upload done: ${meta.filename}, stagingId: ${result.stagingId}`);
-    await fs.promises.unlink(filePath).catch(() => {});
+    logLines.push(`Chunked upload done: ${sessionMeta.filename}, stagingId: ${result.stagingId}, sha256: ${result.sha256}`);
+    if (result.duplicate) logLines.push(`Chunked upload ${result.stagingId} duplicates ${result.duplicate.kind} ${result.duplicate.id}`);
   } catch (err) {
     console.error(`[STAGING_CHUNK] error uploadId=${uploadId} message=${err?.message}`);
     const isClientGone = err?.code === 'ECONNRESET' || err?.code === 'EPIPE' || (err?.message && /write|socket|broken/i.test(err.message));
-    if (!isClientGone) setUploadState({ status: 'error', error: err?.message || 'Chunk upload failed' });
-    const entry = uploadStreams.get(key);
-    uploadStreams.delete(key);
-    if (entry && entry.filePath) await fs.promises.unlink(entry.filePath).catch(() => {});
+    if (!isClientGone && session) setUploadState(session.uploadId, { status: 'error', error: err?.message || 'Chunk upload failed' });
+    // A failed chunk write keeps the session so the client can re-send; a failed assembly ends it.
+    if (assembling && session) await failSession(session, err?.message || 'Upload failed').catch(() => {});
     if (!res.headersSent) {
-      return res.status(400).json({ success: false, message: err.message || 'Chunk upload failed' });
+      return res.status(400).json({ success: false, code: err?.code === 'checksum_mismatch' ? err.code : undefined, message: err.message || 'Chunk upload failed' });
     }
-    res.write(JSON.stringify({ stage: 'error', message: err.message || 'Upload failed' }) + '\n');
+    res.write(JSON.stringify({ stage: 'error', code: err?.code === 'checksum_mismatch' ? err.code : undefined, message: err.message || 'Upload failed' }) + '\n');
     res.end();
     logLines.push(`Chunked upload failed: ${err?.message || err}`);
   } finally {
@@ -341,166 +411,229 @@ router.post('/upload-chunk', validateStagingAuth, validateAdmin, uploadChunk.sin
   }
 });
 
-// GET /api/staging/process-status – current process run state (for UI polling; survives refresh)
-router.get('/process-status', validateToken, validateAdmin, (req, res) => {
-  return res.json({ success: true, data: getState() });
+// GET /api/staging/upload-chunk/:uploadId – resume info for a chunked upload: which chunks are still missing.
+router.get('/upload-chunk/:uploadId', validateStagingAuth, validateAdmin, async (req, res) => {
+  try {
+    const session = await getSession(req.params.uploadId);
+    if (!session) {
+      return res.status(404).json({ success: false, message: 'Upload session not found.' });
+    }
+    const missingChunks = getMissingChunks(session);
+    return res.json({
+      success: true,
+      data: {
+        uploadId: session.uploadId,
+        status: session.status,
+        totalChunks: session.totalChunks,
+        chunkSize: session.chunkSize,
+        totalSize: session.totalSize,
+        sha256: session.sha256,
+        receivedCount: session.totalChunks - missingChunks.length,
+        missingChunks,
+        stagingId: session.stagingId,
+        errorMessage: session.errorMessage,
+      },
+    });
+  } catch (err) {
+    return res.status(500).json({ success: false, message: err.message || 'Failed to load upload session' });
+  }
 });
 
-// GET /api/staging/upload-status/:uploadId – upload-to-staging progress for this id (for polling after reload)
-router.get('/upload-status/:uploadId', validateStagingAuth, validateAdmin, (req, res) => {
-  const state = getUploadState();
-  if (state.uploadId !== req.params.uploadId) {
-    return res.status(404).json({ success: false, message: 'Upload not found or no longer tracked.' });
+// GET /api/staging/process-status – current process run state (for UI polling; survives refresh and restart)
+router.get('/process-status', validateToken, validateAdmin, async (req, res) => {
+  try {
+    return res.json({ success: true, data: await getProcessRunState() });
+  } catch (err) {
+    return res.status(500).json({ success: false, message: err.message || 'Failed to load process status' });
   }
-  return res.json({ success: true, data: state });
 });
 
-// POST /api/staging/process – process pending queue; one run at a time (semaphore), 409 if already running
-router.post('/process', validateToken, validateAdmin, async (req, res) => {
-  const logLines = [];
+// GET /api/staging/upload-status/:uploadId – upload-to-staging progress for this id (for polling after reload).
+// Falls back to the persisted upload session when this process does not track the upload (restart / other instance).
+router.get('/upload-status/:uploadId', validateStagingAuth, validateAdmin, async (req, res) => {
+  try {
+    const key = safeUploadId(req.params.uploadId);
+    let state = getUploadState(key);
+    if (!state) {
+      const session = await getSession(key);
+      if (session) state = sessionToUploadState(session);
+    }
+    if (!state) {
+      return res.status(404).json({ success: false, message: 'Upload not found or no longer tracked.' });
+    }
+    return res.json({ success: true, data: state });
+  } catch (err) {
+    return res.status(500).json({ success: false, message: err.message || 'Failed to load upload status' });
+  }
+});
 
-  // — Load pending items (processable statuses only)
-  let pending;
+// GET /api/staging/uploads – all active uploads to staging (memory + open upload sessions). ?all=true also lists
+// uploads this process finished recently.
+router.get('/uploads', validateStagingAuth, validateAdmin, async (req, res) => {
   try {
-    pending = await StagingVideoModel.find({ status: { $in: PROCESSABLE_STATUSES } })
-      .sort({ createdAt: 1 })
-      .limit(100)
-      .lean();
+    const includeFinished = req.query.all === 'true';
+    const list = listUploadStates({ activeOnly: !includeFinished });
+    const seen = new Set(list.map((u) => u.uploadId));
+    const sessions = await listOpenSessions();
+    for (const session of sessions) {
+      if (!seen.has(session.uploadId)) list.push(sessionToUploadState(session));
+    }
+    return res.json({ success: true, data: { list, total: list.length } });
   } catch (err) {
-    logLines.push(`Staging upload process failed to load pending: ${err?.message || err}`);
-    return res.status(500).json({ success: false, message: err.message || 'Failed to load pending' });
+    return res.status(500).json({ success: false, message: err.message || 'Failed to list uploads' });
   }
+});
 
-  // — Take the run lock; 409 if already processing
-  if (!tryStartRun(pending)) {
-    return res.status(409).json({
-      success: false,
-      message: 'A process run is already in progress. Wait for it to finish or refresh to see status.',
-      data: getState(),
+// POST /api/staging/process – start the background process run (or resume a paused/orphaned one); 409 if already running.
+// The run is driven by stagingJobRunner.helper, not this request: poll GET /process-status for progress.
+router.post('/process', validateToken, validateAdmin, async (req, res) => {
+  try {
+    const { run, started, resumed, alreadyRunning } = await startStagingRun({ userId: req.userId });
+    if (alreadyRunning) {
+      return res.status(409).json({
+        success: false,
+        message: 'A process run is already in progress. Wait for it to finish or refresh to see status.',
+        data: await getProcessRunState(),
+      });
+    }
+    if (!run) {
+      return res.json({
+        success: true,
+        data: { processed: 0, failed: 0, quotaStopped: false, total: 0, ...(await getProcessRunState()) },
+        message: 'Nothing to process.',
+      });
+    }
+    return res.status(202).json({
+      success: true,
+      data: await getProcessRunState(),
+      message: resumed ? `Process run resumed (${run.total} item(s)).` : `Process run started (${run.total} item(s)).`,
+      started,
+      resumed,
     });
+  } catch (err) {
+    return res.status(500).json({ success: false, message: err.message || 'Failed to start process run' });
   }
+});
 
-  let processed = 0;
-  let failed = 0;
-  let quotaStopped = false;
-
+// POST /api/staging/process/pause – stop the active run after the current item; POST /process resumes it.
+router.post('/process/pause', validateToken, validateAdmin, async (req, res) => {
   try {
-    logLines.push(`Process run started, pending count: ${pending.length}`);
-    for (const doc of pending) {
-      const stagingId = doc._id.toString();
-      const title = doc.title || doc.filename || stagingId;
-      updateProgress(processed, failed, stagingId);
+    const run = await pauseStagingRun();
+    if (!run) {
+      return res.status(404).json({ success: false, message: 'No running process run to pause.' });
+    }
+    return res.json({
+      success: true,
+      data: await getProcessRunState(),
+      message: run.status === 'paused' ? 'Process run paused.' : 'Process run will pause after the current item.',
+    });
+  } catch (err) {
+    return res.status(500).json({ success: false, message: err.message || 'Failed to pause process run' });
+  }
+});
 
-      try {
-        // — Check Abyss quota before uploading
-        logLines.push(`${stagingId} Checking Abyss quota…`);
-        const accountInfo = await getAccountInfo();
-        const quota = checkUploadQuota(accountInfo, doc.size);
-        if (!quota.canUpload) {
-          logLines.push(`${stagingId} Quota check failed: ${quota.failStatus}`);
-          await updateStaging(stagingId, { status: quota.failStatus });
-          quotaStopped = true;
-          break;
-        }
+// POST /api/staging/process/cancel – cancel the active run; the in-flight upload is aborted and its doc goes back to pending.
+router.post('/process/cancel', validateToken, validateAdmin, async (req, res) => {
+  try {
+    const run = await cancelStagingRun();
+    if (!run) {
+      return res.status(404).json({ success: false, message: 'No active process run to cancel.' });
+    }
+    return res.json({
+      success: true,
+      data: await getProcessRunState(),
+      message: run.status === 'cancelled' ? 'Process run cancelled.' : 'Process run is cancelling.',
+    });
+  } catch (err) {
+    return res.status(500).json({ success: false, message: err.message || 'Failed to cancel process run' });
+  }
+});
 
-        // — Set uploading, open GridFS stream
-        logLines.push(`${stagingId} Opening GridFS stream…`);
-        await updateStaging(stagingId, { status: 'uploading' });
-        const streamResult = await getStagingVideoStream(stagingId);
-        if (!streamResult?.stream) {
-          logLines.push(`${stagingId} Could not open staging stream`);
-          await updateStaging(stagingId, { status: 'error', errorMessage: 'Could not open staging stream' });
-          failed += 1;
-          updateProgress(processed, failed, null);
-          continue;
-        }
+// POST /api/staging/library-scan – scan LIBRARY_SCAN_DIR (or body.path inside it) and stage identified videos.
+// Body: path?, dryRun? (identify only), includeUnmatched? (also stage files without a confident TMDB match)
+router.post('/library-scan', validateToken, validateAdmin, async (req, res) => {
+  try {
+    const { path: subPath, dryRun, includeUnmatched } = req.body || {};
+    const { started, job, message } = startLibraryScan({
+      subPath: subPath == null ? '' : String(subPath),
+      dryRun: dryRun === true,
+      includeUnmatched: includeUnmatched === true,
+    });
+    if (!started) {
+      return res.status(job ? 409 : 400).json({ success: false, message, data: job ?? null });
+    }
+    return res.status(202).json({ success: true, message: 'Library scan started', data: job });
+  } catch (err) {
+    return res.status(500).json({ success: false, message: err?.message || 'Failed to start library scan' });
+  }
+});
 
-        // — Write to temp file, then upload to Abyss
-        const tmpPath = path.join(os.tmpdir(), `abyss-upload-${stagingId}-${Date.now()}${path.extname(streamResult.filename) || '.mp4'}`);
-        logLines.push(`${stagingId} Writing to temp file, then uploading to Abyss…`);
-        await pipelineAsync(streamResult.stream, fs.createWriteStream(tmpPath));
-        let slug;
-        try {
-          const stat = await fs.promises.stat(tmpPath);
-          const fileStream = fs.createReadStream(tmpPath);
-          const result = await uploadVideoToAbyss(fileStream, {
-            filename: streamResult.filename,
-            contentType: streamResult.contentType,
-            size: stat.size,
-          });
-          slug = result.slug;
-          logLines.push(`${stagingId} Abyss upload OK, slug: ${slug}`);
-        } finally {
-          await fs.promises.unlink(tmpPath).catch(() => {});
-        }
+// GET /api/staging/library-scan – state and per-file results of the current or last library scan
+router.get('/library-scan', validateToken, validateAdmin, (req, res) => {
+  return res.json({ success: true, data: getLibraryScan() });
+});
 
-        // — Fetch slug status, create UploadedVideo, delete staging
-        logLines.push(`${stagingId} Fetching slug status…`);
-        const slugStatus = await getSlugStatus(slug);
-        const uploadedPayload = {
-          externalId: doc.tmdbId ?? null,
-          title: doc.title ?? '',
-          poster_path: doc.poster_path ?? null,
-          abyssSlug: slug,
-          slugStatus,
-          filename: doc.filename ?? null,
-          size: doc.size ?? null,
-          mediaType: doc.mediaType === 'tv' ? 'tv' : 'movie',
-        };
-        if (doc.mediaType === 'tv') {
-          if (doc.seasonNumber != null) uploadedPayload.seasonNumber = doc.seasonNumber;
-          if (doc.episodeNumber != null) uploadedPayload.episodeNumber = doc.episodeNumber;
-        }
-        await UploadedVideoModel.create(uploadedPayload);
-        logLines.push(`${stagingId} UploadedVideo created, slug: ${slug}`);
-        await updateStaging(stagingId, { status: slugStatus, abyssSlug: slug });
-        
-        logLines.push(`${stagingId} deleting staging`);
-        await deleteStaging(stagingId);
-        logLines.push(`${stagingId} staging deleted`);
-        processed += 1;
-        logLines.push(`${stagingId} Done. Processed: ${processed}, Failed: ${failed}`);
-      } catch (err) {
-        logLines.push(`${stagingId} Error: ${err?.message || err}`);
-        await updateStaging(stagingId, {
-          status: 'error',
-          errorMessage: err?.message || String(err),
-        }).catch(() => {});
-        failed += 1;
-      }
-      updateProgress(processed, failed, null);
+// POST /api/staging/:id/probe – re-read duration, resolution, codecs and tracks from the staged file
+router.post('/:id/probe', validateToken, validateAdmin, async (req, res) => {
+  try {
+    const staging = await reprobeStaging(req.params.id);
+    if (!staging) {
+      return res.status(404).json({ success: false, message: 'Staging video not found' });
     }
-
-    logLines.push(`Run finished. Processed: ${processed}, Failed: ${failed}, QuotaStopped: ${quotaStopped}`);
     return res.json({
-      success: true,
-      data: { processed, failed, quotaStopped, total: pending.length, ...getState() },
-      message: `Processed ${processed}, failed ${failed}${quotaStopped ? ' (stopped by quota)' : ''}.`,
+      success: !staging.probe?.error,
+      message: staging.probe?.error ? `Probe failed: ${staging.probe.error}` : 'Probe updated',
+      data: staging.probe,
     });
   } catch (err) {
-    logLines.push(`Process run failed: ${err?.message || err}`);
-    return res.status(500).json({ success: false, message: err.message || 'Process failed', data: getState() });
-  } finally {
-    endRun();
-    if (logLines.length > 0) {
-      await systemModel.appendLog('ABYSS_UPLOAD_LOG', logLines).catch(() => {});
+    return res.status(500).json({ success: false, message: err?.message || 'Probe failed' });
+  }
+});
+
+// POST /api/staging/:id/review – settle a 'needs_review' doc held back by the runtime check.
+// Body: action 'approve' (back to 'pending', runtime check skipped from now on) or 'reject' (delete doc and file)
+router.post('/:id/review', validateToken, validateAdmin, async (req, res) => {
+  try {
+    const action = req.body?.action;
+    if (!['approve', 'reject'].includes(action)) {
+      return res.status(400).json({ success: false, message: "action must be 'approve' or 'reject'" });
+    }
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid staging id' });
     }
+    const staging = await StagingVideoModel.findOne({ _id: req.params.id, status: 'needs_review' }).lean();
+    if (!staging) {
+      return res.status(404).json({ success: false, message: 'No staging video awaiting review with this id' });
+    }
+    if (action === 'reject') {
+      await deleteStaging(req.params.id);
+      await systemModel.appendLog('STAGING_PROCESS_LOG', [`${req.params.id} rejected after runtime review (${staging.filename})`]).catch(() => {});
+      return res.json({ success: true, message: 'Staging video deleted', data: null });
+    }
+    const updated = await StagingVideoModel.findOneAndUpdate(
+      { _id: staging._id, status: 'needs_review' },
+      {
+        $set: {
+          status: 'pending',
+          errorMessage: null,
+          'runtimeCheck.approvedBy': req.userId ?? null,
+          'runtimeCheck.approvedAt': new Date(),
+        },
+      },
+      { new: true }
+    ).lean();
+    await systemModel.appendLog('STAGING_PROCESS_LOG', [`${req.params.id} approved after runtime review (${staging.filename})`]).catch(() => {});
+    return res.json({ success: true, message: 'Staging video approved and queued again', data: updated });
+  } catch (err) {
+    return res.status(500).json({ success: false, message: err?.message || 'Review failed' });
   }
 });
 
 // Purge: clear in-progress uploads, upload state, all staging docs, and all staging video files (GridFS).
 router.get('/purge-all-uploads', validateToken, validateAdmin, async (req, res) => {
   try {
-    // 1. Close in-progress chunk upload streams and delete their temp files
-    for (const [, entry] of uploadStreams) {
-      if (entry.writeStream && !entry.writeStream.destroyed) {
-        try {
-          entry.writeStream.destroy();
-        } catch (e) { /* ignore */ }
-      }
-      if (entry.filePath) await fs.promises.unlink(entry.filePath).catch(() => {});
-    }
-    uploadStreams.clear();
+    // 1. Drop chunked upload sessions and their temp files
+    await purgeSessions();
 
     // 2. Clear upload-to-staging progress state
     clearUploadState();
@@ -514,11 +647,12 @@ router.get('/purge-all-uploads', validateToken, validateAdmin, async (req, res)
     }
 
     // 4. Remove any leftover temp files (staging-append-*, staging-reassembled-*)
-    const tmpDir = os.tmpdir();
-    const names = await fs.promises.readdir(tmpDir).catch(() => []);
-    for (const name of names) {
-      if (name.startsWith('staging-append-') || name.startsWith('staging-reassembled-')) {
-        await fs.promises.unlink(path.join(tmpDir, name)).catch(() => {});
+    for (const tmpDir of new Set([os.tmpdir(), UPLOAD_TMP_DIR])) {
+      const names = await fs.promises.readdir(tmpDir).catch(() => []);
+      for (const name of names) {
+        if (name.startsWith('staging-append-') || name.startsWith('staging-reassembled-')) {
+          await fs.promises.unlink(path.join(tmpDir, name)).catch(() => {});
+        }
       }
     }
 
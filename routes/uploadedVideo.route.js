@@ -1,15 +1,16 @@
 const express = require('express');
 const { validateToken, validateAdmin } = require('../helper/validate.helper');
 const { formatMediaImageUrls } = require('../helper/tmdb.helper');
-const { getAllMyPlayerServers } = require('../helper/movietv.helper');
+const { getUploadedVideoLinks } = require('../helper/movietv.helper');
 const UploadedVideoModel = require('../model/uploadedVideo.model');
-const { getSlugStatus } = require('../helper/abyss.helper');
+const { getProviderFor, isProviderName, listProviderNames } = require('../helper/videoHost.helper');
+const { reconcileSlugStatuses } = require('../helper/slugReconciler.helper');
 
 const router = express.Router();
 
 const SLUG_STATUS_ENUM = ['uploaded_not_ready', 'ready'];
 
-// GET /api/uploaded-videos – list successfully uploaded videos (Abyss) with pagination and optional slugStatus
+// GET /api/uploaded-videos – list successfully uploaded videos (any video host) with pagination and optional slugStatus
 router.get('/', validateToken, validateAdmin, async (req, res) => {
   try {
     const limit = Math.min(Math.max(1, parseInt(req.query.limit, 10) || 20), 100);
@@ -27,7 +28,7 @@ router.get('/', validateToken, validateAdmin, async (req, res) => {
     const listWithPoster = await Promise.all(
       list.map(async (doc) => {
         const withPoster = formatMediaImageUrls(doc);
-        const abyss_links = await getAllMyPlayerServers(doc.abyssSlug || '');
+        const abyss_links = doc.abyssSlug ? await getUploadedVideoLinks(doc) : [];
         return { ...withPoster, abyss_links };
       })
     );
@@ -37,14 +38,18 @@ router.get('/', validateToken, validateAdmin, async (req, res) => {
   }
 });
 
-// POST /api/uploaded-videos – create or update mapping by abyssSlug (for unmapped Abyss resources)
+// POST /api/uploaded-videos – create or update mapping by abyssSlug (for unmapped host files; provider defaults to 'abyss')
 router.post('/', validateToken, validateAdmin, async (req, res) => {
   try {
-    const { abyssSlug, externalId, title, poster_path: posterPath, mediaType, seasonNumber, episodeNumber } = req.body;
+    const { abyssSlug, provider, externalId, title, poster_path: posterPath, mediaType, seasonNumber, episodeNumber } = req.body;
     const slug = abyssSlug == null ? '' : String(abyssSlug).trim();
     if (!slug) {
       return res.status(400).json({ success: false, message: 'abyssSlug required' });
     }
+    const providerName = provider == null || provider === '' ? 'abyss' : String(provider).trim();
+    if (!isProviderName(providerName)) {
+      return res.status(400).json({ success: false, message: `provider must be one of: ${listProviderNames().join(', ')}` });
+    }
     const update = {};
     if (externalId !== undefined) {
       const tid = externalId === null || externalId === '' ? null : Number(externalId);
@@ -78,7 +83,7 @@ router.post('/', validateToken, validateAdmin, async (req, res) => {
     }
     const doc = await UploadedVideoModel.findOneAndUpdate(
       { abyssSlug: slug },
-      { $set: { ...update, abyssSlug: slug } },
+      { $set: { ...update, abyssSlug: slug, provider: providerName } },
       { new: true, upsert: true }
     ).lean();
     const withPoster = formatMediaImageUrls(doc);
@@ -142,19 +147,30 @@ router.patch('/:id', validateToken, validateAdmin, async (req, res) => {
   }
 });
 
-// GET Sync uploaded videos from Abyss
-router.get('/sync', validateToken, validateAdmin, async (req, res) => {
+// DELETE /api/uploaded-videos/:id – delete the file on its video host, then the mapping
+router.delete('/:id', validateToken, validateAdmin, async (req, res) => {
   try {
-    const list = await UploadedVideoModel.find({slugStatus: 'uploaded_not_ready'}).lean();
-
-    for (const doc of list) {
-      const slug = doc.abyssSlug;
-      const slugStatus = await getSlugStatus(slug);
-      if (slugStatus === 'ready') {
-        await UploadedVideoModel.updateOne({ _id: doc._id }, { $set: { slugStatus: 'ready' } });
-      }
+    const doc = await UploadedVideoModel.findById(req.params.id).lean();
+    if (!doc) {
+      return res.status(404).json({ success: false, message: 'Uploaded video not found' });
+    }
+    const provider = getProviderFor(doc);
+    const response = await provider.deleteFile(doc.abyssSlug);
+    if (!response.success) {
+      return res.status(500).json({ success: false, message: response.message ?? `${provider.label} delete failed` });
     }
-    return res.json({ success: true, data: list });
+    await UploadedVideoModel.deleteOne({ _id: doc._id });
+    return res.json({ success: true, message: `Video deleted from ${provider.label} and database` });
+  } catch (err) {
+    return res.status(500).json({ success: false, message: err.message || 'Failed to delete uploaded video' });
+  }
+});
+
+// GET Sync uploaded videos from their video host now (the slug reconciler also does this in the background)
+router.get('/sync', validateToken, validateAdmin, async (req, res) => {
+  try {
+    const { checked, ready, notReady, failed } = await reconcileSlugStatuses({ force: true });
+    return res.json({ success: true, data: checked, summary: { ready, notReady, failed } });
   } catch (err) {
     return res.status(500).json({ success: false, message: err.message || 'Failed to sync uploaded videos' });
   }
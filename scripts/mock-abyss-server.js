@@ -0,0 +1,241 @@
+/**
+ * Local stand-in for the Abyss/Hydrax API, for offline development and the integration tests.
+ * Implements what helper/abyss.helper.js calls:
+ *   POST /auth/login, GET /v1/about, GET|PUT|DELETE /v1/files/:id, GET /v1/resources,
+ *   POST /:uploadKey (upload URL = ABYSS_LINK_2/ABYSS_API_KEY), PUT /v1/upload/subtitles/:id, GET /v1/subtitles/:id/list
+ * plus test controls: GET /__mock/state, PATCH /__mock/config, POST /__mock/reset.
+ *
+ * Uploaded bytes are counted and discarded; only metadata is kept in memory.
+ *
+ * Run standalone:  node scripts/mock-abyss-server.js
+ * then point the backend at it (.env):
+ *   ABYSS_LINK=http://127.0.0.1:4010  ABYSS_LINK_2=http://127.0.0.1:4010  ABYSS_API_KEY=mock-key
+ *   ABYSS_EMAIL=mock@example.com      ABYSS_PASSWORD=mock
+ *
+ * Config (env for standalone, options for startMockAbyssServer):
+ *   MOCK_ABYSS_PORT (4010), MOCK_ABYSS_STORAGE_LIMIT / MOCK_ABYSS_DAILY_LIMIT / MOCK_ABYSS_MAX_UPLOADS (0 = unlimited),
+ *   MOCK_ABYSS_LATENCY_MS (delay on every response), MOCK_ABYSS_READY_AFTER_MS (time until an upload reports 'ready').
+ */
+const crypto = require('crypto');
+const express = require('express');
+const multer = require('multer');
+
+function envInt(name, fallback) {
+  const n = parseInt(process.env[name], 10);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+function defaultConfig() {
+  return {
+    storageLimit: envInt('MOCK_ABYSS_STORAGE_LIMIT', 0),
+    dailyLimit: envInt('MOCK_ABYSS_DAILY_LIMIT', 0),
+    maxUploads: envInt('MOCK_ABYSS_MAX_UPLOADS', 0),
+    latencyMs: envInt('MOCK_ABYSS_LATENCY_MS', 0),
+    readyAfterMs: envInt('MOCK_ABYSS_READY_AFTER_MS', 0),
+    /** When set, uploads answer { status: false, msg: failUploads } */
+    failUploads: null,
+  };
+}
+
+function emptyState() {
+  return {
+    files: new Map(), // id -> { id, name, size, contentType, createdAt, subtitles: [] }
+    tokens: new Set(),
+    dailyUsed: 0,
+  };
+}
+
+/** Multer storage that only counts bytes (a mock does not need the video). */
+const countingStorage = {
+  _handleFile(req, file, cb) {
+    let size = 0;
+    file.stream.on('data', (chunk) => { size += chunk.length; });
+    file.stream.on('error', cb);
+    file.stream.on('end', () => cb(null, { size }));
+  },
+  _removeFile(req, file, cb) { cb(null); },
+};
+
+/**
+ * Build the mock app (without listening).
+ * @param {Partial<ReturnType<typeof defaultConfig>> & { apiKey?: string }} [options]
+ * @returns {{ app: import('express').Express, config: object, state: object, reset: () => void }}
+ */
+function createMockAbyssApp(options = {}) {
+  const config = { ...defaultConfig(), ...options };
+  const apiKey = options.apiKey || process.env.ABYSS_API_KEY || 'mock-key';
+  let state = emptyState();
+
+  const app = express();
+  app.use((req, res, next) => {
+    if (config.latencyMs > 0) setTimeout(next, config.latencyMs);
+    else next();
+  });
+
+  const requireToken = (req, res, next) => {
+    const auth = req.headers.authorization || '';
+    const token = auth.startsWith('Bearer ') ? auth.slice(7) : null;
+    if (!token || !state.tokens.has(token)) {
+      return res.status(401).json({ status: false, msg: 'Unauthorized' });
+    }
+    next();
+  };
+
+  const storageUsed = () => [...state.files.values()].reduce((sum, f) => sum + f.size, 0);
+  const fileStatus = (f) => (Date.now() - f.createdAt.getTime() >= config.readyAfterMs ? 'ready' : 'processing');
+  const formatFile = (f) => ({
+    id: f.id,
+    name: f.name,
+    size: f.size,
+    status: fileStatus(f),
+    createdAt: f.createdAt.toISOString(),
+  });
+  const nextDailyReset = () => {
+    const d = new Date();
+    return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate() + 1)).toISOString();
+  };
+
+  app.post('/auth/login', express.json(), (req, res) => {
+    const { email, password } = req.body || {};
+    if (!email || !password) {
+      return res.status(400).json({ status: false, msg: 'email and password required' });
+    }
+    const token = crypto.randomBytes(16).toString('hex');
+    state.tokens.add(token);
+    return res.json({ data: { token, expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString() } });
+  });
+
+  app.get('/v1/about', requireToken, (req, res) => {
+    return res.json({
+      data: {
+        storage: { used: storageUsed(), limit: config.storageLimit },
+        daily: { used: state.dailyUsed, limit: config.dailyLimit, resetAt: nextDailyReset() },
+        maxUploads: config.maxUploads > 0 ? config.maxUploads : null,
+        uploadsCount: state.files.size,
+      },
+    });
+  });
+
+  app.get('/v1/resources', requireToken, (req, res) => {
+    return res.json({ items: [...state.files.values()].map(formatFile) });
+  });
+
+  app.get('/v1/files/:id', requireToken, (req, res) => {
+    const f = state.files.get(req.params.id);
+    if (!f) return res.status(404).json({ status: false, msg: 'File not found' });
+    return res.json(formatFile(f));
+  });
+
+  app.put('/v1/files/:id', requireToken, express.json(), (req, res) => {
+    const f = state.files.get(req.params.id);
+    if (!f) return res.status(404).json({ status: false, msg: 'File not found' });
+    if (req.body?.name) f.name = String(req.body.name);
+    return res.json(formatFile(f));
+  });
+
+  app.delete('/v1/files/:id', requireToken, (req, res) => {
+    if (!state.files.delete(req.params.id)) {
+      return res.status(404).json({ status: false, msg: 'File not found' });
+    }
+    return res.json({ status: true });
+  });
+
+  app.put('/v1/upload/subtitles/:id', requireToken, express.raw({ type: () => true, limit: '20mb' }), (req, res) => {
+    const f = state.files.get(req.params.id);
+    if (!f) return res.status(404).json({ status: false, msg: 'File not found' });
+    const sub = {
+      id: crypto.randomBytes(6).toString('hex'),
+      name: req.query.language || req.query.filename || 'Unknown',
+      filename: req.query.filename || null,
+      type: 'subtitle',
+      slug: f.id,
+      size: req.body?.length ?? 0,
+      createdAt: new Date().toISOString(),
+    };
+    f.subtitles.push(sub);
+    return res.json(sub);
+  });
+
+  app.get('/v1/subtitles/:id/list', requireToken, (req, res) => {
+    const f = state.files.get(req.params.id);
+    if (!f) return res.status(404).json({ status: false, msg: 'File not found' });
+    return res.json({ items: f.subtitles });
+  });
+
+  // Upload URL: ABYSS_LINK_2 + '/' + ABYSS_API_KEY, multipart field 'file'. Abyss answers 200 with status false on errors.
+  app.post('/:uploadKey', multer({ storage: countingStorage }).single('file'), (req, res) => {
+    if (req.params.uploadKey !== apiKey) return res.json({ status: false, msg: 'Invalid upload key' });
+    if (!req.file) return res.json({ status: false, msg: 'No file' });
+    if (config.failUploads) return res.json({ status: false, msg: config.failUploads });
+    if (config.dailyLimit > 0 && state.dailyUsed >= config.dailyLimit) return res.json({ status: false, msg: 'Daily upload limit reached' });
+    if (config.storageLimit > 0 && storageUsed() + req.file.size > config.storageLimit) return res.json({ status: false, msg: 'Storage full' });
+    const id = crypto.randomBytes(6).toString('hex');
+    state.files.set(id, {
+      id,
+      name: req.file.originalname || 'video.mp4',
+      size: req.file.size,
+      contentType: req.file.mimetype,
+      createdAt: new Date(),
+      subtitles: [],
+    });
+    state.dailyUsed += 1;
+    return res.json({ status: true, slug: id });
+  });
+
+  // — Test controls
+  app.get('/__mock/state', (req, res) => {
+    return res.json({ config, dailyUsed: state.dailyUsed, files: [...state.files.values()].map((f) => ({ ...formatFile(f), subtitles: f.subtitles })) });
+  });
+  app.patch('/__mock/config', express.json(), (req, res) => {
+    for (const key of Object.keys(defaultConfig())) {
+      if (req.body && key in req.body) config[key] = req.body[key];
+    }
+    return res.json({ config });
+  });
+  const reset = () => { state = emptyState(); };
+  app.post('/__mock/reset', (req, res) => {
+    reset();
+    return res.json({ status: true });
+  });
+
+  return {
+    app,
+    config,
+    get state() { return state; },
+    reset,
+  };
+}
+
+/**
+ * Start the mock on a port (0 = random).
+ * @returns {Promise<{ url: string, port: number, config: object, state: object, reset: () => void, close: () => Promise<void> }>}
+ */
+function startMockAbyssServer(options = {}) {
+  const mock = createMockAbyssApp(options);
+  const port = options.port ?? envInt('MOCK_ABYSS_PORT', 4010);
+  return new Promise((resolve, reject) => {
+    const server = mock.app.listen(port, '127.0.0.1', () => {
+      const actualPort = server.address().port;
+      resolve({
+        url: `http://127.0.0.1:${actualPort}`,
+        port: actualPort,
+        config: mock.config,
+        get state() { return mock.state; },
+        reset: mock.reset,
+        close: () => new Promise((r) => server.close(() => r())),
+      });
+    });
+    server.on('error', reject);
+  });
+}
+
+if (require.main === module) {
+  startMockAbyssServer()
+    .then(({ url, config }) => console.log(`Mock Abyss listening on ${url}`, config))
+    .catch((err) => {
+      console.error(err);
+      process.exit(1);
+    });
+}
+
+module.exports = { createMockAbyssApp, startMockAbyssServer };
@@ -0,0 +1,163 @@
+/**
+ * Local stand-in for the TMDB v3 API that replays responses from fixture files,
+ * for offline development and the integration tests (tmdb.helper and the catalog routes call TMDB via tmdbApi).
+ *
+ * Every GET is answered from FIXTURE_DIR/<name>.json, where <name> is derived from the path and the
+ * sorted query string (see fixtureName). A fixture file is { request: { path, query }, status, body }.
+ * Hand-written fixtures also carry "synthetic": true and a "note" on how they were made; only status and body are served.
+ *
+ * Record mode (MOCK_TMDB_RECORD=true): a request without a fixture is forwarded to the real TMDB
+ * (MOCK_TMDB_UPSTREAM, default https://api.themoviedb.org/3, with Bearer TMDB_API_KEY), saved as a
+ * fixture and returned. Without record mode a miss answers 404 in TMDB's error shape and is listed in state.misses.
+ *
+ * Run standalone:  node scripts/mock-tmdb-server.js
+ * then point the backend at it (.env):  TMDB_LINK=http://127.0.0.1:4020
+ * To capture fixtures once:  MOCK_TMDB_RECORD=true TMDB_API_KEY=<real token> node scripts/mock-tmdb-server.js
+ * and exercise the routes you need.
+ *
+ * Config (env for standalone, options for startMockTmdbServer):
+ *   MOCK_TMDB_PORT (4020), MOCK_TMDB_FIXTURES (test/fixtures/tmdb), MOCK_TMDB_RECORD, MOCK_TMDB_UPSTREAM.
+ */
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const express = require('express');
+
+const FIXTURE_DIR = path.join(__dirname, '..', 'test', 'fixtures', 'tmdb');
+const DEFAULT_UPSTREAM = 'https://api.themoviedb.org/3';
+
+/** Query params that never take part in the fixture name (credentials). */
+const IGNORED_QUERY_PARAMS = new Set(['api_key']);
+
+/**
+ * File name (without .json) for a TMDB request.
+ * GET /movie/now_playing?page=1&language=en-US → movie_now_playing__language-en-US_page-1
+ * @param {string} urlPath - Path relative to the API root, e.g. "/movie/550"
+ * @param {Record<string, string>} [query]
+ * @returns {string}
+ */
+function fixtureName(urlPath, query = {}) {
+  const base = String(urlPath).replace(/^\/+|\/+$/g, '').replace(/\//g, '_') || 'root';
+  const params = Object.keys(query)
+    .filter((k) => !IGNORED_QUERY_PARAMS.has(k))
+    .sort()
+    .map((k) => `${k}-${query[k]}`)
+    .join('_');
+  return `${base}${params ? `__${params}` : ''}`.replace(/[^A-Za-z0-9._-]/g, '-');
+}
+
+/**
+ * Read a fixture by request (for tests that derive expectations from the fixture data).
+ * @param {string} urlPath
+ * @param {Record<string, string>} [query]
+ * @param {{ fixtureDir?: string }} [options]
+ * @returns {{ request: object, status: number, body: any } | null}
+ */
+function readFixture(urlPath, query = {}, { fixtureDir = FIXTURE_DIR } = {}) {
+  const file = path.join(fixtureDir, `${fixtureName(urlPath, query)}.json`);
+  if (!fs.existsSync(file)) return null;
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function writeFixture(fixtureDir, urlPath, query, status, body) {
+  fs.mkdirSync(fixtureDir, { recursive: true });
+  const file = path.join(fixtureDir, `${fixtureName(urlPath, query)}.json`);
+  const cleanQuery = Object.fromEntries(Object.entries(query).filter(([k]) => !IGNORED_QUERY_PARAMS.has(k)));
+  fs.writeFileSync(file, `${JSON.stringify({ request: { path: urlPath, query: cleanQuery }, status, body }, null, 2)}\n`);
+  return file;
+}
+
+/**
+ * Build the mock app (without listening).
+ * @param {{ fixtureDir?: string, record?: boolean, upstream?: string, upstreamToken?: string }} [options]
+ * @returns {{ app: import('express').Express, config: object, state: object, reset: () => void }}
+ */
+function createMockTmdbApp(options = {}) {
+  const config = {
+    fixtureDir: options.fixtureDir || process.env.MOCK_TMDB_FIXTURES || FIXTURE_DIR,
+    record: options.record ?? process.env.MOCK_TMDB_RECORD === 'true',
+    upstream: options.upstream || process.env.MOCK_TMDB_UPSTREAM || DEFAULT_UPSTREAM,
+  };
+  const upstreamToken = options.upstreamToken || process.env.TMDB_API_KEY;
+  const state = { requests: [], misses: [], recorded: [] };
+
+  const app = express();
+
+  app.get('/__mock/state', (req, res) => res.json({ config, ...state }));
+  app.post('/__mock/reset', (req, res) => {
+    reset();
+    return res.json({ status: true });
+  });
+
+  app.get(/.*/, async (req, res) => {
+    const name = fixtureName(req.path, req.query);
+    state.requests.push(name);
+
+    const fixture = readFixture(req.path, req.query, { fixtureDir: config.fixtureDir });
+    if (fixture) {
+      return res.status(fixture.status || 200).json(fixture.body);
+    }
+
+    if (!config.record) {
+      state.misses.push(name);
+      return res.status(404).json({ success: false, status_code: 34, status_message: `No TMDB fixture: ${name}.json` });
+    }
+
+    try {
+      const upstreamRes = await axios.get(`${config.upstream}${req.path}`, {
+        params: req.query,
+        headers: { Authorization: `Bearer ${upstreamToken}`, accept: 'application/json' },
+        validateStatus: () => true,
+      });
+      writeFixture(config.fixtureDir, req.path, req.query, upstreamRes.status, upstreamRes.data);
+      state.recorded.push(name);
+      return res.status(upstreamRes.status).json(upstreamRes.data);
+    } catch (err) {
+      return res.status(502).json({ success: false, status_code: 0, status_message: `Recording failed: ${err.message}` });
+    }
+  });
+
+  const reset = () => {
+    state.requests.length = 0;
+    state.misses.length = 0;
+    state.recorded.length = 0;
+  };
+
+  return { app, config, state, reset };
+}
+
+/**
+ * Start the mock on a port (0 = random).
+ * @returns {Promise<{ url: string, port: number, config: object, state: object, reset: () => void, close: () => Promise<void> }>}
+ */
+function startMockTmdbServer(options = {}) {
+  const mock = createMockTmdbApp(options);
+  const envPort = parseInt(process.env.MOCK_TMDB_PORT, 10);
+  const port = options.port ?? (Number.isFinite(envPort) ? envPort : 4020);
+  return new Promise((resolve, reject) => {
+    const server = mock.app.listen(port, '127.0.0.1', () => {
+      const actualPort = server.address().port;
+      resolve({
+        url: `http://127.0.0.1:${actualPort}`,
+        port: actualPort,
+        config: mock.config,
+        state: mock.state,
+        reset: mock.reset,
+        close: () => new Promise((r) => server.close(() => r())),
+      });
+    });
+    server.on('error', reject);
+  });
+}
+
+if (require.main === module) {
+  startMockTmdbServer()
+    .then(({ url, config }) => console.log(`Mock TMDB listening on ${url}`, config))
+    .catch((err) => {
+      console.error(err);
+      process.exit(1);
+    });
+}
+
+module.exports = { FIXTURE_DIR, fixtureName, readFixture, createMockTmdbApp, startMockTmdbServer };
@@ -0,0 +1,44 @@
+/**
+ * Bulk-ingest a local video folder into staging (same as POST /api/staging/library-scan, without the HTTP server).
+ * Uses LIBRARY_SCAN_DIR, MONGODB_URI and the TMDB settings from .env.
+ *
+ * From backend:  node scripts/scan-library.js [subfolder] [--dry-run] [--include-unmatched]
+ */
+const path = require('path');
+require('dotenv').config({ path: path.resolve(__dirname, '../.env') });
+require('dotenv').config({ path: path.resolve(process.cwd(), '.env') });
+
+const mongoose = require('mongoose');
+const { runLibraryScan } = require('../helper/libraryScanner.helper');
+
+const DB_NAME = process.env.MONGODB_DB_NAME || 'app';
+
+async function run() {
+  const uri = process.env.MONGODB_URI;
+  if (!uri) {
+    console.error('MONGODB_URI not set');
+    process.exit(1);
+  }
+  const args = process.argv.slice(2);
+  const subPath = args.find((a) => !a.startsWith('--')) || '';
+  const dryRun = args.includes('--dry-run');
+  const includeUnmatched = args.includes('--include-unmatched');
+
+  await mongoose.connect(uri, { dbName: DB_NAME });
+  try {
+    const job = await runLibraryScan({ subPath, dryRun, includeUnmatched });
+    for (const r of job.results) {
+      const title = r.match ? `${r.match.title} (${r.match.tmdbId}, ${r.match.confidence})` : r.parsed?.title ?? '';
+      console.log(`${r.status.padEnd(11)} ${r.path}${title ? ` → ${title}` : ''}${r.reason ? ` [${r.reason}]` : ''}`);
+    }
+    console.log(`Scan ${job.status}: ${job.totalFiles} file(s)${job.errorMessage ? `, ${job.errorMessage}` : ''}`);
+    if (job.status !== 'finished') process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+run().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,172 @@
+/**
+ * Integration: TMDB-backed catalog logic against TMDB fixtures (scripts/mock-tmdb-server.js,
+ * test/fixtures/tmdb) and an in-memory Mongo — syncCategory auto-enqueueing, getTvSeasonsSummary
+ * and the download-status merging of /api/movies/search.
+ *
+ * The checked-in fixtures are hand-written ("synthetic": true), not captured from TMDB. Expectations are
+ * derived from the fixture bodies, so replacing them with recorded ones (delete the files, then run with
+ * MOCK_TMDB_RECORD=true and a real TMDB_API_KEY) keeps the tests valid. Unknown requests fail loudly via mock.state.misses.
+ *
+ * Run: npm run test:integration
+ */
+const { test, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const { startMockTmdbServer, readFixture } = require('../../scripts/mock-tmdb-server');
+
+const nowPlaying = readFixture('/movie/now_playing', { language: 'en-US', page: '1' }).body.results;
+const gotDetails = readFixture('/tv/1399', { language: 'en-US' }).body;
+const searchResults = readFixture('/search/multi', { include_adult: 'false', page: '1', query: 'the office' }).body.results;
+
+let mongod;
+let mock;
+let server;
+let baseUrl;
+let mongoose;
+let tmdb;
+let MediaModel;
+let DownloadQueueModel;
+let StagingVideoModel;
+let UploadedVideoModel;
+
+before(async () => {
+  mongod = await MongoMemoryServer.create();
+  mock = await startMockTmdbServer({ port: 0, record: process.env.MOCK_TMDB_RECORD === 'true' });
+
+  // Env must be set before api.helper is loaded (tmdbApi reads TMDB_LINK at require time).
+  Object.assign(process.env, {
+    TMDB_LINK: mock.url,
+    TMDB_API_KEY: process.env.MOCK_TMDB_RECORD === 'true' ? process.env.TMDB_API_KEY : 'test-tmdb-token',
+    JWT_SECRET: 'test-jwt-secret',
+  });
+
+  mongoose = require('mongoose');
+  await mongoose.connect(mongod.getUri(), { dbName: 'test' });
+
+  tmdb = require('../../helper/tmdb.helper');
+  MediaModel = require('../../model/media.model');
+  DownloadQueueModel = require('../../model/downloadQueue.model');
+  StagingVideoModel = require('../../model/stagingVideo.model');
+  UploadedVideoModel = require('../../model/uploadedVideo.model');
+  await MediaModel.init();
+
+  const express = require('express');
+  const app = express();
+  app.use(express.json());
+  app.use('/api/movies', require('../../routes/movie.route'));
+  await new Promise((resolve) => {
+    server = app.listen(0, '127.0.0.1', resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  if (server) await new Promise((resolve) => server.close(resolve));
+  if (mock) await mock.close();
+  if (mongoose) await mongoose.disconnect();
+  if (mongod) await mongod.stop();
+});
+
+afterEach(async () => {
+  assert.deepEqual(mock.state.misses, [], 'every TMDB request has a fixture');
+  mock.reset();
+  await mongoose.connection.db.dropDatabase();
+});
+
+test('syncCategory caches the category and enqueues only titles not queued, staged or uploaded', async () => {
+  const [queued, staged, uploaded, ...fresh] = nowPlaying;
+  await DownloadQueueModel.create({ title: queued.title, tmdbId: queued.id, status: 'waiting' });
+  await StagingVideoModel.create({ gridFsFileId: new mongoose.Types.ObjectId(), filename: 'x.mp4', size: 1, tmdbId: staged.id });
+  await UploadedVideoModel.create({ abyssSlug: 'slug-1', externalId: uploaded.id, slugStatus: 'ready' });
+
+  await tmdb.syncNowPlayingMovies();
+
+  assert.equal(await MediaModel.countDocuments({ mediaType: 'movie', category: 'now_playing' }), nowPlaying.length);
+
+  const created = await DownloadQueueModel.find({ 'requester.type': 'admin' }).lean();
+  assert.deepEqual(created.map((d) => d.tmdbId).sort(), fresh.map((m) => m.id).sort());
+  for (const movie of fresh) {
+    const doc = created.find((d) => d.tmdbId === movie.id);
+    const year = movie.release_date ? new Date(movie.release_date).getFullYear() : null;
+    assert.equal(doc.status, 'pending');
+    assert.equal(doc.year, year);
+    assert.equal(doc.title, year ? `${movie.title} ${year}` : movie.title);
+    assert.equal(doc.poster_path, movie.poster_path || null);
+  }
+  assert.equal(await DownloadQueueModel.countDocuments({ tmdbId: queued.id }), 1, 'existing queue entry untouched');
+
+  await tmdb.syncNowPlayingMovies();
+  assert.equal(await DownloadQueueModel.countDocuments({}), fresh.length + 1, 'a second sync enqueues nothing new');
+  assert.equal(await MediaModel.countDocuments({}), nowPlaying.length);
+});
+
+test('getTvSeasonsSummary keeps specials and falls back for missing fields', async () => {
+  const details = await tmdb.fetchTvDetails(gotDetails.id);
+  const summary = tmdb.getTvSeasonsSummary(details);
+
+  assert.equal(summary.number_of_seasons, gotDetails.seasons.length);
+  assert.deepEqual(
+    summary.seasons.map((s) => s.season_number),
+    gotDetails.seasons.map((s) => s.season_number)
+  );
+  for (const [i, season] of gotDetails.seasons.entries()) {
+    assert.equal(summary.seasons[i].episode_count, season.episode_count);
+    assert.equal(summary.seasons[i].poster_path, season.poster_path ?? null);
+  }
+
+  assert.deepEqual(tmdb.getTvSeasonsSummary(null), { number_of_seasons: 0, seasons: [] });
+  assert.deepEqual(tmdb.getTvSeasonsSummary({ seasons: [{ season_number: 2 }, { season_number: -1 }] }), {
+    number_of_seasons: 1,
+    seasons: [{ season_number: 2, episode_count: 0, name: 'Season 2', poster_path: null }],
+  });
+});
+
+test('GET /api/movies/top-pick?type=tv returns the season summary with image urls', async () => {
+  const res = await fetch(`${baseUrl}/api/movies/top-pick?tmdb_id=${gotDetails.id}&type=tv`);
+  const json = await res.json();
+  assert.equal(res.status, 200);
+  assert.equal(json.data.mediaType, 'tv');
+  assert.equal(json.data.number_of_seasons, gotDetails.seasons.length);
+  const first = json.data.seasons[0];
+  assert.equal(first.poster_url, tmdb.tmdbImageUrl(gotDetails.seasons[0].poster_path, 'w500'));
+});
+
+test('search merges download statuses into movie and tv results', async () => {
+  const movies = searchResults.filter((r) => r.media_type === 'movie');
+  const shows = searchResults.filter((r) => r.media_type === 'tv');
+  assert.ok(movies.length >= 3 && shows.length >= 2, 'fixture has enough movies and shows');
+  const [uploadingMovie, doneMovie, uploadedOnlyMovie] = movies;
+  const [readyShow, unknownShow] = shows;
+
+  await DownloadQueueModel.create([
+    { title: uploadingMovie.title, tmdbId: uploadingMovie.id, status: 'uploading' },
+    { title: doneMovie.title, tmdbId: doneMovie.id, status: 'done' },
+  ]);
+  await UploadedVideoModel.create([
+    { abyssSlug: 'done-movie', externalId: doneMovie.id, slugStatus: 'ready' },
+    { abyssSlug: 'processing-movie', externalId: uploadedOnlyMovie.id, slugStatus: 'uploaded_not_ready' },
+    { abyssSlug: 'show-e1', externalId: readyShow.id, mediaType: 'tv', seasonNumber: 1, episodeNumber: 1, slugStatus: 'uploaded_not_ready' },
+    { abyssSlug: 'show-e2', externalId: readyShow.id, mediaType: 'tv', seasonNumber: 1, episodeNumber: 2, slugStatus: 'ready' },
+  ]);
+
+  const res = await fetch(`${baseUrl}/api/movies/search/${encodeURIComponent('the office')}/false/1`);
+  const json = await res.json();
+  assert.equal(res.status, 200);
+  assert.equal(json.data.length, searchResults.length);
+
+  const byId = (type, id) => json.data.find((r) => r.media_type === type && r.id === id);
+  assert.equal(byId('movie', uploadingMovie.id).downloadStatus, 'staging');
+  assert.equal(byId('movie', doneMovie.id).downloadStatus, 'ad_free');
+  assert.equal(byId('movie', uploadedOnlyMovie.id).downloadStatus, 'processing');
+  for (const movie of movies.slice(3)) {
+    assert.equal(byId('movie', movie.id).downloadStatus, null);
+  }
+  assert.equal(byId('tv', readyShow.id).downloadStatus, 'ad_free');
+  assert.equal(byId('tv', unknownShow.id).downloadStatus, null);
+
+  const person = json.data.find((r) => r.media_type === 'person');
+  if (person) {
+    assert.equal('downloadStatus' in person, false);
+    assert.ok(person.known_for.every((k) => 'poster_url' in k));
+  }
+});
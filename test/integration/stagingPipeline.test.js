@@ -0,0 +1,279 @@
+/**
+ * Integration: chunked upload → staging (GridFS) → process run → Abyss (mock) → UploadedVideo,
+ * plus the /api/abyss admin routes and the subtitle webhook, against an in-memory Mongo and
+ * scripts/mock-abyss-server.js. No real Abyss credentials or network needed (besides the first
+ * mongodb-memory-server binary download).
+ *
+ * Run: npm run test:integration
+ */
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const { startMockAbyssServer } = require('../../scripts/mock-abyss-server');
+
+const API_KEY = 'mock-key';
+const SERVICE_TOKEN = 'test-staging-service-token';
+const WEBHOOK_SECRET = 'test-webhook-secret';
+
+let mongod;
+let mock;
+let server;
+let baseUrl;
+let adminToken;
+let mongoose;
+let systemModel;
+let StagingVideoModel;
+let UploadedVideoModel;
+let StagingSubtitleModel;
+let StagingProcessRunModel;
+let StagingUploadSessionModel;
+
+before(async () => {
+  mongod = await MongoMemoryServer.create();
+  mock = await startMockAbyssServer({ port: 0, apiKey: API_KEY });
+
+  // Env must be set before the app modules load (api.helper / abyss.helper / validate.helper read it at require time).
+  Object.assign(process.env, {
+    ABYSS_LINK: mock.url,
+    ABYSS_LINK_2: mock.url,
+    ABYSS_API_KEY: API_KEY,
+    ABYSS_EMAIL: 'mock@example.com',
+    ABYSS_PASSWORD: 'mock',
+    STAGING_SERVICE_TOKEN: SERVICE_TOKEN,
+    WEBHOOK_SECRET,
+    JWT_SECRET: 'test-jwt-secret',
+    VIDEO_HOST_PROVIDER: 'abyss',
+  });
+
+  mongoose = require('mongoose');
+  await mongoose.connect(mongod.getUri(), { dbName: 'test' });
+
+  const express = require('express');
+  const jwt = require('jsonwebtoken');
+  systemModel = require('../../model/system.model');
+  const userModel = require('../../model/user.model');
+  StagingVideoModel = require('../../model/stagingVideo.model');
+  UploadedVideoModel = require('../../model/uploadedVideo.model');
+  StagingSubtitleModel = require('../../model/stagingSubtitle.model');
+  StagingProcessRunModel = require('../../model/stagingProcessRun.model');
+  StagingUploadSessionModel = require('../../model/stagingUploadSession.model');
+  await StagingVideoModel.init();
+  await StagingProcessRunModel.init();
+
+  await systemModel.create({ appName: 'Test' });
+  const admin = await userModel.create({ email: 'admin@example.com', password: 'x', isAdmin: true, isActive: true });
+  adminToken = jwt.sign({ id: admin._id, email: admin.email }, process.env.JWT_SECRET);
+
+  const app = express();
+  app.use(express.json());
+  app.use('/api/staging', require('../../routes/staging.route'));
+  app.use('/api/uploaded-videos', require('../../routes/uploadedVideo.route'));
+  app.use('/api/abyss', require('../../routes/data entry/abyss.route'));
+  app.use('/api/languages', require('../../routes/languages.route'));
+  await new Promise((resolve) => {
+    server = app.listen(0, '127.0.0.1', resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  if (server) await new Promise((resolve) => server.close(resolve));
+  if (mock) await mock.close();
+  if (mongoose) await mongoose.disconnect();
+  if (mongod) await mongod.stop();
+});
+
+// Every test seeds its own staging docs / videos: start from an empty pipeline and a fresh mock Abyss.
+beforeEach(async () => {
+  mock.reset();
+  mock.config.dailyLimit = 0;
+  await systemModel.updateOne({}, { $unset: { abyssToken: 1 } }); // the mock forgot its tokens
+  await Promise.all(
+    [StagingVideoModel, UploadedVideoModel, StagingSubtitleModel, StagingProcessRunModel, StagingUploadSessionModel].map((m) =>
+      m.deleteMany({})
+    )
+  );
+});
+
+function sha256(buf) {
+  return crypto.createHash('sha256').update(buf).digest('hex');
+}
+
+async function waitFor(fn, { timeoutMs = 10000, intervalMs = 50 } = {}) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const value = await fn();
+    if (value) return value;
+    if (Date.now() > deadline) throw new Error('waitFor timed out');
+    await new Promise((r) => setTimeout(r, intervalMs));
+  }
+}
+
+async function api(method, path, { token = adminToken, body, headers = {} } = {}) {
+  const res = await fetch(`${baseUrl}${path}`, {
+    method,
+    headers: {
+      ...(token ? { Authorization: `Bearer ${token}` } : {}),
+      ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+      ...headers,
+    },
+    body: body !== undefined ? JSON.stringify(body) : undefined,
+  });
+  const text = await res.text();
+  let json = null;
+  try {
+    json = JSON.parse(text);
+  } catch {
+    // NDJSON or empty body
+  }
+  return { status: res.status, text, json };
+}
+
+/** Upload a buffer through POST /api/staging/upload-chunk (chunks sent last-to-first) and return the NDJSON 'done' line. */
+async function uploadChunked(buffer, { title, tmdbId, chunkSize = 64 * 1024 }) {
+  const uploadId = crypto.randomUUID();
+  const totalChunks = Math.ceil(buffer.length / chunkSize);
+  let doneLine = null;
+  for (let i = totalChunks - 1; i >= 0; i--) {
+    const chunk = buffer.subarray(i * chunkSize, (i + 1) * chunkSize);
+    const form = new FormData();
+    form.append('uploadId', uploadId);
+    form.append('chunkIndex', String(i));
+    form.append('totalChunks', String(totalChunks));
+    form.append('chunkSize', String(chunkSize));
+    form.append('totalSize', String(buffer.length));
+    form.append('chunkSha256', sha256(chunk));
+    form.append('sha256', sha256(buffer));
+    form.append('title', title);
+    form.append('tmdbId', String(tmdbId));
+    form.append('file', new Blob([chunk], { type: 'video/mp4' }), `${title}.mp4`);
+    const res = await fetch(`${baseUrl}/api/staging/upload-chunk`, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${SERVICE_TOKEN}` },
+      body: form,
+    });
+    const text = await res.text();
+    assert.ok(res.status === 200 || res.status === 201, `chunk ${i}: ${res.status} ${text}`);
+    if (i === 0) {
+      const lines = text.trim().split('\n').map((l) => JSON.parse(l));
+      doneLine = lines.find((l) => l.stage === 'done');
+    }
+  }
+  return { uploadId, doneLine };
+}
+
+/** Put a file on the mock Abyss and map it to an UploadedVideo, without going through staging. */
+async function seedUploadedVideo({ title, tmdbId }) {
+  const { Readable } = require('stream');
+  const { getProvider } = require('../../helper/videoHost.helper');
+  const video = crypto.randomBytes(16 * 1024);
+  const { fileId } = await getProvider('abyss').upload(Readable.from([video]), {
+    filename: `${title}.mp4`,
+    contentType: 'video/mp4',
+    size: video.length,
+  });
+  return UploadedVideoModel.create({
+    externalId: tmdbId,
+    title,
+    provider: 'abyss',
+    abyssSlug: fileId,
+    slugStatus: 'ready',
+    size: video.length,
+    sha256: sha256(video),
+  });
+}
+
+async function runProcessToEnd() {
+  const start = await api('POST', '/api/staging/process');
+  assert.equal(start.status, 202, start.text);
+  return waitFor(async () => {
+    const { json } = await api('GET', '/api/staging/process-status');
+    return json.data.isProcessing ? null : json.data;
+  });
+}
+
+test('chunked upload lands in staging with a verified sha256', async () => {
+  const video = crypto.randomBytes(200 * 1024);
+  const { uploadId, doneLine } = await uploadChunked(video, { title: 'Mock Movie', tmdbId: 101 });
+  assert.ok(doneLine?.stagingId, 'done line with stagingId');
+  assert.equal(doneLine.sha256, sha256(video));
+
+  const staging = await StagingVideoModel.findById(doneLine.stagingId).lean();
+  assert.equal(staging.status, 'pending');
+  assert.equal(staging.size, video.length);
+  assert.equal(staging.sha256, sha256(video));
+
+  const session = await api('GET', `/api/staging/upload-chunk/${uploadId}`, { token: SERVICE_TOKEN });
+  assert.equal(session.json.data.status, 'done');
+  assert.deepEqual(session.json.data.missingChunks, []);
+});
+
+test('process run uploads staging to Abyss and creates UploadedVideo', async () => {
+  const video = crypto.randomBytes(120 * 1024);
+  await uploadChunked(video, { title: 'Mock Movie', tmdbId: 101 });
+  const state = await runProcessToEnd();
+  assert.equal(state.status, 'finished');
+  assert.equal(state.processed, 1);
+  assert.equal(state.failed, 0);
+
+  const uploaded = await UploadedVideoModel.findOne({ externalId: 101 }).lean();
+  assert.ok(uploaded, 'UploadedVideo created');
+  assert.equal(uploaded.provider, 'abyss');
+  assert.equal(uploaded.slugStatus, 'ready');
+  assert.ok(mock.state.files.has(uploaded.abyssSlug), 'file exists on mock Abyss');
+  assert.equal(mock.state.files.get(uploaded.abyssSlug).size, uploaded.size);
+  assert.equal(await StagingVideoModel.countDocuments({ tmdbId: 101 }), 0, 'staging doc removed');
+});
+
+test('daily quota stops the run and schedules a retry', async () => {
+  mock.state.dailyUsed = 1;
+  mock.config.dailyLimit = 1;
+  try {
+    const video = crypto.randomBytes(80 * 1024);
+    const { doneLine } = await uploadChunked(video, { title: 'Quota Movie', tmdbId: 102 });
+    const state = await runProcessToEnd();
+    assert.equal(state.quotaStopped, true);
+
+    const staging = await StagingVideoModel.findById(doneLine.stagingId).lean();
+    assert.equal(staging.status, 'daily_fail');
+    assert.ok(staging.nextAttemptAt > new Date(), 'retry scheduled after the daily reset');
+    assert.equal(await UploadedVideoModel.countDocuments({ externalId: 102 }), 0);
+  } finally {
+    mock.config.dailyLimit = 0;
+  }
+});
+
+test('subtitle webhook pushes staged subtitles to the video on Abyss', async () => {
+  await seedUploadedVideo({ title: 'Subtitled Movie', tmdbId: 103 });
+  const bucket = new mongoose.mongo.GridFSBucket(mongoose.connection.db, { bucketName: 'stagingSubtitles' });
+  const srt = Buffer.from('1\n00:00:01,000 --> 00:00:02,000\nHello\n');
+  const upload = bucket.openUploadStream('en.srt');
+  await new Promise((resolve, reject) => upload.end(srt, (err) => (err ? reject(err) : resolve())));
+  await StagingSubtitleModel.create({ gridFsFileId: upload.id, filename: 'en.srt', size: srt.length, language: 'en', tmdbId: 103 });
+
+  const res = await api('GET', '/api/languages/process-subtitle', { token: null, headers: { 'X-Webhook-Secret': WEBHOOK_SECRET } });
+  assert.equal(res.status, 200, res.text);
+  assert.equal(res.json.data.processed, 1);
+
+  const uploaded = await UploadedVideoModel.findOne({ externalId: 103 }).lean();
+  assert.ok(uploaded.subtitle.downloadedSubtitles.includes('en'));
+  assert.equal(mock.state.files.get(uploaded.abyssSlug).subtitles.length, 1);
+});
+
+test('/api/abyss routes list mapped resources and delete from Abyss and DB', async () => {
+  const uploaded = await seedUploadedVideo({ title: 'Mapped Movie', tmdbId: 104 });
+
+  const resources = await api('GET', '/api/abyss/resources');
+  assert.equal(resources.status, 200, resources.text);
+  assert.ok(resources.json.data.items.some((i) => i.id === uploaded.abyssSlug));
+  assert.ok(resources.json.data.mappeditems.some((m) => m && m.abyssSlug === uploaded.abyssSlug));
+
+  const account = await api('GET', '/api/abyss/account-info');
+  assert.equal(account.json.data.data.uploadsCount, mock.state.files.size);
+
+  const del = await api('DELETE', `/api/abyss/delete-video/${uploaded.abyssSlug}`);
+  assert.equal(del.status, 200, del.text);
+  assert.equal(mock.state.files.has(uploaded.abyssSlug), false);
+  assert.equal(await UploadedVideoModel.countDocuments({ _id: uploaded._id }), 0);
+});
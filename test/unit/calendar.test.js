@@ -0,0 +1,68 @@
+/**
+ * Unit: calendar.helper buildIcs — RFC 5545 text escaping, CRLF line endings and line folding at 75 octets
+ * (never inside a multi-byte character).
+ *
+ * Run: npm run test:unit
+ */
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildIcs } = require('../../helper/calendar.helper');
+
+const entry = (overrides = {}) => ({
+  tmdbId: 1399,
+  seasonNumber: 2,
+  episodeNumber: 5,
+  airDate: new Date('2026-10-19T00:00:00Z'),
+  showTitle: 'Show',
+  name: 'Pilot',
+  overview: null,
+  adFree: false,
+  queued: false,
+  queueStatus: null,
+  monitored: false,
+  ...overrides,
+});
+
+/** Undo folding (RFC 5545 3.1): CRLF followed by one space joins the lines. */
+const unfold = (ics) => ics.replace(/\r\n /g, '').split('\r\n');
+
+test('buildIcs writes one all-day VEVENT per entry with CRLF line endings', () => {
+  const ics = buildIcs([entry({ queued: true, queueStatus: 'pending' })], { name: 'My shows' });
+  assert.ok(ics.endsWith('END:VCALENDAR\r\n'));
+  assert.ok(!/[^\r]\n/.test(ics), 'every line ends with CRLF');
+  const lines = unfold(ics);
+  assert.deepEqual(lines.slice(0, 6), [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Stream Haven//Episode Calendar//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    'X-WR-CALNAME:My shows',
+  ]);
+  assert.ok(lines.includes('UID:tv-1399-2-5@streamhaven'));
+  assert.ok(lines.includes('DTSTART;VALUE=DATE:20261019'));
+  assert.ok(lines.includes('DTEND;VALUE=DATE:20261020'));
+  assert.ok(lines.includes('SUMMARY:Show S02E05 - Pilot'));
+  assert.ok(lines.includes('DESCRIPTION:Queued (pending)'));
+  assert.match(lines.find((l) => l.startsWith('DTSTAMP:')), /^DTSTAMP:\d{8}T\d{6}Z$/);
+});
+
+test('buildIcs escapes backslashes, semicolons, commas and newlines in text values', () => {
+  const ics = buildIcs([entry({ showTitle: 'Love, Death; Robots\\', name: null, adFree: true, overview: 'Line one\nLine two' })]);
+  const lines = unfold(ics);
+  assert.ok(lines.includes('SUMMARY:Love\\, Death\\; Robots\\\\ S02E05'));
+  assert.ok(lines.includes('DESCRIPTION:Ad-free\\n\\nLine one\\nLine two'));
+});
+
+test('buildIcs folds long lines at 75 octets without splitting multi-byte characters', () => {
+  const overview = `${'Ünïcödé 🎬 '.repeat(20)}end`;
+  const ics = buildIcs([entry({ overview })]);
+  const physical = ics.split('\r\n').filter(Boolean);
+  for (const line of physical) {
+    assert.ok(Buffer.byteLength(line) <= 75, `line over 75 octets: ${line}`);
+    assert.ok(!line.includes('�'));
+  }
+  const descriptionStart = physical.findIndex((l) => l.startsWith('DESCRIPTION:'));
+  assert.ok(physical[descriptionStart + 1].startsWith(' '), 'continuation lines start with a space');
+  assert.ok(unfold(ics).includes(`DESCRIPTION:${overview}`));
+});
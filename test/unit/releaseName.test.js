@@ -0,0 +1,40 @@
+/**
+ * Unit: releaseName.helper — title, year and season/episode from scene-style file names.
+ *
+ * Run: npm run test:unit
+ */
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseReleaseName, normalizeTitle } = require('../../helper/releaseName.helper');
+
+const movie = (title, year) => ({ title, year, seasonNumber: null, episodeNumber: null, mediaType: 'movie' });
+const episode = (title, seasonNumber, episodeNumber, year = null) => ({ title, year, seasonNumber, episodeNumber, mediaType: 'tv' });
+
+test('movies: the title stops at the year or the first release token', () => {
+  assert.deepEqual(parseReleaseName('The.Matrix.1999.1080p.BluRay.x264.mkv'), movie('The Matrix', 1999));
+  assert.deepEqual(parseReleaseName('Amélie.2001.REPACK.HEVC.mkv'), movie('Amélie', 2001));
+  assert.deepEqual(parseReleaseName('Heat 720p WEB-DL.mp4'), movie('Heat', null));
+});
+
+test('movies: a year-like title keeps its number and the last year wins', () => {
+  assert.deepEqual(parseReleaseName('2012.2009.1080p.mkv'), movie('2012', 2009));
+  assert.deepEqual(parseReleaseName('Blade Runner 2049 (2017) [YTS].mp4'), movie('Blade Runner 2049', 2017));
+});
+
+test('episodes: SxxEyy, Sxx.Eyy and 1x02 markers; directories are ignored', () => {
+  assert.deepEqual(parseReleaseName('Loki S01E03 720p.mp4'), episode('Loki', 1, 3));
+  assert.deepEqual(parseReleaseName('Dark.S02.E05.mkv'), episode('Dark', 2, 5));
+  assert.deepEqual(parseReleaseName('/media/tv/Friends.1x02.The.One.avi'), episode('Friends', 1, 2));
+  assert.deepEqual(parseReleaseName('C:\\tv\\Doctor.Who.2005.S10E01.mkv'), episode('Doctor Who', 10, 1, 2005));
+});
+
+test('season packs without an episode are TV with a season only', () => {
+  assert.deepEqual(parseReleaseName('Show.Name.Season.2.Complete.WEB-DL'), episode('Show Name', 2, null));
+});
+
+test('normalizeTitle compares titles without case, accents or punctuation', () => {
+  assert.equal(normalizeTitle('Spider-Man: No Way Home'), 'spidermannowayhome');
+  assert.equal(normalizeTitle('Fast & Furious'), 'fastandfurious');
+  assert.equal(normalizeTitle('Amélie'), normalizeTitle('AMELIE'));
+  assert.equal(normalizeTitle(null), '');
+});
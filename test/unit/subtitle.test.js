@@ -0,0 +1,143 @@
+/**
+ * Unit: subtitle.helper normalization — decoding, format detection, tag stripping, cue timing fixes and SRT output.
+ *
+ * Run: npm run test:unit
+ */
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  SubtitleFormatError,
+  toIso6391,
+  formatSrtTime,
+  buildSrt,
+  decodeSubtitleBuffer,
+  detectSubtitleFormat,
+  stripSubtitleTags,
+  parseSubtitle,
+  normalizeSubtitle,
+  parseTimingCorrection,
+  applyTimingCorrection,
+} = require('../../helper/subtitle.helper');
+
+const srt = (text) => Buffer.from(text, 'utf8');
+
+test('toIso6391 maps ISO 639-2 and BCP 47 tags to ISO 639-1', () => {
+  assert.equal(toIso6391('eng'), 'en');
+  assert.equal(toIso6391('ger'), 'de');
+  assert.equal(toIso6391('pt-BR'), 'pt');
+  assert.equal(toIso6391('zh_Hant'), 'zh');
+  assert.equal(toIso6391('und'), null);
+  assert.equal(toIso6391(''), null);
+});
+
+test('formatSrtTime pads hours, minutes, seconds and milliseconds', () => {
+  assert.equal(formatSrtTime(0), '00:00:00,000');
+  assert.equal(formatSrtTime(3723004), '01:02:03,004');
+  assert.equal(formatSrtTime(-5), '00:00:00,000');
+});
+
+test('buildSrt drops empty cues and renumbers the rest', () => {
+  const out = buildSrt([
+    { startMs: 0, endMs: 1000, text: 'One' },
+    { startMs: 1000, endMs: 2000, text: '  ' },
+    { startMs: 2000, endMs: 3000, text: ' Two ' },
+  ]);
+  assert.equal(out, '1\n00:00:00,000 --> 00:00:01,000\nOne\n\n2\n00:00:02,000 --> 00:00:03,000\nTwo\n');
+});
+
+test('decodeSubtitleBuffer honours BOMs, detects UTF-16 without BOM and falls back to Windows-1252', () => {
+  assert.deepEqual(decodeSubtitleBuffer(Buffer.from([0xef, 0xbb, 0xbf, 0x68, 0x69])), { text: 'hi', encoding: 'utf-8' });
+  assert.deepEqual(decodeSubtitleBuffer(Buffer.concat([Buffer.from([0xff, 0xfe]), Buffer.from('hi', 'utf16le')])), {
+    text: 'hi',
+    encoding: 'utf-16le',
+  });
+  const be = Buffer.from('hello world', 'utf16le').swap16();
+  assert.deepEqual(decodeSubtitleBuffer(be), { text: 'hello world', encoding: 'utf-16be' });
+  // 0x93/0x94 are curly quotes in Windows-1252 and invalid on their own in UTF-8
+  assert.deepEqual(decodeSubtitleBuffer(Buffer.from([0x93, 0x68, 0x69, 0x94])), { text: '“hi”', encoding: 'windows-1252' });
+});
+
+test('detectSubtitleFormat recognises SRT, WebVTT, ASS and MicroDVD', () => {
+  assert.equal(detectSubtitleFormat('1\n00:00:01,000 --> 00:00:02,000\nHi\n'), 'srt');
+  assert.equal(detectSubtitleFormat('WEBVTT\n\n00:01.000 --> 00:02.000\nHi\n'), 'webvtt');
+  assert.equal(detectSubtitleFormat('[Script Info]\nTitle: x\n'), 'ass');
+  assert.equal(detectSubtitleFormat('{10}{20}Hi'), 'microdvd');
+  assert.equal(detectSubtitleFormat('just some text'), null);
+});
+
+test('stripSubtitleTags removes markup, decodes entities and collapses whitespace', () => {
+  assert.equal(stripSubtitleTags('<i>Hello</i>  {\\an8}there\n\n<font color="red">a &amp; b</font>'), 'Hello there\na & b');
+  assert.equal(stripSubtitleTags('<v Roger>&lt;3&nbsp;you'), '<3 you');
+});
+
+test('parseSubtitle sorts cues, fixes missing end times and removes duplicates', () => {
+  const parsed = parseSubtitle(srt([
+    '1', '00:00:05,000 --> 00:00:06,000', 'Second', '',
+    '2', '00:00:01,000 --> 00:00:01,000', '<b>First</b>', '',
+    '3', '00:00:05,000 --> 00:00:06,000', 'Second', '',
+  ].join('\r\n')));
+  assert.equal(parsed.format, 'srt');
+  assert.equal(parsed.encoding, 'utf-8');
+  assert.deepEqual(parsed.cues, [
+    { startMs: 1000, endMs: 3000, text: 'First' },
+    { startMs: 5000, endMs: 6000, text: 'Second' },
+  ]);
+  assert.deepEqual(parsed.warnings, [
+    '1 cue(s) out of order, sorted by start time',
+    '1 cue(s) without a valid end time fixed',
+    '1 duplicate cue(s) removed',
+  ]);
+});
+
+test('parseSubtitle reads WebVTT cue settings, ASS dialogue and MicroDVD frame rates', () => {
+  const vtt = parseSubtitle(srt('WEBVTT\n\nNOTE a comment\n\n00:01.500 --> 00:03.000 align:start\n<c.yellow>Hi</c>\n'));
+  assert.deepEqual(vtt.cues, [{ startMs: 1500, endMs: 3000, text: 'Hi' }]);
+
+  const ass = parseSubtitle(srt([
+    '[Script Info]', 'Title: test', '', '[Events]',
+    'Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text',
+    'Dialogue: 0,0:00:01.50,0:00:02.00,Default,,0,0,0,,{\\i1}Hello,\\Nworld',
+    'Dialogue: 0,0:00:03.00,0:00:04.00,Default,,0,0,0,,{\\p1}m 0 0 l 1 1',
+  ].join('\n')));
+  assert.equal(ass.format, 'ass');
+  assert.deepEqual(ass.cues, [{ startMs: 1500, endMs: 2000, text: 'Hello,\nworld' }]);
+
+  const mdvd = parseSubtitle(srt('{1}{1}25\n{25}{50}Line one|Line two\n'));
+  assert.equal(mdvd.format, 'microdvd');
+  assert.deepEqual(mdvd.cues, [{ startMs: 1000, endMs: 2000, text: 'Line one\nLine two' }]);
+});
+
+test('parseSubtitle rejects empty, unknown and cue-less files with SubtitleFormatError', () => {
+  assert.throws(() => parseSubtitle(Buffer.alloc(0)), SubtitleFormatError);
+  assert.throws(() => parseSubtitle(srt('hello')), { name: 'SubtitleFormatError', code: 'subtitle_invalid' });
+  assert.throws(() => parseSubtitle(srt('1\n00:00:01,000 --> 00:00:02,000\n<i></i>\n')), /No usable cues in srt/);
+});
+
+test('normalizeSubtitle converts any supported file to UTF-8 SRT', () => {
+  const utf16 = Buffer.concat([Buffer.from([0xff, 0xfe]), Buffer.from('WEBVTT\n\n00:00:01.000 --> 00:00:02.000\nCafé\n', 'utf16le')]);
+  const result = normalizeSubtitle(utf16);
+  assert.equal(result.format, 'webvtt');
+  assert.equal(result.encoding, 'utf-16le');
+  assert.equal(result.cues, 1);
+  assert.equal(result.buffer.toString('utf8'), '1\n00:00:01,000 --> 00:00:02,000\nCafé\n');
+});
+
+test('timing corrections are validated and applied (offset and two-point stretch)', () => {
+  assert.equal(parseTimingCorrection({ offsetMs: 'x' }).error, 'offsetMs must be a number');
+  assert.match(parseTimingCorrection({ points: [{ fromMs: 0, toMs: 0 }, { fromMs: 500, toMs: 600 }] }).error, /at least 1s apart/);
+
+  const cues = [
+    { startMs: 500, endMs: 900, text: 'a' },
+    { startMs: 10000, endMs: 12000, text: 'b' },
+  ];
+  const { correction: offset } = parseTimingCorrection({ mode: 'offset', offsetMs: -1000.4 });
+  assert.deepEqual(applyTimingCorrection(cues, offset), [{ startMs: 9000, endMs: 11000, text: 'b' }]);
+
+  const { correction: stretch } = parseTimingCorrection({ points: [{ fromMs: 10000, toMs: 11000 }, { fromMs: 0, toMs: 0 }] });
+  assert.deepEqual(stretch.points, [{ fromMs: 0, toMs: 0 }, { fromMs: 10000, toMs: 11000 }]);
+  assert.deepEqual(applyTimingCorrection(cues, stretch), [
+    { startMs: 550, endMs: 990, text: 'a' },
+    { startMs: 11000, endMs: 13200, text: 'b' },
+  ]);
+  assert.equal(applyTimingCorrection(cues, null), cues);
+});
@@ -0,0 +1,101 @@
+/**
+ * Unit: tmdbMatch.helper ranking — title similarity, year and search-rank weighting, the TV episode check and
+ * the confident-match rule. TMDB is replaced by canned search/details responses on tmdbApi.get.
+ *
+ * Run: npm run test:unit
+ */
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { tmdbApi } = require('../../helper/api.helper');
+const {
+  MATCH_CONFIDENT_SCORE,
+  MATCH_CONFIDENT_MARGIN,
+  titleSimilarity,
+  rankTmdbCandidates,
+  isConfidentMatch,
+} = require('../../helper/tmdbMatch.helper');
+
+const originalGet = tmdbApi.get;
+afterEach(() => {
+  tmdbApi.get = originalGet;
+});
+
+/** Answer tmdbApi.get from a path → data map and record the calls. */
+function cannedTmdb(responses) {
+  const calls = [];
+  tmdbApi.get = async (path, config) => {
+    calls.push({ path, params: config?.params });
+    if (!(path in responses)) throw new Error(`unexpected TMDB call ${path}`);
+    return { data: responses[path] };
+  };
+  return calls;
+}
+
+test('titleSimilarity is 1 for equal normalized titles and bigram Dice otherwise', () => {
+  assert.equal(titleSimilarity('Spider-Man: No Way Home', 'spider man no way home'), 1);
+  assert.equal(titleSimilarity('night', 'nacht'), 0.25);
+  assert.equal(titleSimilarity('', 'anything'), 0);
+  assert.equal(titleSimilarity('a', 'b'), 0);
+});
+
+test('movies are ranked by title, then year, then TMDB search order', async () => {
+  const calls = cannedTmdb({
+    '/search/movie': {
+      results: [
+        { id: 1, title: 'Heat Wave', original_title: 'Heat Wave', release_date: '1995-03-01', poster_path: '/a.jpg' },
+        { id: 2, title: 'Heat', original_title: 'Heat', release_date: '1986-05-02', poster_path: null },
+        { id: 3, title: 'Heat', original_title: 'Heat', release_date: '1995-12-15', poster_path: '/c.jpg' },
+      ],
+    },
+  });
+  const ranked = await rankTmdbCandidates({ title: 'Heat', year: 1995, seasonNumber: null, episodeNumber: null, mediaType: 'movie' });
+
+  assert.deepEqual(calls, [{ path: '/search/movie', params: { query: 'Heat', language: 'en-US', include_adult: false } }]);
+  assert.deepEqual(ranked.map((c) => c.tmdbId), [3, 2, 1]);
+  // 0.7 * 1 (title) + 0.2 * 1 (year) + 0.1 * (1 - 2/10) (third result)
+  assert.equal(ranked[0].confidence, 0.98);
+  assert.deepEqual(ranked[0], {
+    tmdbId: 3,
+    mediaType: 'movie',
+    title: 'Heat',
+    year: 1995,
+    poster_path: '/c.jpg',
+    seasonNumber: null,
+    episodeNumber: null,
+    confidence: 0.98,
+  });
+});
+
+test('the original title counts and a file without a year scores half on year', async () => {
+  cannedTmdb({
+    '/search/movie': { results: [{ id: 7, title: 'Spirited Away', original_title: 'Sen to Chihiro no Kamikakushi', release_date: '2001-07-20' }] },
+  });
+  const [best] = await rankTmdbCandidates({ title: 'Sen to Chihiro no Kamikakushi', year: null, mediaType: 'movie' });
+  assert.equal(best.confidence, 0.9); // 0.7 + 0.2 * 0.5 + 0.1
+});
+
+test('TV candidates without the requested episode on TMDB are capped at 0.5', async () => {
+  cannedTmdb({
+    '/search/tv': {
+      results: [
+        { id: 10, name: 'Dark', original_name: 'Dark', first_air_date: '2017-12-01' },
+        { id: 11, name: 'Dark', original_name: 'Dark', first_air_date: '2017-01-01' },
+      ],
+    },
+    '/tv/10': { id: 10, seasons: [{ season_number: 1, episode_count: 10 }] },
+    '/tv/11': { id: 11, seasons: [{ season_number: 1, episode_count: 10 }, { season_number: 2, episode_count: 8 }] },
+  });
+  const ranked = await rankTmdbCandidates({ title: 'Dark', year: null, seasonNumber: 2, episodeNumber: 5, mediaType: 'tv' });
+  assert.deepEqual(ranked.map((c) => [c.tmdbId, c.confidence]), [[11, 0.89], [10, 0.5]]);
+  assert.equal(ranked[0].seasonNumber, 2);
+  assert.equal(ranked[0].episodeNumber, 5);
+});
+
+test('isConfidentMatch needs a high score and a clear lead', () => {
+  const high = MATCH_CONFIDENT_SCORE;
+  assert.equal(isConfidentMatch([]), false);
+  assert.equal(isConfidentMatch([{ confidence: high - 0.01 }]), false);
+  assert.equal(isConfidentMatch([{ confidence: high }]), true);
+  assert.equal(isConfidentMatch([{ confidence: 0.99 }, { confidence: 0.99 - MATCH_CONFIDENT_MARGIN + 0.01 }]), false);
+  assert.equal(isConfidentMatch([{ confidence: 0.99 }, { confidence: 0.5 }]), true);
+});
@@ -0,0 +1,153 @@
+/**
+ * Unit: videoProbe.helper / matroska.helper on small MP4 and Matroska files built in memory (headers only,
+ * no media data): container, duration, frame size, quality label, codecs and audio/subtitle tracks.
+ *
+ * Run: npm run test:unit
+ */
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createBufferSource, probeSource, qualityLabel } = require('../../helper/videoProbe.helper');
+const { readVint, readMatroskaHeaders } = require('../../helper/matroska.helper');
+
+// — MP4 boxes
+
+const u8 = (n) => Buffer.from([n]);
+const u16 = (n) => { const b = Buffer.alloc(2); b.writeUInt16BE(n); return b; };
+const u32 = (n) => { const b = Buffer.alloc(4); b.writeUInt32BE(n); return b; };
+const zeros = (n) => Buffer.alloc(n);
+
+function box(type, ...payload) {
+  const data = Buffer.concat(payload);
+  return Buffer.concat([u32(8 + data.length), Buffer.from(type, 'latin1'), data]);
+}
+
+/** mdhd language: three letters, 5 bits each, offset by 0x60 */
+const packLanguage = (lang) => [...lang].reduce((n, c) => (n << 5) | (c.charCodeAt(0) - 0x60), 0);
+
+function mp4Track({ id, handler, fourcc, language, name = '', enabled = true, width = 0, height = 0, channels = 0 }) {
+  const tkhd = box('tkhd', u8(0), Buffer.from([0, 0, enabled ? 1 : 0]), zeros(8), u32(id), zeros(60), u32(width * 65536), u32(height * 65536));
+  const mdhd = box('mdhd', zeros(4), zeros(8), u32(1000), u32(0), u16(packLanguage(language)), zeros(2));
+  const hdlr = box('hdlr', zeros(4), zeros(4), Buffer.from(handler, 'latin1'), zeros(12), Buffer.from(`${name}\0`, 'utf8'));
+  let entry;
+  if (handler === 'vide') entry = box(fourcc, zeros(6), u16(1), zeros(16), u16(width), u16(height), zeros(50));
+  else if (handler === 'soun') entry = box(fourcc, zeros(6), u16(1), zeros(8), u16(channels), u16(16), zeros(4), u32(48000 * 65536));
+  else entry = box(fourcc, zeros(6), u16(1), zeros(16));
+  const stsd = box('stsd', zeros(4), u32(1), entry);
+  return box('trak', tkhd, box('mdia', mdhd, hdlr, box('minf', box('stbl', stsd))));
+}
+
+function buildMp4() {
+  const mvhd = box('mvhd', zeros(4), zeros(8), u32(600), u32(600 * 5400 + 300), zeros(80));
+  const moov = box(
+    'moov',
+    mvhd,
+    mp4Track({ id: 1, handler: 'vide', fourcc: 'avc1', language: 'und', width: 1280, height: 720 }),
+    mp4Track({ id: 2, handler: 'soun', fourcc: 'mp4a', language: 'jpn', name: 'Stereo', channels: 2 }),
+    mp4Track({ id: 3, handler: 'soun', fourcc: 'ac-3', language: 'eng', name: 'SoundHandler', enabled: false, channels: 6 }),
+    mp4Track({ id: 4, handler: 'sbtl', fourcc: 'tx3g', language: 'spa', name: 'Spanish' })
+  );
+  return Buffer.concat([box('ftyp', Buffer.from('isom', 'latin1'), u32(512)), box('mdat', zeros(32)), moov]);
+}
+
+// — Matroska elements
+
+function ebmlSize(n) {
+  if (n < 0x7f) return u8(0x80 | n);
+  const b = Buffer.alloc(8);
+  b.writeUInt32BE(Math.floor(n / 2 ** 32) & 0xffffff, 0);
+  b.writeUInt32BE(n >>> 0, 4);
+  b[0] = 0x01;
+  return b;
+}
+
+function el(id, ...payload) {
+  const idBytes = Buffer.from(id.toString(16).padStart(id > 0xffffff ? 8 : id > 0xffff ? 6 : id > 0xff ? 4 : 2, '0'), 'hex');
+  const data = Buffer.concat(payload.map((p) => (Buffer.isBuffer(p) ? p : Buffer.from(String(p), 'utf8'))));
+  return Buffer.concat([idBytes, ebmlSize(data.length), data]);
+}
+
+const uint = (n) => (n > 0xffff ? u32(n) : n > 0xff ? u16(n) : u8(n));
+const float64 = (n) => { const b = Buffer.alloc(8); b.writeDoubleBE(n); return b; };
+
+function buildMatroska(docType = 'webm') {
+  const info = el(0x1549a966, el(0x2ad7b1, uint(1000000)), el(0x4489, float64(42500)));
+  const tracks = el(
+    0x1654ae6b,
+    el(0xae, el(0xd7, uint(1)), el(0x83, uint(1)), el(0x86, 'V_VP9'), el(0xe0, el(0xb0, uint(1920)), el(0xba, uint(800)))),
+    el(0xae, el(0xd7, uint(2)), el(0x83, uint(2)), el(0x86, 'A_OPUS'), el(0x22b59c, 'ger'), el(0x536e, 'Deutsch'), el(0xe1, el(0x9f, uint(6)))),
+    el(0xae, el(0xd7, uint(3)), el(0x83, uint(2)), el(0x86, 'A_AAC/MPEG4/LC'), el(0x88, uint(0))),
+    el(0xae, el(0xd7, uint(4)), el(0x83, uint(17)), el(0x86, 'S_TEXT/WEBVTT'), el(0x22b59c, 'por'), el(0x22b59d, 'pt-BR'), el(0x55aa, uint(1)), el(0x88, uint(0)))
+  );
+  const cluster = el(0x1f43b675, el(0xe7, uint(0)));
+  return Buffer.concat([el(0x1a45dfa3, el(0x4282, docType)), el(0x18538067, info, tracks, cluster)]);
+}
+
+test('qualityLabel goes by width first so letterboxed encodes keep their nominal label', () => {
+  assert.equal(qualityLabel(3840, 1600), '2160p');
+  assert.equal(qualityLabel(1920, 800), '1080p');
+  assert.equal(qualityLabel(1280, 536), '720p');
+  assert.equal(qualityLabel(854, 480), '480p');
+  assert.equal(qualityLabel(640, 360), 'SD');
+  assert.equal(qualityLabel(null, 1080), null);
+});
+
+test('readVint decodes EBML sizes and flags unknown sizes', () => {
+  assert.deepEqual(readVint(Buffer.from([0x81]), 0, false), { value: 1, length: 1, unknown: false });
+  assert.deepEqual(readVint(Buffer.from([0x40, 0x02]), 0, false), { value: 2, length: 2, unknown: false });
+  assert.deepEqual(readVint(Buffer.from([0x1a, 0x45, 0xdf, 0xa3]), 0, true), { value: 0x1a45dfa3, length: 4, unknown: false });
+  assert.equal(readVint(Buffer.from([0x01, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff]), 0, false).unknown, true);
+  assert.equal(readVint(Buffer.from([0x00]), 0, false), null);
+});
+
+test('probeSource reads MP4 duration, video size, codecs and track languages from moov', async () => {
+  const probe = await probeSource(createBufferSource(buildMp4()));
+  assert.ok(probe.probedAt instanceof Date);
+  assert.deepEqual({ ...probe, probedAt: null }, {
+    container: 'mp4',
+    durationSec: 5400.5,
+    width: 1280,
+    height: 720,
+    quality: '720p',
+    videoCodec: 'h264',
+    audioTracks: [
+      { codec: 'aac', language: 'jpn', channels: 2, name: 'Stereo', default: true },
+      { codec: 'ac3', language: 'eng', channels: 6, name: null, default: false },
+    ],
+    subtitleTracks: [{ codec: 'mov_text', language: 'spa', name: 'Spanish', forced: false, default: true, trackNumber: 4 }],
+    probedAt: null,
+    error: null,
+  });
+});
+
+test('probeSource reads Matroska/WebM info and tracks without loading clusters', async () => {
+  const probe = await probeSource(createBufferSource(buildMatroska()));
+  assert.deepEqual({ ...probe, probedAt: null }, {
+    container: 'webm',
+    durationSec: 42.5,
+    width: 1920,
+    height: 800,
+    quality: '1080p',
+    videoCodec: 'vp9',
+    audioTracks: [
+      { codec: 'opus', language: 'ger', channels: 6, name: 'Deutsch', default: true },
+      // Language defaults to 'eng' when the element is absent; codec IDs with a profile suffix map to their base codec
+      { codec: 'aac', language: 'eng', channels: null, name: null, default: false },
+    ],
+    subtitleTracks: [{ codec: 'webvtt', language: 'pt-BR', name: null, forced: true, default: false, trackNumber: 4 }],
+    probedAt: null,
+    error: null,
+  });
+
+  const headers = await readMatroskaHeaders(createBufferSource(buildMatroska('matroska')));
+  assert.equal(headers.docType, 'matroska');
+  assert.equal(headers.timestampScale, 1000000);
+  assert.equal(headers.tracks.length, 4);
+});
+
+test('probeSource rejects unknown containers and MP4 files without moov', async () => {
+  await assert.rejects(probeSource(createBufferSource(Buffer.from('RIFF....AVI LIST'))), /Unrecognised container/);
+  await assert.rejects(
+    probeSource(createBufferSource(Buffer.concat([box('ftyp', Buffer.from('isom', 'latin1')), box('mdat', zeros(8))]))),
+    /moov box not found/
+  );
+});
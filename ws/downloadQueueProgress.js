@@ -15,6 +15,7 @@ const { URL } = require('url');
 
 const DOWNLOADER_URL = (process.env.DOWNLOADER_URL || '').replace(/\/$/, '');
 const POLL_INTERVAL_MS = 1000;
+const WS_PATH = '/ws/download-queue/progress';
 
 /** @type {Set<import('ws').WebSocket>} */
 const clients = new Set();
@@ -114,7 +115,13 @@ async function verifyAdminAndAccept(token, ws) {
  * @param {import('http').Server} server
  */
 function attachDownloadQueueProgressWs(server) {
-  const wss = new WebSocketServer({ server, path: '/ws/download-queue/progress' });
+  // noServer + own upgrade listener so other websocket endpoints can share the HTTP server.
+  const wss = new WebSocketServer({ noServer: true });
+  server.on('upgrade', (req, socket, head) => {
+    const { pathname } = new URL(req.url || '', 'http://localhost');
+    if (pathname !== WS_PATH) return;
+    wss.handleUpgrade(req, socket, head, (ws) => wss.emit('connection', ws, req));
+  });
 
   wss.on('connection', async (ws, req) => {
     const url = new URL(req.url || '', `http://${req.headers.host || 'localhost'}`);
@@ -146,4 +153,4 @@ function attachDownloadQueueProgressWs(server) {
   });
 }
 
-module.exports = { attachDownloadQueueProgressWs };
+module.exports = { WS_PATH, attachDownloadQueueProgressWs };
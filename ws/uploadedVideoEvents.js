@@ -0,0 +1,87 @@
+/**
+ * WebSocket: uploaded-video events pushed from the slug reconciler (helper/slugReconciler.helper), so clients
+ * learn about newly ad-free titles without polling.
+ * Path: /ws/uploaded-videos/events?token=<JWT>
+ * Auth: token must be a valid JWT for an active user. Unauthorized connections are closed.
+ * Messages: { type: 'ad_free', data: { mediaType, externalId, title, uploadedVideo } } to everyone,
+ *           { type: 'ready', data: { uploadedVideo } } (every video that became ready) to admins only.
+ */
+
+const { WebSocketServer } = require('ws');
+const jwt = require('jsonwebtoken');
+const userModel = require('../model/user.model');
+const { uploadedVideoEvents } = require('../helper/slugReconciler.helper');
+const { URL } = require('url');
+
+const WS_PATH = '/ws/uploaded-videos/events';
+
+/** @type {Map<import('ws').WebSocket, { isAdmin: boolean }>} */
+const clients = new Map();
+
+function broadcast(message, { adminOnly = false } = {}) {
+  const payload = JSON.stringify(message);
+  for (const [ws, info] of clients) {
+    if (adminOnly && !info.isAdmin) continue;
+    if (ws.readyState === 1) {
+      try {
+        ws.send(payload);
+      } catch (e) {
+        // ignore
+      }
+    }
+  }
+}
+
+/**
+ * Verify token and return the client info for an active user. Closes ws and returns null if invalid.
+ * @param {string} token
+ * @param {import('ws').WebSocket} ws
+ * @returns {Promise<{ isAdmin: boolean } | null>}
+ */
+async function verifyUserAndAccept(token, ws) {
+  if (!token) {
+    ws.close(4401, 'Missing token');
+    return null;
+  }
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const user = await userModel.findById(decoded.id);
+    if (!user || user.isActive !== true) {
+      ws.close(4403, 'Forbidden');
+      return null;
+    }
+    return { isAdmin: user.isAdmin === true };
+  } catch (err) {
+    ws.close(4401, err.name === 'TokenExpiredError' ? 'Token expired' : 'Invalid token');
+    return null;
+  }
+}
+
+/**
+ * @param {import('http').Server} server
+ */
+function attachUploadedVideoEventsWs(server) {
+  const wss = new WebSocketServer({ noServer: true });
+  server.on('upgrade', (req, socket, head) => {
+    const { pathname } = new URL(req.url || '', 'http://localhost');
+    if (pathname !== WS_PATH) return;
+    wss.handleUpgrade(req, socket, head, (ws) => wss.emit('connection', ws, req));
+  });
+
+  uploadedVideoEvents.on('ready', (data) => broadcast({ type: 'ready', data }, { adminOnly: true }));
+  uploadedVideoEvents.on('ad_free', (data) => broadcast({ type: 'ad_free', data }));
+
+  wss.on('connection', async (ws, req) => {
+    const url = new URL(req.url || '', `http://${req.headers.host || 'localhost'}`);
+    const token = url.searchParams.get('token') || '';
+
+    const info = await verifyUserAndAccept(token, ws);
+    if (!info) return;
+    clients.set(ws, info);
+
+    ws.on('close', () => clients.delete(ws));
+    ws.on('error', () => clients.delete(ws));
+  });
+}
+
+module.exports = { WS_PATH, attachUploadedVideoEventsWs };